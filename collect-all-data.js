@@ -1,61 +1,12 @@
 #!/usr/bin/env node
 
-const { CTBService } = require('./lib/ctb-service');
-const { KMBService } = require('./lib/kmb-service');
-const config = require('./config/default');
-
-async function main() {
-  let hasFailedCollections = false;
-  const services = [
-    { name: 'CTB', Service: CTBService, baseDir: config.output.baseDir },
-    { name: 'KMB', Service: KMBService, baseDir: 'kmb' },
-  ];
-
-  for (const { name, Service, baseDir } of services) {
-    console.log(`\n=== Collecting ${name} data ===`);
-    try {
-      const service = new Service({
-        requestsPerSecond: config.api.requestsPerSecond,
-        concurrentRequests: config.api.concurrentRequests,
-        baseDir,
-      });
-
-      const result = await service.collectAndSaveData();
-
-      if (result.isFailure()) {
-        const error = result.getError();
-        console.error(`${name} data collection failed:`, error.message);
-        if (error.details) {
-          console.error('Details:', error.details);
-        }
-        hasFailedCollections = true;
-        continue;
-      }
-
-      const data = result.unwrap();
-      console.log(
-        `${name} Summary: ${data.successfulStops}/${data.totalStops} stops processed`
-      );
-      if (data.saveErrors > 0) {
-        console.warn(
-          `${name} Warning: ${data.saveErrors} file save errors occurred`
-        );
-      }
-    } catch (error) {
-      console.error(`Error in ${name} collection:`, error);
-      hasFailedCollections = true;
-      continue;
-    }
-  }
-
-  if (hasFailedCollections) {
-    console.error('\n❌ Data collection completed, but one or more sources failed.');
-    process.exit(1);
-  }
-
-  console.log('\n✓ All data collected successfully');
-}
+const { CollectionRunner } = require('./lib/collection-runner');
 
+// Usage: node collect-all-data.js [--resume] [operator...]
+// Collects every registered operator (built-ins plus OPERATOR_PLUGINS) when
+// no operator codes are given. With --resume, each operator continues from
+// the checkpoint of its last unfinished run.
 if (require.main === module) {
-  main();
+  const { names, options } = CollectionRunner.parseArgs(process.argv.slice(2));
+  CollectionRunner.main(names, options);
 }
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+
+const { CollectionRunner } = require('./lib/collection-runner');
+
+if (require.main === module) {
+  const { options } = CollectionRunner.parseArgs(process.argv.slice(2));
+  CollectionRunner.main(['gmb'], options);
+}
@@ -16,20 +16,26 @@ module.exports = {
       routeStop: config.api.endpoints.ctb.routeStop,
       stop: config.api.endpoints.ctb.stop,
     },
-    // New structured endpoints
-    ctb: config.api.endpoints.ctb,
-    kmb: config.api.endpoints.kmb,
+    // Structured endpoints for every registered operator (ctb, kmb, ...)
+    ...config.api.endpoints,
   },
   cache: config.cache,
+  checkpoint: config.checkpoint,
   output: {
     // Maintain backward compatibility
     baseDir: config.output.ctb.baseDir,
     stopsDir: config.output.ctb.stopsDir,
     routesDir: config.output.ctb.routesDir,
-    // New structured output
-    ctb: config.output.ctb,
-    kmb: config.output.kmb,
+    // Structured output for every registered operator
+    ...config.output,
   },
+  versioning: config.versioning,
+  spatial: config.spatial,
+  quality: config.quality,
+  compact: config.compact,
+  writes: config.writes,
   githubPages: config.githubPages,
+  eta: config.eta,
+  server: config.server,
   environment: config.environment,
 };
@@ -0,0 +1,71 @@
+/**
+ * Decoder for the columnar allstops.columnar.json
+ *
+ * Has no dependencies, so consumers (e.g. a MagicMirror module) can copy this
+ * file as is. allstops.columnar.json stores each stop field as a column, with every
+ * string replaced by its index in a shared string table:
+ *
+ * - `string` columns hold one string index per stop
+ * - `string[]` columns hold an array of string indexes per stop
+ * - `{objects: [[field, type], ...]}` columns hold an array per stop whose
+ *   objects are stored as arrays of field values in the listed order, each
+ *   encoded by its own type
+ * - `json` columns hold the values unchanged
+ *
+ * `null` marks a field the stop does not have.
+ */
+
+/**
+ * Decode one encoded value
+ * @param {string|{objects: Array<[string, any]>}} type - Column or field type
+ * @param {any} value - Encoded value
+ * @param {string[]} strings - String table
+ * @returns {any} Decoded value
+ */
+function decodeValue(type, value, strings) {
+  if (value === null) {
+    return null;
+  }
+  if (type === 'string') {
+    return strings[value];
+  }
+  if (type === 'string[]') {
+    return value.map(index => strings[index]);
+  }
+  if (type.objects) {
+    return value.map(row => {
+      const object = {};
+      type.objects.forEach(([field, fieldType], index) => {
+        const decoded = decodeValue(fieldType, row[index], strings);
+        if (decoded !== null) {
+          object[field] = decoded;
+        }
+      });
+      return object;
+    });
+  }
+  return value;
+}
+
+/**
+ * Decode allstops.columnar.json back into the allstops.json structure
+ * @param {{strings: string[], keys: number[], columns: Array<{name: string, type: any, values: any[]}>}} encoded - Parsed allstops.columnar.json
+ * @returns {Object.<string, Object>} Stops keyed by stop ID, as in allstops.json
+ */
+function decodeAllStops(encoded) {
+  const { strings, keys, columns } = encoded;
+  const allStops = {};
+  keys.forEach((key, row) => {
+    const stop = {};
+    for (const column of columns) {
+      const value = decodeValue(column.type, column.values[row], strings);
+      if (value !== null) {
+        stop[column.name] = value;
+      }
+    }
+    allStops[strings[key]] = stop;
+  });
+  return allStops;
+}
+
+module.exports = { decodeAllStops };
@@ -19,4 +19,88 @@ class CTBApiClient extends BaseApiClient {
   }
 }
 
-module.exports = { CTBApiClient };
+/**
+ * GMB API client with rate limiting, concurrency control and caching
+ */
+class GMBApiClient extends BaseApiClient {
+  constructor(requestsPerSecond = 3, concurrentRequests = 2) {
+    super(requestsPerSecond, concurrentRequests, {
+      timeout: config.api.timeout,
+      cacheDir: config.cache?.dir,
+      cacheTtl: config.cache?.ttl,
+      headers: {
+        'User-Agent':
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        Accept: 'application/json',
+        'Accept-Encoding': 'gzip',
+      },
+    });
+  }
+}
+
+/**
+ * NLB API client with rate limiting, concurrency control and caching
+ */
+class NLBApiClient extends BaseApiClient {
+  constructor(requestsPerSecond = 3, concurrentRequests = 2) {
+    super(requestsPerSecond, concurrentRequests, {
+      timeout: config.api.timeout,
+      cacheDir: config.cache?.dir,
+      cacheTtl: config.cache?.ttl,
+      headers: {
+        'User-Agent':
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        Accept: 'application/json',
+        'Accept-Encoding': 'gzip',
+      },
+    });
+  }
+}
+
+/**
+ * MTR open data client, used to download the CSV datasets
+ */
+class MTRApiClient extends BaseApiClient {
+  constructor(requestsPerSecond = 3, concurrentRequests = 2) {
+    super(requestsPerSecond, concurrentRequests, {
+      timeout: config.api.timeout,
+      cacheDir: config.cache?.dir,
+      cacheTtl: config.cache?.ttl,
+      headers: {
+        'User-Agent':
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        Accept: 'text/csv, text/plain, */*',
+        'Accept-Encoding': 'gzip',
+      },
+    });
+  }
+}
+
+/**
+ * Client for the real-time ETA APIs
+ * Responses are never cached on disk and failed requests are retried only a
+ * few times, since an ETA is stale within a minute.
+ */
+class ETAApiClient extends BaseApiClient {
+  constructor(requestsPerSecond = 10, concurrentRequests = 4) {
+    super(requestsPerSecond, concurrentRequests, {
+      timeout: config.api.timeout,
+      persistentCache: false,
+      retries: config.eta.retries,
+      headers: {
+        'User-Agent':
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        Accept: 'application/json',
+        'Accept-Encoding': 'gzip',
+      },
+    });
+  }
+}
+
+module.exports = {
+  CTBApiClient,
+  GMBApiClient,
+  NLBApiClient,
+  MTRApiClient,
+  ETAApiClient,
+};
@@ -9,6 +9,8 @@ const { Result } = require('./result');
  * @property {number} [timeout=30000] - Request timeout in milliseconds
  * @property {string} [cacheDir='.cache'] - Cache directory path
  * @property {number} [cacheTtl=86400000] - Cache TTL in milliseconds
+ * @property {boolean} [persistentCache=true] - Cache responses on disk (never in CI); disable for live data
+ * @property {number} [retries=6] - Retries of a failed request, with exponential backoff
  * @property {Object} [headers] - Custom HTTP headers
  * @property {Object} [hooks] - Ky hooks for request/response interception
  */
@@ -34,7 +36,8 @@ class BaseApiClient {
         statusCodes: [408, 413, 429, 500, 502, 503, 504],
       },
       headers: config.headers || {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+        'User-Agent':
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
         'Accept-Encoding': 'gzip',
       },
       hooks: config.hooks || {},
@@ -47,11 +50,13 @@ class BaseApiClient {
     });
 
     this.concurrentRequests = concurrentRequests;
+    this.retries = config.retries ?? 6;
 
     // Initialize cache
     this.cache = new ApiCache(
       config.cacheDir || '.cache',
-      config.cacheTtl || 24 * 60 * 60 * 1000 // 24 hours default
+      config.cacheTtl || 24 * 60 * 60 * 1000, // 24 hours default
+      config.persistentCache !== false && process.env.CI !== 'true'
     );
   }
 
@@ -62,6 +67,29 @@ class BaseApiClient {
    * @throws {NetworkError} If the request fails after all retries
    */
   async fetchJson(url) {
+    return this._fetchWithRetry(url, response => response.json());
+  }
+
+  /**
+   * Fetch a text resource (e.g. a CSV dataset) with the same caching, rate
+   * limiting and retries as fetchJson
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string>} Response body
+   * @throws {NetworkError} If the request fails after all retries
+   */
+  async fetchText(url) {
+    return this._fetchWithRetry(url, response => response.text());
+  }
+
+  /**
+   * Fetch and parse a URL with caching, rate limiting, and retries
+   * @private
+   * @param {string} url - URL to fetch
+   * @param {function(import('ky').ResponsePromise): Promise<any>} parse - Body parser
+   * @returns {Promise<any>} Parsed response
+   * @throws {NetworkError} If the request fails after all retries
+   */
+  async _fetchWithRetry(url, parse) {
     // Check cache first for GET requests
     if (this.cache.isEnabled()) {
       const cachedData = await this.cache.get(url);
@@ -75,7 +103,7 @@ class BaseApiClient {
       return await pRetry(
         async () => {
           const throttledFetch = this.throttle(async () => {
-            const data = await this.client.get(url).json();
+            const data = await parse(this.client.get(url));
 
             // Cache the response data
             if (this.cache.isEnabled()) {
@@ -88,7 +116,7 @@ class BaseApiClient {
           return await throttledFetch();
         },
         {
-          retries: 6,
+          retries: this.retries,
           factor: 2,
           minTimeout: 1500,
           maxTimeout: 20000,
@@ -164,7 +192,7 @@ class BaseApiClient {
     const pMap = (await import('p-map')).default;
     return pMap(
       items,
-      async (item) => {
+      async item => {
         try {
           const value = await processor(item);
           return { status: 'fulfilled', value };
@@ -1,4 +1,6 @@
 const { CIRunProgress } = require('./ci-progress');
+const { CHECKPOINT_KINDS } = require('./checkpoint-store');
+const config = require('../config/default');
 
 /**
  * @typedef {Object} StopDetailsResult
@@ -8,6 +10,12 @@ const { CIRunProgress } = require('./ci-progress');
  * @property {boolean} [fromCache] - Whether data came from cache
  */
 
+/**
+ * @typedef {Object} PreviousData
+ * @property {Object.<string, Object>} allStops - Previously published allstops.json (empty if unavailable)
+ * @property {{routes: Object, stops: Object}|null} allRoutes - Previously published compact allroutes.json (null if unavailable)
+ */
+
 /**
  * Base data collector with common collection patterns
  * @class
@@ -22,6 +30,41 @@ class BaseDataCollector {
     this.apiClient = apiClient;
     this.concurrentRequests = concurrentRequests;
     this.spinner = null;
+    this.checkpoint = null;
+  }
+
+  /**
+   * Record completed fetches in a checkpoint, and reuse the fetches it
+   * already holds when resuming
+   * @param {import('./checkpoint-store').CheckpointStore|null} checkpoint - Checkpoint store (null to stop checkpointing)
+   */
+  useCheckpoint(checkpoint) {
+    this.checkpoint = checkpoint;
+  }
+
+  /**
+   * Run a fetch unless the checkpoint already holds its result, recording
+   * the result if it succeeded
+   * Results with `error` set are not recorded, so they are fetched again on
+   * resume.
+   * @param {string} kind - Fetch kind (CHECKPOINT_KINDS)
+   * @param {string} key - Route or stop ID
+   * @param {function(): Promise<Object>} collect - Fetch
+   * @returns {Promise<Object>} Recorded or fetched result
+   */
+  async collectWithCheckpoint(kind, key, collect) {
+    if (!this.checkpoint) {
+      return collect();
+    }
+    const recorded = this.checkpoint.get(kind, key);
+    if (recorded) {
+      return recorded;
+    }
+    const result = await collect();
+    if (!result.error) {
+      await this.checkpoint.record(kind, key, result);
+    }
+    return result;
   }
 
   /**
@@ -53,7 +96,11 @@ class BaseDataCollector {
     const results = await this.apiClient.processWithConcurrency(
       stopIds,
       async stopId => {
-        const result = await this.collectStopDetails(stopId);
+        const result = await this.collectWithCheckpoint(
+          CHECKPOINT_KINDS.STOP_DETAILS,
+          stopId,
+          () => this.collectStopDetails(stopId)
+        );
         completed++;
         spinner.text = `Collecting stop details (${completed}/${stopIds.length})`;
         progress.track(completed, 'Collecting stop details...');
@@ -77,6 +124,65 @@ class BaseDataCollector {
     throw new Error('collectStopDetails must be implemented by subclass');
   }
 
+  /**
+   * Fetch a previously published JSON file from GitHub Pages
+   * @param {string} relativePath - Path below the GitHub Pages base URL
+   * @returns {Promise<any|null>} Parsed file, or null if it could not be fetched
+   */
+  async fetchPublishedJson(relativePath) {
+    const spinner = await this.getSpinner();
+    spinner.start(`Fetching existing ${relativePath} from GitHub...`);
+    try {
+      const data = await this.apiClient.fetchJson(
+        `${config.githubPages.baseUrl}/${relativePath}`
+      );
+      spinner.succeed(`Fetched existing ${relativePath}`);
+      return data;
+    } catch (error) {
+      spinner.warn(
+        `Could not fetch existing ${relativePath}, treating all data as new`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the previously published allstops.json of an operator
+   * @param {string} operator - Operator output directory
+   * @returns {Promise<Object>} Stops keyed by stop ID (empty if unavailable)
+   */
+  async fetchExistingAllStops(operator) {
+    const data = await this.fetchPublishedJson(
+      `${operator}/stops/allstops.json`
+    );
+    if (data) {
+      console.log(`Found ${Object.keys(data).length} existing stops`);
+    }
+    return data || {};
+  }
+
+  /**
+   * Fetch the previously published compact allroutes.json of an operator
+   * @param {string} operator - Operator output directory
+   * @returns {Promise<{routes: Object, stops: Object}|null>} Compact routes, or null if unavailable
+   */
+  async fetchExistingAllRoutes(operator) {
+    return this.fetchPublishedJson(`${operator}/routes/allroutes.json`);
+  }
+
+  /**
+   * Fetch the previously published allstops.json and allroutes.json of an
+   * operator
+   * @param {string} operator - Operator output directory
+   * @returns {Promise<PreviousData>} Previously published data
+   */
+  async fetchPreviousData(operator) {
+    // Sequential: both requests share the collector's spinner
+    const allStops = await this.fetchExistingAllStops(operator);
+    const allRoutes = await this.fetchExistingAllRoutes(operator);
+    return { allStops, allRoutes };
+  }
+
   /**
    * Compare two route arrays for equality
    * @param {string[]|null|undefined} existingRoutes - Existing routes array
@@ -1,13 +1,36 @@
+const { GeoUtils, SpatialGrid } = require('./geo');
+
 /**
  * @typedef {Object} EnrichedStopData
  * @property {string} stop - Stop identifier
  * @property {string} name_en - English name
  * @property {string} name_tc - Traditional Chinese name
- * @property {string} name_sc - Simplified Chinese name
+ * @property {string|null} name_sc - Simplified Chinese name (null where the source has none)
  * @property {string} lat - Latitude
  * @property {string} long - Longitude
  * @property {string[]} routes - Array of route identifiers
  * @property {string} data_timestamp - ISO timestamp of data collection
+ * @property {NearbyStop[]} [nearbyStops] - Other stops within the nearby radius, nearest first
+ * @property {string[]} [nearbyStopIDs] - IDs of nearbyStops
+ * @property {StopRouteDetail[]} [routeDetails] - Direction, service type and sequence of each route at the stop
+ */
+
+/**
+ * @typedef {Object} StopRouteDetail
+ * @property {string} route - Route identifier
+ * @property {string} bound - `O` (outbound) or `I` (inbound)
+ * @property {string|null} service_type - KMB service type (null for operators without one)
+ * @property {number} seq - Sequence of the stop on the route in this direction
+ * @property {string|null} dest_en - Destination in this direction (English)
+ * @property {string|null} dest_tc - Destination in this direction (Traditional Chinese)
+ * @property {string|null} dest_sc - Destination in this direction (Simplified Chinese)
+ */
+
+/**
+ * @typedef {Object} NearbyStop
+ * @property {string} stop - Stop identifier
+ * @property {number} distance_m - Distance in metres
+ * @property {string} operator - Operator code of the stop
  */
 
 /**
@@ -45,9 +68,15 @@ class BaseDataProcessor {
    * @param {Object} stopData - Stop data to enrich
    * @param {Object.<string, (string[]|Set<string>)>} stopRoutesMap - Map of stop IDs to routes
    * @param {string} stopId - Stop ID
+   * @param {Object.<string, StopRouteDetail[]>} [stopRouteDetails] - Map of stop IDs to route details (from buildStopRouteDetails); adds routeDetails when given
    * @returns {EnrichedStopData} Enriched stop data with routes and timestamp
    */
-  static enrichStopWithRoutes(stopData, stopRoutesMap, stopId) {
+  static enrichStopWithRoutes(
+    stopData,
+    stopRoutesMap,
+    stopId,
+    stopRouteDetails
+  ) {
     // If routes are already in stopData (from cache), use current routes from stopRoutesMap
     const routes = stopRoutesMap[stopId]
       ? Array.isArray(stopRoutesMap[stopId])
@@ -58,21 +87,188 @@ class BaseDataProcessor {
     return {
       ...stopData,
       routes: routes,
+      ...(stopRouteDetails && {
+        routeDetails: stopRouteDetails[stopId] || [],
+      }),
       data_timestamp: new Date().toISOString(),
     };
   }
 
+  /**
+   * Create a function looking up the destination of a route direction
+   * Subclasses override it for their route metadata; without one,
+   * destinations are unknown.
+   * @param {Object[]} routesMetadata - Route metadata from the API
+   * @returns {function(string, string, (string|null)): ?{dest_en: string, dest_tc: string, dest_sc: string}} Lookup by route, bound and service type
+   */
+  static createDestinationLookup(routesMetadata) {
+    return () => null;
+  }
+
+  /**
+   * List the direction, service type and sequence of every route calling
+   * at each stop, from the route stops already collected
+   * @param {Object.<string, {inbound: Object[], outbound: Object[]}>} routeStops - Route stops data
+   * @param {Object[]} [routesMetadata=[]] - Route metadata from the API (destination names)
+   * @returns {Object.<string, StopRouteDetail[]>} Map of stop IDs to route details, ordered by route, bound, service type and sequence
+   */
+  static buildStopRouteDetails(routeStops, routesMetadata = []) {
+    const destinationOf = this.createDestinationLookup(routesMetadata);
+    const stopRouteDetails = {};
+    for (const [route, stops] of Object.entries(routeStops)) {
+      for (const stop of [...stops.inbound, ...stops.outbound]) {
+        const bound = stop.bound || stop.dir || '';
+        const serviceType =
+          stop.service_type !== undefined ? String(stop.service_type) : null;
+        const destination = destinationOf(route, bound, serviceType) || {};
+        (stopRouteDetails[stop.stop] ||= []).push({
+          route,
+          bound,
+          service_type: serviceType,
+          seq: parseInt(stop.seq) || 0,
+          dest_en: destination.dest_en ?? null,
+          dest_tc: destination.dest_tc ?? null,
+          dest_sc: destination.dest_sc ?? null,
+        });
+      }
+    }
+
+    for (const details of Object.values(stopRouteDetails)) {
+      details.sort(
+        (a, b) =>
+          a.route.localeCompare(b.route, 'en', { numeric: true }) ||
+          a.bound.localeCompare(b.bound) ||
+          (parseInt(a.service_type) || 0) - (parseInt(b.service_type) || 0) ||
+          a.seq - b.seq
+      );
+    }
+    return stopRouteDetails;
+  }
+
+  /**
+   * Add nearbyStops and nearbyStopIDs to every stop, listing the other stops
+   * within a radius (stops without coordinates get empty lists)
+   * @param {Object.<string, EnrichedStopData>} allStopsData - All stops data (updated in place)
+   * @param {number} radius - Search radius in metres
+   * @param {string} operator - Operator code recorded on each nearby stop
+   * @returns {Object.<string, EnrichedStopData>} The updated stops data
+   */
+  static addNearbyStops(allStopsData, radius, operator) {
+    const grid = new SpatialGrid(Math.max(radius, 1));
+    const coordinatesMap = {};
+    for (const [stopId, stopData] of Object.entries(allStopsData)) {
+      const coordinates = GeoUtils.getCoordinates(stopData);
+      if (coordinates) {
+        coordinatesMap[stopId] = coordinates;
+        grid.insert(stopId, coordinates.lat, coordinates.long);
+      }
+    }
+
+    for (const [stopId, stopData] of Object.entries(allStopsData)) {
+      const coordinates = coordinatesMap[stopId];
+      const nearbyStops = coordinates
+        ? grid
+            .queryRadius(coordinates.lat, coordinates.long, radius)
+            .filter(match => match.item !== stopId)
+            .map(match => ({
+              stop: match.item,
+              distance_m: Math.round(match.distance * 10) / 10,
+              operator,
+            }))
+        : [];
+
+      stopData.nearbyStops = nearbyStops;
+      stopData.nearbyStopIDs = nearbyStops.map(nearby => nearby.stop);
+    }
+
+    return allStopsData;
+  }
+
+  /**
+   * Split enriched route data into its variants (direction and, for KMB,
+   * service type), each with stops in sequence order
+   * @param {EnrichedRouteData} routeData - Enriched route data
+   * @returns {Array<{direction: string, serviceType: (string|null), stops: Object[]}>} Route variants
+   */
+  static groupRouteVariants(routeData) {
+    const variants = new Map();
+    for (const stop of routeData.stops) {
+      const direction = stop.dir || stop.bound || '';
+      const serviceType =
+        stop.service_type !== undefined ? String(stop.service_type) : null;
+      const key = `${direction}|${serviceType}`;
+      if (!variants.has(key)) {
+        variants.set(key, { direction, serviceType, stops: [] });
+      }
+      variants.get(key).stops.push(stop);
+    }
+
+    return Array.from(variants.values()).map(variant => ({
+      ...variant,
+      stops: variant.stops.sort(
+        (a, b) => (parseInt(a.seq) || 0) - (parseInt(b.seq) || 0)
+      ),
+    }));
+  }
+
+  /**
+   * Index stop details by stop ID
+   * Build it once and share it across every route's createEnrichedRouteData,
+   * so enriching a route costs one lookup per stop.
+   * @param {Array<{stopId: string, data: Object}>} successfulStops - Array of successful stop details
+   * @returns {Map<string, Object>} Stop details by stop ID (stops without details are left out)
+   */
+  static createStopLookup(successfulStops) {
+    const stopLookup = new Map();
+    for (const { stopId, data } of successfulStops) {
+      if (data && !stopLookup.has(stopId)) {
+        stopLookup.set(stopId, data);
+      }
+    }
+    return stopLookup;
+  }
+
+  /**
+   * Accept a prebuilt stop lookup, or build one from stop details
+   * @param {(Map<string, Object>|Array<{stopId: string, data: Object}>)} stops - Stop lookup or successful stop details
+   * @returns {Map<string, Object>} Stop details by stop ID
+   */
+  static toStopLookup(stops) {
+    return stops instanceof Map ? stops : this.createStopLookup(stops);
+  }
+
+  /**
+   * Add the names and coordinates of a route stop from its stop details
+   * @param {Object} stop - Route stop
+   * @param {Map<string, Object>} stopLookup - Stop details by stop ID
+   * @returns {Object} Enriched route stop, or the stop as is without details
+   */
+  static enrichRouteStop(stop, stopLookup) {
+    const data = stopLookup.get(stop.stop);
+    if (!data) {
+      return stop;
+    }
+    return {
+      ...stop,
+      name_tc: data.name_tc,
+      name_en: data.name_en,
+      name_sc: data.name_sc,
+      lat: data.lat,
+      long: data.long,
+    };
+  }
+
   /**
    * Create enriched route data with stop details
    * Must be implemented by subclasses for direction-specific logic
    * @abstract
    * @param {string} route - Route identifier
    * @param {Object.<string, {inbound: Object[], outbound: Object[]}>} routeStops - Route stops data
-   * @param {Array<{stopId: string, data: Object}>} successfulStops - Array of successful stop details
+   * @param {(Map<string, Object>|Array<{stopId: string, data: Object}>)} stopLookup - Stop lookup from createStopLookup (or successful stop details, indexed on every call)
    * @returns {EnrichedRouteData} Enriched route data
    * @throws {Error} If not implemented by subclass
    */
-  static createEnrichedRouteData(route, routeStops, successfulStops) {
+  static createEnrichedRouteData(route, routeStops, stopLookup) {
     throw new Error('createEnrichedRouteData must be implemented by subclass');
   }
 }
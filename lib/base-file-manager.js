@@ -2,6 +2,9 @@ const fs = require('fs/promises');
 const path = require('path');
 const { FileSystemError } = require('./errors');
 const { Result } = require('./result');
+const { GeoJSONBuilder } = require('./geojson');
+const { CompactOutputProcessor } = require('./compact-output');
+const config = require('../config/default');
 
 /**
  * @typedef {Object} SaveResult
@@ -11,6 +14,18 @@ const { Result } = require('./result');
  * @property {number} [count] - Number of items saved (for bulk saves)
  */
 
+/**
+ * @typedef {Object} FileManagerOptions
+ * @property {boolean} [compact] - Also write minified, pre-compressed allstops/allroutes (defaults to config.compact.enabled)
+ * @property {number} [writeConcurrency] - Files written at once by saveStops/saveRoutes (defaults to config.writes.concurrency)
+ * @property {boolean} [staging] - Write collection runs to a staging directory moved into the output directory on success (defaults to config.writes.staging)
+ */
+
+// Temp files of atomic writes get a unique suffix per process and write
+let tempFileCounter = 0;
+// Files a staged run removed, listed in the committed staging directory
+const REMOVALS_FILE = '.removals.json';
+
 /**
  * Base file manager for saving transport data
  * @class
@@ -19,11 +34,27 @@ class BaseFileManager {
   /**
    * Create a new file manager
    * @param {string} [baseDir='data'] - Base directory for output files
+   * @param {FileManagerOptions} [options={}] - File manager options
+   */
+  constructor(baseDir = 'data', options = {}) {
+    this.compact = options.compact ?? config.compact.enabled;
+    this.writeConcurrency =
+      options.writeConcurrency ?? config.writes.concurrency;
+    this.staging = options.staging ?? config.writes.staging;
+    this.outputDir = baseDir;
+    this.pendingRemovals = [];
+    this._setWorkingDir(baseDir);
+  }
+
+  /**
+   * Point every path of the file manager at a directory
+   * @private
+   * @param {string} dir - Directory written and read by the file manager
    */
-  constructor(baseDir = 'data') {
-    this.baseDir = baseDir;
-    this.stopsDir = path.join(baseDir, 'stops');
-    this.routesDir = path.join(baseDir, 'routes');
+  _setWorkingDir(dir) {
+    this.baseDir = dir;
+    this.stopsDir = path.join(dir, 'stops');
+    this.routesDir = path.join(dir, 'routes');
   }
 
   /**
@@ -35,6 +66,132 @@ class BaseFileManager {
     await fs.mkdir(this.routesDir, { recursive: true });
   }
 
+  /**
+   * Start a collection run in a staging directory
+   * Only the files the run writes go to the staging directory; commitStaging
+   * moves them over the output directory and applies the deletions the run
+   * asked for. Until then the output directory is left untouched, so a
+   * failed or interrupted run never leaves a half-written tree. Without
+   * staging (config.writes.staging), this only ensures the directories.
+   * @returns {Promise<void>}
+   */
+  async beginStaging() {
+    if (this.staging) {
+      // A commit interrupted part way is finished before the next run
+      await this._applyCommit();
+      const stagingDir = `${this.outputDir}.staging`;
+      await fs.rm(stagingDir, { recursive: true, force: true });
+      this.pendingRemovals = [];
+      this._setWorkingDir(stagingDir);
+    }
+    await this.ensureDirectories();
+  }
+
+  /**
+   * Move the files written by the run over the output directory and delete
+   * the files it removed
+   * @returns {Promise<void>}
+   */
+  async commitStaging() {
+    if (this.baseDir === this.outputDir) {
+      return;
+    }
+    // Recorded with the files, so an interrupted commit can be finished
+    await this.writeFileAtomic(
+      path.join(this.baseDir, REMOVALS_FILE),
+      JSON.stringify(this.pendingRemovals)
+    );
+    const commitDir = `${this.outputDir}.commit`;
+    await fs.rm(commitDir, { recursive: true, force: true });
+    await fs.rename(this.baseDir, commitDir);
+    this._setWorkingDir(this.outputDir);
+    this.pendingRemovals = [];
+    await this._applyCommit();
+    console.log(`Output written to ${this.outputDir}`);
+  }
+
+  /**
+   * Apply a committed run, if there is one: move its files over the output
+   * directory, then delete the files it removed
+   * Each file is renamed into place, so running this again after an
+   * interruption only moves the files that are left.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _applyCommit() {
+    const commitDir = `${this.outputDir}.commit`;
+    if (!(await this._exists(commitDir))) {
+      return;
+    }
+    for (const relativePath of await this._listFilesIn(commitDir)) {
+      if (relativePath === REMOVALS_FILE) {
+        continue;
+      }
+      const target = path.join(this.outputDir, relativePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(path.join(commitDir, relativePath), target);
+    }
+    const removals = await this._readJson(path.join(commitDir, REMOVALS_FILE));
+    for (const relativePath of removals.isSuccess() ? removals.unwrap() : []) {
+      await fs.rm(path.join(this.outputDir, relativePath), { force: true });
+    }
+    await fs.rm(commitDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Remove the staging directory of a failed run, keeping the output
+   * directory as it was
+   * Never throws, so it can be used in error handling.
+   * @returns {Promise<void>}
+   */
+  async discardStaging() {
+    if (this.baseDir === this.outputDir) {
+      return;
+    }
+    try {
+      await fs.rm(this.baseDir, { recursive: true, force: true });
+    } catch (error) {
+      console.error(
+        `Failed to remove staging directory ${this.baseDir}:`,
+        error.message
+      );
+    }
+    this.pendingRemovals = [];
+    this._setWorkingDir(this.outputDir);
+  }
+
+  /**
+   * Write a file atomically: to a temp file next to it, then renamed over it,
+   * so readers never see a partially written file
+   * @param {string} filePath - File path
+   * @param {string|Buffer|Uint8Array} content - File content
+   * @returns {Promise<void>}
+   */
+  async writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+    try {
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a save or removal for every entry, with at most writeConcurrency at once
+   * @private
+   * @param {Array<[string, Object]>} entries - Entries of IDs and data
+   * @param {function(string, Object): Promise<Result<SaveResult>>} save - Save or removal function
+   * @returns {Promise<Result<SaveResult>[]>} Results in entry order
+   */
+  async _saveAll(entries, save) {
+    const pMap = (await import('p-map')).default;
+    return pMap(entries, ([id, data]) => save(id, data), {
+      concurrency: this.writeConcurrency,
+    });
+  }
+
   /**
    * Save stop data to file
    * @param {string} stopId - Stop ID
@@ -44,7 +201,7 @@ class BaseFileManager {
   async saveStopData(stopId, stopData) {
     try {
       const filePath = path.join(this.stopsDir, `${stopId}.json`);
-      await fs.writeFile(filePath, JSON.stringify(stopData, null, 2));
+      await this.writeFileAtomic(filePath, JSON.stringify(stopData, null, 2));
       return Result.success({ stopId, filePath });
     } catch (error) {
       const fsError = new FileSystemError(
@@ -65,7 +222,7 @@ class BaseFileManager {
   async saveRouteData(route, routeData) {
     try {
       const filePath = path.join(this.routesDir, `${route}.json`);
-      await fs.writeFile(filePath, JSON.stringify(routeData, null, 2));
+      await this.writeFileAtomic(filePath, JSON.stringify(routeData, null, 2));
       return Result.success({ route, filePath });
     } catch (error) {
       const fsError = new FileSystemError(
@@ -77,6 +234,132 @@ class BaseFileManager {
     }
   }
 
+  /**
+   * Save the files of many stops, with bounded concurrency
+   * @param {Object.<string, import('./base-data-processor').EnrichedStopData>} stopsData - Stop data keyed by stop ID
+   * @returns {Promise<Result<SaveResult>[]>} Result of every stop
+   */
+  async saveStops(stopsData) {
+    return this._saveAll(Object.entries(stopsData), (stopId, stopData) =>
+      this.saveStopData(stopId, stopData)
+    );
+  }
+
+  /**
+   * Save the files of many routes, with bounded concurrency
+   * @param {Object.<string, import('./base-data-processor').EnrichedRouteData>} routesData - Route data keyed by route
+   * @returns {Promise<Result<SaveResult>[]>} Result of every route
+   */
+  async saveRoutes(routesData) {
+    return this._saveAll(Object.entries(routesData), (route, routeData) =>
+      this.saveRouteData(route, routeData)
+    );
+  }
+
+  /**
+   * Delete the files of stops that are no longer served upstream
+   * @param {string[]} stopIds - Removed stop IDs
+   * @returns {Promise<Result<SaveResult>[]>} Result of every stop
+   */
+  async removeStops(stopIds) {
+    return this._saveAll(
+      stopIds.map(stopId => [stopId]),
+      stopId =>
+        this._removeFile(path.join(this.stopsDir, `${stopId}.json`), {
+          stopId,
+        })
+    );
+  }
+
+  /**
+   * Delete the files of routes that are no longer served upstream
+   * @param {string[]} routes - Removed route identifiers
+   * @returns {Promise<Result<SaveResult>[]>} Result of every route
+   */
+  async removeRoutes(routes) {
+    return this._saveAll(
+      routes.map(route => [route]),
+      route =>
+        this._removeFile(path.join(this.routesDir, `${route}.json`), {
+          route,
+        })
+    );
+  }
+
+  /**
+   * Delete a file, if it exists
+   * During a staged run the deletion is left to commitStaging.
+   * @private
+   * @param {string} filePath - File path
+   * @param {{stopId: string}|{route: string}} details - ID of the removed stop or route
+   * @returns {Promise<Result<SaveResult>>} Result indicating success or failure
+   */
+  async _removeFile(filePath, details) {
+    try {
+      if (this.baseDir !== this.outputDir) {
+        this.pendingRemovals.push(path.relative(this.baseDir, filePath));
+        return Result.success({ ...details, filePath });
+      }
+      await fs.rm(filePath, { force: true });
+      return Result.success({ ...details, filePath });
+    } catch (error) {
+      const fsError = new FileSystemError(`Failed to remove ${filePath}`, {
+        ...details,
+        originalError: error.message,
+      });
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+
+  /**
+   * Check whether a stop file has already been written
+   * @param {string} stopId - Stop ID
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async hasStopData(stopId) {
+    return this._hasWrittenFile(path.join('stops', `${stopId}.json`));
+  }
+
+  /**
+   * Check whether a route file has already been written
+   * @param {string} route - Route identifier
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async hasRouteData(route) {
+    return this._hasWrittenFile(path.join('routes', `${route}.json`));
+  }
+
+  /**
+   * Check whether a file has been written by this run or, during a staged
+   * run, is already in the output directory
+   * @private
+   * @param {string} relativePath - Path relative to the output directory
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async _hasWrittenFile(relativePath) {
+    return (
+      (await this._exists(path.join(this.baseDir, relativePath))) ||
+      (this.baseDir !== this.outputDir &&
+        (await this._exists(path.join(this.outputDir, relativePath))))
+    );
+  }
+
+  /**
+   * Check whether a file exists
+   * @private
+   * @param {string} filePath - File path
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async _exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Save all stops data to file
    * @param {Object.<string, import('./base-data-processor').EnrichedStopData>} allStopsData - All stops data
@@ -86,8 +369,21 @@ class BaseFileManager {
     try {
       console.log('Generating allstops.json...');
       const filePath = path.join(this.stopsDir, 'allstops.json');
-      await fs.writeFile(filePath, JSON.stringify(allStopsData, null, 2));
+      const content = JSON.stringify(allStopsData, null, 2);
+      await this.writeFileAtomic(filePath, content);
       console.log('allstops.json generated successfully!');
+      if (this.compact) {
+        await this.writeCompactFiles(
+          path.join(this.stopsDir, 'allstops.min.json'),
+          allStopsData,
+          Buffer.byteLength(content)
+        );
+        await this.writeCompactFiles(
+          path.join(this.stopsDir, 'allstops.columnar.json'),
+          CompactOutputProcessor.encodeStops(allStopsData),
+          Buffer.byteLength(content)
+        );
+      }
       return Result.success({
         filePath,
         count: Object.keys(allStopsData).length,
@@ -101,6 +397,205 @@ class BaseFileManager {
     }
   }
 
+  /**
+   * Save changes.json listing the stops and routes changed by this run
+   * @param {import('./change-detector').ChangeReport} changes - Change report
+   * @returns {Promise<Result<SaveResult>>} Result indicating success or failure
+   */
+  async saveChanges(changes) {
+    try {
+      const filePath = path.join(this.baseDir, 'changes.json');
+      await this.writeFileAtomic(filePath, JSON.stringify(changes, null, 2));
+      return Result.success({ filePath });
+    } catch (error) {
+      const fsError = new FileSystemError('Failed to generate changes.json', {
+        originalError: error.message,
+      });
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+
+  /**
+   * Save stops.geojson (stop points) and routes.geojson (route polylines)
+   * @param {Object.<string, import('./base-data-processor').EnrichedStopData>} allStopsData - All stops data
+   * @param {Object.<string, import('./base-data-processor').EnrichedRouteData>} allRoutesData - All routes data
+   * @param {string} operator - Operator code added to every feature
+   * @returns {Promise<Result<{stopsPath: string, routesPath: string, stops: number, routes: number}>>} Result with file paths and feature counts
+   */
+  async saveGeoJSON(allStopsData, allRoutesData, operator) {
+    try {
+      console.log('Generating stops.geojson and routes.geojson...');
+      const stops = GeoJSONBuilder.buildStops(allStopsData, operator);
+      const routes = GeoJSONBuilder.buildRoutes(allRoutesData, operator);
+      const stopsPath = path.join(this.stopsDir, 'stops.geojson');
+      const routesPath = path.join(this.routesDir, 'routes.geojson');
+      await this.writeFileAtomic(stopsPath, JSON.stringify(stops));
+      await this.writeFileAtomic(routesPath, JSON.stringify(routes));
+      console.log('GeoJSON files generated successfully!');
+      return Result.success({
+        stopsPath,
+        routesPath,
+        stops: stops.features.length,
+        routes: routes.features.length,
+      });
+    } catch (error) {
+      const fsError = new FileSystemError('Failed to generate GeoJSON files', {
+        originalError: error.message,
+      });
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+
+  /**
+   * Read a previously saved allstops.json
+   * @returns {Promise<Result<Object.<string, import('./base-data-processor').EnrichedStopData>>>} Result with all stops data
+   */
+  async readAllStops() {
+    return this._readJson(path.join(this.stopsDir, 'allstops.json'));
+  }
+
+  /**
+   * Read a previously saved compact allroutes.json
+   * @returns {Promise<Result<{routes: Object, stops: Object}>>} Result with compact routes data
+   */
+  async readAllRoutes() {
+    return this._readJson(path.join(this.routesDir, 'allroutes.json'));
+  }
+
+  /**
+   * Read and parse a JSON file in the output directory
+   * @param {string} relativePath - Path relative to the output directory
+   * @returns {Promise<Result<any>>} Result with parsed content
+   */
+  async readJson(relativePath) {
+    return this._readJson(path.join(this.baseDir, relativePath));
+  }
+
+  /**
+   * Check whether a file exists in the output directory
+   * @param {string} relativePath - Path relative to the output directory
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async hasFile(relativePath) {
+    return this._exists(path.join(this.baseDir, relativePath));
+  }
+
+  /**
+   * List the files in the output directory
+   * @returns {Promise<string[]>} Paths relative to the output directory, with `/` separators (empty if the directory does not exist)
+   */
+  async listFiles() {
+    return this._listFilesIn(this.baseDir);
+  }
+
+  /**
+   * List the files in a directory
+   * @private
+   * @param {string} dir - Directory
+   * @returns {Promise<string[]>} Paths relative to the directory, with `/` separators (empty if the directory does not exist)
+   */
+  async _listFilesIn(dir) {
+    try {
+      const entries = await fs.readdir(dir, {
+        recursive: true,
+        withFileTypes: true,
+      });
+      return entries
+        .filter(entry => entry.isFile())
+        .map(entry =>
+          path
+            .relative(dir, path.join(entry.parentPath, entry.name))
+            .split(path.sep)
+            .join('/')
+        )
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @private
+   * @param {string} filePath - File path
+   * @returns {Promise<Result<any>>} Result with parsed content
+   */
+  async _readJson(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      return Result.success(JSON.parse(content));
+    } catch (error) {
+      return Result.failure(
+        new FileSystemError(`Failed to read ${filePath}`, {
+          filePath,
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  /**
+   * Write the compact allroutes.json and report the size reduction
+   * @param {Object} compactData - Compact routes structure
+   * @param {Object.<string, import('./base-data-processor').EnrichedRouteData>} allRoutesData - Original routes data
+   * @returns {Promise<void>}
+   */
+  async writeCompactRoutes(compactData, allRoutesData) {
+    const filePath = path.join(this.routesDir, 'allroutes.json');
+    const content = JSON.stringify(compactData, null, 2);
+    await this.writeFileAtomic(filePath, content);
+    console.log('Compact allroutes.json generated successfully!');
+
+    const originalSize = JSON.stringify(allRoutesData).length;
+    const compactSize = JSON.stringify(compactData).length;
+    console.log(`Original size: ${originalSize} characters`);
+    console.log(`Compact size: ${compactSize} characters`);
+    console.log(
+      `Reduction: ${Math.round(((originalSize - compactSize) / originalSize) * 100)}%`
+    );
+
+    if (this.compact) {
+      await this.writeCompactFiles(
+        path.join(this.routesDir, 'allroutes.min.json'),
+        compactData,
+        Buffer.byteLength(content)
+      );
+    }
+  }
+
+  /**
+   * Write a minified JSON file with pre-compressed .gz and .br siblings and
+   * report their size against the pretty-printed file
+   * @param {string} filePath - Path of the minified file (e.g. stops/allstops.min.json)
+   * @param {Object} data - Data to write
+   * @param {number} prettySize - Size of the pretty-printed file in bytes
+   * @returns {Promise<void>}
+   */
+  async writeCompactFiles(filePath, data, prettySize) {
+    const content = JSON.stringify(data);
+    const compressed = await CompactOutputProcessor.compress(content);
+    await this.writeFileAtomic(filePath, content);
+    await this.writeFileAtomic(`${filePath}.gz`, compressed.gzip);
+    await this.writeFileAtomic(`${filePath}.br`, compressed.brotli);
+
+    const name = path.basename(filePath);
+    console.log(`Pretty-printed size: ${prettySize} bytes`);
+    for (const [file, size] of [
+      [name, Buffer.byteLength(content)],
+      [`${name}.gz`, compressed.gzip.length],
+      [`${name}.br`, compressed.brotli.length],
+    ]) {
+      console.log(
+        `${file}: ${size} bytes (reduction: ${Math.round(((prettySize - size) / prettySize) * 100)}%)`
+      );
+    }
+  }
+
   /**
    * Save all routes data
    * Must be implemented by subclasses for format-specific logic
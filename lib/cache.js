@@ -6,11 +6,15 @@ const { KeyvFile } = require('keyv-file');
  * Provides better performance and automatic TTL management
  */
 class ApiCache {
-  constructor(cacheDir = '.cache', ttl = 24 * 60 * 60 * 1000) {
+  constructor(
+    cacheDir = '.cache',
+    ttl = 24 * 60 * 60 * 1000,
+    // Disable cache in CI environments (GitHub Actions), enable locally
+    enabled = process.env.CI !== 'true'
+  ) {
     this.cacheDir = cacheDir;
     this.ttl = ttl;
-    // Disable cache in CI environments (GitHub Actions), enable locally
-    this.enabled = process.env.CI !== 'true';
+    this.enabled = enabled;
 
     if (this.enabled) {
       // Initialize Keyv with file backend (no native dependencies)
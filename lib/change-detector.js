@@ -0,0 +1,176 @@
+/**
+ * @typedef {Object} ChangeSet
+ * @property {string[]} added - IDs not in the previous data
+ * @property {string[]} updated - IDs whose content changed
+ * @property {string[]} removed - IDs no longer present
+ * @property {number} unchanged - Number of unchanged IDs
+ */
+
+/**
+ * @typedef {Object} ChangeReport
+ * @property {string} generated_at - ISO timestamp of generation
+ * @property {boolean} previous_available - Whether previously published data was compared against
+ * @property {ChangeSet} stops - Stop changes
+ * @property {ChangeSet} routes - Route changes
+ */
+
+// Fields that change on every run without the data changing
+const VOLATILE_KEYS = new Set(['data_timestamp']);
+// Stop fields copied into route files
+const ROUTE_STOP_KEYS = ['name_en', 'name_tc', 'name_sc', 'lat', 'long'];
+
+/**
+ * Serialise a value with sorted object keys, leaving out volatile fields
+ * @param {any} value - Value to serialise
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  return JSON.stringify(value, (key, nested) => {
+    if (!nested || typeof nested !== 'object' || Array.isArray(nested)) {
+      return nested;
+    }
+    return Object.fromEntries(
+      Object.keys(nested)
+        .filter(nestedKey => !VOLATILE_KEYS.has(nestedKey))
+        .sort()
+        .map(nestedKey => [nestedKey, nested[nestedKey]])
+    );
+  });
+}
+
+/**
+ * Collect the stop IDs of a compact allroutes.json route entry
+ * (CTB: {dir: {stops}}, KMB: {bound: {serviceType: {stops}}})
+ * @param {Object} [entry] - Compact route entry
+ * @returns {string[]} Stop IDs
+ */
+function collectRouteStopIds(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return [];
+  }
+  if (Array.isArray(entry.stops)) {
+    return entry.stops;
+  }
+  return Object.values(entry).flatMap(collectRouteStopIds);
+}
+
+/**
+ * Detects which stops and routes changed since the previously published data
+ * @class
+ */
+class ChangeDetector {
+  /**
+   * Compare two keyed collections
+   * @param {Object.<string, any>} previous - Previous entries
+   * @param {Object.<string, any>} current - Current entries
+   * @param {function(string): boolean} isUnchanged - Whether an ID present in both is unchanged
+   * @returns {ChangeSet} Changes
+   */
+  static diff(previous, current, isUnchanged) {
+    const changes = { added: [], updated: [], removed: [], unchanged: 0 };
+
+    for (const id of Object.keys(current)) {
+      if (!(id in previous)) {
+        changes.added.push(id);
+      } else if (isUnchanged(id)) {
+        changes.unchanged++;
+      } else {
+        changes.updated.push(id);
+      }
+    }
+    changes.removed = Object.keys(previous).filter(id => !(id in current));
+
+    return changes;
+  }
+
+  /**
+   * Detect stop changes and keep the previous data_timestamp of unchanged stops
+   * @param {Object.<string, import('./base-data-processor').EnrichedStopData>} previousStops - Previously published allstops.json
+   * @param {Object.<string, import('./base-data-processor').EnrichedStopData>} currentStops - Current stops data (updated in place)
+   * @returns {ChangeSet} Stop changes
+   */
+  static detectStopChanges(previousStops, currentStops) {
+    const changes = this.diff(
+      previousStops,
+      currentStops,
+      stopId =>
+        canonicalize(previousStops[stopId]) ===
+        canonicalize(currentStops[stopId])
+    );
+
+    const changedStops = this.changedIds(changes);
+    for (const [stopId, stopData] of Object.entries(currentStops)) {
+      const previousStop = previousStops[stopId];
+      if (!changedStops.has(stopId) && previousStop.data_timestamp) {
+        stopData.data_timestamp = previousStop.data_timestamp;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Detect route changes from the compact allroutes.json structure
+   * A route also counts as changed when the name or location of one of its
+   * stops changed, as route files embed those.
+   * @param {{routes: Object}|null} previousAllRoutes - Previously published compact allroutes.json
+   * @param {{routes: Object}} currentAllRoutes - Current compact allroutes.json
+   * @param {Object.<string, Object>} previousStops - Previously published allstops.json
+   * @param {Object.<string, Object>} currentStops - Current stops data
+   * @returns {ChangeSet} Route changes
+   */
+  static detectRouteChanges(
+    previousAllRoutes,
+    currentAllRoutes,
+    previousStops,
+    currentStops
+  ) {
+    const previousRoutes =
+      (previousAllRoutes && previousAllRoutes.routes) || {};
+    const currentRoutes = currentAllRoutes.routes;
+    const routeStopView = stop =>
+      canonicalize(
+        stop ? ROUTE_STOP_KEYS.map(key => String(stop[key] ?? '')) : null
+      );
+
+    return this.diff(
+      previousRoutes,
+      currentRoutes,
+      route =>
+        canonicalize(previousRoutes[route]) ===
+          canonicalize(currentRoutes[route]) &&
+        collectRouteStopIds(currentRoutes[route]).every(
+          stopId =>
+            routeStopView(previousStops[stopId]) ===
+            routeStopView(currentStops[stopId])
+        )
+    );
+  }
+
+  /**
+   * Create the changes.json report
+   * @param {ChangeSet} stops - Stop changes
+   * @param {ChangeSet} routes - Route changes
+   * @param {boolean} previousAvailable - Whether previously published data was found
+   * @returns {ChangeReport} Change report
+   */
+  static createReport(stops, routes, previousAvailable) {
+    return {
+      generated_at: new Date().toISOString(),
+      previous_available: previousAvailable,
+      stops,
+      routes,
+    };
+  }
+
+  /**
+   * IDs that need new files
+   * @param {ChangeSet} changes - Changes
+   * @returns {Set<string>} Added and updated IDs
+   */
+  static changedIds(changes) {
+    return new Set([...changes.added, ...changes.updated]);
+  }
+}
+
+module.exports = { ChangeDetector };
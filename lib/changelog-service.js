@@ -0,0 +1,183 @@
+const { BaseFileManager } = require('./base-file-manager');
+const { ChangelogFileManager } = require('./file-manager');
+const { ChangelogProcessor } = require('./changelog');
+const { ChangeDetector } = require('./change-detector');
+const { OperatorRegistry } = require('./operator-registry');
+const { Result } = require('./result');
+const { ProcessingError } = require('./errors');
+const config = require('../config/default');
+
+// Collection runs are scheduled in Hong Kong time, so changelogs are dated in it
+const CHANGELOG_TIMEZONE = 'Asia/Hong_Kong';
+
+/**
+ * @typedef {Object} ChangelogServiceOptions
+ * @property {Object.<string, string>} [operatorDirs] - Output base directory per operator (defaults to every registered operator's config.output dir)
+ * @property {string} [baseDir] - Changelog output base directory (defaults to config.output.changes.baseDir)
+ * @property {Date} [date=new Date()] - Date the changelog is filed under
+ * @property {import('./changelog').ChangelogProcessor} [processor] - Changelog processor class (for DI)
+ * @property {import('./file-manager').ChangelogFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Writes changes/YYYY-MM-DD.json and .md describing how each operator's new
+ * allstops.json/allroutes.json differ from the version published on GitHub
+ * Pages, as fetched by the collection runner. The changes are the ones the
+ * operator's ChangeDetector found (its changes.json); operators without
+ * change detection are run through the ChangeDetector here.
+ * @class
+ */
+class ChangelogService {
+  /**
+   * Create a new changelog service
+   * @param {ChangelogServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.operatorDirs =
+      options.operatorDirs ||
+      Object.fromEntries(
+        OperatorRegistry.names().map(name => [
+          name,
+          config.output[name].baseDir,
+        ])
+      );
+    this.baseDir = options.baseDir || config.output.changes.baseDir;
+    this.date = (options.date || new Date()).toLocaleDateString('en-CA', {
+      timeZone: CHANGELOG_TIMEZONE,
+    });
+    this.processor = options.processor || ChangelogProcessor;
+    this.fileManager =
+      options.fileManager || new ChangelogFileManager(this.baseDir);
+  }
+
+  /**
+   * Run the ChangeDetector for an operator whose service does not
+   * @private
+   * @param {import('./base-data-collector').PreviousData} previous - Previously published data
+   * @param {Object.<string, Object>} currentStops - New allstops.json
+   * @param {{routes: Object}} currentRoutes - New compact allroutes.json
+   * @returns {{stops: import('./change-detector').ChangeSet, routes: import('./change-detector').ChangeSet}} Stop and route changes
+   */
+  _detectChanges(previous, currentStops, currentRoutes) {
+    return {
+      stops: ChangeDetector.detectStopChanges(previous.allStops, currentStops),
+      routes: ChangeDetector.detectRouteChanges(
+        previous.allRoutes,
+        currentRoutes,
+        previous.allStops,
+        currentStops
+      ),
+    };
+  }
+
+  /**
+   * Describe how one operator's new output differs from its published version
+   * @private
+   * @param {import('./collection-runner').OperatorCollectionResult} result - Collection result, with the previously published data
+   * @returns {Promise<{changelog: import('./changelog').OperatorChangelog, stopNames: Object}|null>} Operator changes, or null if its output cannot be read
+   */
+  async _diffOperator(result) {
+    const { name, previous } = result;
+    const fileManager = new BaseFileManager(this.operatorDirs[name]);
+    const [currentStops, currentRoutes] = await Promise.all([
+      fileManager.readAllStops(),
+      fileManager.readAllRoutes(),
+    ]);
+    if (currentStops.isFailure() || currentRoutes.isFailure()) {
+      return null;
+    }
+
+    const label = OperatorRegistry.has(name)
+      ? OperatorRegistry.get(name).label
+      : name;
+    if (
+      !previous ||
+      Object.keys(previous.allStops).length === 0 ||
+      !previous.allRoutes
+    ) {
+      return {
+        changelog: { label, previous_available: false },
+        stopNames: {},
+      };
+    }
+
+    const { stops, routes } =
+      (result.data && result.data.changes) ||
+      this._detectChanges(
+        previous,
+        currentStops.unwrap(),
+        currentRoutes.unwrap()
+      );
+    return {
+      changelog: {
+        label,
+        previous_available: true,
+        stops: this.processor.describeStopChanges(
+          stops,
+          previous.allStops,
+          currentStops.unwrap()
+        ),
+        routes: this.processor.describeRouteChanges(
+          routes,
+          previous.allRoutes,
+          currentRoutes.unwrap()
+        ),
+      },
+      stopNames: { ...previous.allStops, ...currentStops.unwrap() },
+    };
+  }
+
+  /**
+   * Build and save the changelog for every collected operator
+   * Operators whose collection failed this run are left out, as their output
+   * was not replaced.
+   * @param {import('./collection-runner').CollectionSummary} summary - Collection summary
+   * @returns {Promise<Result<{date: string, totalChanges: number, operators: string[]}>>} Result with changelog summary
+   */
+  async buildAndSave(summary) {
+    try {
+      const operators = {};
+      const stopNames = {};
+      for (const result of summary.results) {
+        if (!result.success || !(result.name in this.operatorDirs)) {
+          continue;
+        }
+        const diff = await this._diffOperator(result);
+        if (!diff) {
+          continue;
+        }
+        operators[result.name] = diff.changelog;
+        stopNames[result.name] = diff.stopNames;
+      }
+
+      const changelog = this.processor.createChangelog(operators, this.date);
+      const markdown = this.processor.toMarkdown(changelog, stopNames);
+      const saveResult = await this.fileManager.saveChangelog(
+        changelog,
+        markdown
+      );
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+
+      console.log(
+        `Changelog ${changelog.date}: ${changelog.total_changes} changes`
+      );
+      return Result.success({
+        date: changelog.date,
+        totalChanges: changelog.total_changes,
+        operators: Object.keys(operators),
+      });
+    } catch (error) {
+      console.error('Error building changelog:', error);
+      return Result.failure(
+        new ProcessingError('Changelog generation failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { ChangelogService };
@@ -0,0 +1,320 @@
+const { GeoUtils } = require('./geo');
+
+// Coordinate changes below this are survey noise rather than a moved stop
+const MOVE_THRESHOLD_METERS = 10;
+
+/**
+ * @typedef {Object} StopChanges
+ * @property {Array<{stop: string, name_en: string, name_tc: string}>} added - New stops
+ * @property {Array<{stop: string, name_en: string, name_tc: string}>} removed - Stops no longer served
+ * @property {Array<{stop: string, from: Object, to: Object}>} renamed - Stops whose English or Chinese name changed
+ * @property {Array<{stop: string, name_en: string, distance_m: number, from: Object, to: Object}>} moved - Stops whose coordinates moved
+ */
+
+/**
+ * @typedef {Object} SequenceChange
+ * @property {string} route - Route identifier
+ * @property {string} bound - Bound, with the service type or variant where the operator has them (e.g. `O/1`)
+ * @property {string[]} from - Previous stop sequence (empty for a new bound)
+ * @property {string[]} to - New stop sequence (empty for a withdrawn bound)
+ * @property {string[]} added_stops - Stops added to the sequence
+ * @property {string[]} removed_stops - Stops removed from the sequence
+ */
+
+/**
+ * @typedef {Object} RouteChanges
+ * @property {string[]} added - New routes
+ * @property {string[]} removed - Withdrawn routes
+ * @property {SequenceChange[]} sequences - Changed stop sequences of continuing routes
+ */
+
+/**
+ * @typedef {Object} OperatorChangelog
+ * @property {string} label - Operator display name
+ * @property {boolean} previous_available - Whether the previous published data could be fetched
+ * @property {StopChanges} [stops] - Stop changes
+ * @property {RouteChanges} [routes] - Route changes
+ */
+
+/**
+ * @typedef {Object} Changelog
+ * @property {string} date - Changelog date (YYYY-MM-DD, Hong Kong time)
+ * @property {string} generated_at - ISO timestamp of generation
+ * @property {number} total_changes - Number of listed changes across operators
+ * @property {Object.<string, OperatorChangelog>} operators - Changes keyed by operator code
+ */
+
+/**
+ * Flatten a compact allroutes.json route entry into its stop sequences
+ * (CTB `{dir}`, KMB `{bound: {serviceType}}`, GMB `{directions: {dir}}`,
+ * NLB `{routeId}`)
+ * @param {Object} entry - Compact route entry
+ * @param {string[]} [keys=[]] - Keys leading to entry
+ * @returns {Object.<string, string[]>} Stop sequences keyed by bound path
+ */
+function flattenSequences(entry, keys = []) {
+  if (!entry || typeof entry !== 'object') {
+    return {};
+  }
+  if (Array.isArray(entry.stops)) {
+    return { [keys.join('/')]: entry.stops };
+  }
+  return Object.assign(
+    {},
+    ...Object.entries(entry).map(([key, value]) =>
+      flattenSequences(value, key === 'directions' ? keys : [...keys, key])
+    )
+  );
+}
+
+/**
+ * Summary of a stop for the changelog
+ * @param {string} stop - Stop ID
+ * @param {Object} [stopData] - Stop data
+ * @returns {{stop: string, name_en: string, name_tc: string}} Stop summary
+ */
+function describeStop(stop, stopData = {}) {
+  return {
+    stop,
+    name_en: stopData.name_en || '',
+    name_tc: stopData.name_tc || '',
+  };
+}
+
+/**
+ * Describes the changes found by the ChangeDetector and renders the daily
+ * changelog
+ * @class
+ */
+class ChangelogProcessor {
+  /**
+   * Describe the stop changes found by the ChangeDetector
+   * Updated stops are only listed when their name changed or they moved;
+   * other updates (e.g. their routes) are not changelog entries.
+   * @param {import('./change-detector').ChangeSet} stopChanges - Stop changes
+   * @param {Object.<string, Object>} previousStops - Previous allstops.json
+   * @param {Object.<string, Object>} currentStops - New allstops.json
+   * @returns {StopChanges} Stop changes
+   */
+  static describeStopChanges(stopChanges, previousStops, currentStops) {
+    const changes = {
+      added: stopChanges.added.map(stop =>
+        describeStop(stop, currentStops[stop])
+      ),
+      removed: stopChanges.removed.map(stop =>
+        describeStop(stop, previousStops[stop])
+      ),
+      renamed: [],
+      moved: [],
+    };
+
+    for (const stop of stopChanges.updated) {
+      const previous = previousStops[stop] || {};
+      const current = currentStops[stop] || {};
+      if (
+        previous.name_en !== current.name_en ||
+        previous.name_tc !== current.name_tc
+      ) {
+        changes.renamed.push({
+          stop,
+          from: { name_en: previous.name_en, name_tc: previous.name_tc },
+          to: { name_en: current.name_en, name_tc: current.name_tc },
+        });
+      }
+
+      const from = GeoUtils.getCoordinates(previous);
+      const to = GeoUtils.getCoordinates(current);
+      if (from && to) {
+        const distance = GeoUtils.haversineDistance(
+          from.lat,
+          from.long,
+          to.lat,
+          to.long
+        );
+        if (distance >= MOVE_THRESHOLD_METERS) {
+          changes.moved.push({
+            stop,
+            name_en: current.name_en || '',
+            distance_m: Math.round(distance * 10) / 10,
+            from,
+            to,
+          });
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Describe the route changes found by the ChangeDetector
+   * Updated routes are listed by the stop sequences that changed; a route
+   * only updated because one of its stops was renamed or moved is not.
+   * @param {import('./change-detector').ChangeSet} routeChanges - Route changes
+   * @param {{routes: Object}|null} previousAllRoutes - Previous compact allroutes.json
+   * @param {{routes: Object}} currentAllRoutes - New compact allroutes.json
+   * @returns {RouteChanges} Route changes
+   */
+  static describeRouteChanges(
+    routeChanges,
+    previousAllRoutes,
+    currentAllRoutes
+  ) {
+    const previousRoutes =
+      (previousAllRoutes && previousAllRoutes.routes) || {};
+    const currentRoutes = currentAllRoutes.routes || {};
+    const changes = {
+      added: routeChanges.added,
+      removed: routeChanges.removed,
+      sequences: [],
+    };
+
+    for (const route of routeChanges.updated) {
+      const previousSequences = flattenSequences(previousRoutes[route]);
+      const currentSequences = flattenSequences(currentRoutes[route]);
+      const bounds = new Set([
+        ...Object.keys(previousSequences),
+        ...Object.keys(currentSequences),
+      ]);
+
+      for (const bound of bounds) {
+        const from = previousSequences[bound] || [];
+        const to = currentSequences[bound] || [];
+        if (from.join('\n') === to.join('\n')) {
+          continue;
+        }
+        changes.sequences.push({
+          route,
+          bound,
+          from,
+          to,
+          added_stops: to.filter(stop => !from.includes(stop)),
+          removed_stops: from.filter(stop => !to.includes(stop)),
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Number of changes listed for an operator
+   * @param {OperatorChangelog} operatorChangelog - Operator changes
+   * @returns {number} Change count
+   */
+  static countChanges(operatorChangelog) {
+    const { stops, routes } = operatorChangelog;
+    if (!stops || !routes) {
+      return 0;
+    }
+    return (
+      stops.added.length +
+      stops.removed.length +
+      stops.renamed.length +
+      stops.moved.length +
+      routes.added.length +
+      routes.removed.length +
+      routes.sequences.length
+    );
+  }
+
+  /**
+   * Assemble the changelog
+   * @param {Object.<string, OperatorChangelog>} operators - Changes keyed by operator code
+   * @param {string} date - Changelog date (YYYY-MM-DD)
+   * @returns {Changelog} Changelog
+   */
+  static createChangelog(operators, date) {
+    return {
+      date,
+      generated_at: new Date().toISOString(),
+      total_changes: Object.values(operators).reduce(
+        (total, operatorChangelog) =>
+          total + this.countChanges(operatorChangelog),
+        0
+      ),
+      operators,
+    };
+  }
+
+  /**
+   * Render the changelog as a markdown summary
+   * @param {Changelog} changelog - Changelog
+   * @param {Object.<string, Object.<string, Object>>} [stopNames={}] - Stop data keyed by operator and stop ID, used to name stops in changed sequences
+   * @returns {string} Markdown
+   */
+  static toMarkdown(changelog, stopNames = {}) {
+    const lines = [`# Transport data changes ${changelog.date}`, ''];
+    if (Object.keys(changelog.operators).length === 0) {
+      lines.push('No operator data was compared.', '');
+    }
+
+    for (const [operator, operatorChangelog] of Object.entries(
+      changelog.operators
+    )) {
+      lines.push(`## ${operatorChangelog.label}`, '');
+      if (!operatorChangelog.previous_available) {
+        lines.push('Previous data not available; nothing compared.', '');
+        continue;
+      }
+      if (this.countChanges(operatorChangelog) === 0) {
+        lines.push('No changes.', '');
+        continue;
+      }
+
+      const { stops, routes } = operatorChangelog;
+      const names = stopNames[operator] || {};
+      const stopLabel = stop =>
+        names[stop] && names[stop].name_en
+          ? `${stop} (${names[stop].name_en})`
+          : stop;
+      const section = (title, items) => {
+        if (items.length > 0) {
+          lines.push(`### ${title}`, '', ...items.map(item => `- ${item}`), '');
+        }
+      };
+
+      section(
+        'Added stops',
+        stops.added.map(stop => `${stop.stop} ${stop.name_en} ${stop.name_tc}`)
+      );
+      section(
+        'Removed stops',
+        stops.removed.map(
+          stop => `${stop.stop} ${stop.name_en} ${stop.name_tc}`
+        )
+      );
+      section(
+        'Renamed stops',
+        stops.renamed.map(
+          stop =>
+            `${stop.stop}: ${stop.from.name_en} ${stop.from.name_tc} → ${stop.to.name_en} ${stop.to.name_tc}`
+        )
+      );
+      section(
+        'Moved stops',
+        stops.moved.map(
+          stop => `${stop.stop} ${stop.name_en}: moved ${stop.distance_m}m`
+        )
+      );
+      section('Added routes', routes.added);
+      section('Removed routes', routes.removed);
+      section(
+        'Changed stop sequences',
+        routes.sequences.map(change => {
+          const details = [
+            ...change.added_stops.map(stop => `+${stopLabel(stop)}`),
+            ...change.removed_stops.map(stop => `-${stopLabel(stop)}`),
+          ];
+          return `Route ${change.route} (${change.bound}): ${
+            details.length > 0 ? details.join(', ') : 'stops reordered'
+          }`;
+        })
+      );
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = { ChangelogProcessor };
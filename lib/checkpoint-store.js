@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/default');
+
+/**
+ * Kinds of fetches recorded in a checkpoint
+ * @type {{ROUTE_STOPS: string, STOP_DETAILS: string}}
+ */
+const CHECKPOINT_KINDS = {
+  ROUTE_STOPS: 'routeStops',
+  STOP_DETAILS: 'stopDetails',
+};
+
+/**
+ * @typedef {Object} CheckpointStoreOptions
+ * @property {string} [dir] - Checkpoint directory (defaults to config.checkpoint.dir)
+ */
+
+/**
+ * Records the completed fetches of a collection run, so a run that dies
+ * part way can be resumed without fetching them again
+ * Every fetch is appended to `{dir}/{operator}.jsonl` as one JSON line, so
+ * a run that is killed loses at most the line being written. A successful
+ * run clears its checkpoint.
+ * @class
+ */
+class CheckpointStore {
+  /**
+   * Create a new checkpoint store
+   * @param {string} operator - Operator code
+   * @param {CheckpointStoreOptions} [options={}] - Checkpoint options
+   */
+  constructor(operator, options = {}) {
+    this.operator = operator;
+    this.filePath = path.join(
+      options.dir || config.checkpoint.dir,
+      `${operator}.jsonl`
+    );
+    this.entries = new Map();
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Open the checkpoint of the operator
+   * Resuming loads the fetches recorded by the last run; otherwise the last
+   * run's checkpoint is discarded and the run starts from scratch.
+   * @param {Object} [options={}] - Open options
+   * @param {boolean} [options.resume=false] - Continue from the last checkpoint
+   * @returns {Promise<void>}
+   */
+  async open(options = {}) {
+    this.entries.clear();
+    if (!options.resume) {
+      await this.clear();
+      return;
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      console.log(
+        `No ${this.operator} checkpoint found, collecting from scratch`
+      );
+      return;
+    }
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+      try {
+        const { kind, key, value } = JSON.parse(line);
+        this.entries.set(this._entryKey(kind, key), value);
+      } catch (error) {
+        // The line being written when the last run died
+        console.warn(`Skipping incomplete ${this.operator} checkpoint entry`);
+      }
+    }
+    console.log(
+      `Resuming ${this.operator} from checkpoint: ${this.size(CHECKPOINT_KINDS.ROUTE_STOPS)} route stops, ${this.size(CHECKPOINT_KINDS.STOP_DETAILS)} stop details`
+    );
+  }
+
+  /**
+   * Key of an entry in the in-memory map
+   * @private
+   * @param {string} kind - Fetch kind
+   * @param {string} key - Route or stop ID
+   * @returns {string} Entry key
+   */
+  _entryKey(kind, key) {
+    return `${kind}:${key}`;
+  }
+
+  /**
+   * Recorded result of a fetch
+   * @param {string} kind - Fetch kind (CHECKPOINT_KINDS)
+   * @param {string} key - Route or stop ID
+   * @returns {Object|undefined} Recorded result, or undefined if not recorded
+   */
+  get(kind, key) {
+    return this.entries.get(this._entryKey(kind, key));
+  }
+
+  /**
+   * Number of recorded fetches of a kind
+   * @param {string} kind - Fetch kind (CHECKPOINT_KINDS)
+   * @returns {number} Recorded fetches
+   */
+  size(kind) {
+    let count = 0;
+    for (const entryKey of this.entries.keys()) {
+      if (entryKey.startsWith(`${kind}:`)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Record the result of a completed fetch
+   * Appends are queued, so lines are never interleaved; a failed append
+   * only costs the fetch on resume, so it warns instead of throwing.
+   * @param {string} kind - Fetch kind (CHECKPOINT_KINDS)
+   * @param {string} key - Route or stop ID
+   * @param {Object} value - Fetch result
+   * @returns {Promise<void>}
+   */
+  async record(kind, key, value) {
+    this.entries.set(this._entryKey(kind, key), value);
+    const line = `${JSON.stringify({ kind, key, value })}\n`;
+    this.pending = this.pending.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, line);
+      } catch (error) {
+        console.warn(
+          `Failed to record ${this.operator} checkpoint:`,
+          error.message
+        );
+      }
+    });
+    return this.pending;
+  }
+
+  /**
+   * Remove the checkpoint once the run no longer needs it
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.pending;
+    this.entries.clear();
+    await fs.rm(this.filePath, { force: true });
+  }
+}
+
+module.exports = { CheckpointStore, CHECKPOINT_KINDS };
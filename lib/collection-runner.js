@@ -0,0 +1,306 @@
+const { OperatorRegistry } = require('./operator-registry');
+const { ServiceFactory } = require('./service-factory');
+const { StopIndexService } = require('./stop-index-service');
+const { SearchIndexService } = require('./search-index-service');
+const { JointRouteService } = require('./joint-route-service');
+const { GTFSService } = require('./gtfs-service');
+const { SQLiteService } = require('./sqlite-service');
+const { ChangelogService } = require('./changelog-service');
+const { QualityGateService } = require('./quality-gate-service');
+const { DatasetVersionService } = require('./dataset-version-service');
+const {
+  OutputValidationService,
+  outputTargets,
+  manifestTargets,
+} = require('./output-validation-service');
+const { CheckpointStore } = require('./checkpoint-store');
+const { BaseApiClient } = require('./base-api-client');
+const { BaseDataCollector } = require('./base-data-collector');
+const config = require('../config/default');
+
+/**
+ * Cross-operator stages run after collection, in order. Each reads the
+ * operators' saved output or the in-memory collection summary and returns
+ * a Result. Stages with `skipAfterFailure` do not run once an earlier stage
+ * has failed. A failed `optional` stage is reported as a warning and fails
+ * neither the run nor the stages after it.
+ * @type {Array<{label: string, run: function(CollectionSummary): Promise<import('./result').Result<any>>, skipAfterFailure?: boolean, optional?: boolean}>}
+ */
+const POST_COLLECTION_STAGES = [
+  {
+    label: 'Stop index',
+    run: () => new StopIndexService().buildAndSave(),
+  },
+  {
+    label: 'Search index',
+    run: () => new SearchIndexService().buildAndSave(),
+  },
+  {
+    label: 'Joint routes',
+    run: () => new JointRouteService().buildAndSave(),
+  },
+  {
+    label: 'GTFS export',
+    run: summary =>
+      new GTFSService().exportFeed(
+        GTFSService.operatorsDataFromSummary(summary)
+      ),
+  },
+  {
+    label: 'SQLite export',
+    run: summary =>
+      new SQLiteService().exportDatabase(
+        SQLiteService.operatorsDataFromSummary(summary)
+      ),
+    optional: true,
+  },
+  {
+    label: 'Changelog',
+    run: summary => new ChangelogService().buildAndSave(summary),
+  },
+  {
+    label: 'Quality gate',
+    run: summary => new QualityGateService().check(summary),
+  },
+  {
+    // A failure here fails the run, so invalid output is never published
+    // or deployed
+    label: 'Output validation',
+    run: () =>
+      new OutputValidationService({ targets: outputTargets() }).validate(),
+  },
+  {
+    // After every stage that writes output, so the snapshot manifest covers
+    // it; a rejected dataset never becomes `latest`
+    label: 'Dataset version',
+    run: summary => new DatasetVersionService().publish(summary),
+    skipAfterFailure: true,
+  },
+  {
+    label: 'Manifest validation',
+    run: () =>
+      new OutputValidationService({ targets: manifestTargets() }).validate(),
+    skipAfterFailure: true,
+  },
+];
+
+/**
+ * @typedef {Object} OperatorCollectionResult
+ * @property {string} name - Operator code
+ * @property {string} label - Operator display name
+ * @property {boolean} success - Whether collection succeeded
+ * @property {Object} [data] - Unwrapped service result on success
+ * @property {import('./base-data-collector').PreviousData} [previous] - Previously published data the run was compared against, on success
+ */
+
+/**
+ * @typedef {Object} CollectionSummary
+ * @property {OperatorCollectionResult[]} results - Per-operator results in run order
+ * @property {boolean} hasFailedCollections - True if any operator failed
+ * @property {boolean} [hasFailedStages] - True if any post-collection stage failed
+ */
+
+/**
+ * @typedef {Object} CollectionOptions
+ * @property {boolean} [resume=false] - Continue each operator from the checkpoint of its last unfinished run
+ */
+
+/**
+ * Runs data collection for registered operators
+ * @class
+ */
+class CollectionRunner {
+  /**
+   * Resolve operator codes to run, defaulting to every registered operator
+   * @param {string[]} [names=[]] - Requested operator codes
+   * @returns {string[]} Operator codes in run order
+   * @throws {import('./errors').ConfigurationError} If an operator is not registered
+   */
+  static resolveOperators(names = []) {
+    if (names.length === 0) {
+      return OperatorRegistry.names();
+    }
+    return names.map(name => OperatorRegistry.get(name).name);
+  }
+
+  /**
+   * Split command-line arguments into operator codes and options
+   * @param {string[]} [argv=[]] - Arguments after the script name
+   * @returns {{names: string[], options: CollectionOptions}} Operator codes and options
+   */
+  static parseArgs(argv = []) {
+    return {
+      names: argv.filter(arg => !arg.startsWith('--')),
+      options: { resume: argv.includes('--resume') },
+    };
+  }
+
+  /**
+   * Fetch the data an operator previously published
+   * @param {string} name - Operator code
+   * @returns {Promise<import('./base-data-collector').PreviousData>} Previously published data
+   */
+  static async fetchPreviousData(name) {
+    return new BaseDataCollector(new BaseApiClient()).fetchPreviousData(name);
+  }
+
+  /**
+   * Collect and save data for a single operator
+   * Completed fetches are checkpointed, and the checkpoint is cleared once
+   * the operator's run succeeds. The previously published data is fetched
+   * once here and shared by the operator's change detection, the changelog
+   * and the quality gate.
+   * @param {string} name - Operator code
+   * @param {CollectionOptions} [options={}] - Collection options
+   * @returns {Promise<OperatorCollectionResult>} Collection result
+   */
+  static async collectOperator(name, options = {}) {
+    const { label } = OperatorRegistry.get(name);
+    console.log(`\n=== Collecting ${label} data ===`);
+
+    try {
+      const checkpoint = new CheckpointStore(name);
+      await checkpoint.open({ resume: options.resume });
+      const previous = await this.fetchPreviousData(name);
+      const service = ServiceFactory.createService(name, {
+        requestsPerSecond: config.api.requestsPerSecond,
+        concurrentRequests: config.api.concurrentRequests,
+        baseDir: config.output[name].baseDir,
+        checkpoint,
+        previous,
+      });
+
+      const result = await service.collectAndSaveData();
+
+      if (result.isFailure()) {
+        const error = result.getError();
+        console.error(`${label} data collection failed:`, error.message);
+        if (error.details) {
+          console.error('Details:', error.details);
+        }
+        return { name, label, success: false };
+      }
+
+      await checkpoint.clear();
+      const data = result.unwrap();
+      console.log(
+        `${label} Summary: ${data.successfulStops}/${data.totalStops} stops processed`
+      );
+      if (data.saveErrors > 0) {
+        console.warn(
+          `${label} Warning: ${data.saveErrors} file save errors occurred`
+        );
+      }
+      return { name, label, success: true, data, previous };
+    } catch (error) {
+      console.error(`Error in ${label} collection:`, error);
+      return { name, label, success: false };
+    }
+  }
+
+  /**
+   * Collect data for the given operators, one after another
+   * @param {string[]} [names=[]] - Operator codes (all registered operators if empty)
+   * @param {CollectionOptions} [options={}] - Collection options
+   * @returns {Promise<CollectionSummary>} Collection summary
+   * @throws {import('./errors').ConfigurationError} If an operator is not registered
+   */
+  static async run(names = [], options = {}) {
+    const results = [];
+    for (const name of this.resolveOperators(names)) {
+      results.push(await this.collectOperator(name, options));
+    }
+
+    return {
+      results,
+      hasFailedCollections: results.some(result => !result.success),
+    };
+  }
+
+  /**
+   * Run the post-collection stages, continuing past failures
+   * @param {CollectionSummary} [summary={results: []}] - Summary of the collection run
+   * @returns {Promise<boolean>} True if every stage succeeded, apart from optional ones
+   */
+  static async runStages(summary = { results: [] }) {
+    let success = true;
+    for (const stage of POST_COLLECTION_STAGES) {
+      const { label, run, skipAfterFailure, optional = false } = stage;
+      console.log(`\n=== ${label} ===`);
+      if (skipAfterFailure && !success) {
+        console.warn(`Skipping ${label}: an earlier stage failed`);
+        continue;
+      }
+      const report = optional ? console.warn : console.error;
+      try {
+        const result = await run(summary);
+        if (result.isFailure()) {
+          const error = result.getError();
+          report(`${label} failed:`, error.message);
+          if (error.details) {
+            report('Details:', error.details);
+          }
+          success = success && optional;
+        }
+      } catch (error) {
+        report(`Error in ${label}:`, error);
+        success = success && optional;
+      }
+    }
+    return success;
+  }
+
+  /**
+   * Whether a run covers every registered operator
+   * The post-collection stages build shared output (GTFS, SQLite, changelog,
+   * quality report, dataset snapshot) from the whole dataset, so they only
+   * run after a full collection.
+   * @param {string[]} [names=[]] - Operator codes (all registered operators if empty)
+   * @returns {boolean} True if every registered operator is collected
+   * @throws {import('./errors').ConfigurationError} If an operator is not registered
+   */
+  static collectsEveryOperator(names = []) {
+    const collected = new Set(this.resolveOperators(names));
+    return OperatorRegistry.names().every(name => collected.has(name));
+  }
+
+  /**
+   * Command-line entry point: run collection and, when every operator was
+   * collected, the post-collection stages, exiting non-zero on failure
+   * @param {string[]} [names=[]] - Operator codes (all registered operators if empty)
+   * @param {CollectionOptions} [options={}] - Collection options
+   * @returns {Promise<CollectionSummary|undefined>} Collection summary
+   */
+  static async main(names = [], options = {}) {
+    let summary;
+    try {
+      summary = await this.run(names, options);
+      if (this.collectsEveryOperator(names)) {
+        summary.hasFailedStages = !(await this.runStages(summary));
+      } else {
+        console.log(
+          '\nSkipping cross-operator stages: not every operator was collected'
+        );
+      }
+    } catch (error) {
+      console.error('Error in main process:', error.message);
+      if (error.details) {
+        console.error('Details:', error.details);
+      }
+      process.exit(1);
+      return undefined;
+    }
+
+    if (summary.hasFailedCollections || summary.hasFailedStages) {
+      console.error(
+        '\n❌ Data collection completed, but one or more sources failed.'
+      );
+      process.exit(1);
+    }
+
+    console.log('\n✓ All data collected successfully');
+    return summary;
+  }
+}
+
+module.exports = { CollectionRunner };
@@ -0,0 +1,198 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Bump when the columnar layout changes; allstops-decoder.js reads version 1
+const COLUMNAR_VERSION = 1;
+
+/**
+ * @typedef {('string'|'string[]'|'json'|{objects: Array<[string, ColumnType]>})} ColumnType
+ */
+
+/**
+ * @typedef {Object} ColumnarStops
+ * @property {string} format - Always `columnar`
+ * @property {number} version - Layout version
+ * @property {number} count - Number of stops
+ * @property {string[]} strings - String table, most frequent first
+ * @property {number[]} keys - String index of each stop's allstops.json key
+ * @property {Array<{name: string, type: ColumnType, values: any[]}>} columns - One column per stop field
+ */
+
+/**
+ * @typedef {Object} CompressedContent
+ * @property {Buffer} gzip - Gzip-compressed content
+ * @property {Buffer} brotli - Brotli-compressed content
+ */
+
+/**
+ * Whether a value is a plain JSON object
+ * @param {any} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Builds the compact distribution of allstops.json and allroutes.json:
+ * minified and pre-compressed JSON, and the columnar allstops.columnar.json
+ * read by allstops-decoder.js
+ * @class
+ */
+class CompactOutputProcessor {
+  /**
+   * Pick the encoding of a column from its values
+   * @param {any[]} values - Values of one field (null for missing)
+   * @returns {ColumnType} Column type
+   */
+  static inferType(values) {
+    const present = values.filter(
+      value => value !== null && value !== undefined
+    );
+    if (present.length === 0) {
+      return 'json';
+    }
+    if (present.every(value => typeof value === 'string')) {
+      return 'string';
+    }
+    if (!present.every(Array.isArray)) {
+      return 'json';
+    }
+
+    const items = present.flat();
+    if (items.every(item => typeof item === 'string')) {
+      return 'string[]';
+    }
+    if (items.every(isObject)) {
+      const fields = [...new Set(items.flatMap(item => Object.keys(item)))];
+      return {
+        objects: fields.map(field => [
+          field,
+          this.inferType(items.map(item => item[field] ?? null)),
+        ]),
+      };
+    }
+    return 'json';
+  }
+
+  /**
+   * Visit every value stored in the string table
+   * @private
+   * @param {ColumnType} type - Column or field type
+   * @param {any} value - Value
+   * @param {function(string): void} visit - Called with each string
+   */
+  static _visitStrings(type, value, visit) {
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (type === 'string') {
+      visit(value);
+    } else if (type === 'string[]') {
+      value.forEach(visit);
+    } else if (type.objects) {
+      for (const item of value) {
+        for (const [field, fieldType] of type.objects) {
+          this._visitStrings(fieldType, item[field], visit);
+        }
+      }
+    }
+  }
+
+  /**
+   * Encode one value with the string table
+   * @private
+   * @param {ColumnType} type - Column or field type
+   * @param {any} value - Value
+   * @param {Map<string, number>} indexes - String table indexes
+   * @returns {any} Encoded value (null for missing)
+   */
+  static _encodeValue(type, value, indexes) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (type === 'string') {
+      return indexes.get(value);
+    }
+    if (type === 'string[]') {
+      return value.map(item => indexes.get(item));
+    }
+    if (type.objects) {
+      return value.map(item =>
+        type.objects.map(([field, fieldType]) =>
+          this._encodeValue(fieldType, item[field], indexes)
+        )
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Encode allstops.json as columns over a shared string table
+   * Fields whose value is null are dropped, since null marks a missing field.
+   * @param {Object.<string, import('./base-data-processor').EnrichedStopData>} allStopsData - All stops data
+   * @returns {ColumnarStops} Columnar stops
+   */
+  static encodeStops(allStopsData) {
+    const entries = Object.entries(allStopsData);
+    const names = [
+      ...new Set(entries.flatMap(([, stop]) => Object.keys(stop))),
+    ];
+    const columns = names.map(name => {
+      const values = entries.map(([, stop]) => stop[name] ?? null);
+      return { name, type: this.inferType(values), values };
+    });
+
+    // Most frequent strings first, so the common ones get the shortest indexes
+    const counts = new Map();
+    const count = value => counts.set(value, (counts.get(value) || 0) + 1);
+    entries.forEach(([key]) => count(key));
+    for (const column of columns) {
+      for (const value of column.values) {
+        this._visitStrings(column.type, value, count);
+      }
+    }
+    const strings = [...counts.keys()].sort(
+      (a, b) => counts.get(b) - counts.get(a) || (a < b ? -1 : a > b ? 1 : 0)
+    );
+    const indexes = new Map(strings.map((value, index) => [value, index]));
+
+    return {
+      format: 'columnar',
+      version: COLUMNAR_VERSION,
+      count: entries.length,
+      strings,
+      keys: entries.map(([key]) => indexes.get(key)),
+      columns: columns.map(({ name, type, values }) => ({
+        name,
+        type,
+        values: values.map(value => this._encodeValue(type, value, indexes)),
+      })),
+    };
+  }
+
+  /**
+   * Compress content for serving with Content-Encoding gzip or br
+   * @param {string} content - File content
+   * @returns {Promise<CompressedContent>} Compressed content
+   */
+  static async compress(content) {
+    const [gzipped, brotli] = await Promise.all([
+      gzip(content, { level: zlib.constants.Z_BEST_COMPRESSION }),
+      brotliCompress(content, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+          [zlib.constants.BROTLI_PARAM_QUALITY]:
+            zlib.constants.BROTLI_MAX_QUALITY,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(content),
+        },
+      }),
+    ]);
+    return { gzip: gzipped, brotli };
+  }
+}
+
+module.exports = { CompactOutputProcessor, COLUMNAR_VERSION };
@@ -1,5 +1,8 @@
+const path = require('path');
 const { ConfigValidator } = require('./config-validator');
 const { ConfigurationError } = require('./errors');
+const { VERSION_PATTERN } = require('./dataset-versions');
+const { OperatorRegistry } = require('./operator-registry');
 
 /**
  * Configuration loader with validation
@@ -31,61 +34,29 @@ class ConfigLoader {
         'API_RETRY_LIMIT',
         { min: 0, max: 10, defaultValue: 3 }
       ),
-      endpoints: {
-        ctb: {
-          routes: ConfigValidator.validateUrl(
-            process.env.CTB_ROUTES_API,
-            'CTB_ROUTES_API',
-            {
-              defaultValue:
-                'https://rt.data.gov.hk/v2/transport/citybus/route/ctb',
-            }
-          ),
-          routeStop: ConfigValidator.validateUrl(
-            process.env.CTB_ROUTE_STOP_API,
-            'CTB_ROUTE_STOP_API',
-            {
-              defaultValue:
-                'https://rt.data.gov.hk/v2/transport/citybus/route-stop/ctb',
-            }
-          ),
-          stop: ConfigValidator.validateUrl(
-            process.env.CTB_STOP_API,
-            'CTB_STOP_API',
-            {
-              defaultValue: 'https://rt.data.gov.hk/v2/transport/citybus/stop',
-            }
-          ),
-        },
-        kmb: {
-          route: ConfigValidator.validateUrl(
-            process.env.KMB_ROUTE_API,
-            'KMB_ROUTE_API',
-            {
-              defaultValue:
-                'https://data.etabus.gov.hk/v1/transport/kmb/route/',
-            }
-          ),
-          routeStop: ConfigValidator.validateUrl(
-            process.env.KMB_ROUTE_STOP_API,
-            'KMB_ROUTE_STOP_API',
-            {
-              defaultValue:
-                'https://data.etabus.gov.hk/v1/transport/kmb/route-stop',
-            }
-          ),
-          stop: ConfigValidator.validateUrl(
-            process.env.KMB_STOP_API,
-            'KMB_STOP_API',
-            {
-              defaultValue: 'https://data.etabus.gov.hk/v1/transport/kmb/stop',
-            }
-          ),
-        },
-      },
+      endpoints: Object.fromEntries(
+        OperatorRegistry.list().map(plugin => [
+          plugin.name,
+          this.loadOperatorEndpoints(plugin),
+        ])
+      ),
     };
   }
 
+  /**
+   * Load and validate the API endpoints declared by an operator plugin
+   * @param {import('./operator-registry').OperatorPlugin} plugin - Operator plugin
+   * @returns {Object.<string, string>} Validated endpoint URLs keyed by endpoint name
+   */
+  static loadOperatorEndpoints(plugin) {
+    return Object.fromEntries(
+      Object.entries(plugin.endpoints).map(([key, { env, defaultValue }]) => [
+        key,
+        ConfigValidator.validateUrl(process.env[env], env, { defaultValue }),
+      ])
+    );
+  }
+
   /**
    * Load and validate cache configuration
    * @returns {Object} Validated cache config
@@ -107,31 +78,238 @@ class ConfigLoader {
     };
   }
 
+  /**
+   * Load and validate collection checkpoint configuration
+   * @returns {Object} Validated checkpoint config
+   */
+  static loadCheckpointConfig() {
+    return {
+      dir: ConfigValidator.validateString(
+        process.env.CHECKPOINT_DIR,
+        'CHECKPOINT_DIR',
+        { defaultValue: '.checkpoints' }
+      ),
+    };
+  }
+
   /**
    * Load and validate output configuration
+   * With dataset versioning enabled every output directory is placed inside
+   * the snapshot directory (e.g. `v/2026-10-19/ctb`).
+   * @param {Object} [versioning] - Validated versioning config
    * @returns {Object} Validated output config
    */
-  static loadOutputConfig() {
-    return {
-      ctb: {
+  static loadOutputConfig(versioning) {
+    const operators = Object.fromEntries(
+      OperatorRegistry.list().map(plugin => [
+        plugin.name,
+        {
+          baseDir: ConfigValidator.validateString(
+            process.env[plugin.outputDir.env],
+            plugin.outputDir.env,
+            { defaultValue: plugin.outputDir.defaultValue }
+          ),
+          stopsDir: 'stops',
+          routesDir: 'routes',
+        },
+      ])
+    );
+
+    const output = {
+      ...operators,
+      // Cross-operator outputs
+      all: {
         baseDir: ConfigValidator.validateString(
-          process.env.CTB_OUTPUT_DIR,
-          'CTB_OUTPUT_DIR',
-          { defaultValue: 'ctb' }
+          process.env.ALL_OUTPUT_DIR,
+          'ALL_OUTPUT_DIR',
+          { defaultValue: 'all' }
         ),
         stopsDir: 'stops',
-        routesDir: 'routes',
       },
-      kmb: {
+      search: {
         baseDir: ConfigValidator.validateString(
-          process.env.KMB_OUTPUT_DIR,
-          'KMB_OUTPUT_DIR',
-          { defaultValue: 'kmb' }
+          process.env.SEARCH_OUTPUT_DIR,
+          'SEARCH_OUTPUT_DIR',
+          { defaultValue: 'search' }
+        ),
+      },
+      joint: {
+        baseDir: ConfigValidator.validateString(
+          process.env.JOINT_OUTPUT_DIR,
+          'JOINT_OUTPUT_DIR',
+          { defaultValue: 'joint' }
+        ),
+      },
+      gtfs: {
+        baseDir: ConfigValidator.validateString(
+          process.env.GTFS_OUTPUT_DIR,
+          'GTFS_OUTPUT_DIR',
+          { defaultValue: 'gtfs' }
+        ),
+      },
+      sqlite: {
+        baseDir: ConfigValidator.validateString(
+          process.env.SQLITE_OUTPUT_DIR,
+          'SQLITE_OUTPUT_DIR',
+          { defaultValue: 'sqlite' }
+        ),
+      },
+      changes: {
+        baseDir: ConfigValidator.validateString(
+          process.env.CHANGES_OUTPUT_DIR,
+          'CHANGES_OUTPUT_DIR',
+          { defaultValue: 'changes' }
+        ),
+      },
+      quality: {
+        baseDir: ConfigValidator.validateString(
+          process.env.QUALITY_OUTPUT_DIR,
+          'QUALITY_OUTPUT_DIR',
+          { defaultValue: 'quality' }
         ),
-        stopsDir: 'stops',
-        routesDir: 'routes',
       },
     };
+
+    if (versioning && versioning.enabled) {
+      for (const entry of Object.values(output)) {
+        entry.baseDir = path.join(
+          versioning.dir,
+          versioning.version,
+          entry.baseDir
+        );
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Load and validate dataset versioning (dated snapshot) configuration
+   * @returns {Object} Validated versioning config
+   */
+  static loadVersioningConfig() {
+    return {
+      enabled: ConfigValidator.validateBoolean(
+        process.env.DATASET_VERSIONING,
+        'DATASET_VERSIONING',
+        { defaultValue: false }
+      ),
+      dir: ConfigValidator.validateString(
+        process.env.VERSIONS_DIR,
+        'VERSIONS_DIR',
+        { defaultValue: 'v' }
+      ),
+      // Collection runs are scheduled in Hong Kong time
+      version: ConfigValidator.validateString(
+        process.env.DATASET_VERSION,
+        'DATASET_VERSION',
+        {
+          pattern: VERSION_PATTERN,
+          defaultValue: new Date().toLocaleDateString('en-CA', {
+            timeZone: 'Asia/Hong_Kong',
+          }),
+        }
+      ),
+      retention: ConfigValidator.validateNumber(
+        process.env.SNAPSHOT_RETENTION,
+        'SNAPSHOT_RETENTION',
+        { min: 1, max: 365, defaultValue: 7 }
+      ),
+    };
+  }
+
+  /**
+   * Load and validate spatial (stop matching) configuration
+   * @returns {Object} Validated spatial config
+   */
+  static loadSpatialConfig() {
+    return {
+      stopClusterRadius: ConfigValidator.validateNumber(
+        process.env.STOP_CLUSTER_RADIUS,
+        'STOP_CLUSTER_RADIUS',
+        { min: 1, max: 500, defaultValue: 30 }
+      ),
+      // 0 links only stops at identical coordinates
+      nearbyStopRadius: ConfigValidator.validateNumber(
+        process.env.NEARBY_STOP_RADIUS,
+        'NEARBY_STOP_RADIUS',
+        { min: 0, max: 1000, defaultValue: 50 }
+      ),
+      jointStopRadius: ConfigValidator.validateNumber(
+        process.env.JOINT_STOP_RADIUS,
+        'JOINT_STOP_RADIUS',
+        { min: 1, max: 1000, defaultValue: 100 }
+      ),
+    };
+  }
+
+  /**
+   * Load and validate data quality gate configuration
+   * Thresholds are whole percentages.
+   * @returns {Object} Validated quality gate config
+   */
+  static loadQualityConfig() {
+    return {
+      enabled: ConfigValidator.validateBoolean(
+        process.env.QUALITY_GATE,
+        'QUALITY_GATE',
+        { defaultValue: true }
+      ),
+      maxStopDropPercent: ConfigValidator.validateNumber(
+        process.env.QUALITY_MAX_STOP_DROP,
+        'QUALITY_MAX_STOP_DROP',
+        { min: 0, max: 100, defaultValue: 10 }
+      ),
+      minRouteCoveragePercent: ConfigValidator.validateNumber(
+        process.env.QUALITY_MIN_ROUTE_COVERAGE,
+        'QUALITY_MIN_ROUTE_COVERAGE',
+        { min: 0, max: 100, defaultValue: 90 }
+      ),
+      maxFallbackPercent: ConfigValidator.validateNumber(
+        process.env.QUALITY_MAX_FALLBACK,
+        'QUALITY_MAX_FALLBACK',
+        { min: 0, max: 100, defaultValue: 5 }
+      ),
+      maxMissingCoordinatesIncreasePercent: ConfigValidator.validateNumber(
+        process.env.QUALITY_MAX_MISSING_COORDINATES_INCREASE,
+        'QUALITY_MAX_MISSING_COORDINATES_INCREASE',
+        { min: 0, max: 100, defaultValue: 5 }
+      ),
+    };
+  }
+
+  /**
+   * Load and validate compact output configuration
+   * @returns {Object} Validated compact output config
+   */
+  static loadCompactConfig() {
+    return {
+      enabled: ConfigValidator.validateBoolean(
+        process.env.COMPACT_OUTPUT,
+        'COMPACT_OUTPUT',
+        { defaultValue: false }
+      ),
+    };
+  }
+
+  /**
+   * Load and validate output file writing configuration
+   * @returns {Object} Validated writes config
+   */
+  static loadWritesConfig() {
+    return {
+      concurrency: ConfigValidator.validateNumber(
+        process.env.WRITE_CONCURRENCY,
+        'WRITE_CONCURRENCY',
+        { min: 1, max: 256, defaultValue: 32 }
+      ),
+      // Collection runs write to {dir}.staging, moved into {dir} on success
+      staging: ConfigValidator.validateBoolean(
+        process.env.STAGED_OUTPUT,
+        'STAGED_OUTPUT',
+        { defaultValue: true }
+      ),
+    };
   }
 
   /**
@@ -150,17 +328,65 @@ class ConfigLoader {
     };
   }
 
+  /**
+   * Load and validate real-time ETA configuration
+   * @returns {Object} Validated ETA config
+   */
+  static loadEtaConfig() {
+    return {
+      // ETAs change every minute, so upstream responses are kept briefly
+      cacheTtl: ConfigValidator.validateNumber(
+        process.env.ETA_CACHE_TTL,
+        'ETA_CACHE_TTL',
+        { min: 0, max: 5 * 60 * 1000, defaultValue: 20 * 1000 }
+      ),
+      retries: ConfigValidator.validateNumber(
+        process.env.ETA_RETRIES,
+        'ETA_RETRIES',
+        { min: 0, max: 6, defaultValue: 2 }
+      ),
+    };
+  }
+
+  /**
+   * Load and validate local dataset server configuration
+   * @returns {Object} Validated server config
+   */
+  static loadServerConfig() {
+    return {
+      host: ConfigValidator.validateString(
+        process.env.SERVER_HOST,
+        'SERVER_HOST',
+        { defaultValue: '127.0.0.1' }
+      ),
+      port: ConfigValidator.validateNumber(
+        process.env.SERVER_PORT,
+        'SERVER_PORT',
+        { min: 1, max: 65535, defaultValue: 8080 }
+      ),
+    };
+  }
+
   /**
    * Load all configuration with validation
    * @returns {Object} Complete validated configuration
    */
   static loadConfig() {
     try {
+      const versioning = this.loadVersioningConfig();
       const config = {
         api: this.loadApiConfig(),
         cache: this.loadCacheConfig(),
-        output: this.loadOutputConfig(),
+        checkpoint: this.loadCheckpointConfig(),
+        output: this.loadOutputConfig(versioning),
+        versioning,
+        spatial: this.loadSpatialConfig(),
+        quality: this.loadQualityConfig(),
+        compact: this.loadCompactConfig(),
+        writes: this.loadWritesConfig(),
         githubPages: this.loadGitHubPagesConfig(),
+        eta: this.loadEtaConfig(),
+        server: this.loadServerConfig(),
         environment: process.env.NODE_ENV || 'production',
       };
 
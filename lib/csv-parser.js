@@ -0,0 +1,81 @@
+/**
+ * Minimal RFC 4180 CSV parser for the open data CSV datasets
+ * Handles quoted fields, escaped quotes, CRLF line endings and a leading BOM
+ * @class
+ */
+class CsvParser {
+  /**
+   * Parse CSV text into rows of fields
+   * @param {string} text - CSV text
+   * @returns {string[][]} Rows of raw field values
+   */
+  static parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+  }
+
+  /**
+   * Parse CSV text into objects keyed by the header row
+   * @param {string} text - CSV text with a header row
+   * @returns {Object.<string, string>[]} Parsed records
+   */
+  static parse(text) {
+    const [header, ...rows] = this.parseRows(text);
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.map(column => column.trim());
+    return rows.map(row => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = (row[index] || '').trim();
+      });
+      return record;
+    });
+  }
+}
+
+module.exports = { CsvParser };
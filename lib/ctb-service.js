@@ -1,17 +1,22 @@
 const { CTBDataCollector } = require('./data-collector');
 const { CTBDataProcessor } = require('./data-processor');
 const { CTBFileManager } = require('./file-manager');
+const { ChangeDetector } = require('./change-detector');
 const { Result } = require('./result');
 const { ProcessingError } = require('./errors');
+const config = require('../config/default');
 
 /**
  * @typedef {Object} CTBServiceOptions
  * @property {number} [requestsPerSecond=3] - API requests per second
  * @property {number} [concurrentRequests=2] - Concurrent requests limit
  * @property {string} [baseDir='ctb'] - Output base directory
+ * @property {string} [operator='ctb'] - Operator code recorded on nearby stops
+ * @property {number} [nearbyStopRadius] - Nearby stop radius in metres (defaults to config.spatial.nearbyStopRadius)
  * @property {import('./data-collector').CTBDataCollector} [collector] - Data collector instance (for DI)
  * @property {import('./data-processor').CTBDataProcessor} [processor] - Data processor class (for DI)
  * @property {import('./file-manager').CTBFileManager} [fileManager] - File manager instance (for DI)
+ * @property {import('./base-data-collector').PreviousData} [previous] - Previously published data to compare against (fetched if not given)
  */
 
 /**
@@ -27,6 +32,9 @@ class CTBService {
     this.requestsPerSecond = options.requestsPerSecond || 3;
     this.concurrentRequests = options.concurrentRequests || 2;
     this.baseDir = options.baseDir || 'ctb';
+    this.operator = options.operator || 'ctb';
+    this.nearbyStopRadius =
+      options.nearbyStopRadius ?? config.spatial.nearbyStopRadius;
 
     // Dependency injection: use provided instances or create defaults
     this.collector =
@@ -34,12 +42,13 @@ class CTBService {
       new CTBDataCollector(this.requestsPerSecond, this.concurrentRequests);
     this.processor = options.processor || CTBDataProcessor;
     this.fileManager = options.fileManager || new CTBFileManager(this.baseDir);
+    this.previous = options.previous || null;
   }
 
   /**
    * Collect routes and route-stops data
    * @private
-   * @returns {Promise<{routes: Array, routeStops: Object, stopRoutesMap: Object}>}
+   * @returns {Promise<{routes: Array, routeStops: Object, stopRoutesMap: Object, stopRouteDetails: Object}>}
    */
   async _collectRoutesAndStops() {
     const routes = await this.collector.collectRoutes();
@@ -48,8 +57,22 @@ class CTBService {
     const routeStopResults = await this.collector.collectAllRouteStops(routes);
     const { routeStops, stopRoutesMap } =
       this.processor.processRouteStopResults(routeStopResults);
+    const stopRouteDetails = this.processor.buildStopRouteDetails(
+      routeStops,
+      routes
+    );
+
+    return { routes, routeStops, stopRoutesMap, stopRouteDetails };
+  }
 
-    return { routes, routeStops, stopRoutesMap };
+  /**
+   * Previously published allstops.json and allroutes.json, as passed in by
+   * the collection runner or else fetched
+   * @private
+   * @returns {Promise<import('./base-data-collector').PreviousData>}
+   */
+  async _fetchPreviousData() {
+    return this.previous || this.collector.fetchPreviousData(this.operator);
   }
 
   /**
@@ -70,16 +93,18 @@ class CTBService {
    * Collect stop details for all stops
    * @private
    * @param {Object} stopRoutesMap - Map of stop IDs to routes
+   * @param {Object} previousStops - Previously published allstops.json
    * @returns {Promise<Array>} Successful stop details
    */
-  async _collectStopDetails(stopRoutesMap) {
+  async _collectStopDetails(stopRoutesMap, previousStops) {
     const stopIds = Object.keys(stopRoutesMap);
     console.log(`Found ${stopIds.length} unique stops`);
 
     const stopRoutesMapArray = this._convertStopRoutesMapToArray(stopRoutesMap);
     const stopDetailsResults = await this.collector.collectOptimizedStopDetails(
       stopIds,
-      stopRoutesMapArray
+      stopRoutesMapArray,
+      previousStops
     );
 
     const successfulStops =
@@ -91,32 +116,64 @@ class CTBService {
 
   /**
    * Save stop data to files
+   * Only stops that changed since the previous data (or have no file yet)
+   * are written; unchanged stops keep their previous data_timestamp, and the
+   * files of removed stops are deleted.
    * @private
    * @param {Array} successfulStops - Stops to save
    * @param {Object} stopRoutesMap - Map of stop IDs to routes
-   * @returns {Promise<{allStopsData: Object, saveErrors: number}>}
+   * @param {Object} stopRouteDetails - Map of stop IDs to route details
+   * @param {Object} previousStops - Previously published allstops.json
+   * @returns {Promise<{allStopsData: Object, stopChanges: Object, saveErrors: number}>}
    */
-  async _saveStopData(successfulStops, stopRoutesMap) {
+  async _saveStopData(
+    successfulStops,
+    stopRoutesMap,
+    stopRouteDetails,
+    previousStops
+  ) {
     const allStopsData = {};
-    let saveErrors = 0;
-
     for (const { stopId, data } of successfulStops) {
-      const enrichedStopData = this.processor.enrichStopWithRoutes(
+      allStopsData[stopId] = this.processor.enrichStopWithRoutes(
         data,
         stopRoutesMap,
-        stopId
-      );
-
-      const saveResult = await this.fileManager.saveStopData(
         stopId,
-        enrichedStopData
+        stopRouteDetails
       );
-      if (saveResult.isFailure()) {
-        saveErrors++;
-      }
+    }
 
-      allStopsData[stopId] = enrichedStopData;
+    console.log(
+      `Adding stops within ${this.nearbyStopRadius}m as nearbyStops...`
+    );
+    this.processor.addNearbyStops(
+      allStopsData,
+      this.nearbyStopRadius,
+      this.operator
+    );
+
+    const stopChanges = ChangeDetector.detectStopChanges(
+      previousStops,
+      allStopsData
+    );
+    const changedStops = ChangeDetector.changedIds(stopChanges);
+    console.log(
+      `Stops: ${stopChanges.added.length} added, ${stopChanges.updated.length} updated, ${stopChanges.removed.length} removed`
+    );
+
+    const stopsToSave = {};
+    for (const [stopId, stopData] of Object.entries(allStopsData)) {
+      if (
+        changedStops.has(stopId) ||
+        !(await this.fileManager.hasStopData(stopId))
+      ) {
+        stopsToSave[stopId] = stopData;
+      }
     }
+    const saveResults = [
+      ...(await this.fileManager.saveStops(stopsToSave)),
+      ...(await this.fileManager.removeStops(stopChanges.removed)),
+    ];
+    const saveErrors = saveResults.filter(result => result.isFailure()).length;
 
     const allStopsResult = await this.fileManager.saveAllStops(allStopsData);
     if (allStopsResult.isFailure()) {
@@ -126,43 +183,105 @@ class CTBService {
       );
     }
 
-    return { allStopsData, saveErrors };
+    return { allStopsData, stopChanges, saveErrors };
   }
 
   /**
    * Save route data to files
+   * Only routes that changed since the previous data (or have no file yet)
+   * are written, and the files of removed routes are deleted.
    * @private
    * @param {Array} routes - Routes metadata from API
    * @param {Object} routeStops - Route stops data
    * @param {Array} successfulStops - Successful stop details
-   * @returns {Promise<{allRoutesData: Object, routeSaveErrors: number}>}
+   * @param {Object} allStopsData - All stops data
+   * @param {import('./base-data-collector').PreviousData} previous - Previously published data
+   * @returns {Promise<{allRoutesData: Object, routeChanges: Object, routeSaveErrors: number}>}
    */
-  async _saveRouteData(routes, routeStops, successfulStops) {
+  async _saveRouteData(
+    routes,
+    routeStops,
+    successfulStops,
+    allStopsData,
+    previous
+  ) {
     console.log('Generating route files with enriched stop information...');
     const allRoutesData = {};
-    let routeSaveErrors = 0;
+    const stopLookup = this.processor.createStopLookup(successfulStops);
 
     for (const [route] of Object.entries(routeStops)) {
-      const enrichedRouteData = this.processor.createEnrichedRouteData(
+      allRoutesData[route] = this.processor.createEnrichedRouteData(
         route,
         routeStops,
-        successfulStops
+        stopLookup
       );
+    }
 
-      allRoutesData[route] = enrichedRouteData;
+    const routeChanges = ChangeDetector.detectRouteChanges(
+      previous.allRoutes,
+      this.fileManager.buildCompactRoutes(allRoutesData, routes),
+      previous.allStops,
+      allStopsData
+    );
+    const changedRoutes = ChangeDetector.changedIds(routeChanges);
+    console.log(
+      `Routes: ${routeChanges.added.length} added, ${routeChanges.updated.length} updated, ${routeChanges.removed.length} removed`
+    );
 
-      const routeResult = await this.fileManager.saveRouteData(
-        route,
-        enrichedRouteData
-      );
-      if (routeResult.isFailure()) {
-        routeSaveErrors++;
+    const routesToSave = {};
+    for (const [route, enrichedRouteData] of Object.entries(allRoutesData)) {
+      if (
+        changedRoutes.has(route) ||
+        !(await this.fileManager.hasRouteData(route))
+      ) {
+        routesToSave[route] = enrichedRouteData;
       }
     }
+    const routeResults = [
+      ...(await this.fileManager.saveRoutes(routesToSave)),
+      ...(await this.fileManager.removeRoutes(routeChanges.removed)),
+    ];
+    const routeSaveErrors = routeResults.filter(result =>
+      result.isFailure()
+    ).length;
 
     await this.fileManager.saveAllRoutes(allRoutesData, routes);
 
-    return { allRoutesData, routeSaveErrors };
+    return { allRoutesData, routeChanges, routeSaveErrors };
+  }
+
+  /**
+   * Save stops.geojson and routes.geojson
+   * @private
+   * @param {Object} allStopsData - All stops data
+   * @param {Object} allRoutesData - All routes data
+   * @returns {Promise<number>} Number of GeoJSON save errors (0 or 1)
+   */
+  async _saveGeoJSON(allStopsData, allRoutesData) {
+    const geoJSONResult = await this.fileManager.saveGeoJSON(
+      allStopsData,
+      allRoutesData,
+      this.operator
+    );
+    return geoJSONResult.isFailure() ? 1 : 0;
+  }
+
+  /**
+   * Save changes.json
+   * @private
+   * @param {Object} stopChanges - Stop changes
+   * @param {Object} routeChanges - Route changes
+   * @param {Object} previousStops - Previously published allstops.json
+   * @returns {Promise<{changes: Object, saveErrors: number}>}
+   */
+  async _saveChanges(stopChanges, routeChanges, previousStops) {
+    const changes = ChangeDetector.createReport(
+      stopChanges,
+      routeChanges,
+      Object.keys(previousStops).length > 0
+    );
+    const changesResult = await this.fileManager.saveChanges(changes);
+    return { changes, saveErrors: changesResult.isFailure() ? 1 : 0 };
   }
 
   /**
@@ -197,29 +316,55 @@ class CTBService {
    */
   async collectAndSaveData() {
     try {
-      await this.fileManager.ensureDirectories();
+      // Files are written to a staging directory until the run succeeds
+      await this.fileManager.beginStaging();
 
       // Step 1: Collect routes and stops
-      const { routes, routeStops, stopRoutesMap } =
+      const { routes, routeStops, stopRoutesMap, stopRouteDetails } =
         await this._collectRoutesAndStops();
 
-      // Step 2: Collect stop details
-      const successfulStops = await this._collectStopDetails(stopRoutesMap);
+      // Step 2: Fetch previously published data for change detection
+      const previous = await this._fetchPreviousData();
 
-      // Step 3: Save stop data
-      const { saveErrors } = await this._saveStopData(
-        successfulStops,
-        stopRoutesMap
+      // Step 3: Collect stop details
+      const successfulStops = await this._collectStopDetails(
+        stopRoutesMap,
+        previous.allStops
       );
 
-      // Step 4: Save route data
-      const { routeSaveErrors } = await this._saveRouteData(
-        routes,
-        routeStops,
-        successfulStops
+      // Step 4: Save stop data
+      const { allStopsData, stopChanges, saveErrors } =
+        await this._saveStopData(
+          successfulStops,
+          stopRoutesMap,
+          stopRouteDetails,
+          previous.allStops
+        );
+
+      // Step 5: Save route data
+      const { allRoutesData, routeChanges, routeSaveErrors } =
+        await this._saveRouteData(
+          routes,
+          routeStops,
+          successfulStops,
+          allStopsData,
+          previous
+        );
+
+      // Step 6: Save GeoJSON for map widgets
+      const geoJSONErrors = await this._saveGeoJSON(
+        allStopsData,
+        allRoutesData
+      );
+
+      // Step 7: Save the list of changed stops and routes
+      const { changes, saveErrors: changesErrors } = await this._saveChanges(
+        stopChanges,
+        routeChanges,
+        previous.allStops
       );
 
-      // Step 5: Log summary
+      // Step 8: Log summary
       this._logCompletionSummary(
         successfulStops.length,
         Object.keys(stopRoutesMap).length,
@@ -227,14 +372,22 @@ class CTBService {
         routeSaveErrors
       );
 
+      await this.fileManager.commitStaging();
+
       return Result.success({
         totalRoutes: routes.length,
         totalStops: Object.keys(stopRoutesMap).length,
         successfulStops: successfulStops.length,
-        saveErrors: saveErrors + routeSaveErrors,
+        saveErrors:
+          saveErrors + routeSaveErrors + geoJSONErrors + changesErrors,
+        changes,
+        allStopsData,
+        allRoutesData,
+        routes,
       });
     } catch (error) {
       console.error('Error in data collection process:', error);
+      await this.fileManager.discardStaging();
       const processingError = new ProcessingError('Data collection failed', {
         originalError: error.message,
         stack: error.stack,
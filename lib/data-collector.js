@@ -1,9 +1,22 @@
-const { CTBApiClient } = require('./api-client');
+const {
+  CTBApiClient,
+  GMBApiClient,
+  NLBApiClient,
+  MTRApiClient,
+} = require('./api-client');
 const { BaseApiClient } = require('./base-api-client');
 const { BaseDataCollector } = require('./base-data-collector');
+const { CHECKPOINT_KINDS } = require('./checkpoint-store');
 const { CIRunProgress } = require('./ci-progress');
+const { CsvParser } = require('./csv-parser');
 const config = require('../config/default');
 
+/**
+ * GMB regions, each of which has its own route list
+ * @type {string[]}
+ */
+const GMB_REGIONS = ['HKI', 'KLN', 'NT'];
+
 /**
  * KMB API client with rate limiting, concurrency control and caching
  */
@@ -104,22 +117,6 @@ class CTBDataCollector extends BaseDataCollector {
     }
   }
 
-  async fetchExistingAllStops() {
-    const spinner = await this.getSpinner();
-    spinner.start('Fetching existing allstops.json from GitHub...');
-    try {
-      const url = `${config.githubPages.baseUrl}/ctb/stops/allstops.json`;
-      const data = await this.apiClient.fetchJson(url);
-      spinner.succeed(`Found ${Object.keys(data).length} existing stops`);
-      return data;
-    } catch (error) {
-      spinner.warn(
-        'Could not fetch existing allstops.json, will collect all data fresh'
-      );
-      return {};
-    }
-  }
-
   async collectAllRouteStops(routes) {
     const routeList = routes.map(r => r.route);
     const total = routeList.length;
@@ -131,7 +128,11 @@ class CTBDataCollector extends BaseDataCollector {
     const results = await this.apiClient.processWithConcurrency(
       routeList,
       async route => {
-        const result = await this.collectRouteStops(route);
+        const result = await this.collectWithCheckpoint(
+          CHECKPOINT_KINDS.ROUTE_STOPS,
+          route,
+          () => this.collectRouteStops(route)
+        );
         completed++;
         spinner.text = `Collecting route stops (${completed}/${total})`;
         progress.track(completed, 'Collecting route stops...');
@@ -143,13 +144,17 @@ class CTBDataCollector extends BaseDataCollector {
     return results;
   }
 
-  async collectOptimizedStopDetails(stopIds, stopRoutesMap) {
+  async collectOptimizedStopDetails(stopIds, stopRoutesMap, existingAllStops) {
     const spinner = await this.getSpinner();
-    spinner.start(`Optimizing stop details collection for ${stopIds.length} stops...`);
+    spinner.start(
+      `Optimizing stop details collection for ${stopIds.length} stops...`
+    );
 
-    // Step 1: Fetch existing allstops.json
+    // Step 1: Fetch existing allstops.json unless the caller already has it
     spinner.stop(); // Stop the first spinner before starting the nested one
-    const existingAllStops = await this.fetchExistingAllStops();
+    if (!existingAllStops) {
+      existingAllStops = await this.fetchExistingAllStops('ctb');
+    }
 
     // Restart spinner after fetching
     spinner.start();
@@ -309,4 +314,553 @@ class KMBDataCollector extends BaseDataCollector {
   }
 }
 
-module.exports = { CTBDataCollector, KMBDataCollector };
+/**
+ * Data collector for GMB (green minibus) routes and stops
+ */
+class GMBDataCollector extends BaseDataCollector {
+  constructor(requestsPerSecond = 3, concurrentRequests = 2) {
+    const apiClient = new GMBApiClient(requestsPerSecond, concurrentRequests);
+    super(apiClient, concurrentRequests);
+  }
+
+  async collectRoutes() {
+    const spinner = await this.getSpinner();
+    spinner.start('Collecting GMB routes...');
+
+    // Route codes are only unique within a region
+    const routeCodes = [];
+    for (const region of GMB_REGIONS) {
+      const data = await this.apiClient.fetchJson(
+        `${config.api.gmb.route}/${region}`
+      );
+      (data.data?.routes || []).forEach(routeCode =>
+        routeCodes.push({ region, routeCode })
+      );
+    }
+
+    spinner.text = `Collecting GMB route variants (0/${routeCodes.length})`;
+    let completed = 0;
+    const results = await this.apiClient.processWithConcurrency(
+      routeCodes,
+      async ({ region, routeCode }) => {
+        const data = await this.apiClient.fetchJson(
+          `${config.api.gmb.route}/${region}/${routeCode}`
+        );
+        completed++;
+        spinner.text = `Collecting GMB route variants (${completed}/${routeCodes.length})`;
+        return data.data || [];
+      }
+    );
+
+    // Each route code may have several variants, identified by route_id
+    const routes = [];
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled') {
+        const { region, routeCode } = routeCodes[index];
+        console.error(
+          `\nError collecting GMB route ${region} ${routeCode}:`,
+          result.reason?.message
+        );
+        return;
+      }
+      result.value.forEach(routeData => {
+        routes.push({ ...routeData, route: String(routeData.route_id) });
+      });
+    });
+
+    spinner.succeed(`Found ${routes.length} routes`);
+    return routes;
+  }
+
+  /**
+   * Normalise a GMB route-stop entry to the shape used by CTB route stops
+   * @param {Object} route - Route metadata
+   * @param {number} routeSeq - GMB direction (1 = outbound, 2 = inbound)
+   * @param {Object} routeStop - Raw route-stop entry
+   * @returns {Object} Normalised route stop
+   */
+  normalizeRouteStop(route, routeSeq, routeStop) {
+    return {
+      route: route.route,
+      route_seq: routeSeq,
+      dir: routeSeq === 1 ? 'O' : 'I',
+      seq: routeStop.stop_seq,
+      stop: String(routeStop.stop_id),
+      name_tc: routeStop.name_tc,
+      name_en: routeStop.name_en,
+      name_sc: routeStop.name_sc,
+    };
+  }
+
+  async collectRouteStops(route) {
+    try {
+      const directions = route.directions || [];
+      const results = await Promise.allSettled(
+        directions.map(direction =>
+          this.apiClient.fetchJson(
+            `${config.api.gmb.routeStop}/${route.route_id}/${direction.route_seq}`
+          )
+        )
+      );
+
+      const routeStops = {
+        route: route.route,
+        inbound: [],
+        outbound: [],
+        error: false,
+      };
+
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          routeStops.error = true;
+          return;
+        }
+        const routeSeq = directions[index].route_seq;
+        const stops = (result.value.data?.route_stops || []).map(stop =>
+          this.normalizeRouteStop(route, routeSeq, stop)
+        );
+        if (routeSeq === 1) {
+          routeStops.outbound.push(...stops);
+        } else {
+          routeStops.inbound.push(...stops);
+        }
+      });
+
+      return routeStops;
+    } catch (error) {
+      console.error(
+        `\nError collecting stops for route ${route.route}:`,
+        error.message
+      );
+      return { route: route.route, inbound: [], outbound: [], error: true };
+    }
+  }
+
+  async collectStopDetails(stopId) {
+    try {
+      const data = await this.apiClient.fetchJson(
+        `${config.api.gmb.stop}/${stopId}`
+      );
+      return { stopId, data: data.data || null, error: false };
+    } catch (error) {
+      console.error(
+        `\nError collecting details for stop ${stopId}:`,
+        error.message
+      );
+      return { stopId, data: null, error: true };
+    }
+  }
+
+  async collectAllRouteStops(routes) {
+    const total = routes.length;
+    const spinner = await this.getSpinner();
+    spinner.start(`Collecting route stops (0/${total})`);
+    const progress = new CIRunProgress(total, 'Route Collection', 30000);
+
+    let completed = 0;
+    const results = await this.apiClient.processWithConcurrency(
+      routes,
+      async route => {
+        const result = await this.collectWithCheckpoint(
+          CHECKPOINT_KINDS.ROUTE_STOPS,
+          route.route,
+          () => this.collectRouteStops(route)
+        );
+        completed++;
+        spinner.text = `Collecting route stops (${completed}/${total})`;
+        progress.track(completed, 'Collecting route stops...');
+        return result;
+      }
+    );
+
+    spinner.succeed(`Collected route stops for ${total} routes`);
+    return results;
+  }
+}
+
+/**
+ * Data collector for NLB (New Lantao Bus) routes and stops
+ * NLB has no directions: every route number has one or more variants, each
+ * with its own routeId (e.g. route 1 is routeId 1 to Tai O and 2 to Mui Wo).
+ * The per-variant stop list already carries stop details, so stop details are
+ * recorded while collecting route stops instead of being fetched per stop
+ */
+class NLBDataCollector extends BaseDataCollector {
+  constructor(requestsPerSecond = 3, concurrentRequests = 2) {
+    const apiClient = new NLBApiClient(requestsPerSecond, concurrentRequests);
+    super(apiClient, concurrentRequests);
+    this.stopDetails = {};
+  }
+
+  /**
+   * Split an NLB route name ("Mui Wo Ferry Pier > Tai O") into origin and destination
+   * @param {string} [routeName] - Route name
+   * @returns {[string|null, string|null]} Origin and destination
+   */
+  splitRouteName(routeName) {
+    const [orig, ...rest] = (routeName || '').split('>');
+    return [orig.trim() || null, rest.join('>').trim() || null];
+  }
+
+  async collectRoutes() {
+    const spinner = await this.getSpinner();
+    spinner.start('Collecting NLB routes...');
+    const data = await this.apiClient.fetchJson(
+      `${config.api.nlb.route}?action=list`
+    );
+
+    const routes = (data.routes || []).map(routeData => {
+      const [orig_tc, dest_tc] = this.splitRouteName(routeData.routeName_c);
+      const [orig_en, dest_en] = this.splitRouteName(routeData.routeName_e);
+      const [orig_sc, dest_sc] = this.splitRouteName(routeData.routeName_s);
+      return {
+        ...routeData,
+        route: routeData.routeNo,
+        orig_tc,
+        orig_en,
+        orig_sc,
+        dest_tc,
+        dest_en,
+        dest_sc,
+      };
+    });
+
+    spinner.succeed(`Found ${routes.length} route variants`);
+    return routes;
+  }
+
+  async collectRouteStops(route) {
+    try {
+      const data = await this.apiClient.fetchJson(
+        `${config.api.nlb.stop}?action=list&routeId=${route.routeId}`
+      );
+
+      const stops = (data.stops || []).map((stopData, index) => {
+        const stop = {
+          stop: String(stopData.stopId),
+          name_tc: stopData.stopName_c,
+          name_en: stopData.stopName_e,
+          name_sc: stopData.stopName_s,
+          lat: stopData.latitude ? String(stopData.latitude) : null,
+          long: stopData.longitude ? String(stopData.longitude) : null,
+        };
+        this.stopDetails[stop.stop] = stop;
+
+        return {
+          route: route.route,
+          routeId: String(route.routeId),
+          seq: index + 1,
+          stop: stop.stop,
+        };
+      });
+
+      return {
+        route: route.route,
+        routeId: String(route.routeId),
+        stops,
+        error: false,
+      };
+    } catch (error) {
+      console.error(
+        `\nError collecting stops for route variant ${route.routeId}:`,
+        error.message
+      );
+      return {
+        route: route.route,
+        routeId: String(route.routeId),
+        stops: [],
+        error: true,
+      };
+    }
+  }
+
+  /**
+   * Collect the stops of a route variant through the checkpoint
+   * The stop details recorded while collecting are checkpointed with the
+   * route stops, and restored with them on resume.
+   * @param {Object} route - Route variant
+   * @returns {Promise<Object>} Route stops result
+   */
+  async collectCheckpointedRouteStops(route) {
+    const { stopDetails, ...result } = await this.collectWithCheckpoint(
+      CHECKPOINT_KINDS.ROUTE_STOPS,
+      String(route.routeId),
+      async () => {
+        const routeStops = await this.collectRouteStops(route);
+        return {
+          ...routeStops,
+          stopDetails: routeStops.stops.map(
+            stop => this.stopDetails[stop.stop]
+          ),
+        };
+      }
+    );
+    stopDetails.forEach(stop => {
+      this.stopDetails[stop.stop] = stop;
+    });
+    return result;
+  }
+
+  async collectAllRouteStops(routes) {
+    const total = routes.length;
+    const spinner = await this.getSpinner();
+    spinner.start(`Collecting route stops (0/${total})`);
+    const progress = new CIRunProgress(total, 'Route Collection', 30000);
+
+    let completed = 0;
+    const results = await this.apiClient.processWithConcurrency(
+      routes,
+      async route => {
+        const result = await this.collectCheckpointedRouteStops(route);
+        completed++;
+        spinner.text = `Collecting route stops (${completed}/${total})`;
+        progress.track(completed, 'Collecting route stops...');
+        return result;
+      }
+    );
+
+    spinner.succeed(`Collected route stops for ${total} route variants`);
+    return results;
+  }
+
+  async collectStopDetails(stopId) {
+    const data = this.stopDetails[stopId] || null;
+    return { stopId, data, error: !data };
+  }
+}
+
+/**
+ * Base data collector for the MTR open data CSV datasets
+ * Like the KMB bulk endpoints, a single route-stop CSV carries every route,
+ * stop sequence and stop detail, so it is downloaded once and reused
+ */
+class MTRDataCollector extends BaseDataCollector {
+  /**
+   * Create a new MTR data collector
+   * @param {number} [requestsPerSecond=3] - API requests per second
+   * @param {number} [concurrentRequests=2] - Concurrent requests limit
+   * @param {string} routeStopUrl - URL of the route-stop CSV dataset
+   */
+  constructor(requestsPerSecond = 3, concurrentRequests = 2, routeStopUrl) {
+    const apiClient = new MTRApiClient(requestsPerSecond, concurrentRequests);
+    super(apiClient, concurrentRequests);
+    this.routeStopUrl = routeStopUrl;
+    this.routeStopRows = null;
+  }
+
+  /**
+   * Human readable dataset name for progress messages
+   * @returns {string}
+   */
+  get datasetName() {
+    return 'MTR';
+  }
+
+  /**
+   * Normalise a CSV record to a KMB-style route stop
+   * Must be implemented by subclasses
+   * @abstract
+   * @param {Object.<string, string>} record - CSV record
+   * @returns {Object|null} Route stop with route, bound, seq, stop, names and coordinates, or null to skip
+   */
+  normalizeRecord(record) {
+    throw new Error('normalizeRecord must be implemented by subclass');
+  }
+
+  /**
+   * Extract stop details from a normalised route stop
+   * @param {Object} routeStop - Normalised route stop
+   * @returns {Object} Stop details
+   */
+  toStopData(routeStop) {
+    return {
+      stop: routeStop.stop,
+      name_en: routeStop.name_en,
+      name_tc: routeStop.name_tc,
+      name_sc: routeStop.name_sc,
+      lat: routeStop.lat,
+      long: routeStop.long,
+    };
+  }
+
+  /**
+   * Download and normalise the route-stop CSV (once per collector)
+   * @returns {Promise<Object[]>} Normalised route stops
+   */
+  async collectRouteStopRows() {
+    if (!this.routeStopRows) {
+      const spinner = await this.getSpinner();
+      spinner.start(`Downloading ${this.datasetName} route-stop dataset...`);
+      const text = await this.apiClient.fetchText(this.routeStopUrl);
+      this.routeStopRows = CsvParser.parse(text)
+        .map(record => this.normalizeRecord(record))
+        .filter(Boolean);
+      spinner.succeed(
+        `Parsed ${this.routeStopRows.length} ${this.datasetName} route stops`
+      );
+    }
+    return this.routeStopRows;
+  }
+
+  /**
+   * Collect route metadata; the CSV has no route list, so each route and
+   * bound is derived from its first and last stop
+   * @returns {Promise<Object[]>} Routes with route, bound and origin/destination names
+   */
+  async collectRoutes() {
+    const rows = await this.collectRouteStopRows();
+    const variants = new Map();
+
+    rows.forEach(row => {
+      const key = `${row.route}_${row.bound}`;
+      if (!variants.has(key)) {
+        variants.set(key, []);
+      }
+      variants.get(key).push(row);
+    });
+
+    const routes = [];
+    for (const stops of variants.values()) {
+      stops.sort((a, b) => parseInt(a.seq) - parseInt(b.seq));
+      const first = stops[0];
+      const last = stops[stops.length - 1];
+      routes.push({
+        route: first.route,
+        bound: first.bound,
+        orig_tc: first.name_tc,
+        orig_en: first.name_en,
+        orig_sc: first.name_sc,
+        dest_tc: last.name_tc,
+        dest_en: last.name_en,
+        dest_sc: last.name_sc,
+      });
+    }
+
+    console.log(`Found ${routes.length} ${this.datasetName} route directions`);
+    return routes;
+  }
+
+  async collectAllRouteStopsData() {
+    return this.collectRouteStopRows();
+  }
+
+  processRouteStopsData(allRouteStops, routes) {
+    const routeStops = {};
+    routes.forEach(r => {
+      routeStops[r.route] = { inbound: [], outbound: [] };
+    });
+
+    allRouteStops.forEach(stop => {
+      const stops = routeStops[stop.route];
+      if (!stops) return;
+      if (stop.bound === 'I') {
+        stops.inbound.push(stop);
+      } else if (stop.bound === 'O') {
+        stops.outbound.push(stop);
+      }
+    });
+
+    return routeStops;
+  }
+
+  async collectStopDetailsForStops() {
+    const rows = await this.collectRouteStopRows();
+    const stops = new Map();
+    rows.forEach(row => {
+      if (!stops.has(row.stop)) {
+        stops.set(row.stop, this.toStopData(row));
+      }
+    });
+
+    return Array.from(stops, ([stopId, data]) => ({
+      stopId,
+      data,
+      error: false,
+    }));
+  }
+
+  async collectStopDetails(stopId) {
+    const rows = await this.collectRouteStopRows();
+    const row = rows.find(r => r.stop === stopId);
+    return row
+      ? { stopId, data: this.toStopData(row), error: false }
+      : { stopId, data: null, error: true };
+  }
+}
+
+/**
+ * Data collector for MTR Bus (including feeder bus) routes and stops
+ */
+class MTRBusDataCollector extends MTRDataCollector {
+  constructor(requestsPerSecond = 3, concurrentRequests = 2) {
+    super(requestsPerSecond, concurrentRequests, config.api.mtrbus.routeStop);
+  }
+
+  get datasetName() {
+    return 'MTR Bus';
+  }
+
+  normalizeRecord(record) {
+    if (!record.ROUTE_ID || !record.STATION_ID) {
+      return null;
+    }
+    // The dataset has no Simplified Chinese names
+    return {
+      route: record.ROUTE_ID,
+      bound: record.DIRECTION === 'I' ? 'I' : 'O',
+      seq: String(parseInt(record.STATION_SEQNO)),
+      stop: record.STATION_ID,
+      name_tc: record.STATION_NAME_CHI,
+      name_en: record.STATION_NAME_ENG,
+      name_sc: null,
+      lat: record.STATION_LATITUDE || null,
+      long: record.STATION_LONGITUDE || null,
+    };
+  }
+}
+
+/**
+ * Data collector for Light Rail routes and stops
+ */
+class LRTDataCollector extends MTRDataCollector {
+  constructor(requestsPerSecond = 3, concurrentRequests = 2) {
+    super(requestsPerSecond, concurrentRequests, config.api.lrt.routeStop);
+  }
+
+  get datasetName() {
+    return 'Light Rail';
+  }
+
+  normalizeRecord(record) {
+    if (!record['Line Code'] || !record['Stop ID']) {
+      return null;
+    }
+    // Direction 1 is outbound and 2 inbound; the dataset has no coordinates
+    // and no Simplified Chinese names
+    return {
+      route: record['Line Code'],
+      bound: record.Direction === '2' ? 'I' : 'O',
+      seq: String(parseInt(record.Sequence)),
+      stop: record['Stop ID'],
+      stop_code: record['Stop Code'],
+      name_tc: record['Chinese Name'],
+      name_en: record['English Name'],
+      name_sc: null,
+      lat: null,
+      long: null,
+    };
+  }
+
+  toStopData(routeStop) {
+    return { ...super.toStopData(routeStop), stop_code: routeStop.stop_code };
+  }
+}
+
+module.exports = {
+  CTBDataCollector,
+  KMBDataCollector,
+  GMBDataCollector,
+  NLBDataCollector,
+  MTRBusDataCollector,
+  LRTDataCollector,
+};
@@ -29,7 +29,40 @@ class CTBDataProcessor extends BaseDataProcessor {
     return { routeStops, stopRoutesMap };
   }
 
-  static createEnrichedRouteData(route, routeStops, successfulStops) {
+  /**
+   * Look up destinations from CTB route metadata, which names the outbound
+   * origin and destination; inbound trips run the other way
+   * @param {Object[]} routesMetadata - Route metadata from the API
+   * @returns {function(string, string): ?{dest_en: string, dest_tc: string, dest_sc: string}} Lookup by route and bound
+   */
+  static createDestinationLookup(routesMetadata) {
+    const routeMetaMap = {};
+    routesMetadata.forEach(routeMeta => {
+      routeMetaMap[routeMeta.route] = routeMeta;
+    });
+    return (route, bound) => {
+      const routeMeta = routeMetaMap[route];
+      if (!routeMeta) {
+        return null;
+      }
+      const end = bound === 'I' ? 'orig' : 'dest';
+      return {
+        dest_en: routeMeta[`${end}_en`],
+        dest_tc: routeMeta[`${end}_tc`],
+        dest_sc: routeMeta[`${end}_sc`],
+      };
+    };
+  }
+
+  /**
+   * Create enriched route data with stop details, ordered by direction and
+   * sequence
+   * @param {string} route - Route number
+   * @param {Object.<string, {inbound: Object[], outbound: Object[]}>} routeStops - Route stops data
+   * @param {(Map<string, Object>|Array<{stopId: string, data: Object}>)} stopLookup - Stop lookup from createStopLookup (or successful stop details)
+   * @returns {import('./base-data-processor').EnrichedRouteData} Enriched route data
+   */
+  static createEnrichedRouteData(route, routeStops, stopLookup) {
     const stops = routeStops[route];
     const enrichedRouteData = {
       route: route,
@@ -47,38 +80,138 @@ class CTBDataProcessor extends BaseDataProcessor {
       return a.seq - b.seq;
     });
 
-    // Process all stops
-    for (const stop of allStops) {
-      // Get stop details if we have them
-      const stopDetails = successfulStops.find(s => s.stopId === stop.stop);
-      if (stopDetails && stopDetails.data) {
-        const data = stopDetails.data;
-        enrichedRouteData.stops.push({
-          ...stop,
-          name_tc: data.name_tc,
-          name_en: data.name_en,
-          name_sc: data.name_sc,
-          lat: data.lat,
-          long: data.long,
-        });
-      } else {
-        // If we don't have details, just use the basic stop info
-        enrichedRouteData.stops.push(stop);
-      }
-    }
+    // Add stop names and coordinates; stops without details are kept as is
+    const lookup = this.toStopLookup(stopLookup);
+    enrichedRouteData.stops = allStops.map(stop =>
+      this.enrichRouteStop(stop, lookup)
+    );
 
     return enrichedRouteData;
   }
 }
 
+/**
+ * @typedef {Object} KMBRouteVariant
+ * @property {string} route - Route number
+ * @property {string} bound - `O` (outbound) or `I` (inbound)
+ * @property {string} service_type - Service type (`1` is the regular service, higher numbers are special departures)
+ * @property {string|null} orig_en - Origin (English)
+ * @property {string|null} orig_tc - Origin (Traditional Chinese)
+ * @property {string|null} orig_sc - Origin (Simplified Chinese)
+ * @property {string|null} dest_en - Destination (English)
+ * @property {string|null} dest_tc - Destination (Traditional Chinese)
+ * @property {string|null} dest_sc - Destination (Simplified Chinese)
+ */
+
 /**
  * Data processor for organizing and enriching KMB data
  */
 class KMBDataProcessor extends BaseDataProcessor {
-  static createEnrichedRouteData(route, routeStops, successfulStops) {
+  /**
+   * Describe a route variant with its origin and destination
+   * @param {string} route - Route number
+   * @param {string} bound - Bound
+   * @param {string} serviceType - Service type
+   * @param {Object.<string, Object>} routeMetaMap - Route metadata keyed by route, bound and service type
+   * @returns {Omit<KMBRouteVariant, 'route'>} Route variant without the route number
+   */
+  static describeVariant(route, bound, serviceType, routeMetaMap) {
+    const routeMeta = routeMetaMap[`${route}_${bound}_${serviceType}`] || {};
+    return {
+      bound,
+      service_type: serviceType,
+      orig_en: routeMeta.orig_en ?? null,
+      orig_tc: routeMeta.orig_tc ?? null,
+      orig_sc: routeMeta.orig_sc ?? null,
+      dest_en: routeMeta.dest_en ?? null,
+      dest_tc: routeMeta.dest_tc ?? null,
+      dest_sc: routeMeta.dest_sc ?? null,
+    };
+  }
+
+  /**
+   * Key route metadata from the API by route, bound and service type
+   * @param {Object[]} routesMetadata - Route metadata from the API
+   * @returns {Object.<string, Object>} Route metadata map
+   */
+  static buildRouteMetaMap(routesMetadata) {
+    const routeMetaMap = {};
+    routesMetadata.forEach(routeMeta => {
+      routeMetaMap[
+        `${routeMeta.route}_${routeMeta.bound}_${routeMeta.service_type}`
+      ] = routeMeta;
+    });
+    return routeMetaMap;
+  }
+
+  /**
+   * Look up destinations from KMB route metadata, which has an entry per
+   * route, bound and service type
+   * @param {Object[]} routesMetadata - Route metadata from the API
+   * @returns {function(string, string, (string|null)): ?Object} Lookup by route, bound and service type
+   */
+  static createDestinationLookup(routesMetadata) {
+    const routeMetaMap = this.buildRouteMetaMap(routesMetadata);
+    return (route, bound, serviceType) =>
+      routeMetaMap[`${route}_${bound}_${serviceType || '1'}`] || null;
+  }
+
+  /**
+   * List the route variants serving each stop
+   * @param {Object.<string, {inbound: Object[], outbound: Object[]}>} routeStops - Route stops data
+   * @param {Object[]} [routesMetadata=[]] - Route metadata from the API (origin/destination names)
+   * @returns {Object.<string, KMBRouteVariant[]>} Map of stop IDs to route variants
+   */
+  static buildStopRouteVariants(routeStops, routesMetadata = []) {
+    const routeMetaMap = this.buildRouteMetaMap(routesMetadata);
+    const stopVariants = {};
+    for (const [route, stops] of Object.entries(routeStops)) {
+      for (const stop of [...stops.inbound, ...stops.outbound]) {
+        const bound = stop.bound || '';
+        const serviceType = String(stop.service_type || '1');
+        const variants = (stopVariants[stop.stop] ||= new Map());
+        const key = `${route}_${bound}_${serviceType}`;
+        if (!variants.has(key)) {
+          variants.set(key, {
+            route,
+            ...this.describeVariant(route, bound, serviceType, routeMetaMap),
+          });
+        }
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(stopVariants).map(([stopId, variants]) => [
+        stopId,
+        Array.from(variants.values()),
+      ])
+    );
+  }
+
+  /**
+   * Create enriched route data with stop details
+   * Stops are ordered by bound, service type and sequence, so each variant's
+   * stops are contiguous. With route metadata, a `variants` list describes
+   * every bound and service type with its origin, destination and stop IDs.
+   * @param {string} route - Route number
+   * @param {Object.<string, {inbound: Object[], outbound: Object[]}>} routeStops - Route stops data
+   * @param {(Map<string, Object>|Array<{stopId: string, data: Object}>)} stopLookup - Stop lookup from createStopLookup (or successful stop details)
+   * @param {Object[]} [routesMetadata] - Route metadata from the API (origin/destination names)
+   * @returns {import('./base-data-processor').EnrichedRouteData} Enriched route data
+   */
+  static createEnrichedRouteData(
+    route,
+    routeStops,
+    stopLookup,
+    routesMetadata
+  ) {
     const stops = routeStops[route];
     if (!stops) {
-      return { route: route, stops: [] };
+      return {
+        route: route,
+        stops: [],
+        ...(routesMetadata && { variants: [] }),
+      };
     }
 
     const enrichedRouteData = {
@@ -89,7 +222,7 @@ class KMBDataProcessor extends BaseDataProcessor {
     // Combine inbound and outbound stops
     const allStops = [...stops.inbound, ...stops.outbound];
 
-    // Sort stops by direction and sequence for KMB
+    // Sort stops by direction, service type and sequence for KMB
     allStops.sort((a, b) => {
       // First sort by bound/direction
       const aDir = a.bound || '';
@@ -97,34 +230,188 @@ class KMBDataProcessor extends BaseDataProcessor {
       if (aDir !== bDir) {
         return aDir.localeCompare(bDir);
       }
+      // Then by service type, keeping special departures apart
+      const aType = parseInt(a.service_type) || 1;
+      const bType = parseInt(b.service_type) || 1;
+      if (aType !== bType) {
+        return aType - bType;
+      }
       // Then sort by sequence
       const aSeq = parseInt(a.seq) || 0;
       const bSeq = parseInt(b.seq) || 0;
       return aSeq - bSeq;
     });
 
-    // Process all stops
-    for (const stop of allStops) {
-      // Get stop details if we have them
-      const stopDetails = successfulStops.find(s => s.stopId === stop.stop);
-      if (stopDetails && stopDetails.data) {
-        const data = stopDetails.data;
-        enrichedRouteData.stops.push({
-          ...stop,
-          name_tc: data.name_tc,
-          name_en: data.name_en,
-          name_sc: data.name_sc,
-          lat: data.lat,
-          long: data.long,
+    // Add stop names and coordinates; stops without details are kept as is
+    const lookup = this.toStopLookup(stopLookup);
+    enrichedRouteData.stops = allStops.map(stop =>
+      this.enrichRouteStop(stop, lookup)
+    );
+
+    if (routesMetadata) {
+      const routeMetaMap = this.buildRouteMetaMap(routesMetadata);
+      enrichedRouteData.variants = this.groupRouteVariants(
+        enrichedRouteData
+      ).map(({ direction, serviceType, stops: variantStops }) => ({
+        ...this.describeVariant(
+          route,
+          direction,
+          serviceType || '1',
+          routeMetaMap
+        ),
+        stops: variantStops.map(stop => stop.stop),
+      }));
+    }
+
+    return enrichedRouteData;
+  }
+}
+
+/**
+ * Data processor for organizing and enriching GMB data
+ * GMB route stops are normalised to the CTB shape by the collector, so route
+ * grouping and enrichment are shared with CTB
+ */
+class GMBDataProcessor extends CTBDataProcessor {
+  static processRouteStopResults(routeStopResults) {
+    const { routeStops, stopRoutesMap } = super.processRouteStopResults(
+      routeStopResults
+    );
+
+    // GMB stop details only carry coordinates, names come from route stops
+    const stopNamesMap = {};
+    Object.values(routeStops).forEach(stops => {
+      [...stops.inbound, ...stops.outbound].forEach(stop => {
+        if (!stopNamesMap[stop.stop]) {
+          stopNamesMap[stop.stop] = {
+            name_tc: stop.name_tc,
+            name_en: stop.name_en,
+            name_sc: stop.name_sc,
+          };
+        }
+      });
+    });
+
+    return { routeStops, stopRoutesMap, stopNamesMap };
+  }
+
+  /**
+   * Convert raw GMB stop details into the common stop shape
+   * @param {Array<{stopId: string, data: Object}>} successfulStops - Raw stop details
+   * @param {Object.<string, {name_tc: string, name_en: string, name_sc: string}>} stopNamesMap - Stop names by stop ID
+   * @returns {Array<{stopId: string, data: Object}>} Normalised stop details
+   */
+  static normalizeStopDetails(successfulStops, stopNamesMap) {
+    return successfulStops.map(({ stopId, data }) => {
+      const coordinates = data.coordinates?.wgs84 || {};
+      return {
+        stopId,
+        data: {
+          stop: stopId,
+          ...stopNamesMap[stopId],
+          lat:
+            coordinates.latitude !== undefined
+              ? String(coordinates.latitude)
+              : null,
+          long:
+            coordinates.longitude !== undefined
+              ? String(coordinates.longitude)
+              : null,
+        },
+      };
+    });
+  }
+}
+
+/**
+ * Data processor for organizing and enriching NLB data
+ * NLB route stops are grouped by route number, then by route variant (routeId)
+ */
+class NLBDataProcessor extends BaseDataProcessor {
+  static processRouteStopResults(routeStopResults) {
+    const routeStops = {};
+    const stopRoutesMap = {};
+
+    routeStopResults
+      .filter(result => result.status === 'fulfilled' && !result.value.error)
+      .map(result => result.value)
+      .forEach(result => {
+        if (!routeStops[result.route]) {
+          routeStops[result.route] = {};
+        }
+        routeStops[result.route][result.routeId] = result.stops;
+
+        result.stops.forEach(stop => {
+          if (!stopRoutesMap[stop.stop]) {
+            stopRoutesMap[stop.stop] = new Set();
+          }
+          stopRoutesMap[stop.stop].add(result.route);
         });
-      } else {
-        // If we don't have details, just use the basic stop info
-        enrichedRouteData.stops.push(stop);
+      });
+
+    return { routeStops, stopRoutesMap };
+  }
+
+  /**
+   * Create enriched route data covering every variant of a route number
+   * @param {string} route - Route number
+   * @param {Object.<string, Object.<string, Object[]>>} routeStops - Route stops by route number and routeId
+   * @param {(Map<string, Object>|Array<{stopId: string, data: Object}>)} stopLookup - Stop lookup from createStopLookup (or successful stop details)
+   * @returns {import('./base-data-processor').EnrichedRouteData} Enriched route data
+   */
+  static createEnrichedRouteData(route, routeStops, stopLookup) {
+    const variants = routeStops[route] || {};
+    const enrichedRouteData = {
+      route: route,
+      stops: [],
+    };
+
+    // Sort stops by variant and sequence
+    const allStops = Object.values(variants).flat();
+    allStops.sort((a, b) => {
+      if (a.routeId !== b.routeId) {
+        return parseInt(a.routeId) - parseInt(b.routeId);
       }
-    }
+      return a.seq - b.seq;
+    });
+
+    const lookup = this.toStopLookup(stopLookup);
+    enrichedRouteData.stops = allStops.map(stop =>
+      this.enrichRouteStop(stop, lookup)
+    );
 
     return enrichedRouteData;
   }
+
+  /**
+   * Split enriched route data into its variants (routeId), each with stops
+   * in sequence order
+   * NLB has no bound, so the routeId is reported as the service type.
+   * @param {import('./base-data-processor').EnrichedRouteData} routeData - Enriched route data
+   * @returns {Array<{direction: string, serviceType: (string|null), stops: Object[]}>} Route variants
+   */
+  static groupRouteVariants(routeData) {
+    return super.groupRouteVariants({
+      ...routeData,
+      stops: routeData.stops.map(stop => ({
+        ...stop,
+        service_type: stop.routeId,
+      })),
+    });
+  }
 }
 
-module.exports = { CTBDataProcessor, KMBDataProcessor };
+/**
+ * Data processor for organizing and enriching MTR Bus and Light Rail data
+ * MTR route stops are normalised to the KMB shape (bound and seq) by the
+ * collector, so enrichment is shared with KMB
+ */
+class MTRDataProcessor extends KMBDataProcessor {}
+
+module.exports = {
+  CTBDataProcessor,
+  KMBDataProcessor,
+  GMBDataProcessor,
+  NLBDataProcessor,
+  MTRDataProcessor,
+};
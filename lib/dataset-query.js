@@ -0,0 +1,238 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { BaseFileManager } = require('./base-file-manager');
+const { OperatorRegistry } = require('./operator-registry');
+const { GeoUtils, SpatialGrid } = require('./geo');
+const { SearchIndexProcessor } = require('./search-index');
+const { createSearch } = require('./search-query');
+const { Result } = require('./result');
+const { FileSystemError } = require('./errors');
+const config = require('../config/default');
+
+// Grid cell size in metres; nearby stop queries are usually a few hundred
+const GRID_CELL_SIZE = 250;
+
+/**
+ * @typedef {Object} DatasetQueryOptions
+ * @property {Object.<string, string>} [operatorDirs] - Output base directory per operator (defaults to every registered operator's config.output dir)
+ */
+
+/**
+ * @typedef {Object} LoadedDataset
+ * @property {Object.<string, Object.<string, import('./base-data-processor').EnrichedStopData>>} operatorStops - allstops.json data keyed by operator
+ * @property {SpatialGrid<{operator: string, stopId: string}>} grid - Stops with coordinates
+ * @property {function(string, Object=): import('./search-query').SearchResult[]} search - Stop and route search
+ */
+
+/**
+ * @typedef {import('./base-data-processor').EnrichedStopData & {operator: string}} QueriedStop
+ */
+
+/**
+ * Answers nearby stop, stop search and route queries from the files saved
+ * by the operators' file managers
+ *
+ * The files are read on the first query and again whenever an operator's
+ * allstops.json or allroutes.json changes, so a running server picks up a
+ * new collection run.
+ * @class
+ */
+class DatasetQuery {
+  /**
+   * Create a new dataset query
+   * @param {DatasetQueryOptions} [options={}] - Query configuration
+   */
+  constructor(options = {}) {
+    const operatorDirs =
+      options.operatorDirs ||
+      Object.fromEntries(
+        OperatorRegistry.names().map(name => [
+          name,
+          config.output[name].baseDir,
+        ])
+      );
+    this.fileManagers = Object.fromEntries(
+      Object.entries(operatorDirs).map(([name, baseDir]) => [
+        name,
+        new BaseFileManager(baseDir),
+      ])
+    );
+    this.cache = null;
+  }
+
+  /**
+   * Whether an operator was loaded
+   * @param {string} operator - Operator code
+   * @returns {boolean} True for a configured operator
+   */
+  hasOperator(operator) {
+    return Object.hasOwn(this.fileManagers, operator);
+  }
+
+  /**
+   * Modification times of every operator's allstops.json and allroutes.json
+   * @private
+   * @returns {Promise<string>} Signature that changes whenever a file does
+   */
+  async _signature() {
+    const times = [];
+    for (const fileManager of Object.values(this.fileManagers)) {
+      for (const filePath of [
+        path.join(fileManager.stopsDir, 'allstops.json'),
+        path.join(fileManager.routesDir, 'allroutes.json'),
+      ]) {
+        try {
+          times.push((await fs.stat(filePath)).mtimeMs);
+        } catch (error) {
+          times.push(error.code);
+        }
+      }
+    }
+    return times.join(',');
+  }
+
+  /**
+   * Read the saved files and build the lookup structures
+   * @private
+   * @returns {Promise<Result<LoadedDataset>>} Result with loaded dataset
+   */
+  async _build() {
+    const operatorStops = {};
+    const operatorRoutes = {};
+    for (const [name, fileManager] of Object.entries(this.fileManagers)) {
+      const stopsResult = await fileManager.readAllStops();
+      if (stopsResult.isFailure()) {
+        console.warn(`Skipping ${name}: ${stopsResult.getError().message}`);
+        continue;
+      }
+      operatorStops[name] = stopsResult.unwrap();
+      const routesResult = await fileManager.readAllRoutes();
+      if (routesResult.isSuccess()) {
+        operatorRoutes[name] = routesResult.unwrap();
+      }
+    }
+
+    const operators = Object.keys(operatorStops);
+    if (operators.length === 0) {
+      return Result.failure(
+        new FileSystemError('No collected stop data found', {
+          operatorDirs: Object.fromEntries(
+            Object.entries(this.fileManagers).map(([name, fileManager]) => [
+              name,
+              fileManager.baseDir,
+            ])
+          ),
+        })
+      );
+    }
+
+    const grid = new SpatialGrid(GRID_CELL_SIZE);
+    for (const [operator, allStops] of Object.entries(operatorStops)) {
+      for (const [stopId, stop] of Object.entries(allStops)) {
+        const coordinates = GeoUtils.getCoordinates(stop);
+        if (coordinates) {
+          grid.insert({ operator, stopId }, coordinates.lat, coordinates.long);
+        }
+      }
+    }
+    const search = createSearch(
+      SearchIndexProcessor.buildIndex(operatorStops, operatorRoutes)
+    );
+
+    console.log(`Loaded collected data of ${operators.join(', ')}`);
+    return Result.success({ operatorStops, grid, search });
+  }
+
+  /**
+   * Load the saved files, reusing the last load while they are unchanged
+   * @returns {Promise<Result<LoadedDataset>>} Result with loaded dataset
+   */
+  async load() {
+    const signature = await this._signature();
+    if (!this.cache || this.cache.signature !== signature) {
+      // Concurrent queries share one load
+      this.cache = { signature, promise: this._build() };
+    }
+    return this.cache.promise;
+  }
+
+  /**
+   * Stops within a radius, nearest first
+   * @param {Object} query - Query
+   * @param {number} query.lat - Latitude
+   * @param {number} query.long - Longitude
+   * @param {number} query.radius - Radius in metres
+   * @param {string} [query.operator] - Only stops of this operator
+   * @param {number} query.limit - Maximum number of stops
+   * @returns {Promise<Result<Array<QueriedStop & {distance_m: number}>>>} Result with stops
+   */
+  async nearStops({ lat, long, radius, operator, limit }) {
+    const loadResult = await this.load();
+    if (loadResult.isFailure()) {
+      return loadResult;
+    }
+    const { operatorStops, grid } = loadResult.unwrap();
+    return Result.success(
+      grid
+        .queryRadius(lat, long, radius)
+        .filter(({ item }) => !operator || item.operator === operator)
+        .slice(0, limit)
+        .map(({ item, distance }) => ({
+          operator: item.operator,
+          ...operatorStops[item.operator][item.stopId],
+          distance_m: Math.round(distance * 10) / 10,
+        }))
+    );
+  }
+
+  /**
+   * Stops whose names match a query in English, Traditional or Simplified
+   * Chinese, best match first
+   * @param {Object} query - Query
+   * @param {string} query.text - Search text
+   * @param {string} [query.operator] - Only stops of this operator
+   * @param {number} query.limit - Maximum number of stops
+   * @returns {Promise<Result<Array<QueriedStop & {score: number}>>>} Result with stops
+   */
+  async searchStops({ text, operator, limit }) {
+    const loadResult = await this.load();
+    if (loadResult.isFailure()) {
+      return loadResult;
+    }
+    const { operatorStops, search } = loadResult.unwrap();
+    return Result.success(
+      search(text, { type: 'stop', operator, limit }).map(
+        ({ document, score }) => ({
+          operator: document.operator,
+          ...operatorStops[document.operator][document.id],
+          score,
+        })
+      )
+    );
+  }
+
+  /**
+   * Read the saved file of one route
+   * @param {string} operator - Operator code
+   * @param {string} route - Route ID (file name in the operator's routes directory)
+   * @returns {Promise<Result<import('./base-data-processor').EnrichedRouteData>>} Result with route data
+   */
+  async readRoute(operator, route) {
+    const fileManager = this.fileManagers[operator];
+    const relativePath = path.join('routes', `${route}.json`);
+    // Route IDs are plain file names; anything else could leave the directory
+    const isFileName = path.basename(route) === route && !route.startsWith('.');
+    if (!isFileName || !(await fileManager.hasFile(relativePath))) {
+      return Result.failure(
+        new FileSystemError(`Route ${route} of ${operator} not found`, {
+          operator,
+          route,
+          notFound: true,
+        })
+      );
+    }
+    return fileManager.readJson(relativePath);
+  }
+}
+
+module.exports = { DatasetQuery };
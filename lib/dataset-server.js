@@ -0,0 +1,544 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DatasetQuery } = require('./dataset-query');
+const { ETAService } = require('./eta-service');
+const { OperatorRegistry } = require('./operator-registry');
+const { Result } = require('./result');
+const { ValidationError, NetworkError } = require('./errors');
+const config = require('../config/default');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+// Cross-operator outputs published as directories next to the operators'
+const SHARED_OUTPUTS = ['all', 'search', 'joint', 'changes', 'quality'];
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.geojson': 'application/geo+json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.gz': 'application/gzip',
+  '.br': 'application/x-brotli',
+  '.zip': 'application/zip',
+  '.sqlite': 'application/vnd.sqlite3',
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+const DEFAULT_RADIUS = 200;
+const MAX_RADIUS = 5000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * @typedef {Object} DatasetServerOptions
+ * @property {string} [host] - Listen address (defaults to config.server.host)
+ * @property {number} [port] - Listen port, 0 for any free port (defaults to config.server.port)
+ * @property {Object.<string, string>} [directories] - Directory served under each top-level path segment (defaults to every operator's and cross-operator output dir)
+ * @property {Object.<string, string>} [files] - File served at each exact path (defaults to the landing page and the root-level downloads)
+ * @property {import('./dataset-query').DatasetQuery} [query] - Dataset query instance (for DI)
+ * @property {import('./eta-service').ETAService} [eta] - ETA service instance (for DI)
+ */
+
+/**
+ * Directories served like the GitHub Pages site
+ * @returns {Object.<string, string>} Directory per top-level path segment
+ */
+function defaultDirectories() {
+  return {
+    ...Object.fromEntries(
+      [...OperatorRegistry.names(), ...SHARED_OUTPUTS].map(name => [
+        name,
+        config.output[name].baseDir,
+      ])
+    ),
+    schemas: path.join(REPO_ROOT, 'schemas'),
+  };
+}
+
+/**
+ * Files the GitHub Pages site serves at the root
+ * @returns {Object.<string, string>} File per request path
+ */
+function defaultFiles() {
+  const indexPath = path.join(REPO_ROOT, 'index.html');
+  return {
+    '/': indexPath,
+    '/index.html': indexPath,
+    '/search-query.js': path.join(REPO_ROOT, 'lib', 'search-query.js'),
+    '/gtfs.zip': path.join(config.output.gtfs.baseDir, 'gtfs.zip'),
+    '/transport.sqlite': path.join(
+      config.output.sqlite.baseDir,
+      'transport.sqlite'
+    ),
+  };
+}
+
+/**
+ * Local HTTP server for the generated dataset
+ *
+ * Serves the output trees at the same paths as GitHub Pages, plus query
+ * endpoints over the saved files:
+ *
+ * - `GET /stops/near?lat=&lng=&radius=&operator=&limit=`
+ * - `GET /stops/search?q=&operator=&limit=`
+ * - `GET /routes/:operator/:route`
+ * - `GET /eta/:operator/:stop?route=` (real-time, CTB and KMB)
+ * - `GET /eta/cluster/:clusterId` (real-time, every CTB/KMB stop of a
+ *   cross-operator stop cluster)
+ *
+ * Every response allows any origin and carries an ETag, answered with 304
+ * when it matches If-None-Match.
+ * @class
+ */
+class DatasetServer {
+  /**
+   * Create a new dataset server
+   * @param {DatasetServerOptions} [options={}] - Server configuration
+   */
+  constructor(options = {}) {
+    this.host = options.host || config.server.host;
+    this.port = options.port ?? config.server.port;
+    this.directories = options.directories || defaultDirectories();
+    this.files = options.files || defaultFiles();
+    this.query = options.query || new DatasetQuery();
+    this.eta = options.eta || new ETAService();
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Result<{url: string}>>} Result with the server URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, resolve);
+      });
+    } catch (error) {
+      return Result.failure(
+        new NetworkError(`Failed to listen on ${this.host}:${this.port}`, {
+          originalError: error.message,
+        })
+      );
+    }
+    const { port } = this.server.address();
+    return Result.success({ url: `http://${this.host}:${port}` });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Handle one request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    for (const [name, value] of Object.entries(CORS_HEADERS)) {
+      res.setHeader(name, value);
+    }
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', CORS_HEADERS['Access-Control-Allow-Methods']);
+        this._sendError(req, res, 405, `Method ${req.method} not allowed`);
+        return;
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const routeMatch = url.pathname.match(/^\/routes\/([^/]+)\/([^/]+)$/);
+      const etaMatch = url.pathname.match(/^\/eta\/([^/]+)\/([^/]+)$/);
+      if (url.pathname === '/stops/near') {
+        await this._nearStops(req, res, url.searchParams);
+      } else if (url.pathname === '/stops/search') {
+        await this._searchStops(req, res, url.searchParams);
+      } else if (routeMatch) {
+        await this._route(
+          req,
+          res,
+          decodeURIComponent(routeMatch[1]),
+          decodeURIComponent(routeMatch[2])
+        );
+      } else if (etaMatch) {
+        await this._eta(
+          req,
+          res,
+          decodeURIComponent(etaMatch[1]),
+          decodeURIComponent(etaMatch[2]),
+          url.searchParams
+        );
+      } else {
+        await this._serveFile(req, res, url.pathname);
+      }
+    } catch (error) {
+      // URIError: malformed percent-encoding in the path
+      if (error instanceof ValidationError || error instanceof URIError) {
+        this._sendError(req, res, 400, error.message);
+        return;
+      }
+      console.error(`Error handling ${req.method} ${req.url}:`, error);
+      if (!res.headersSent) {
+        this._sendError(req, res, 500, 'Internal server error');
+      } else {
+        res.destroy(error);
+      }
+    }
+  }
+
+  /**
+   * Parse an optional number query parameter
+   * @private
+   * @param {URLSearchParams} params - Query parameters
+   * @param {string} name - Parameter name
+   * @param {{min: number, max: number, defaultValue?: number}} range - Allowed range and default
+   * @returns {number} Parsed value
+   * @throws {ValidationError} If missing without default, not a number or out of range
+   */
+  _numberParam(params, name, { min, max, defaultValue }) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') {
+      if (defaultValue === undefined) {
+        throw new ValidationError(`Query parameter ${name} is required`);
+      }
+      return defaultValue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new ValidationError(
+        `Query parameter ${name} must be a number from ${min} to ${max}`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Parse the optional operator query parameter
+   * @private
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {string|undefined} Operator code
+   * @throws {ValidationError} If the operator is unknown
+   */
+  _operatorParam(params) {
+    const operator = params.get('operator') || undefined;
+    if (operator && !this.query.hasOperator(operator)) {
+      throw new ValidationError(`Unknown operator ${operator}`);
+    }
+    return operator;
+  }
+
+  /**
+   * GET /stops/near
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Promise<void>}
+   */
+  async _nearStops(req, res, params) {
+    // `long` as in the stop files is accepted too
+    if (!params.has('lng') && params.has('long')) {
+      params.set('lng', params.get('long'));
+    }
+    const lat = this._numberParam(params, 'lat', { min: -90, max: 90 });
+    const long = this._numberParam(params, 'lng', { min: -180, max: 180 });
+    const radius = this._numberParam(params, 'radius', {
+      min: 0,
+      max: MAX_RADIUS,
+      defaultValue: DEFAULT_RADIUS,
+    });
+    const limit = this._numberParam(params, 'limit', {
+      min: 1,
+      max: MAX_LIMIT,
+      defaultValue: DEFAULT_LIMIT,
+    });
+    const operator = this._operatorParam(params);
+
+    const result = await this.query.nearStops({
+      lat,
+      long,
+      radius,
+      operator,
+      limit,
+    });
+    if (result.isFailure()) {
+      this._sendError(req, res, 503, result.getError().message);
+      return;
+    }
+    const stops = result.unwrap();
+    this._sendJson(req, res, 200, {
+      lat,
+      lng: long,
+      radius,
+      count: stops.length,
+      stops,
+    });
+  }
+
+  /**
+   * GET /stops/search
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Promise<void>}
+   */
+  async _searchStops(req, res, params) {
+    const text = (params.get('q') || '').trim();
+    if (!text) {
+      throw new ValidationError('Query parameter q is required');
+    }
+    const limit = this._numberParam(params, 'limit', {
+      min: 1,
+      max: MAX_LIMIT,
+      defaultValue: DEFAULT_LIMIT,
+    });
+    const operator = this._operatorParam(params);
+
+    const result = await this.query.searchStops({ text, operator, limit });
+    if (result.isFailure()) {
+      this._sendError(req, res, 503, result.getError().message);
+      return;
+    }
+    const stops = result.unwrap();
+    this._sendJson(req, res, 200, { q: text, count: stops.length, stops });
+  }
+
+  /**
+   * GET /routes/:operator/:route
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} operator - Operator code
+   * @param {string} route - Route ID
+   * @returns {Promise<void>}
+   */
+  async _route(req, res, operator, route) {
+    if (!this.query.hasOperator(operator)) {
+      this._sendError(req, res, 404, `Unknown operator ${operator}`);
+      return;
+    }
+    const result = await this.query.readRoute(operator, route);
+    if (result.isFailure()) {
+      const error = result.getError();
+      const status = error.details.notFound ? 404 : 500;
+      this._sendError(req, res, status, error.message);
+      return;
+    }
+    this._sendJson(req, res, 200, result.unwrap());
+  }
+
+  /**
+   * GET /eta/:operator/:stop and GET /eta/cluster/:clusterId
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} operator - Operator code, or `cluster`
+   * @param {string} id - Stop ID or cluster ID
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Promise<void>}
+   */
+  async _eta(req, res, operator, id, params) {
+    const result =
+      operator === 'cluster'
+        ? await this.eta.getClusterETAs(id)
+        : await this.eta.getStopETAs(operator, id, {
+            route: params.get('route') || undefined,
+          });
+    if (result.isFailure()) {
+      const error = result.getError();
+      let status = 503;
+      if (error instanceof ValidationError) {
+        status = error.details.notFound ? 404 : 400;
+      } else if (error instanceof NetworkError) {
+        status = 502;
+      }
+      this._sendError(req, res, status, error.message);
+      return;
+    }
+    this._sendJson(req, res, 200, result.unwrap());
+  }
+
+  /**
+   * Resolve a request path to a served file
+   * @private
+   * @param {string} pathname - Request path
+   * @returns {string|null} File path, or null outside the served directories
+   */
+  _resolveFile(pathname) {
+    if (Object.hasOwn(this.files, pathname)) {
+      return this.files[pathname];
+    }
+    const [, segment, ...rest] = pathname.split('/').map(decodeURIComponent);
+    if (!Object.hasOwn(this.directories, segment) || rest.length === 0) {
+      return null;
+    }
+    const directory = path.resolve(this.directories[segment]);
+    const filePath = path.resolve(directory, ...rest);
+    return filePath.startsWith(directory + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Serve a static file with an ETag from its size and modification time
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} pathname - Request path
+   * @returns {Promise<void>}
+   */
+  async _serveFile(req, res, pathname) {
+    const filePath = this._resolveFile(pathname);
+    let stats = null;
+    if (filePath) {
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          throw error;
+        }
+      }
+    }
+    if (!stats || !stats.isFile()) {
+      this._sendError(req, res, 404, `${pathname} not found`);
+      return;
+    }
+
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    if (this._isNotModified(req, res, etag)) {
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type':
+        CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Content-Length': stats.size,
+      'Cache-Control': 'no-cache',
+    });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath)
+      .on('error', error => res.destroy(error))
+      .pipe(res);
+  }
+
+  /**
+   * Set the ETag and answer 304 if the client already has it
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} etag - ETag of the response
+   * @returns {boolean} True if the 304 response was sent
+   */
+  _isNotModified(req, res, etag) {
+    res.setHeader('ETag', etag);
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (!ifNoneMatch) {
+      return false;
+    }
+    // Weak comparison, as for GET and HEAD
+    const strip = tag => tag.trim().replace(/^W\//, '');
+    const matches =
+      ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+    if (matches) {
+      res.writeHead(304, { 'Cache-Control': 'no-cache' });
+      res.end();
+    }
+    return matches;
+  }
+
+  /**
+   * Send a JSON body with an ETag from its content
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {any} body - Response body
+   */
+  _sendJson(req, res, status, body) {
+    const content = JSON.stringify(body);
+    if (status === 200) {
+      const hash = crypto
+        .createHash('sha1')
+        .update(content)
+        .digest('base64url');
+      if (this._isNotModified(req, res, `"${hash}"`)) {
+        return;
+      }
+    }
+    res.writeHead(status, {
+      'Content-Type': CONTENT_TYPES['.json'],
+      'Content-Length': Buffer.byteLength(content),
+      'Cache-Control': 'no-cache',
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  }
+
+  /**
+   * Send a JSON error body
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   */
+  _sendError(req, res, status, message) {
+    this._sendJson(req, res, status, { error: message });
+  }
+
+  /**
+   * Start a server with the configured address and stop it on Ctrl+C
+   * @returns {Promise<DatasetServer>} Running server
+   */
+  static async main() {
+    const server = new DatasetServer();
+    const result = await server.start();
+    if (result.isFailure()) {
+      const error = result.getError();
+      console.error(error.message, error.details);
+      process.exit(1);
+      return server;
+    }
+
+    const { url } = result.unwrap();
+    console.log(`Serving the collected dataset at ${url}/`);
+    console.log(`  ${url}/stops/near?lat=22.2819&lng=114.1582&radius=200`);
+    console.log(`  ${url}/stops/search?q=central`);
+    console.log(`  ${url}/routes/kmb/1A`);
+    console.log(`  ${url}/eta/kmb/{stop_id}`);
+    process.once('SIGINT', async () => {
+      await server.stop();
+      process.exit(0);
+    });
+    return server;
+  }
+}
+
+module.exports = { DatasetServer };
@@ -0,0 +1,167 @@
+const { DatasetVersionFileManager } = require('./file-manager');
+const { DatasetVersionProcessor } = require('./dataset-versions');
+const { Result } = require('./result');
+const { ProcessingError, ValidationError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * @typedef {Object} DatasetVersionServiceOptions
+ * @property {boolean} [enabled] - Whether outputs are written to dated snapshots (defaults to config.versioning.enabled)
+ * @property {string} [version] - Snapshot version of this run (defaults to config.versioning.version)
+ * @property {string} [baseDir] - Snapshot directory (defaults to config.versioning.dir)
+ * @property {number} [retention] - Number of snapshots kept (defaults to config.versioning.retention)
+ * @property {import('./dataset-versions').DatasetVersionProcessor} [processor] - Dataset version processor class (for DI)
+ * @property {import('./file-manager').DatasetVersionFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Finalises the dated snapshot written by this run: hashes its files, points
+ * `latest` at it, prunes old snapshots and rewrites manifest.json
+ * @class
+ */
+class DatasetVersionService {
+  /**
+   * Create a new dataset version service
+   * @param {DatasetVersionServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? config.versioning.enabled;
+    this.version = options.version || config.versioning.version;
+    this.baseDir = options.baseDir || config.versioning.dir;
+    this.retention = options.retention || config.versioning.retention;
+    this.processor = options.processor || DatasetVersionProcessor;
+    this.fileManager =
+      options.fileManager || new DatasetVersionFileManager(this.baseDir);
+  }
+
+  /**
+   * Read the manifests of the published snapshots
+   * Snapshots without a readable manifest (unpublished or rejected runs) are
+   * neither counted towards the retention nor listed in manifest.json.
+   * @private
+   * @returns {Promise<import('./dataset-versions').SnapshotManifest[]>} Snapshot manifests
+   */
+  async _readSnapshots() {
+    const snapshots = [];
+    for (const version of await this.fileManager.listVersions()) {
+      const snapshotResult =
+        await this.fileManager.readSnapshotManifest(version);
+      if (snapshotResult.isFailure()) {
+        console.warn(`Snapshot ${version} has no manifest, skipping`);
+        continue;
+      }
+      snapshots.push(snapshotResult.unwrap());
+    }
+    return snapshots;
+  }
+
+  /**
+   * Publish this run's snapshot
+   * Skipped (successfully) when dataset versioning is disabled, and refused
+   * when any operator failed to collect, so `latest` keeps pointing at the
+   * last complete dataset.
+   * @param {import('./collection-runner').CollectionSummary} [summary={}] - Collection run summary
+   * @returns {Promise<Result<{version: string, fileCount: number, removed: string[], versions: string[], skipped: boolean}>>} Result with snapshot summary
+   */
+  async publish(summary = {}) {
+    if (!this.enabled) {
+      console.log('Dataset versioning disabled, skipping snapshot');
+      return Result.success({
+        version: this.version,
+        fileCount: 0,
+        removed: [],
+        versions: [],
+        skipped: true,
+      });
+    }
+
+    if (summary.hasFailedCollections) {
+      const operators = (summary.results || [])
+        .filter(result => !result.success)
+        .map(result => result.name);
+      return Result.failure(
+        new ValidationError(
+          `Snapshot ${this.version} not published: collection failed for ${operators.join(', ')}`,
+          { version: this.version, operators }
+        )
+      );
+    }
+
+    try {
+      const filesResult = await this.fileManager.listSnapshotFiles(
+        this.version
+      );
+      if (filesResult.isFailure()) {
+        return filesResult;
+      }
+      const files = filesResult.unwrap();
+      if (files.length === 0) {
+        return Result.failure(
+          new ValidationError(`Snapshot ${this.version} is empty`, {
+            version: this.version,
+          })
+        );
+      }
+
+      const snapshot = this.processor.createSnapshotManifest(
+        this.version,
+        files
+      );
+      const saveResult = await this.fileManager.saveSnapshotManifest(snapshot);
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+      const linkResult = await this.fileManager.linkLatest(this.version);
+      if (linkResult.isFailure()) {
+        return linkResult;
+      }
+
+      const published = await this._readSnapshots();
+      const removed = this.processor.selectExpired(
+        published.map(entry => entry.version),
+        this.retention
+      );
+      for (const version of removed) {
+        const removeResult = await this.fileManager.removeVersion(version);
+        if (removeResult.isFailure()) {
+          return removeResult;
+        }
+        console.log(`Removed snapshot ${version}`);
+      }
+
+      const snapshots = published.filter(
+        entry => !removed.includes(entry.version)
+      );
+      const manifest = this.processor.createManifest(
+        snapshots,
+        this.baseDir.split(/[\\/]/).join('/'),
+        this.retention
+      );
+      const manifestResult = await this.fileManager.saveManifest(manifest);
+      if (manifestResult.isFailure()) {
+        return manifestResult;
+      }
+
+      console.log(
+        `Snapshot ${this.version}: ${snapshot.file_count} files, ${snapshots.length} versions kept`
+      );
+      return Result.success({
+        version: this.version,
+        fileCount: snapshot.file_count,
+        removed,
+        versions: manifest.versions.map(entry => entry.version),
+        skipped: false,
+      });
+    } catch (error) {
+      console.error('Error publishing dataset snapshot:', error);
+      return Result.failure(
+        new ProcessingError('Dataset snapshot failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { DatasetVersionService };
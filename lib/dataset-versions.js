@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// Bump when a published file changes shape or IDs change meaning, so
+// consumers pinned to a snapshot can tell whether they can read a newer one
+const DATASET_SCHEMA_VERSION = 1;
+// Snapshots are named by their collection date (Hong Kong time)
+const VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} SnapshotFile
+ * @property {string} path - Path relative to the snapshot directory, with `/` separators
+ * @property {number} bytes - File size
+ * @property {string} sha256 - SHA-256 of the file content
+ */
+
+/**
+ * @typedef {Object} DirectorySummary
+ * @property {number} file_count - Number of files
+ * @property {number} total_bytes - Total file size
+ */
+
+/**
+ * @typedef {Object} SnapshotManifest
+ * @property {number} schema_version - Dataset schema version
+ * @property {string} version - Snapshot version (YYYY-MM-DD)
+ * @property {string} created_at - ISO timestamp of creation
+ * @property {number} file_count - Number of files in the snapshot
+ * @property {number} total_bytes - Total size of the snapshot
+ * @property {string} checksum - SHA-256 of the snapshot's sha256sum-style file listing
+ * @property {Object.<string, DirectorySummary>} directories - Summary per output directory (ctb, kmb, all, ...)
+ * @property {Object.<string, string>} files - SHA-256 keyed by file path
+ */
+
+/**
+ * @typedef {Object} VersionSummary
+ * @property {string} version - Snapshot version (YYYY-MM-DD)
+ * @property {string} path - Snapshot path relative to the site root
+ * @property {string} created_at - ISO timestamp of creation
+ * @property {number} schema_version - Dataset schema version of the snapshot
+ * @property {number} file_count - Number of files in the snapshot
+ * @property {number} total_bytes - Total size of the snapshot
+ * @property {string} checksum - Snapshot checksum
+ * @property {Object.<string, DirectorySummary>} directories - Summary per output directory
+ */
+
+/**
+ * @typedef {Object} DatasetManifest
+ * @property {number} schema_version - Current dataset schema version
+ * @property {string} generated_at - ISO timestamp of generation
+ * @property {string|null} latest - Version the `latest` alias points to
+ * @property {number} retention - Number of snapshots kept
+ * @property {VersionSummary[]} versions - Available snapshots, newest first
+ */
+
+/**
+ * Builds snapshot manifests and the top-level dataset manifest
+ * @class
+ */
+class DatasetVersionProcessor {
+  /**
+   * Whether a directory name is a snapshot version
+   * @param {string} name - Directory name
+   * @returns {boolean} True for YYYY-MM-DD names
+   */
+  static isVersion(name) {
+    return VERSION_PATTERN.test(name);
+  }
+
+  /**
+   * Hash file content
+   * @param {Buffer|string} content - File content
+   * @returns {string} Hex SHA-256
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Create the manifest of one snapshot
+   * @param {string} version - Snapshot version (YYYY-MM-DD)
+   * @param {SnapshotFile[]} files - Snapshot files
+   * @returns {SnapshotManifest} Snapshot manifest
+   */
+  static createSnapshotManifest(version, files) {
+    // Plain code-unit order, so `LC_ALL=C sort` reproduces the checksum
+    const sorted = [...files].sort((a, b) =>
+      a.path < b.path ? -1 : a.path > b.path ? 1 : 0
+    );
+    const directories = {};
+    for (const file of sorted) {
+      const directory = file.path.includes('/')
+        ? file.path.slice(0, file.path.indexOf('/'))
+        : '.';
+      directories[directory] = directories[directory] || {
+        file_count: 0,
+        total_bytes: 0,
+      };
+      directories[directory].file_count++;
+      directories[directory].total_bytes += file.bytes;
+    }
+
+    return {
+      schema_version: DATASET_SCHEMA_VERSION,
+      version,
+      created_at: new Date().toISOString(),
+      file_count: sorted.length,
+      total_bytes: sorted.reduce((total, file) => total + file.bytes, 0),
+      checksum: this.hash(
+        sorted.map(file => `${file.sha256}  ${file.path}\n`).join('')
+      ),
+      directories,
+      files: Object.fromEntries(sorted.map(file => [file.path, file.sha256])),
+    };
+  }
+
+  /**
+   * Versions beyond the retention limit
+   * @param {string[]} versions - Available versions
+   * @param {number} retention - Number of newest snapshots to keep
+   * @returns {string[]} Versions to remove
+   */
+  static selectExpired(versions, retention) {
+    return [...versions].sort().reverse().slice(retention);
+  }
+
+  /**
+   * Create the top-level manifest.json
+   * @param {SnapshotManifest[]} snapshots - Manifests of the available snapshots
+   * @param {string} versionsDir - Snapshot directory relative to the site root
+   * @param {number} retention - Number of snapshots kept
+   * @returns {DatasetManifest} Dataset manifest
+   */
+  static createManifest(snapshots, versionsDir, retention) {
+    const versions = [...snapshots]
+      .sort((a, b) => b.version.localeCompare(a.version))
+      .map(snapshot => ({
+        version: snapshot.version,
+        path: `${versionsDir}/${snapshot.version}/`,
+        created_at: snapshot.created_at,
+        schema_version: snapshot.schema_version,
+        file_count: snapshot.file_count,
+        total_bytes: snapshot.total_bytes,
+        checksum: snapshot.checksum,
+        directories: snapshot.directories,
+      }));
+
+    return {
+      schema_version: DATASET_SCHEMA_VERSION,
+      generated_at: new Date().toISOString(),
+      latest: versions.length > 0 ? versions[0].version : null,
+      retention,
+      versions,
+    };
+  }
+}
+
+module.exports = {
+  DatasetVersionProcessor,
+  DATASET_SCHEMA_VERSION,
+  VERSION_PATTERN,
+};
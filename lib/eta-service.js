@@ -0,0 +1,293 @@
+const path = require('path');
+const { ETAApiClient } = require('./api-client');
+const { BaseFileManager } = require('./base-file-manager');
+const { ETAProcessor } = require('./eta');
+const { Result } = require('./result');
+const { ValidationError, NetworkError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * Upstream ETA API of each supported operator
+ * CTB publishes ETAs per stop and route, so a stop needs one request per
+ * route serving it; KMB returns every route at a stop in one request.
+ */
+const ETA_SOURCES = {
+  ctb: {
+    perRoute: true,
+    url: (stopId, route) =>
+      `${config.api.ctb.eta}/${encodeURIComponent(stopId)}/${encodeURIComponent(route)}`,
+  },
+  kmb: {
+    perRoute: false,
+    url: stopId => `${config.api.kmb.stopEta}/${encodeURIComponent(stopId)}`,
+  },
+};
+
+/**
+ * @typedef {Object} ETAServiceOptions
+ * @property {import('./base-api-client').BaseApiClient} [apiClient] - API client instance (for DI)
+ * @property {import('./eta').ETAProcessor} [processor] - ETA processor class (for DI)
+ * @property {number} [cacheTtl] - Milliseconds an upstream response is reused (defaults to config.eta.cacheTtl)
+ * @property {Object.<string, string>} [operatorDirs] - Output base directory per operator, for the routes serving a stop (defaults to config.output)
+ * @property {string} [stopIndexDir] - Output base directory of the cross-operator stop index (defaults to config.output.all.baseDir)
+ * @property {function(): number} [now] - Clock (for DI)
+ */
+
+/**
+ * @typedef {Object} StopETAs
+ * @property {string} [operator] - Operator code (stop queries)
+ * @property {string} [stop] - Stop ID (stop queries)
+ * @property {string} [cluster] - Cluster ID (cluster queries)
+ * @property {string} generated_at - Time of the response (ISO 8601)
+ * @property {import('./eta').ETAEntry[]} etas - ETAs, soonest first
+ * @property {string[]} [errors] - Upstream requests that failed while others succeeded
+ */
+
+/**
+ * Fetches real-time ETAs of a stop or a cross-operator stop cluster
+ * @class
+ */
+class ETAService {
+  /**
+   * Create a new ETA service
+   * @param {ETAServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.apiClient = options.apiClient || new ETAApiClient();
+    this.processor = options.processor || ETAProcessor;
+    this.cacheTtl = options.cacheTtl ?? config.eta.cacheTtl;
+    this.operatorDirs = options.operatorDirs || {
+      ctb: config.output.ctb.baseDir,
+      kmb: config.output.kmb.baseDir,
+    };
+    this.stopIndexDir = options.stopIndexDir || config.output.all.baseDir;
+    this.now = options.now || Date.now;
+    this.cache = new Map();
+  }
+
+  /**
+   * Whether ETAs are available for an operator
+   * @param {string} operator - Operator code
+   * @returns {boolean} True for supported operators
+   */
+  static supports(operator) {
+    return Object.hasOwn(ETA_SOURCES, operator);
+  }
+
+  /**
+   * Fetch an upstream response, reusing it for cacheTtl
+   * Concurrent requests for the same URL share one fetch.
+   * @private
+   * @param {string} url - Upstream URL
+   * @returns {Promise<{data: Object[]}>} Upstream response
+   */
+  async _fetch(url) {
+    const now = this.now();
+    for (const [key, entry] of this.cache) {
+      if (entry.expires <= now) {
+        this.cache.delete(key);
+      }
+    }
+    if (!this.cache.has(url)) {
+      const promise = this.apiClient.fetchJson(url);
+      this.cache.set(url, { expires: now + this.cacheTtl, promise });
+      // Failures are not cached
+      promise.catch(() => this.cache.delete(url));
+    }
+    return this.cache.get(url).promise;
+  }
+
+  /**
+   * Routes serving a stop, from the saved stop file
+   * @private
+   * @param {string} operator - Operator code
+   * @param {string} stopId - Stop ID
+   * @returns {Promise<Result<string[]>>} Result with route numbers
+   */
+  async _stopRoutes(operator, stopId) {
+    const fileManager = new BaseFileManager(this.operatorDirs[operator]);
+    // Stop IDs are plain file names; anything else could leave the directory
+    const isFileName =
+      path.basename(stopId) === stopId && !stopId.startsWith('.');
+    const stopResult = isFileName
+      ? await fileManager.readJson(path.join('stops', `${stopId}.json`))
+      : null;
+    if (!stopResult || stopResult.isFailure()) {
+      return Result.failure(
+        new ValidationError(`Unknown ${operator} stop ${stopId}`, {
+          operator,
+          stopId,
+          notFound: true,
+        })
+      );
+    }
+    return Result.success(stopResult.unwrap().routes || []);
+  }
+
+  /**
+   * Upstream URLs to request for a stop
+   * @private
+   * @param {string} operator - Operator code
+   * @param {string} stopId - Stop ID
+   * @param {string} [route] - Only this route
+   * @returns {Promise<Result<string[]>>} Result with URLs
+   */
+  async _stopUrls(operator, stopId, route) {
+    const source = ETA_SOURCES[operator];
+    if (!source.perRoute) {
+      return Result.success([source.url(stopId)]);
+    }
+    if (route) {
+      return Result.success([source.url(stopId, route)]);
+    }
+    const routesResult = await this._stopRoutes(operator, stopId);
+    return routesResult.map(routes =>
+      routes.map(stopRoute => source.url(stopId, stopRoute))
+    );
+  }
+
+  /**
+   * Fetch and normalise the ETAs of one stop
+   * @private
+   * @param {string} operator - Operator code
+   * @param {string} stopId - Stop ID
+   * @param {string} [route] - Only this route
+   * @returns {Promise<Result<{etas: import('./eta').ETAEntry[], errors: string[]}>>} Result with unsorted ETAs and failed requests
+   */
+  async _fetchStop(operator, stopId, route) {
+    const urlsResult = await this._stopUrls(operator, stopId, route);
+    if (urlsResult.isFailure()) {
+      return urlsResult;
+    }
+    const urls = urlsResult.unwrap();
+    const results = await this.apiClient.processWithConcurrency(urls, url =>
+      this._fetch(url)
+    );
+
+    const now = this.now();
+    const etas = [];
+    const failures = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        etas.push(
+          ...this.processor.normalize(operator, result.value, stopId, now)
+        );
+      } else {
+        failures.push({ url: urls[index], error: result.reason });
+      }
+    });
+    if (urls.length > 0 && failures.length === urls.length) {
+      return Result.failure(
+        new NetworkError(`Failed to fetch ETAs of ${operator} stop ${stopId}`, {
+          operator,
+          stopId,
+          originalError: failures[0].error.message,
+        })
+      );
+    }
+
+    return Result.success({
+      etas: route ? etas.filter(eta => eta.route === route) : etas,
+      errors: failures.map(({ url, error }) => `${url}: ${error.message}`),
+    });
+  }
+
+  /**
+   * Real-time ETAs of a stop
+   * @param {string} operator - Operator code
+   * @param {string} stopId - Stop ID
+   * @param {Object} [options={}] - Query options
+   * @param {string} [options.route] - Only this route
+   * @returns {Promise<Result<StopETAs>>} Result with ETAs, soonest first
+   */
+  async getStopETAs(operator, stopId, options = {}) {
+    if (!ETAService.supports(operator)) {
+      return Result.failure(
+        new ValidationError(`ETAs are not available for ${operator}`, {
+          operator,
+          supported: Object.keys(ETA_SOURCES),
+        })
+      );
+    }
+
+    const stopResult = await this._fetchStop(operator, stopId, options.route);
+    if (stopResult.isFailure()) {
+      return stopResult;
+    }
+    const { etas, errors } = stopResult.unwrap();
+    return Result.success({
+      operator,
+      stop: stopId,
+      generated_at: new Date(this.now()).toISOString(),
+      etas: this.processor.sort(etas),
+      ...(errors.length > 0 && { errors }),
+    });
+  }
+
+  /**
+   * Real-time ETAs of every stop in a cross-operator stop cluster
+   * (all/stops/index.json)
+   * @param {string} clusterId - Cluster ID
+   * @returns {Promise<Result<StopETAs>>} Result with ETAs, soonest first
+   */
+  async getClusterETAs(clusterId) {
+    const indexResult = await new BaseFileManager(this.stopIndexDir).readJson(
+      'stops/index.json'
+    );
+    if (indexResult.isFailure()) {
+      return indexResult;
+    }
+    const cluster = indexResult.unwrap().clusters[clusterId];
+    if (!cluster) {
+      return Result.failure(
+        new ValidationError(`Unknown stop cluster ${clusterId}`, {
+          clusterId,
+          notFound: true,
+        })
+      );
+    }
+
+    const stops = Object.entries(cluster.operators)
+      .filter(([operator]) => ETAService.supports(operator))
+      .flatMap(([operator, { stops: stopIds }]) =>
+        stopIds.map(stopId => ({ operator, stopId }))
+      );
+    const results = await Promise.all(
+      stops.map(({ operator, stopId }) => this._fetchStop(operator, stopId))
+    );
+
+    const etas = [];
+    const errors = [];
+    let failedStops = 0;
+    results.forEach((result, index) => {
+      if (result.isSuccess()) {
+        etas.push(...result.unwrap().etas);
+        errors.push(...result.unwrap().errors);
+      } else {
+        const { operator, stopId } = stops[index];
+        errors.push(`${operator} stop ${stopId}: ${result.getError().message}`);
+        failedStops++;
+      }
+    });
+    if (stops.length > 0 && failedStops === stops.length) {
+      return Result.failure(
+        new NetworkError(`Failed to fetch ETAs of stop cluster ${clusterId}`, {
+          clusterId,
+          errors,
+        })
+      );
+    }
+
+    return Result.success({
+      cluster: clusterId,
+      name_en: cluster.name_en,
+      name_tc: cluster.name_tc,
+      name_sc: cluster.name_sc,
+      generated_at: new Date(this.now()).toISOString(),
+      etas: this.processor.sort(etas),
+      ...(errors.length > 0 && { errors }),
+    });
+  }
+}
+
+module.exports = { ETAService, ETA_SOURCES };
@@ -0,0 +1,107 @@
+/**
+ * @typedef {Object} ETAEntry
+ * @property {string} operator - Operator code
+ * @property {string} route - Route number
+ * @property {string} stop - Stop ID
+ * @property {string} bound - `I` (inbound) or `O` (outbound)
+ * @property {string|null} service_type - KMB service type (null for CTB)
+ * @property {number|null} seq - Stop sequence on the route
+ * @property {number|null} eta_seq - Order of the departure at the stop (1 = next)
+ * @property {string} dest_en - Destination (English)
+ * @property {string} dest_tc - Destination (Traditional Chinese)
+ * @property {string} dest_sc - Destination (Simplified Chinese)
+ * @property {string|null} eta - Estimated arrival (ISO 8601), null when none is scheduled
+ * @property {number|null} minutes - Whole minutes until arrival (0 when due), null without an ETA
+ * @property {string} remarks_en - Remarks (English), e.g. "Scheduled Bus"
+ * @property {string} remarks_tc - Remarks (Traditional Chinese)
+ * @property {string} remarks_sc - Remarks (Simplified Chinese)
+ * @property {string|null} data_timestamp - Time the upstream produced the ETA
+ */
+
+/**
+ * Normalises the operators' ETA responses into one schema
+ * @class
+ */
+class ETAProcessor {
+  /**
+   * Whole minutes from now until an ETA
+   * @param {string|null} eta - Estimated arrival
+   * @param {number} now - Current time in milliseconds
+   * @returns {number|null} Minutes, or null without a valid ETA
+   */
+  static minutesUntil(eta, now) {
+    const time = eta ? Date.parse(eta) : NaN;
+    if (Number.isNaN(time)) {
+      return null;
+    }
+    return Math.max(0, Math.floor((time - now) / 60000));
+  }
+
+  /**
+   * Normalise one upstream ETA item
+   * @private
+   * @param {string} operator - Operator code
+   * @param {string} stopId - Stop ID
+   * @param {Object} item - Upstream item
+   * @param {number} now - Current time in milliseconds
+   * @returns {ETAEntry} Normalised ETA
+   */
+  static _normalizeItem(operator, stopId, item, now) {
+    const eta = item.eta || null;
+    return {
+      operator,
+      route: String(item.route),
+      // KMB items omit the stop, which is part of the request
+      stop: item.stop || stopId,
+      bound: item.dir,
+      service_type:
+        item.service_type === undefined ? null : String(item.service_type),
+      seq: item.seq === undefined ? null : Number(item.seq),
+      eta_seq: item.eta_seq === undefined ? null : Number(item.eta_seq),
+      dest_en: item.dest_en || '',
+      dest_tc: item.dest_tc || '',
+      dest_sc: item.dest_sc || '',
+      eta,
+      minutes: this.minutesUntil(eta, now),
+      remarks_en: item.rmk_en || '',
+      remarks_tc: item.rmk_tc || '',
+      remarks_sc: item.rmk_sc || '',
+      data_timestamp: item.data_timestamp || null,
+    };
+  }
+
+  /**
+   * Normalise a CTB `eta/ctb/{stop}/{route}` or KMB `stop-eta/{stop}`
+   * response; both use the same item fields (`dir`, `dest_*`, `eta`,
+   * `rmk_*`)
+   * @param {string} operator - Operator code
+   * @param {{data: Object[]}} response - Upstream response
+   * @param {string} stopId - Stop ID
+   * @param {number} now - Current time in milliseconds
+   * @returns {ETAEntry[]} Normalised ETAs
+   */
+  static normalize(operator, response, stopId, now) {
+    return (response.data || []).map(item =>
+      this._normalizeItem(operator, stopId, item, now)
+    );
+  }
+
+  /**
+   * Sort ETAs soonest first; entries without an ETA (e.g. "last bus has
+   * left") go last
+   * @param {ETAEntry[]} etas - ETAs
+   * @returns {ETAEntry[]} Sorted ETAs (new array)
+   */
+  static sort(etas) {
+    const rank = entry =>
+      entry.minutes === null ? Number.POSITIVE_INFINITY : entry.minutes;
+    return [...etas].sort(
+      (a, b) =>
+        rank(a) - rank(b) ||
+        a.route.localeCompare(b.route, 'en', { numeric: true }) ||
+        (a.eta_seq ?? 0) - (b.eta_seq ?? 0)
+    );
+  }
+}
+
+module.exports = { ETAProcessor };
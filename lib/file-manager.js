@@ -1,98 +1,263 @@
-const { BaseFileManager } = require('./base-file-manager');
 const fs = require('fs/promises');
 const path = require('path');
+const initSqlJs = require('sql.js');
+const { BaseFileManager } = require('./base-file-manager');
+const { FileSystemError } = require('./errors');
+const { Result } = require('./result');
+const { DatasetVersionProcessor } = require('./dataset-versions');
 
 /**
  * File manager for saving CTB data
  */
 class CTBFileManager extends BaseFileManager {
-  constructor(baseDir = 'ctb') {
-    super(baseDir);
+  constructor(baseDir = 'ctb', options = {}) {
+    super(baseDir, options);
+  }
+
+  /**
+   * Build the compact allroutes.json structure
+   * @param {Object.<string, import('./base-data-processor').EnrichedRouteData>} allRoutesData - All routes data
+   * @param {Object[]} [routesMetadata=[]] - Route metadata from the API (origin/destination names)
+   * @returns {{routes: Object, stops: Object}} Compact routes structure
+   */
+  buildCompactRoutes(allRoutesData, routesMetadata = []) {
+    // Create a map of route metadata for quick lookup
+    // For CTB, routes don't have direction in metadata - inbound goes from orig to dest, outbound goes from dest to orig
+    const routeMetaMap = {};
+    routesMetadata.forEach(routeMeta => {
+      routeMetaMap[routeMeta.route] = routeMeta;
+    });
+
+    // Create compact structure from the allRoutesData
+    const compactData = {
+      routes: {},
+      stops: {},
+    };
+
+    // Process each route
+    for (const [routeNumber, routeInfo] of Object.entries(allRoutesData)) {
+      // routeInfo contains {route, stops: [...]}
+      const stops = routeInfo.stops || routeInfo; // Handle both structured and unstructured data
+
+      if (!compactData.routes[routeNumber]) {
+        compactData.routes[routeNumber] = {
+          I: {
+            stops: [],
+            orig_tc: null,
+            orig_en: null,
+            orig_sc: null,
+            dest_tc: null,
+            dest_en: null,
+            dest_sc: null,
+          }, // Inbound (no service type for CTB)
+          O: {
+            stops: [],
+            orig_tc: null,
+            orig_en: null,
+            orig_sc: null,
+            dest_tc: null,
+            dest_en: null,
+            dest_sc: null,
+          }, // Outbound (no service type for CTB)
+        };
+      }
+
+      // Separate stops by direction and sort by sequence
+      const inboundStops = Array.isArray(stops)
+        ? stops
+            .filter(stop => stop.dir === 'I')
+            .sort((a, b) => parseInt(a.seq) - parseInt(b.seq))
+        : [];
+      const outboundStops = Array.isArray(stops)
+        ? stops
+            .filter(stop => stop.dir === 'O')
+            .sort((a, b) => parseInt(a.seq) - parseInt(b.seq))
+        : [];
+
+      // Look up route metadata
+      const routeMeta = routeMetaMap[routeNumber];
+      if (routeMeta) {
+        // For CTB inbound: origin -> destination (as defined in route metadata)
+        compactData.routes[routeNumber].I.orig_tc = routeMeta.orig_tc;
+        compactData.routes[routeNumber].I.orig_en = routeMeta.orig_en;
+        compactData.routes[routeNumber].I.orig_sc = routeMeta.orig_sc;
+        compactData.routes[routeNumber].I.dest_tc = routeMeta.dest_tc;
+        compactData.routes[routeNumber].I.dest_en = routeMeta.dest_en;
+        compactData.routes[routeNumber].I.dest_sc = routeMeta.dest_sc;
+
+        // For CTB outbound: destination -> origin (reversed)
+        compactData.routes[routeNumber].O.orig_tc = routeMeta.dest_tc;
+        compactData.routes[routeNumber].O.orig_en = routeMeta.dest_en;
+        compactData.routes[routeNumber].O.orig_sc = routeMeta.dest_sc;
+        compactData.routes[routeNumber].O.dest_tc = routeMeta.orig_tc;
+        compactData.routes[routeNumber].O.dest_en = routeMeta.orig_en;
+        compactData.routes[routeNumber].O.dest_sc = routeMeta.orig_sc;
+      }
+
+      // Process inbound stops
+      for (const stop of inboundStops) {
+        const stopId = stop.stop;
+
+        // Add stop ID to the inbound direction in sequence order
+        compactData.routes[routeNumber].I.stops.push(stopId);
+
+        // Add stop information to stops object if not already present
+        if (!compactData.stops[stopId]) {
+          compactData.stops[stopId] = {
+            name_tc: stop.name_tc,
+            name_en: stop.name_en,
+            name_sc: stop.name_sc,
+          };
+        }
+      }
+
+      // Process outbound stops
+      for (const stop of outboundStops) {
+        const stopId = stop.stop;
+
+        // Add stop ID to the outbound direction in sequence order
+        compactData.routes[routeNumber].O.stops.push(stopId);
+
+        // Add stop information to stops object if not already present (or update if needed)
+        if (!compactData.stops[stopId]) {
+          compactData.stops[stopId] = {
+            name_tc: stop.name_tc,
+            name_en: stop.name_en,
+            name_sc: stop.name_sc,
+          };
+        }
+      }
+    }
+
+    return compactData;
   }
 
   async saveAllRoutes(allRoutesData, routesMetadata = []) {
     try {
       console.log('Generating compact allroutes.json...');
 
-      // Create a map of route metadata for quick lookup
-      // For CTB, routes don't have direction in metadata - inbound goes from orig to dest, outbound goes from dest to orig
-      const routeMetaMap = {};
-      routesMetadata.forEach(routeMeta => {
-        routeMetaMap[routeMeta.route] = routeMeta;
-      });
+      const compactData = this.buildCompactRoutes(
+        allRoutesData,
+        routesMetadata
+      );
 
-      // Create compact structure from the allRoutesData
-      const compactData = {
-        routes: {},
-        stops: {},
-      };
+      await this.writeCompactRoutes(compactData, allRoutesData);
+      return true;
+    } catch (error) {
+      console.error('Error generating compact allroutes.json:', error.message);
+      return false;
+    }
+  }
+}
 
-      // Process each route
-      for (const [routeNumber, routeInfo] of Object.entries(allRoutesData)) {
-        // routeInfo contains {route, stops: [...]}
-        const stops = routeInfo.stops || routeInfo; // Handle both structured and unstructured data
+/**
+ * File manager for saving KMB data
+ */
+class KMBFileManager extends BaseFileManager {
+  constructor(baseDir = 'kmb', options = {}) {
+    super(baseDir, options);
+  }
 
-        if (!compactData.routes[routeNumber]) {
-          compactData.routes[routeNumber] = {
-            I: {
-              stops: [],
-              orig_tc: null,
-              orig_en: null,
-              orig_sc: null,
-              dest_tc: null,
-              dest_en: null,
-              dest_sc: null,
-            }, // Inbound (no service type for CTB)
-            O: {
-              stops: [],
-              orig_tc: null,
-              orig_en: null,
-              orig_sc: null,
-              dest_tc: null,
-              dest_en: null,
-              dest_sc: null,
-            }, // Outbound (no service type for CTB)
+  /**
+   * Build the compact allroutes.json structure
+   * @param {Object.<string, import('./base-data-processor').EnrichedRouteData>} allRoutesData - All routes data
+   * @param {Object[]} [routesMetadata=[]] - Route metadata from the API (origin/destination names)
+   * @returns {{routes: Object, stops: Object}} Compact routes structure
+   */
+  buildCompactRoutes(allRoutesData, routesMetadata = []) {
+    // Create a map of route metadata for quick lookup
+    const routeMetaMap = {};
+    routesMetadata.forEach(routeMeta => {
+      const key = `${routeMeta.route}_${routeMeta.bound}_${routeMeta.service_type}`;
+      routeMetaMap[key] = routeMeta;
+    });
+
+    // Create compact structure from the allRoutesData
+    const compactData = {
+      routes: {},
+      stops: {},
+    };
+
+    // Process each route
+    for (const [routeNumber, routeInfo] of Object.entries(allRoutesData)) {
+      // routeInfo contains {route, stops: [...]}
+      const stops = routeInfo.stops || routeInfo; // Handle both structured and unstructured data
+
+      if (!compactData.routes[routeNumber]) {
+        compactData.routes[routeNumber] = {};
+      }
+
+      // Group stops by bound and service_type
+      const groupedStops = {};
+      if (Array.isArray(stops)) {
+        stops.forEach(stop => {
+          const bound = stop.bound || stop.dir || 'Unknown';
+          const serviceType = stop.service_type || '1';
+          const key = `${bound}_${serviceType}`;
+
+          if (!groupedStops[key]) {
+            groupedStops[key] = [];
+          }
+          groupedStops[key].push(stop);
+        });
+      }
+
+      // Process each group of stops and organize in nested structure
+      for (const [key, stopGroup] of Object.entries(groupedStops)) {
+        // Sort by sequence
+        const sortedStops = stopGroup.sort(
+          (a, b) => parseInt(a.seq) - parseInt(b.seq)
+        );
+
+        // Extract bound and service_type from key
+        const [bound, serviceType] = key.split('_');
+
+        // Initialize the bound in routes object if not present
+        if (!compactData.routes[routeNumber][bound]) {
+          compactData.routes[routeNumber][bound] = {};
+        }
+
+        // Initialize the service type array under the bound
+        if (!compactData.routes[routeNumber][bound][serviceType]) {
+          // Create an object to hold stops and origin/destination info
+          compactData.routes[routeNumber][bound][serviceType] = {
+            stops: [],
+            orig_tc: null,
+            orig_en: null,
+            orig_sc: null,
+            dest_tc: null,
+            dest_en: null,
+            dest_sc: null,
           };
         }
 
-        // Separate stops by direction and sort by sequence
-        const inboundStops = Array.isArray(stops)
-          ? stops
-              .filter(stop => stop.dir === 'I')
-              .sort((a, b) => parseInt(a.seq) - parseInt(b.seq))
-          : [];
-        const outboundStops = Array.isArray(stops)
-          ? stops
-              .filter(stop => stop.dir === 'O')
-              .sort((a, b) => parseInt(a.seq) - parseInt(b.seq))
-          : [];
-
-        // Look up route metadata
-        const routeMeta = routeMetaMap[routeNumber];
+        // Look up route metadata for origin/destination
+        const metaKey = `${routeNumber}_${bound}_${serviceType}`;
+        const routeMeta = routeMetaMap[metaKey];
+
         if (routeMeta) {
-          // For CTB inbound: origin -> destination (as defined in route metadata)
-          compactData.routes[routeNumber].I.orig_tc = routeMeta.orig_tc;
-          compactData.routes[routeNumber].I.orig_en = routeMeta.orig_en;
-          compactData.routes[routeNumber].I.orig_sc = routeMeta.orig_sc;
-          compactData.routes[routeNumber].I.dest_tc = routeMeta.dest_tc;
-          compactData.routes[routeNumber].I.dest_en = routeMeta.dest_en;
-          compactData.routes[routeNumber].I.dest_sc = routeMeta.dest_sc;
-
-          // For CTB outbound: destination -> origin (reversed)
-          compactData.routes[routeNumber].O.orig_tc = routeMeta.dest_tc;
-          compactData.routes[routeNumber].O.orig_en = routeMeta.dest_en;
-          compactData.routes[routeNumber].O.orig_sc = routeMeta.dest_sc;
-          compactData.routes[routeNumber].O.dest_tc = routeMeta.orig_tc;
-          compactData.routes[routeNumber].O.dest_en = routeMeta.orig_en;
-          compactData.routes[routeNumber].O.dest_sc = routeMeta.orig_sc;
+          compactData.routes[routeNumber][bound][serviceType].orig_tc =
+            routeMeta.orig_tc;
+          compactData.routes[routeNumber][bound][serviceType].orig_en =
+            routeMeta.orig_en;
+          compactData.routes[routeNumber][bound][serviceType].orig_sc =
+            routeMeta.orig_sc;
+          compactData.routes[routeNumber][bound][serviceType].dest_tc =
+            routeMeta.dest_tc;
+          compactData.routes[routeNumber][bound][serviceType].dest_en =
+            routeMeta.dest_en;
+          compactData.routes[routeNumber][bound][serviceType].dest_sc =
+            routeMeta.dest_sc;
         }
 
-        // Process inbound stops
-        for (const stop of inboundStops) {
+        // Process stops in sequence order
+        for (const stop of sortedStops) {
           const stopId = stop.stop;
 
-          // Add stop ID to the inbound direction in sequence order
-          compactData.routes[routeNumber].I.stops.push(stopId);
+          // Add stop ID to the service type array under the bound
+          compactData.routes[routeNumber][bound][serviceType].stops.push(
+            stopId
+          );
 
           // Add stop information to stops object if not already present
           if (!compactData.stops[stopId]) {
@@ -103,37 +268,99 @@ class CTBFileManager extends BaseFileManager {
             };
           }
         }
+      }
+    }
 
-        // Process outbound stops
-        for (const stop of outboundStops) {
-          const stopId = stop.stop;
+    return compactData;
+  }
+
+  async saveAllRoutes(allRoutesData, routesMetadata = []) {
+    try {
+      console.log('Generating compact allroutes.json...');
 
-          // Add stop ID to the outbound direction in sequence order
-          compactData.routes[routeNumber].O.stops.push(stopId);
+      const compactData = this.buildCompactRoutes(
+        allRoutesData,
+        routesMetadata
+      );
 
-          // Add stop information to stops object if not already present (or update if needed)
-          if (!compactData.stops[stopId]) {
-            compactData.stops[stopId] = {
+      await this.writeCompactRoutes(compactData, allRoutesData);
+      return true;
+    } catch (error) {
+      console.error('Error generating compact allroutes.json:', error.message);
+      return false;
+    }
+  }
+}
+
+/**
+ * File manager for saving GMB data
+ */
+class GMBFileManager extends BaseFileManager {
+  constructor(baseDir = 'gmb', options = {}) {
+    super(baseDir, options);
+  }
+
+  async saveAllRoutes(allRoutesData, routesMetadata = []) {
+    try {
+      console.log('Generating compact allroutes.json...');
+
+      // GMB routes are keyed by route_id; route_seq 1 is outbound, 2 inbound
+      const routeMetaMap = {};
+      routesMetadata.forEach(routeMeta => {
+        routeMetaMap[routeMeta.route] = routeMeta;
+      });
+
+      const compactData = {
+        routes: {},
+        stops: {},
+      };
+
+      for (const [routeId, routeInfo] of Object.entries(allRoutesData)) {
+        const stops = routeInfo.stops || [];
+        const routeMeta = routeMetaMap[routeId] || {};
+
+        const directions = {};
+        for (const direction of routeMeta.directions || []) {
+          directions[direction.route_seq === 1 ? 'O' : 'I'] = {
+            stops: [],
+            orig_tc: direction.orig_tc,
+            orig_en: direction.orig_en,
+            orig_sc: direction.orig_sc,
+            dest_tc: direction.dest_tc,
+            dest_en: direction.dest_en,
+            dest_sc: direction.dest_sc,
+          };
+        }
+
+        const sortedStops = [...stops].sort(
+          (a, b) => parseInt(a.seq) - parseInt(b.seq)
+        );
+        for (const stop of sortedStops) {
+          if (!directions[stop.dir]) {
+            directions[stop.dir] = { stops: [] };
+          }
+          directions[stop.dir].stops.push(stop.stop);
+
+          if (!compactData.stops[stop.stop]) {
+            compactData.stops[stop.stop] = {
               name_tc: stop.name_tc,
               name_en: stop.name_en,
               name_sc: stop.name_sc,
             };
           }
         }
+
+        compactData.routes[routeId] = {
+          region: routeMeta.region,
+          route_code: routeMeta.route_code,
+          description_tc: routeMeta.description_tc,
+          description_en: routeMeta.description_en,
+          description_sc: routeMeta.description_sc,
+          directions,
+        };
       }
 
-      const filePath = path.join(this.routesDir, 'allroutes.json');
-      await fs.writeFile(filePath, JSON.stringify(compactData, null, 2));
-      console.log('Compact allroutes.json generated successfully!');
-      console.log(
-        `Original size: ${JSON.stringify(allRoutesData).length} characters`
-      );
-      console.log(
-        `Compact size: ${JSON.stringify(compactData).length} characters`
-      );
-      console.log(
-        `Reduction: ${Math.round(((JSON.stringify(allRoutesData).length - JSON.stringify(compactData).length) / JSON.stringify(allRoutesData).length) * 100)}%`
-      );
+      await this.writeCompactRoutes(compactData, allRoutesData);
       return true;
     } catch (error) {
       console.error('Error generating compact allroutes.json:', error.message);
@@ -143,141 +370,659 @@ class CTBFileManager extends BaseFileManager {
 }
 
 /**
- * File manager for saving KMB data
+ * File manager for saving NLB data
  */
-class KMBFileManager extends BaseFileManager {
-  constructor(baseDir = 'kmb') {
-    super(baseDir);
+class NLBFileManager extends BaseFileManager {
+  constructor(baseDir = 'nlb', options = {}) {
+    super(baseDir, options);
   }
 
   async saveAllRoutes(allRoutesData, routesMetadata = []) {
     try {
       console.log('Generating compact allroutes.json...');
 
-      // Create a map of route metadata for quick lookup
+      // NLB variants are identified by routeId rather than direction
       const routeMetaMap = {};
       routesMetadata.forEach(routeMeta => {
-        const key = `${routeMeta.route}_${routeMeta.bound}_${routeMeta.service_type}`;
-        routeMetaMap[key] = routeMeta;
+        routeMetaMap[String(routeMeta.routeId)] = routeMeta;
       });
 
-      // Create compact structure from the allRoutesData
       const compactData = {
         routes: {},
         stops: {},
       };
 
-      // Process each route
       for (const [routeNumber, routeInfo] of Object.entries(allRoutesData)) {
-        // routeInfo contains {route, stops: [...]}
-        const stops = routeInfo.stops || routeInfo; // Handle both structured and unstructured data
+        const stops = routeInfo.stops || [];
+        compactData.routes[routeNumber] = {};
+
+        const sortedStops = [...stops].sort((a, b) => a.seq - b.seq);
+        for (const stop of sortedStops) {
+          const routeId = stop.routeId;
+          if (!compactData.routes[routeNumber][routeId]) {
+            const routeMeta = routeMetaMap[routeId] || {};
+            compactData.routes[routeNumber][routeId] = {
+              stops: [],
+              orig_tc: routeMeta.orig_tc || null,
+              orig_en: routeMeta.orig_en || null,
+              orig_sc: routeMeta.orig_sc || null,
+              dest_tc: routeMeta.dest_tc || null,
+              dest_en: routeMeta.dest_en || null,
+              dest_sc: routeMeta.dest_sc || null,
+              overnight: Boolean(routeMeta.overnightRoute),
+              special: Boolean(routeMeta.specialRoute),
+            };
+          }
+          compactData.routes[routeNumber][routeId].stops.push(stop.stop);
 
-        if (!compactData.routes[routeNumber]) {
-          compactData.routes[routeNumber] = {};
+          if (!compactData.stops[stop.stop]) {
+            compactData.stops[stop.stop] = {
+              name_tc: stop.name_tc,
+              name_en: stop.name_en,
+              name_sc: stop.name_sc,
+            };
+          }
         }
+      }
 
-        // Group stops by bound and service_type
-        const groupedStops = {};
-        if (Array.isArray(stops)) {
-          stops.forEach(stop => {
-            const bound = stop.bound || stop.dir || 'Unknown';
-            const serviceType = stop.service_type || '1';
-            const key = `${bound}_${serviceType}`;
+      await this.writeCompactRoutes(compactData, allRoutesData);
+      return true;
+    } catch (error) {
+      console.error('Error generating compact allroutes.json:', error.message);
+      return false;
+    }
+  }
+}
 
-            if (!groupedStops[key]) {
-              groupedStops[key] = [];
-            }
-            groupedStops[key].push(stop);
-          });
-        }
+/**
+ * File manager for saving MTR Bus and Light Rail data
+ */
+class MTRFileManager extends BaseFileManager {
+  constructor(baseDir = 'mtrbus', options = {}) {
+    super(baseDir, options);
+  }
 
-        // Process each group of stops and organize in nested structure
-        for (const [key, stopGroup] of Object.entries(groupedStops)) {
-          // Sort by sequence
-          const sortedStops = stopGroup.sort(
-            (a, b) => parseInt(a.seq) - parseInt(b.seq)
-          );
+  async saveAllRoutes(allRoutesData, routesMetadata = []) {
+    try {
+      console.log('Generating compact allroutes.json...');
 
-          // Extract bound and service_type from key
-          const [bound, serviceType] = key.split('_');
+      // Route metadata is derived per route and bound by the collector
+      const routeMetaMap = {};
+      routesMetadata.forEach(routeMeta => {
+        routeMetaMap[`${routeMeta.route}_${routeMeta.bound}`] = routeMeta;
+      });
 
-          // Initialize the bound in routes object if not present
-          if (!compactData.routes[routeNumber][bound]) {
-            compactData.routes[routeNumber][bound] = {};
-          }
+      const compactData = {
+        routes: {},
+        stops: {},
+      };
 
-          // Initialize the service type array under the bound
-          if (!compactData.routes[routeNumber][bound][serviceType]) {
-            // Create an object to hold stops and origin/destination info
-            compactData.routes[routeNumber][bound][serviceType] = {
+      for (const [routeNumber, routeInfo] of Object.entries(allRoutesData)) {
+        const stops = routeInfo.stops || [];
+        compactData.routes[routeNumber] = {};
+
+        const sortedStops = [...stops].sort(
+          (a, b) => parseInt(a.seq) - parseInt(b.seq)
+        );
+        for (const stop of sortedStops) {
+          const bound = stop.bound;
+          if (!compactData.routes[routeNumber][bound]) {
+            const routeMeta = routeMetaMap[`${routeNumber}_${bound}`] || {};
+            compactData.routes[routeNumber][bound] = {
               stops: [],
-              orig_tc: null,
-              orig_en: null,
-              orig_sc: null,
-              dest_tc: null,
-              dest_en: null,
-              dest_sc: null,
+              orig_tc: routeMeta.orig_tc || null,
+              orig_en: routeMeta.orig_en || null,
+              orig_sc: routeMeta.orig_sc || null,
+              dest_tc: routeMeta.dest_tc || null,
+              dest_en: routeMeta.dest_en || null,
+              dest_sc: routeMeta.dest_sc || null,
             };
           }
+          compactData.routes[routeNumber][bound].stops.push(stop.stop);
 
-          // Look up route metadata for origin/destination
-          const metaKey = `${routeNumber}_${bound}_${serviceType}`;
-          const routeMeta = routeMetaMap[metaKey];
-
-          if (routeMeta) {
-            compactData.routes[routeNumber][bound][serviceType].orig_tc =
-              routeMeta.orig_tc;
-            compactData.routes[routeNumber][bound][serviceType].orig_en =
-              routeMeta.orig_en;
-            compactData.routes[routeNumber][bound][serviceType].orig_sc =
-              routeMeta.orig_sc;
-            compactData.routes[routeNumber][bound][serviceType].dest_tc =
-              routeMeta.dest_tc;
-            compactData.routes[routeNumber][bound][serviceType].dest_en =
-              routeMeta.dest_en;
-            compactData.routes[routeNumber][bound][serviceType].dest_sc =
-              routeMeta.dest_sc;
+          if (!compactData.stops[stop.stop]) {
+            compactData.stops[stop.stop] = {
+              name_tc: stop.name_tc,
+              name_en: stop.name_en,
+              name_sc: stop.name_sc,
+            };
           }
+        }
+      }
 
-          // Process stops in sequence order
-          for (const stop of sortedStops) {
-            const stopId = stop.stop;
-
-            // Add stop ID to the service type array under the bound
-            compactData.routes[routeNumber][bound][serviceType].stops.push(
-              stopId
-            );
-
-            // Add stop information to stops object if not already present
-            if (!compactData.stops[stopId]) {
-              compactData.stops[stopId] = {
-                name_tc: stop.name_tc,
-                name_en: stop.name_en,
-                name_sc: stop.name_sc,
-              };
+      await this.writeCompactRoutes(compactData, allRoutesData);
+      return true;
+    } catch (error) {
+      console.error('Error generating compact allroutes.json:', error.message);
+      return false;
+    }
+  }
+}
+
+/**
+ * File manager for the cross-operator stop index
+ */
+class StopIndexFileManager extends BaseFileManager {
+  constructor(baseDir = 'all') {
+    super(baseDir);
+  }
+
+  /**
+   * Ensure the stops directory exists (the index has no route files)
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.stopsDir, { recursive: true });
+  }
+
+  /**
+   * Save the stop index to stops/index.json
+   * @param {import('./stop-index').StopIndex} index - Stop index
+   * @returns {Promise<Result<import('./base-file-manager').SaveResult>>} Result indicating success or failure
+   */
+  async saveStopIndex(index) {
+    try {
+      console.log('Generating stop index.json...');
+      await this.ensureDirectories();
+      const filePath = path.join(this.stopsDir, 'index.json');
+      await this.writeFileAtomic(filePath, JSON.stringify(index, null, 2));
+      console.log('Stop index.json generated successfully!');
+      return Result.success({
+        filePath,
+        count: Object.keys(index.clusters).length,
+      });
+    } catch (error) {
+      const fsError = new FileSystemError(
+        'Failed to generate stop index.json',
+        {
+          originalError: error.message,
+        }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+}
+
+/**
+ * File manager for CTB/KMB joint route output
+ */
+class JointRouteFileManager extends BaseFileManager {
+  constructor(baseDir = 'joint') {
+    super(baseDir);
+  }
+
+  /**
+   * Ensure the output directory exists
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Save joint routes to routes.json
+   * @param {import('./joint-routes').JointRoutes} jointRoutes - Joint routes
+   * @returns {Promise<Result<import('./base-file-manager').SaveResult>>} Result indicating success or failure
+   */
+  async saveJointRoutes(jointRoutes) {
+    try {
+      console.log('Generating joint routes.json...');
+      await this.ensureDirectories();
+      const filePath = path.join(this.baseDir, 'routes.json');
+      await this.writeFileAtomic(
+        filePath,
+        JSON.stringify(jointRoutes, null, 2)
+      );
+      console.log('Joint routes.json generated successfully!');
+      return Result.success({ filePath, count: jointRoutes.total_routes });
+    } catch (error) {
+      const fsError = new FileSystemError(
+        'Failed to generate joint routes.json',
+        { originalError: error.message }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+}
+
+/**
+ * File manager for the GTFS feed
+ */
+class GTFSFileManager extends BaseFileManager {
+  constructor(baseDir = 'gtfs') {
+    super(baseDir);
+  }
+
+  /**
+   * Ensure the output directory exists
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Save the zipped GTFS feed to gtfs.zip
+   * @param {Buffer} archive - Zipped GTFS feed
+   * @returns {Promise<Result<import('./base-file-manager').SaveResult>>} Result indicating success or failure
+   */
+  async saveFeed(archive) {
+    try {
+      await this.ensureDirectories();
+      const filePath = path.join(this.baseDir, 'gtfs.zip');
+      await this.writeFileAtomic(filePath, archive);
+      console.log(`gtfs.zip generated successfully (${archive.length} bytes)`);
+      return Result.success({ filePath });
+    } catch (error) {
+      const fsError = new FileSystemError('Failed to generate gtfs.zip', {
+        originalError: error.message,
+      });
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+}
+
+/**
+ * File manager for the offline search index
+ */
+class SearchIndexFileManager extends BaseFileManager {
+  constructor(baseDir = 'search') {
+    super(baseDir);
+  }
+
+  /**
+   * Ensure the output directory exists
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Save the search index to index.json
+   * Written minified, since consumers download it whole.
+   * @param {import('./search-index').SearchIndex} index - Search index
+   * @returns {Promise<Result<import('./base-file-manager').SaveResult>>} Result indicating success or failure
+   */
+  async saveSearchIndex(index) {
+    try {
+      console.log('Generating search index.json...');
+      await this.ensureDirectories();
+      const filePath = path.join(this.baseDir, 'index.json');
+      const content = JSON.stringify(index);
+      await this.writeFileAtomic(filePath, content);
+      console.log(
+        `Search index.json generated successfully (${Buffer.byteLength(content)} bytes)`
+      );
+      return Result.success({ filePath, count: index.documents.length });
+    } catch (error) {
+      const fsError = new FileSystemError(
+        'Failed to generate search index.json',
+        { originalError: error.message }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+}
+
+/**
+ * File manager for the SQLite database export
+ */
+class SQLiteFileManager extends BaseFileManager {
+  constructor(baseDir = 'sqlite') {
+    super(baseDir);
+  }
+
+  /**
+   * Ensure the output directory exists
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Write transport.sqlite
+   * The database is built in memory with sql.js (SQLite compiled to
+   * WebAssembly, so it needs no native build or Node.js flag) and written
+   * atomically, so a failed export never leaves a partial database behind.
+   * @param {import('./sqlite-exporter').SQLiteDatabase} database - Statements and table contents
+   * @returns {Promise<Result<import('./base-file-manager').SaveResult>>} Result indicating success or failure
+   */
+  async saveDatabase(database) {
+    const filePath = path.join(this.baseDir, 'transport.sqlite');
+    try {
+      await this.ensureDirectories();
+
+      const SQL = await initSqlJs();
+      const db = new SQL.Database();
+      let content;
+      try {
+        for (const statement of database.statements) {
+          db.exec(statement);
+        }
+        db.exec('BEGIN');
+        for (const table of database.tables) {
+          const insert = db.prepare(
+            `INSERT INTO ${table.name} (${table.columns.join(', ')}) VALUES (${table.columns.map(() => '?').join(', ')})`
+          );
+          try {
+            for (const row of table.rows) {
+              insert.run(row);
             }
+          } finally {
+            insert.free();
           }
         }
+        db.exec('COMMIT');
+        content = db.export();
+      } finally {
+        db.close();
       }
 
-      const filePath = path.join(this.routesDir, 'allroutes.json');
-      await fs.writeFile(filePath, JSON.stringify(compactData, null, 2));
-      console.log('Compact allroutes.json generated successfully!');
+      await this.writeFileAtomic(filePath, content);
       console.log(
-        `Original size: ${JSON.stringify(allRoutesData).length} characters`
+        `transport.sqlite generated successfully (${content.length} bytes)`
       );
-      console.log(
-        `Compact size: ${JSON.stringify(compactData).length} characters`
+      return Result.success({ filePath });
+    } catch (error) {
+      const fsError = new FileSystemError(
+        'Failed to generate transport.sqlite',
+        { originalError: error.message }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+}
+
+/**
+ * File manager for the daily changelogs
+ */
+class ChangelogFileManager extends BaseFileManager {
+  constructor(baseDir = 'changes') {
+    super(baseDir);
+  }
+
+  /**
+   * Ensure the output directory exists
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Save the changelog as <date>.json and its summary as <date>.md
+   * @param {import('./changelog').Changelog} changelog - Changelog
+   * @param {string} markdown - Markdown summary
+   * @returns {Promise<Result<{filePath: string, markdownPath: string}>>} Result indicating success or failure
+   */
+  async saveChangelog(changelog, markdown) {
+    try {
+      await this.ensureDirectories();
+      const filePath = path.join(this.baseDir, `${changelog.date}.json`);
+      const markdownPath = path.join(this.baseDir, `${changelog.date}.md`);
+      await this.writeFileAtomic(filePath, JSON.stringify(changelog, null, 2));
+      await this.writeFileAtomic(markdownPath, markdown);
+      console.log(`Changelog ${changelog.date} generated successfully!`);
+      return Result.success({ filePath, markdownPath });
+    } catch (error) {
+      const fsError = new FileSystemError(
+        `Failed to generate changelog ${changelog.date}`,
+        { originalError: error.message }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+}
+
+/**
+ * File manager for the data quality report
+ */
+class QualityReportFileManager extends BaseFileManager {
+  constructor(baseDir = 'quality') {
+    super(baseDir);
+  }
+
+  /**
+   * Ensure the output directory exists
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * Save the quality report as report.json and its summary as report.md
+   * @param {import('./quality-gate').QualityReport} report - Quality report
+   * @param {string} markdown - Markdown summary
+   * @returns {Promise<Result<{filePath: string, markdownPath: string}>>} Result indicating success or failure
+   */
+  async saveReport(report, markdown) {
+    try {
+      await this.ensureDirectories();
+      const filePath = path.join(this.baseDir, 'report.json');
+      const markdownPath = path.join(this.baseDir, 'report.md');
+      await this.writeFileAtomic(filePath, JSON.stringify(report, null, 2));
+      await this.writeFileAtomic(markdownPath, markdown);
+      console.log('Quality report generated successfully!');
+      return Result.success({ filePath, markdownPath });
+    } catch (error) {
+      const fsError = new FileSystemError('Failed to generate quality report', {
+        originalError: error.message,
+      });
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+}
+
+/**
+ * File manager for the dated dataset snapshots (v/YYYY-MM-DD/...), the
+ * `latest` alias and the top-level manifest.json
+ */
+class DatasetVersionFileManager extends BaseFileManager {
+  constructor(baseDir = 'v') {
+    super(baseDir);
+    this.latestDir = path.join(baseDir, 'latest');
+    // manifest.json sits at the site root, next to the snapshot directory
+    this.manifestPath = path.join(path.dirname(baseDir), 'manifest.json');
+  }
+
+  /**
+   * Ensure the snapshot directory exists
+   * @returns {Promise<void>}
+   */
+  async ensureDirectories() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  /**
+   * List the available snapshot versions
+   * @returns {Promise<string[]>} Versions, newest first
+   */
+  async listVersions() {
+    try {
+      const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+      return entries
+        .filter(
+          entry =>
+            entry.isDirectory() && DatasetVersionProcessor.isVersion(entry.name)
+        )
+        .map(entry => entry.name)
+        .sort()
+        .reverse();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List and hash the files of a snapshot (its own manifest.json excluded)
+   * @param {string} version - Snapshot version
+   * @returns {Promise<Result<import('./dataset-versions').SnapshotFile[]>>} Result with snapshot files
+   */
+  async listSnapshotFiles(version) {
+    try {
+      const snapshot = new BaseFileManager(path.join(this.baseDir, version));
+      const files = [];
+      for (const relativePath of await snapshot.listFiles()) {
+        if (relativePath === 'manifest.json') {
+          continue;
+        }
+        const content = await fs.readFile(
+          path.join(snapshot.baseDir, relativePath)
+        );
+        files.push({
+          path: relativePath,
+          bytes: content.length,
+          sha256: DatasetVersionProcessor.hash(content),
+        });
+      }
+      return Result.success(files);
+    } catch (error) {
+      return Result.failure(
+        new FileSystemError(`Failed to read snapshot ${version}`, {
+          version,
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  /**
+   * Save a snapshot's manifest.json
+   * @param {import('./dataset-versions').SnapshotManifest} snapshot - Snapshot manifest
+   * @returns {Promise<Result<import('./base-file-manager').SaveResult>>} Result indicating success or failure
+   */
+  async saveSnapshotManifest(snapshot) {
+    try {
+      const filePath = path.join(
+        this.baseDir,
+        snapshot.version,
+        'manifest.json'
+      );
+      await this.writeFileAtomic(filePath, JSON.stringify(snapshot, null, 2));
+      return Result.success({ filePath });
+    } catch (error) {
+      const fsError = new FileSystemError(
+        `Failed to save manifest of snapshot ${snapshot.version}`,
+        { version: snapshot.version, originalError: error.message }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+
+  /**
+   * Read a snapshot's manifest.json
+   * @param {string} version - Snapshot version
+   * @returns {Promise<Result<import('./dataset-versions').SnapshotManifest>>} Result with snapshot manifest
+   */
+  async readSnapshotManifest(version) {
+    return this._readJson(path.join(this.baseDir, version, 'manifest.json'));
+  }
+
+  /**
+   * Point the `latest` alias at a snapshot
+   * A relative symlink where the file system allows it, otherwise a copy.
+   * @param {string} version - Snapshot version
+   * @returns {Promise<Result<{filePath: string, symlink: boolean}>>} Result indicating success or failure
+   */
+  async linkLatest(version) {
+    try {
+      await this.ensureDirectories();
+      await fs.rm(this.latestDir, { recursive: true, force: true });
+      try {
+        await fs.symlink(version, this.latestDir, 'dir');
+        return Result.success({ filePath: this.latestDir, symlink: true });
+      } catch (error) {
+        console.warn(
+          `Cannot symlink ${this.latestDir} (${error.code}), copying snapshot instead`
+        );
+        await fs.cp(path.join(this.baseDir, version), this.latestDir, {
+          recursive: true,
+        });
+        return Result.success({ filePath: this.latestDir, symlink: false });
+      }
+    } catch (error) {
+      const fsError = new FileSystemError(
+        `Failed to point ${this.latestDir} at ${version}`,
+        { version, originalError: error.message }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} version - Snapshot version
+   * @returns {Promise<Result<{version: string}>>} Result indicating success or failure
+   */
+  async removeVersion(version) {
+    try {
+      await fs.rm(path.join(this.baseDir, version), {
+        recursive: true,
+        force: true,
+      });
+      return Result.success({ version });
+    } catch (error) {
+      const fsError = new FileSystemError(
+        `Failed to remove snapshot ${version}`,
+        { version, originalError: error.message }
+      );
+      console.error(fsError.message);
+      return Result.failure(fsError);
+    }
+  }
+
+  /**
+   * Save the top-level manifest.json
+   * @param {import('./dataset-versions').DatasetManifest} manifest - Dataset manifest
+   * @returns {Promise<Result<import('./base-file-manager').SaveResult>>} Result indicating success or failure
+   */
+  async saveManifest(manifest) {
+    try {
+      await this.writeFileAtomic(
+        this.manifestPath,
+        JSON.stringify(manifest, null, 2)
       );
       console.log(
-        `Reduction: ${Math.round(((JSON.stringify(allRoutesData).length - JSON.stringify(compactData).length) / JSON.stringify(allRoutesData).length) * 100)}%`
+        `manifest.json generated successfully (${manifest.versions.length} versions)`
       );
-      return true;
+      return Result.success({ filePath: this.manifestPath });
     } catch (error) {
-      console.error('Error generating compact allroutes.json:', error.message);
-      return false;
+      const fsError = new FileSystemError('Failed to generate manifest.json', {
+        originalError: error.message,
+      });
+      console.error(fsError.message);
+      return Result.failure(fsError);
     }
   }
 }
 
-module.exports = { CTBFileManager, KMBFileManager };
+module.exports = {
+  CTBFileManager,
+  KMBFileManager,
+  GMBFileManager,
+  NLBFileManager,
+  MTRFileManager,
+  StopIndexFileManager,
+  SearchIndexFileManager,
+  JointRouteFileManager,
+  GTFSFileManager,
+  SQLiteFileManager,
+  ChangelogFileManager,
+  QualityReportFileManager,
+  DatasetVersionFileManager,
+};
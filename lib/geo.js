@@ -0,0 +1,158 @@
+const EARTH_RADIUS_METERS = 6371008.8;
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Geographic helpers for stop coordinates
+ * @class
+ */
+class GeoUtils {
+  /**
+   * Great-circle distance between two points using the haversine formula
+   * @param {number} lat1 - Latitude of the first point
+   * @param {number} long1 - Longitude of the first point
+   * @param {number} lat2 - Latitude of the second point
+   * @param {number} long2 - Longitude of the second point
+   * @returns {number} Distance in metres
+   */
+  static haversineDistance(lat1, long1, lat2, long2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLong = toRadians(long2 - long1);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) *
+        Math.cos(toRadians(lat2)) *
+        Math.sin(dLong / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Parse the lat/long of a stop (string or number fields)
+   * @param {{lat: (string|number|null), long: (string|number|null)}} stop - Stop data
+   * @returns {{lat: number, long: number}|null} Coordinates, or null if missing or invalid
+   */
+  static getCoordinates(stop) {
+    if (!stop || stop.lat === null || stop.long === null) {
+      return null;
+    }
+    const lat = parseFloat(stop.lat);
+    const long = parseFloat(stop.long);
+    if (!Number.isFinite(lat) || !Number.isFinite(long)) {
+      return null;
+    }
+    return { lat, long };
+  }
+}
+
+/**
+ * Equirectangular grid index for radius queries over points
+ *
+ * Cells are roughly `cellSize` metres square, so a radius query only needs
+ * to scan the cells overlapping the query circle.
+ * @class
+ * @template T
+ */
+class SpatialGrid {
+  /**
+   * Create a new grid
+   * @param {number} cellSize - Cell size in metres (use the typical query radius)
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.latStep = cellSize / METERS_PER_DEGREE_LAT;
+    this.cells = new Map();
+  }
+
+  /**
+   * Longitude cell step at a latitude
+   * @private
+   * @param {number} lat - Latitude
+   * @returns {number} Degrees of longitude per cell
+   */
+  _longStep(lat) {
+    const metersPerDegreeLong =
+      METERS_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01);
+    return this.cellSize / metersPerDegreeLong;
+  }
+
+  /**
+   * Cell key of a point
+   * @private
+   * @param {number} row - Latitude cell index
+   * @param {number} col - Longitude cell index
+   * @returns {string} Cell key
+   */
+  _key(row, col) {
+    return `${row}:${col}`;
+  }
+
+  /**
+   * Add a point to the grid
+   * @param {T} item - Item stored with the point
+   * @param {number} lat - Latitude
+   * @param {number} long - Longitude
+   */
+  insert(item, lat, long) {
+    const row = Math.floor(lat / this.latStep);
+    // Columns use the row's reference latitude so a point always maps to one cell
+    const col = Math.floor(long / this._longStep(row * this.latStep));
+    const key = this._key(row, col);
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push({ item, lat, long });
+  }
+
+  /**
+   * Find all points within a radius, nearest first
+   * @param {number} lat - Latitude of the query point
+   * @param {number} long - Longitude of the query point
+   * @param {number} radius - Search radius in metres
+   * @returns {Array<{item: T, lat: number, long: number, distance: number}>} Matches sorted by distance
+   */
+  queryRadius(lat, long, radius) {
+    const latSpan = radius / METERS_PER_DEGREE_LAT;
+    const minRow = Math.floor((lat - latSpan) / this.latStep);
+    const maxRow = Math.floor((lat + latSpan) / this.latStep);
+    const matches = [];
+
+    for (let row = minRow; row <= maxRow; row++) {
+      const longStep = this._longStep(row * this.latStep);
+      const longSpan =
+        radius /
+        (METERS_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01));
+      const minCol = Math.floor((long - longSpan) / longStep) - 1;
+      const maxCol = Math.floor((long + longSpan) / longStep) + 1;
+
+      for (let col = minCol; col <= maxCol; col++) {
+        const cell = this.cells.get(this._key(row, col));
+        if (!cell) {
+          continue;
+        }
+        for (const entry of cell) {
+          const distance = GeoUtils.haversineDistance(
+            lat,
+            long,
+            entry.lat,
+            entry.long
+          );
+          if (distance <= radius) {
+            matches.push({ ...entry, distance });
+          }
+        }
+      }
+    }
+
+    return matches.sort((a, b) => a.distance - b.distance);
+  }
+}
+
+module.exports = { GeoUtils, SpatialGrid };
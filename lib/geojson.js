@@ -0,0 +1,104 @@
+const { BaseDataProcessor } = require('./base-data-processor');
+const { GeoUtils } = require('./geo');
+
+/**
+ * @typedef {Object} GeoJSONFeatureCollection
+ * @property {'FeatureCollection'} type - GeoJSON type
+ * @property {Object[]} features - Point or LineString features
+ */
+
+/**
+ * GeoJSON position of a stop ([longitude, latitude], as GeoJSON requires)
+ * @param {Object} stop - Stop data with lat/long
+ * @returns {number[]|null} Position, or null if the stop has no coordinates
+ */
+function toPosition(stop) {
+  const coordinates = GeoUtils.getCoordinates(stop);
+  return coordinates ? [coordinates.long, coordinates.lat] : null;
+}
+
+/**
+ * Builds GeoJSON feature collections from enriched stops and routes
+ * @class
+ */
+class GeoJSONBuilder {
+  /**
+   * Build a Point feature per stop
+   * Stops without coordinates are left out.
+   * @param {Object.<string, import('./base-data-processor').EnrichedStopData>} allStopsData - All stops data
+   * @param {string} operator - Operator code
+   * @returns {GeoJSONFeatureCollection} Stop features
+   */
+  static buildStops(allStopsData, operator) {
+    const features = [];
+
+    for (const [stopId, stopData] of Object.entries(allStopsData)) {
+      const position = toPosition(stopData);
+      if (!position) {
+        continue;
+      }
+      features.push({
+        type: 'Feature',
+        id: stopId,
+        geometry: { type: 'Point', coordinates: position },
+        properties: {
+          operator,
+          stop: stopId,
+          name_en: stopData.name_en,
+          name_tc: stopData.name_tc,
+          name_sc: stopData.name_sc,
+          routes: stopData.routes || [],
+        },
+      });
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  /**
+   * Build a LineString feature per route/bound/service_type from the ordered
+   * stop coordinates
+   * Stops without coordinates are skipped; variants with fewer than two
+   * located stops are left out.
+   * @param {Object.<string, import('./base-data-processor').EnrichedRouteData>} allRoutesData - All routes data
+   * @param {string} operator - Operator code
+   * @returns {GeoJSONFeatureCollection} Route features
+   */
+  static buildRoutes(allRoutesData, operator) {
+    const features = [];
+
+    for (const [route, routeData] of Object.entries(allRoutesData)) {
+      for (const variant of BaseDataProcessor.groupRouteVariants(routeData)) {
+        const stops = variant.stops.filter(stop => toPosition(stop));
+        if (stops.length < 2) {
+          continue;
+        }
+
+        const first = stops[0];
+        const last = stops[stops.length - 1];
+        features.push({
+          type: 'Feature',
+          id: [operator, route, variant.direction, variant.serviceType]
+            .filter(part => part !== null && part !== '')
+            .join('-'),
+          geometry: { type: 'LineString', coordinates: stops.map(toPosition) },
+          properties: {
+            operator,
+            route,
+            bound: variant.direction,
+            service_type: variant.serviceType,
+            orig_en: first.name_en,
+            orig_tc: first.name_tc,
+            dest_en: last.name_en,
+            dest_tc: last.name_tc,
+            stops: stops.map(stop => stop.stop),
+          },
+        });
+      }
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+}
+
+module.exports = { GeoJSONBuilder };
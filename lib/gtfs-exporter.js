@@ -0,0 +1,439 @@
+const { BaseDataProcessor } = require('./base-data-processor');
+const { GeoUtils } = require('./geo');
+const { ZipWriter } = require('./zip-writer');
+const { ValidationError } = require('./errors');
+
+/**
+ * @typedef {Object} GTFSOperatorData
+ * @property {Object.<string, import('./base-data-processor').EnrichedStopData>} allStopsData - All stops data
+ * @property {Object.<string, import('./base-data-processor').EnrichedRouteData>} allRoutesData - All routes data
+ * @property {Object[]} [routes] - Route metadata from the operator API (orig/dest names)
+ */
+
+/**
+ * @typedef {Object} GTFSFeed
+ * @property {Object[]} agency - agency.txt rows
+ * @property {Object[]} stops - stops.txt rows
+ * @property {Object[]} routes - routes.txt rows
+ * @property {Object[]} trips - trips.txt rows
+ * @property {Object[]} stop_times - stop_times.txt rows
+ * @property {Object[]} shapes - shapes.txt rows
+ * @property {Object[]} calendar - calendar.txt rows
+ */
+
+/**
+ * GTFS agencies of the operators that can be exported
+ * @type {Object.<string, Object>}
+ */
+const GTFS_AGENCIES = {
+  ctb: {
+    agency_id: 'CTB',
+    agency_name: 'Citybus',
+    agency_url: 'https://www.citybus.com.hk',
+    agency_timezone: 'Asia/Hong_Kong',
+    agency_lang: 'en',
+  },
+  kmb: {
+    agency_id: 'KMB',
+    agency_name: 'Kowloon Motor Bus',
+    agency_url: 'https://www.kmb.hk',
+    agency_timezone: 'Asia/Hong_Kong',
+    agency_lang: 'en',
+  },
+};
+
+/**
+ * Columns written to each GTFS file, in order
+ * @type {Object.<string, string[]>}
+ */
+const GTFS_FILES = {
+  agency: [
+    'agency_id',
+    'agency_name',
+    'agency_url',
+    'agency_timezone',
+    'agency_lang',
+  ],
+  stops: ['stop_id', 'stop_code', 'stop_name', 'stop_lat', 'stop_lon'],
+  routes: [
+    'route_id',
+    'agency_id',
+    'route_short_name',
+    'route_long_name',
+    'route_type',
+  ],
+  trips: [
+    'route_id',
+    'service_id',
+    'trip_id',
+    'trip_headsign',
+    'direction_id',
+    'shape_id',
+  ],
+  stop_times: [
+    'trip_id',
+    'arrival_time',
+    'departure_time',
+    'stop_id',
+    'stop_sequence',
+    'shape_dist_traveled',
+    'timepoint',
+  ],
+  shapes: [
+    'shape_id',
+    'shape_pt_lat',
+    'shape_pt_lon',
+    'shape_pt_sequence',
+    'shape_dist_traveled',
+  ],
+  calendar: [
+    'service_id',
+    'monday',
+    'tuesday',
+    'wednesday',
+    'thursday',
+    'friday',
+    'saturday',
+    'sunday',
+    'start_date',
+    'end_date',
+  ],
+};
+
+// The open data has no timetables: every representative trip starts at
+// FIRST_DEPARTURE and stop times are estimated from distance at BUS_SPEED.
+const SERVICE_ID = 'DAILY';
+const FIRST_DEPARTURE_SECONDS = 6 * 60 * 60;
+const BUS_SPEED_METERS_PER_SECOND = 20000 / 3600;
+const ROUTE_TYPE_BUS = 3;
+
+/**
+ * Format seconds after midnight as GTFS HH:MM:SS
+ * @param {number} seconds - Seconds after midnight
+ * @returns {string} GTFS time
+ */
+function formatTime(seconds) {
+  const total = Math.round(seconds);
+  return [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Format a date as GTFS YYYYMMDD
+ * @param {Date} date - Date
+ * @returns {string} GTFS date
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Builds, validates and zips a GTFS static feed from collected route data
+ * @class
+ */
+class GTFSExporter {
+  /**
+   * Operators with a known GTFS agency
+   * @returns {string[]} Operator codes
+   */
+  static get supportedOperators() {
+    return Object.keys(GTFS_AGENCIES);
+  }
+
+  /**
+   * Find the route metadata entry of a route (outbound, service type 1 first)
+   * @param {Object[]} routes - Route metadata
+   * @param {string} route - Route identifier
+   * @returns {Object|undefined} Route metadata
+   */
+  static findRouteMetadata(routes, route) {
+    const candidates = routes.filter(meta => meta.route === route);
+    return (
+      candidates.find(
+        meta =>
+          (meta.bound || 'O') === 'O' && String(meta.service_type || 1) === '1'
+      ) || candidates[0]
+    );
+  }
+
+  /**
+   * Headsign of a route variant, from route metadata or the last stop name
+   * @param {Object[]} routes - Route metadata
+   * @param {string} route - Route identifier
+   * @param {{direction: string, serviceType: (string|null), stops: Object[]}} variant - Route variant
+   * @returns {string} Trip headsign
+   */
+  static getHeadsign(routes, route, variant) {
+    const meta = routes.find(
+      candidate =>
+        candidate.route === route &&
+        candidate.bound === variant.direction &&
+        String(candidate.service_type) === String(variant.serviceType)
+    );
+    if (meta && meta.dest_en) {
+      return meta.dest_en;
+    }
+
+    // CTB metadata describes the outbound direction only
+    const routeMeta = this.findRouteMetadata(routes, route);
+    if (routeMeta && !routeMeta.bound) {
+      const headsign =
+        variant.direction === 'I' ? routeMeta.orig_en : routeMeta.dest_en;
+      if (headsign) {
+        return headsign;
+      }
+    }
+
+    return variant.stops[variant.stops.length - 1].name_en || '';
+  }
+
+  /**
+   * Build the GTFS tables for the given operators
+   * Route stops without coordinates in allStopsData are left out of trips.
+   * @param {Object.<string, GTFSOperatorData>} operatorsData - Collected data keyed by operator code
+   * @param {Object} [options={}] - Build options
+   * @param {Date} [options.startDate=new Date()] - First day of the calendar (valid for one year)
+   * @returns {{feed: GTFSFeed, skippedStopTimes: number}} GTFS tables and the number of dropped route stops
+   */
+  static buildFeed(operatorsData, options = {}) {
+    const startDate = options.startDate || new Date();
+    const endDate = new Date(startDate);
+    endDate.setUTCFullYear(endDate.getUTCFullYear() + 1);
+
+    const feed = {
+      agency: [],
+      stops: [],
+      routes: [],
+      trips: [],
+      stop_times: [],
+      shapes: [],
+      calendar: [
+        {
+          service_id: SERVICE_ID,
+          monday: 1,
+          tuesday: 1,
+          wednesday: 1,
+          thursday: 1,
+          friday: 1,
+          saturday: 1,
+          sunday: 1,
+          start_date: formatDate(startDate),
+          end_date: formatDate(endDate),
+        },
+      ],
+    };
+    let skippedStopTimes = 0;
+
+    for (const [operator, data] of Object.entries(operatorsData)) {
+      const agency = GTFS_AGENCIES[operator];
+      if (!agency) {
+        continue;
+      }
+      feed.agency.push(agency);
+
+      const stopCoordinates = new Map();
+      for (const [stopId, stopData] of Object.entries(data.allStopsData)) {
+        const coordinates = GeoUtils.getCoordinates(stopData);
+        if (!coordinates) {
+          continue;
+        }
+        stopCoordinates.set(stopId, coordinates);
+        feed.stops.push({
+          stop_id: `${operator}-${stopId}`,
+          stop_code: stopId,
+          stop_name: stopData.name_en,
+          stop_lat: coordinates.lat,
+          stop_lon: coordinates.long,
+        });
+      }
+
+      const routes = data.routes || [];
+      for (const [route, routeData] of Object.entries(data.allRoutesData)) {
+        const routeId = `${operator}-${route}`;
+        let tripCount = 0;
+
+        for (const variant of BaseDataProcessor.groupRouteVariants(routeData)) {
+          const stops = variant.stops.filter(stop =>
+            stopCoordinates.has(stop.stop)
+          );
+          skippedStopTimes += variant.stops.length - stops.length;
+          if (stops.length < 2) {
+            continue;
+          }
+
+          const tripId = [routeId, variant.direction, variant.serviceType]
+            .filter(part => part !== null && part !== '')
+            .join('-');
+          feed.trips.push({
+            route_id: routeId,
+            service_id: SERVICE_ID,
+            trip_id: tripId,
+            trip_headsign: this.getHeadsign(routes, route, variant),
+            direction_id: variant.direction === 'I' ? 1 : 0,
+            shape_id: tripId,
+          });
+          this._addStopTimesAndShape(
+            feed,
+            tripId,
+            operator,
+            stops,
+            stopCoordinates
+          );
+          tripCount++;
+        }
+
+        if (tripCount > 0) {
+          const meta = this.findRouteMetadata(routes, route) || {};
+          feed.routes.push({
+            route_id: routeId,
+            agency_id: agency.agency_id,
+            route_short_name: route,
+            route_long_name:
+              meta.orig_en && meta.dest_en
+                ? `${meta.orig_en} - ${meta.dest_en}`
+                : '',
+            route_type: ROUTE_TYPE_BUS,
+          });
+        }
+      }
+    }
+
+    return { feed, skippedStopTimes };
+  }
+
+  /**
+   * Add the estimated stop times and the stop-to-stop shape of a trip
+   * @private
+   * @param {GTFSFeed} feed - Feed being built
+   * @param {string} tripId - Trip (and shape) ID
+   * @param {string} operator - Operator code
+   * @param {Object[]} stops - Route stops in sequence
+   * @param {Map<string, {lat: number, long: number}>} stopCoordinates - Coordinates by stop ID
+   */
+  static _addStopTimesAndShape(feed, tripId, operator, stops, stopCoordinates) {
+    let distance = 0;
+    let previous = null;
+
+    stops.forEach((stop, index) => {
+      const coordinates = stopCoordinates.get(stop.stop);
+      if (previous) {
+        distance += GeoUtils.haversineDistance(
+          previous.lat,
+          previous.long,
+          coordinates.lat,
+          coordinates.long
+        );
+      }
+      previous = coordinates;
+
+      const time = formatTime(
+        FIRST_DEPARTURE_SECONDS + distance / BUS_SPEED_METERS_PER_SECOND
+      );
+      const distanceTraveled = Math.round(distance * 10) / 10;
+      feed.stop_times.push({
+        trip_id: tripId,
+        arrival_time: time,
+        departure_time: time,
+        stop_id: `${operator}-${stop.stop}`,
+        stop_sequence: index + 1,
+        shape_dist_traveled: distanceTraveled,
+        timepoint: 0,
+      });
+      feed.shapes.push({
+        shape_id: tripId,
+        shape_pt_lat: coordinates.lat,
+        shape_pt_lon: coordinates.long,
+        shape_pt_sequence: index + 1,
+        shape_dist_traveled: distanceTraveled,
+      });
+    });
+  }
+
+  /**
+   * Check that IDs are unique and every reference resolves
+   * @param {GTFSFeed} feed - GTFS tables
+   * @returns {true} True if the feed is valid
+   * @throws {ValidationError} If IDs are duplicated or references are missing
+   */
+  static validateFeed(feed) {
+    const errors = [];
+    const collectIds = (table, key) => {
+      const ids = new Set();
+      for (const row of feed[table]) {
+        if (ids.has(row[key])) {
+          errors.push(`Duplicate ${key} in ${table}.txt: ${row[key]}`);
+        }
+        ids.add(row[key]);
+      }
+      return ids;
+    };
+    const checkReferences = (table, key, ids, target) => {
+      for (const row of feed[table]) {
+        if (!ids.has(row[key])) {
+          errors.push(
+            `${table}.txt references missing ${target} ${key}: ${row[key]}`
+          );
+        }
+      }
+    };
+
+    const agencyIds = collectIds('agency', 'agency_id');
+    const stopIds = collectIds('stops', 'stop_id');
+    const routeIds = collectIds('routes', 'route_id');
+    const tripIds = collectIds('trips', 'trip_id');
+    const serviceIds = collectIds('calendar', 'service_id');
+    const shapeIds = new Set(feed.shapes.map(row => row.shape_id));
+
+    checkReferences('routes', 'agency_id', agencyIds, 'agency');
+    checkReferences('trips', 'route_id', routeIds, 'route');
+    checkReferences('trips', 'service_id', serviceIds, 'calendar');
+    checkReferences('trips', 'shape_id', shapeIds, 'shape');
+    checkReferences('stop_times', 'trip_id', tripIds, 'trip');
+    checkReferences('stop_times', 'stop_id', stopIds, 'stop');
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `GTFS feed has ${errors.length} validation errors`,
+        { errors: errors.slice(0, 20), total: errors.length }
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Serialise rows as CSV with a header line
+   * @param {Object[]} rows - Rows
+   * @param {string[]} columns - Column names, in order
+   * @returns {string} CSV text
+   */
+  static toCsv(rows, columns) {
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => escape(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Validate the feed and package it as a GTFS zip
+   * @param {GTFSFeed} feed - GTFS tables
+   * @returns {Buffer} gtfs.zip content
+   * @throws {ValidationError} If the feed is invalid
+   */
+  static createArchive(feed) {
+    this.validateFeed(feed);
+    return ZipWriter.create(
+      Object.entries(GTFS_FILES).map(([table, columns]) => ({
+        name: `${table}.txt`,
+        content: this.toCsv(feed[table], columns),
+      }))
+    );
+  }
+}
+
+module.exports = { GTFSExporter };
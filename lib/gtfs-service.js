@@ -0,0 +1,107 @@
+const { GTFSExporter } = require('./gtfs-exporter');
+const { GTFSFileManager } = require('./file-manager');
+const { Result } = require('./result');
+const { ProcessingError, ValidationError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * @typedef {Object} GTFSServiceOptions
+ * @property {string} [baseDir] - Output base directory (defaults to config.output.gtfs.baseDir)
+ * @property {import('./gtfs-exporter').GTFSExporter} [exporter] - GTFS exporter class (for DI)
+ * @property {import('./file-manager').GTFSFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Exports the in-memory CTB/KMB collection results as gtfs.zip
+ * @class
+ */
+class GTFSService {
+  /**
+   * Create a new GTFS service
+   * @param {GTFSServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || config.output.gtfs.baseDir;
+    this.exporter = options.exporter || GTFSExporter;
+    this.fileManager = options.fileManager || new GTFSFileManager(this.baseDir);
+  }
+
+  /**
+   * Pick the exportable operators' data from a collection summary
+   * @param {import('./collection-runner').CollectionSummary} summary - Collection summary
+   * @returns {Object.<string, import('./gtfs-exporter').GTFSOperatorData>} Collected data keyed by operator code
+   */
+  static operatorsDataFromSummary(summary) {
+    return Object.fromEntries(
+      summary.results
+        .filter(
+          result =>
+            result.success &&
+            result.data &&
+            result.data.allRoutesData &&
+            GTFSExporter.supportedOperators.includes(result.name)
+        )
+        .map(({ name, data }) => [
+          name,
+          {
+            allStopsData: data.allStopsData,
+            allRoutesData: data.allRoutesData,
+            routes: data.routes,
+          },
+        ])
+    );
+  }
+
+  /**
+   * Build, validate and save gtfs.zip
+   * Skipped (successfully) when no exportable operator was collected.
+   * @param {Object.<string, import('./gtfs-exporter').GTFSOperatorData>} operatorsData - Collected data keyed by operator code
+   * @returns {Promise<Result<{operators: string[], trips: number, stops: number, skipped: boolean}>>} Result with feed summary
+   */
+  async exportFeed(operatorsData) {
+    const operators = Object.keys(operatorsData);
+    if (operators.length === 0) {
+      console.warn('Skipping GTFS export: no CTB or KMB data collected');
+      return Result.success({ operators, trips: 0, stops: 0, skipped: true });
+    }
+
+    try {
+      console.log(`Building GTFS feed for ${operators.join(', ')}...`);
+      const { feed, skippedStopTimes } = this.exporter.buildFeed(operatorsData);
+      if (skippedStopTimes > 0) {
+        console.warn(
+          `GTFS: left out ${skippedStopTimes} route stops without stop coordinates`
+        );
+      }
+
+      const archive = this.exporter.createArchive(feed);
+      const saveResult = await this.fileManager.saveFeed(archive);
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+
+      console.log(
+        `GTFS: ${feed.routes.length} routes, ${feed.trips.length} trips, ${feed.stops.length} stops`
+      );
+      return Result.success({
+        operators,
+        trips: feed.trips.length,
+        stops: feed.stops.length,
+        skipped: false,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return Result.failure(error);
+      }
+      console.error('Error exporting GTFS feed:', error);
+      return Result.failure(
+        new ProcessingError('GTFS export failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { GTFSService };
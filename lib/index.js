@@ -19,6 +19,7 @@ const {
 const { ConfigLoader } = require('./config-loader');
 const { ConfigValidator } = require('./config-validator');
 const { ServiceFactory } = require('./service-factory');
+const { OperatorRegistry } = require('./operator-registry');
 const {
   MockApiClient,
   MockDataCollector,
@@ -46,6 +47,7 @@ module.exports = {
   ConfigLoader,
   ConfigValidator,
   ServiceFactory,
+  OperatorRegistry,
   // Mocks for testing
   MockApiClient,
   MockDataCollector,
@@ -0,0 +1,114 @@
+const { BaseFileManager } = require('./base-file-manager');
+const { JointRouteFileManager } = require('./file-manager');
+const { JointRouteProcessor } = require('./joint-routes');
+const { Result } = require('./result');
+const { ProcessingError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * @typedef {Object} JointRouteServiceOptions
+ * @property {number} [radius] - Stop pairing radius in metres (defaults to config.spatial.jointStopRadius)
+ * @property {string} [ctbDir] - CTB output base directory (defaults to config.output.ctb.baseDir)
+ * @property {string} [kmbDir] - KMB output base directory (defaults to config.output.kmb.baseDir)
+ * @property {string} [baseDir] - Joint output base directory (defaults to config.output.joint.baseDir)
+ * @property {import('./joint-routes').JointRouteProcessor} [processor] - Joint route processor class (for DI)
+ * @property {import('./file-manager').JointRouteFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Builds joint/routes.json from the saved CTB and KMB output
+ * @class
+ */
+class JointRouteService {
+  /**
+   * Create a new joint route service
+   * @param {JointRouteServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.radius = options.radius || config.spatial.jointStopRadius;
+    this.ctbFiles = new BaseFileManager(
+      options.ctbDir || config.output.ctb.baseDir
+    );
+    this.kmbFiles = new BaseFileManager(
+      options.kmbDir || config.output.kmb.baseDir
+    );
+    this.baseDir = options.baseDir || config.output.joint.baseDir;
+    this.processor = options.processor || JointRouteProcessor;
+    this.fileManager =
+      options.fileManager || new JointRouteFileManager(this.baseDir);
+  }
+
+  /**
+   * Read the CTB and KMB routes and stops
+   * @private
+   * @returns {Promise<Result<{ctbAllRoutes: Object, kmbAllRoutes: Object, allStops: {ctb: Object, kmb: Object}}>>} Result with loaded data
+   */
+  async _loadOperatorData() {
+    const [ctbAllRoutes, kmbAllRoutes, ctbStops, kmbStops] = await Promise.all([
+      this.ctbFiles.readAllRoutes(),
+      this.kmbFiles.readAllRoutes(),
+      this.ctbFiles.readAllStops(),
+      this.kmbFiles.readAllStops(),
+    ]);
+
+    const failed = [ctbAllRoutes, kmbAllRoutes, ctbStops, kmbStops].find(
+      result => result.isFailure()
+    );
+    if (failed) {
+      return failed;
+    }
+
+    return Result.success({
+      ctbAllRoutes: ctbAllRoutes.unwrap(),
+      kmbAllRoutes: kmbAllRoutes.unwrap(),
+      allStops: { ctb: ctbStops.unwrap(), kmb: kmbStops.unwrap() },
+    });
+  }
+
+  /**
+   * Detect and save joint routes
+   * Skipped (successfully) when CTB or KMB data has not been collected.
+   * @returns {Promise<Result<{totalRoutes: number, skipped: boolean}>>} Result with joint route count
+   */
+  async buildAndSave() {
+    try {
+      const loadResult = await this._loadOperatorData();
+      if (loadResult.isFailure()) {
+        console.warn(`Skipping joint routes: ${loadResult.getError().message}`);
+        return Result.success({ totalRoutes: 0, skipped: true });
+      }
+
+      const { ctbAllRoutes, kmbAllRoutes, allStops } = loadResult.unwrap();
+      console.log(
+        `Matching CTB and KMB routes (stops within ${this.radius}m)...`
+      );
+      const jointRoutes = this.processor.detectJointRoutes(
+        ctbAllRoutes,
+        kmbAllRoutes,
+        allStops,
+        this.radius
+      );
+
+      const saveResult = await this.fileManager.saveJointRoutes(jointRoutes);
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+
+      console.log(`Found ${jointRoutes.total_routes} joint routes`);
+      return Result.success({
+        totalRoutes: jointRoutes.total_routes,
+        skipped: false,
+      });
+    } catch (error) {
+      console.error('Error detecting joint routes:', error);
+      return Result.failure(
+        new ProcessingError('Joint route detection failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { JointRouteService };
@@ -0,0 +1,267 @@
+const { GeoUtils } = require('./geo');
+
+// Pairs scoring below this share of aligned stops are not treated as joint
+const MIN_MATCH_RATIO = 0.5;
+// Terminus distance (metres) accepted when origin/destination names differ
+const ENDPOINT_RADIUS = 500;
+
+/**
+ * @typedef {Object} JointStopPair
+ * @property {string|null} ctb - CTB stop ID (null if KMB-only stop)
+ * @property {string|null} kmb - KMB stop ID (null if CTB-only stop)
+ * @property {number|null} distance_m - Distance between the paired stops in metres
+ */
+
+/**
+ * @typedef {Object} JointDirection
+ * @property {{dir: string, stops: string[]}} ctb - CTB direction and stop sequence
+ * @property {{bound: string, service_type: string, stops: string[]}} kmb - KMB bound, service type and stop sequence
+ * @property {string} orig_en - English origin name (CTB)
+ * @property {string} orig_tc - Traditional Chinese origin name (CTB)
+ * @property {string} dest_en - English destination name (CTB)
+ * @property {string} dest_tc - Traditional Chinese destination name (CTB)
+ * @property {number} match_ratio - Aligned stops / longer sequence length
+ * @property {JointStopPair[]} pairs - Both stop sequences merged in travel order
+ */
+
+/**
+ * @typedef {Object} JointRoutes
+ * @property {string} generated_at - ISO timestamp of generation
+ * @property {number} radius_m - Stop pairing radius in metres
+ * @property {number} total_routes - Number of joint routes
+ * @property {Object.<string, {route: string, directions: JointDirection[]}>} routes - Joint routes keyed by route number
+ */
+
+/**
+ * Normalise a stop or place name for comparison
+ * @param {string} [name] - Name
+ * @returns {string} Lower-case name without spaces and punctuation
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[\s()（）,.'’-]/g, '');
+}
+
+/**
+ * Detects routes jointly operated by CTB and KMB
+ * @class
+ */
+class JointRouteProcessor {
+  /**
+   * Look up stop coordinates for a stop sequence
+   * @param {string[]} stopIds - Stop IDs in sequence
+   * @param {Object.<string, Object>} allStopsData - allstops.json data
+   * @returns {Array<{stop: string, lat: number, long: number}|{stop: string}>} Stops with coordinates where known
+   */
+  static locateStops(stopIds, allStopsData) {
+    return stopIds.map(stop => ({
+      stop,
+      ...GeoUtils.getCoordinates(allStopsData[stop]),
+    }));
+  }
+
+  /**
+   * Distance between two located stops
+   * @param {Object} a - Located stop
+   * @param {Object} b - Located stop
+   * @returns {number} Distance in metres (Infinity if either has no coordinates)
+   */
+  static distance(a, b) {
+    if (a.lat === undefined || b.lat === undefined) {
+      return Infinity;
+    }
+    return GeoUtils.haversineDistance(a.lat, a.long, b.lat, b.long);
+  }
+
+  /**
+   * Align two stop sequences, keeping travel order
+   *
+   * Longest-common-subsequence style alignment where two stops may pair if
+   * they are within `radius`; among alignments with the most pairs the one
+   * with the smallest total distance wins.
+   * @param {Object[]} ctbStops - Located CTB stops
+   * @param {Object[]} kmbStops - Located KMB stops
+   * @param {number} radius - Pairing radius in metres
+   * @returns {{pairs: JointStopPair[], matched: number}} Merged sequence and pair count
+   */
+  static alignStops(ctbStops, kmbStops, radius) {
+    const n = ctbStops.length;
+    const m = kmbStops.length;
+    // Score = pairs * PAIR_WEIGHT - total distance, so pair count dominates
+    const PAIR_WEIGHT = 1e6;
+    const score = Array.from({ length: n + 1 }, () =>
+      new Float64Array(m + 1).fill(0)
+    );
+    const distances = Array.from({ length: n }, (_, i) =>
+      kmbStops.map(kmbStop => this.distance(ctbStops[i], kmbStop))
+    );
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        let best = Math.max(score[i + 1][j], score[i][j + 1]);
+        if (distances[i][j] <= radius) {
+          best = Math.max(
+            best,
+            score[i + 1][j + 1] + PAIR_WEIGHT - distances[i][j]
+          );
+        }
+        score[i][j] = best;
+      }
+    }
+
+    const pairs = [];
+    let matched = 0;
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (
+        i < n &&
+        j < m &&
+        distances[i][j] <= radius &&
+        score[i][j] === score[i + 1][j + 1] + PAIR_WEIGHT - distances[i][j]
+      ) {
+        pairs.push({
+          ctb: ctbStops[i].stop,
+          kmb: kmbStops[j].stop,
+          distance_m: Math.round(distances[i][j] * 10) / 10,
+        });
+        matched++;
+        i++;
+        j++;
+      } else if (j >= m || (i < n && score[i + 1][j] >= score[i][j + 1])) {
+        pairs.push({ ctb: ctbStops[i].stop, kmb: null, distance_m: null });
+        i++;
+      } else {
+        pairs.push({ ctb: null, kmb: kmbStops[j].stop, distance_m: null });
+        j++;
+      }
+    }
+
+    return { pairs, matched };
+  }
+
+  /**
+   * Check whether two directions run between the same places, by origin and
+   * destination names or, failing that, by terminus distance
+   * @param {Object} ctbDirection - CTB direction from allroutes.json
+   * @param {Object} kmbVariant - KMB service type from allroutes.json
+   * @param {Object[]} ctbStops - Located CTB stops
+   * @param {Object[]} kmbStops - Located KMB stops
+   * @returns {boolean} True if the termini match
+   */
+  static terminiMatch(ctbDirection, kmbVariant, ctbStops, kmbStops) {
+    const sameName = key =>
+      ['en', 'tc'].some(
+        lang =>
+          normalizeName(ctbDirection[`${key}_${lang}`]) !== '' &&
+          normalizeName(ctbDirection[`${key}_${lang}`]) ===
+            normalizeName(kmbVariant[`${key}_${lang}`])
+      );
+    if (sameName('orig') && sameName('dest')) {
+      return true;
+    }
+
+    return (
+      this.distance(ctbStops[0], kmbStops[0]) <= ENDPOINT_RADIUS &&
+      this.distance(
+        ctbStops[ctbStops.length - 1],
+        kmbStops[kmbStops.length - 1]
+      ) <= ENDPOINT_RADIUS
+    );
+  }
+
+  /**
+   * Find the best KMB variant for each CTB direction of a route
+   * @param {Object} ctbRoute - CTB allroutes.json entry ({dir: direction})
+   * @param {Object} kmbRoute - KMB allroutes.json entry ({bound: {serviceType: variant}})
+   * @param {{ctb: Object, kmb: Object}} allStops - allstops.json data per operator
+   * @param {number} radius - Stop pairing radius in metres
+   * @returns {JointDirection[]} Matched directions
+   */
+  static matchRoute(ctbRoute, kmbRoute, allStops, radius) {
+    const directions = [];
+
+    for (const [dir, ctbDirection] of Object.entries(ctbRoute)) {
+      if (!ctbDirection.stops || ctbDirection.stops.length < 2) {
+        continue;
+      }
+      const ctbStops = this.locateStops(ctbDirection.stops, allStops.ctb);
+      let best = null;
+      let bestRatio = 0;
+
+      for (const [bound, variants] of Object.entries(kmbRoute)) {
+        for (const [serviceType, kmbVariant] of Object.entries(variants)) {
+          if (!kmbVariant.stops || kmbVariant.stops.length < 2) {
+            continue;
+          }
+          const kmbStops = this.locateStops(kmbVariant.stops, allStops.kmb);
+          const { pairs, matched } = this.alignStops(
+            ctbStops,
+            kmbStops,
+            radius
+          );
+          const matchRatio =
+            matched / Math.max(ctbStops.length, kmbStops.length);
+
+          if (
+            matchRatio < MIN_MATCH_RATIO ||
+            !this.terminiMatch(ctbDirection, kmbVariant, ctbStops, kmbStops) ||
+            matchRatio <= bestRatio
+          ) {
+            continue;
+          }
+
+          bestRatio = matchRatio;
+          best = {
+            ctb: { dir, stops: ctbDirection.stops },
+            kmb: { bound, service_type: serviceType, stops: kmbVariant.stops },
+            orig_en: ctbDirection.orig_en,
+            orig_tc: ctbDirection.orig_tc,
+            dest_en: ctbDirection.dest_en,
+            dest_tc: ctbDirection.dest_tc,
+            match_ratio: Math.round(matchRatio * 1000) / 1000,
+            pairs,
+          };
+        }
+      }
+
+      if (best) {
+        directions.push(best);
+      }
+    }
+
+    return directions;
+  }
+
+  /**
+   * Detect joint routes from CTB and KMB allroutes.json / allstops.json
+   * @param {{routes: Object}} ctbAllRoutes - CTB compact allroutes.json
+   * @param {{routes: Object}} kmbAllRoutes - KMB compact allroutes.json
+   * @param {{ctb: Object, kmb: Object}} allStops - allstops.json data per operator
+   * @param {number} radius - Stop pairing radius in metres
+   * @returns {JointRoutes} Joint routes
+   */
+  static detectJointRoutes(ctbAllRoutes, kmbAllRoutes, allStops, radius) {
+    const routes = {};
+
+    for (const [route, ctbRoute] of Object.entries(ctbAllRoutes.routes)) {
+      const kmbRoute = kmbAllRoutes.routes[route];
+      if (!kmbRoute) {
+        continue;
+      }
+
+      const directions = this.matchRoute(ctbRoute, kmbRoute, allStops, radius);
+      if (directions.length > 0) {
+        routes[route] = { route, directions };
+      }
+    }
+
+    return {
+      generated_at: new Date().toISOString(),
+      radius_m: radius,
+      total_routes: Object.keys(routes).length,
+      routes,
+    };
+  }
+}
+
+module.exports = { JointRouteProcessor };
@@ -1,17 +1,22 @@
 const { KMBDataCollector } = require('./data-collector');
 const { KMBDataProcessor } = require('./data-processor');
 const { KMBFileManager } = require('./file-manager');
+const { ChangeDetector } = require('./change-detector');
 const { Result } = require('./result');
 const { ProcessingError } = require('./errors');
+const config = require('../config/default');
 
 /**
  * @typedef {Object} KMBServiceOptions
  * @property {number} [requestsPerSecond=3] - API requests per second
  * @property {number} [concurrentRequests=2] - Concurrent requests limit
  * @property {string} [baseDir='kmb'] - Output base directory
+ * @property {string} [operator='kmb'] - Operator code recorded on nearby stops
+ * @property {number} [nearbyStopRadius] - Nearby stop radius in metres (defaults to config.spatial.nearbyStopRadius)
  * @property {import('./data-collector').KMBDataCollector} [collector] - Data collector instance (for DI)
  * @property {import('./data-processor').KMBDataProcessor} [processor] - Data processor class (for DI)
  * @property {import('./file-manager').KMBFileManager} [fileManager] - File manager instance (for DI)
+ * @property {import('./base-data-collector').PreviousData} [previous] - Previously published data to compare against (fetched if not given)
  */
 
 /**
@@ -27,6 +32,9 @@ class KMBService {
     this.requestsPerSecond = options.requestsPerSecond || 3;
     this.concurrentRequests = options.concurrentRequests || 2;
     this.baseDir = options.baseDir || 'kmb';
+    this.operator = options.operator || 'kmb';
+    this.nearbyStopRadius =
+      options.nearbyStopRadius ?? config.spatial.nearbyStopRadius;
 
     // Dependency injection: use provided instances or create defaults
     this.collector =
@@ -34,12 +42,13 @@ class KMBService {
       new KMBDataCollector(this.requestsPerSecond, this.concurrentRequests);
     this.processor = options.processor || KMBDataProcessor;
     this.fileManager = options.fileManager || new KMBFileManager(this.baseDir);
+    this.previous = options.previous || null;
   }
 
   /**
    * Collect routes and route-stops data
    * @private
-   * @returns {Promise<{routes: Array, routeStops: Object, stopRoutesMap: Object}>}
+   * @returns {Promise<{routes: Array, routeStops: Object, stopRoutesMap: Object, stopRouteVariants: Object, stopRouteDetails: Object}>}
    */
   async _collectRoutesAndStops() {
     console.log('Collecting KMB routes and route-stops...');
@@ -58,10 +67,34 @@ class KMBService {
     );
 
     const stopRoutesMap = this._buildStopRoutesMap(routeStops);
+    const stopRouteVariants = this.processor.buildStopRouteVariants(
+      routeStops,
+      routes
+    );
+    const stopRouteDetails = this.processor.buildStopRouteDetails(
+      routeStops,
+      routes
+    );
     const stopIds = Object.keys(stopRoutesMap);
     console.log(`Found ${stopIds.length} unique stops`);
 
-    return { routes, routeStops, stopRoutesMap };
+    return {
+      routes,
+      routeStops,
+      stopRoutesMap,
+      stopRouteVariants,
+      stopRouteDetails,
+    };
+  }
+
+  /**
+   * Previously published allstops.json and allroutes.json, as passed in by
+   * the collection runner or else fetched
+   * @private
+   * @returns {Promise<import('./base-data-collector').PreviousData>}
+   */
+  async _fetchPreviousData() {
+    return this.previous || this.collector.fetchPreviousData(this.operator);
   }
 
   /**
@@ -114,17 +147,32 @@ class KMBService {
    * @param {Array} stopIds - Stop IDs to process
    * @param {Object} stopsMap - Map of stop IDs to stop data
    * @param {Object} stopRoutesMap - Map of stop IDs to routes
+   * @param {Object} stopRouteDetails - Map of stop IDs to route details
+   * @param {Object.<string, import('./data-processor').KMBRouteVariant[]>} [stopRouteVariants={}] - Map of stop IDs to route variants
    * @returns {Object} All enriched stops data
    */
-  _processStopData(stopIds, stopsMap, stopRoutesMap) {
+  _processStopData(
+    stopIds,
+    stopsMap,
+    stopRoutesMap,
+    stopRouteDetails,
+    stopRouteVariants = {}
+  ) {
     console.log('Processing and saving stop data...');
     const allStopsData = {};
 
     for (const stopId of stopIds) {
       const stopData = stopsMap[stopId];
       const enrichedStopData = stopData
-        ? this.processor.enrichStopWithRoutes(stopData, stopRoutesMap, stopId)
-        : this._createFallbackStopData(stopId, stopRoutesMap);
+        ? this.processor.enrichStopWithRoutes(
+            stopData,
+            stopRoutesMap,
+            stopId,
+            stopRouteDetails
+          )
+        : this._createFallbackStopData(stopId, stopRoutesMap, stopRouteDetails);
+      // Route numbers alone merge special departures into the regular service
+      enrichedStopData.routeVariants = stopRouteVariants[stopId] || [];
 
       allStopsData[stopId] = enrichedStopData;
     }
@@ -137,9 +185,10 @@ class KMBService {
    * @private
    * @param {string} stopId - Stop ID
    * @param {Object} stopRoutesMap - Map of stop IDs to routes
+   * @param {Object} stopRouteDetails - Map of stop IDs to route details
    * @returns {Object} Fallback stop data
    */
-  _createFallbackStopData(stopId, stopRoutesMap) {
+  _createFallbackStopData(stopId, stopRoutesMap, stopRouteDetails) {
     const fallbackStopData = {
       stop: stopId,
       name_en: `Stop ${stopId}`,
@@ -149,24 +198,45 @@ class KMBService {
     return this.processor.enrichStopWithRoutes(
       fallbackStopData,
       stopRoutesMap,
-      stopId
+      stopId,
+      stopRouteDetails
     );
   }
 
   /**
    * Save stop data to files
+   * Only stops that changed since the previous data (or have no file yet)
+   * are written; unchanged stops keep their previous data_timestamp, and the
+   * files of removed stops are deleted.
    * @private
    * @param {Object} allStopsData - All stops data
-   * @returns {Promise<number>} Number of save errors
+   * @param {Object} previousStops - Previously published allstops.json
+   * @returns {Promise<{stopChanges: Object, saveErrors: number}>}
    */
-  async _saveStopData(allStopsData) {
-    let saveErrors = 0;
+  async _saveStopData(allStopsData, previousStops) {
+    const stopChanges = ChangeDetector.detectStopChanges(
+      previousStops,
+      allStopsData
+    );
+    const changedStops = ChangeDetector.changedIds(stopChanges);
+    console.log(
+      `Stops: ${stopChanges.added.length} added, ${stopChanges.updated.length} updated, ${stopChanges.removed.length} removed`
+    );
+
+    const stopsToSave = {};
     for (const [stopId, stopData] of Object.entries(allStopsData)) {
-      const saveResult = await this.fileManager.saveStopData(stopId, stopData);
-      if (saveResult.isFailure()) {
-        saveErrors++;
+      if (
+        changedStops.has(stopId) ||
+        !(await this.fileManager.hasStopData(stopId))
+      ) {
+        stopsToSave[stopId] = stopData;
       }
     }
+    const saveResults = [
+      ...(await this.fileManager.saveStops(stopsToSave)),
+      ...(await this.fileManager.removeStops(stopChanges.removed)),
+    ];
+    const saveErrors = saveResults.filter(result => result.isFailure()).length;
 
     const allStopsResult = await this.fileManager.saveAllStops(allStopsData);
     if (allStopsResult.isFailure()) {
@@ -176,48 +246,105 @@ class KMBService {
       );
     }
 
-    return saveErrors;
+    return { stopChanges, saveErrors };
   }
 
   /**
    * Save route data to files
+   * Only routes that changed since the previous data (or have no file yet)
+   * are written, and the files of removed routes are deleted.
    * @private
    * @param {Array} routes - Routes metadata from API
    * @param {Object} routeStops - Route stops data
    * @param {Object} allStopsData - All stops data
    * @param {Object} stopsMap - Map of stop IDs to stop data
-   * @returns {Promise<number>} Number of route save errors
+   * @param {import('./base-data-collector').PreviousData} previous - Previously published data
+   * @returns {Promise<{allRoutesData: Object, routeChanges: Object, routeSaveErrors: number}>}
    */
-  async _saveRouteData(routes, routeStops, allStopsData, stopsMap) {
+  async _saveRouteData(routes, routeStops, allStopsData, stopsMap, previous) {
     console.log('Generating route files...');
     const allRoutesData = {};
-    const successfulStops = Object.keys(allStopsData).map(stopId => ({
-      stopId,
-      data: stopsMap[stopId],
-    }));
+    const stopLookup = this.processor.createStopLookup(
+      Object.keys(allStopsData).map(stopId => ({
+        stopId,
+        data: stopsMap[stopId],
+      }))
+    );
 
-    let routeSaveErrors = 0;
     for (const [route] of Object.entries(routeStops)) {
-      const enrichedRouteData = this.processor.createEnrichedRouteData(
+      allRoutesData[route] = this.processor.createEnrichedRouteData(
         route,
         routeStops,
-        successfulStops
+        stopLookup,
+        routes
       );
+    }
 
-      allRoutesData[route] = enrichedRouteData;
+    const routeChanges = ChangeDetector.detectRouteChanges(
+      previous.allRoutes,
+      this.fileManager.buildCompactRoutes(allRoutesData, routes),
+      previous.allStops,
+      allStopsData
+    );
+    const changedRoutes = ChangeDetector.changedIds(routeChanges);
+    console.log(
+      `Routes: ${routeChanges.added.length} added, ${routeChanges.updated.length} updated, ${routeChanges.removed.length} removed`
+    );
 
-      const routeResult = await this.fileManager.saveRouteData(
-        route,
-        enrichedRouteData
-      );
-      if (routeResult.isFailure()) {
-        routeSaveErrors++;
+    const routesToSave = {};
+    for (const [route, enrichedRouteData] of Object.entries(allRoutesData)) {
+      if (
+        changedRoutes.has(route) ||
+        !(await this.fileManager.hasRouteData(route))
+      ) {
+        routesToSave[route] = enrichedRouteData;
       }
     }
+    const routeResults = [
+      ...(await this.fileManager.saveRoutes(routesToSave)),
+      ...(await this.fileManager.removeRoutes(routeChanges.removed)),
+    ];
+    const routeSaveErrors = routeResults.filter(result =>
+      result.isFailure()
+    ).length;
 
     await this.fileManager.saveAllRoutes(allRoutesData, routes);
 
-    return routeSaveErrors;
+    return { allRoutesData, routeChanges, routeSaveErrors };
+  }
+
+  /**
+   * Save stops.geojson and routes.geojson
+   * @private
+   * @param {Object} allStopsData - All stops data
+   * @param {Object} allRoutesData - All routes data
+   * @returns {Promise<number>} Number of GeoJSON save errors (0 or 1)
+   */
+  async _saveGeoJSON(allStopsData, allRoutesData) {
+    const geoJSONResult = await this.fileManager.saveGeoJSON(
+      allStopsData,
+      allRoutesData,
+      this.operator
+    );
+    return geoJSONResult.isFailure() ? 1 : 0;
+  }
+
+  /**
+   * Save changes.json
+   * @private
+   * @param {Object} stopChanges - Stop changes
+   * @param {Object} routeChanges - Route changes
+   * @param {Object} previousStops - Previously published allstops.json
+   * @returns {Promise<{changes: Object, saveErrors: number}>}
+   */
+  async _saveChanges(stopChanges, routeChanges, previousStops) {
+    const changes = ChangeDetector.createReport(
+      stopChanges,
+      routeChanges,
+      Object.keys(previousStops).length > 0
+    );
+    const changesResult = await this.fileManager.saveChanges(changes);
+    return { changes, saveErrors: changesResult.isFailure() ? 1 : 0 };
   }
 
   /**
@@ -252,53 +379,99 @@ class KMBService {
    */
   async collectAndSaveData() {
     try {
-      await this.fileManager.ensureDirectories();
+      // Files are written to a staging directory until the run succeeds
+      await this.fileManager.beginStaging();
 
       // Step 1: Collect routes and stops
-      const { routes, routeStops, stopRoutesMap } =
-        await this._collectRoutesAndStops();
+      const {
+        routes,
+        routeStops,
+        stopRoutesMap,
+        stopRouteVariants,
+        stopRouteDetails,
+      } = await this._collectRoutesAndStops();
+
+      // Step 2: Fetch previously published data for change detection
+      const previous = await this._fetchPreviousData();
 
-      // Step 2: Collect stop details
+      // Step 3: Collect stop details
       const stopIds = Object.keys(stopRoutesMap);
       const stopsMap = await this._collectStopDetails(stopIds);
 
-      // Step 3: Process and enrich stop data
+      // Step 4: Process and enrich stop data
       const allStopsData = this._processStopData(
         stopIds,
         stopsMap,
-        stopRoutesMap
+        stopRoutesMap,
+        stopRouteDetails,
+        stopRouteVariants
       );
 
-      // Step 4: Add nearby stops
-      this._addNearbyStopIds(allStopsData);
+      // Step 5: Add nearby stops
+      console.log(
+        `Adding stops within ${this.nearbyStopRadius}m as nearbyStops...`
+      );
+      this.processor.addNearbyStops(
+        allStopsData,
+        this.nearbyStopRadius,
+        this.operator
+      );
 
-      // Step 5: Save stop data
-      const saveErrors = await this._saveStopData(allStopsData);
+      // Step 6: Save stop data
+      const { stopChanges, saveErrors } = await this._saveStopData(
+        allStopsData,
+        previous.allStops
+      );
 
-      // Step 6: Save route data
-      const routeSaveErrors = await this._saveRouteData(
-        routes,
-        routeStops,
+      // Step 7: Save route data
+      const { allRoutesData, routeChanges, routeSaveErrors } =
+        await this._saveRouteData(
+          routes,
+          routeStops,
+          allStopsData,
+          stopsMap,
+          previous
+        );
+
+      // Step 8: Save GeoJSON for map widgets
+      const geoJSONErrors = await this._saveGeoJSON(
         allStopsData,
-        stopsMap
+        allRoutesData
       );
 
-      // Step 7: Log summary
+      // Step 9: Save the list of changed stops and routes
+      const { changes, saveErrors: changesErrors } = await this._saveChanges(
+        stopChanges,
+        routeChanges,
+        previous.allStops
+      );
+
+      // Step 10: Log summary
+      // Stops missing from the stop endpoint were saved with fallback names
+      const successfulStops = stopIds.filter(stopId => stopsMap[stopId]).length;
       this._logCompletionSummary(
-        stopIds.length,
+        successfulStops,
         stopIds.length,
         saveErrors,
         routeSaveErrors
       );
 
+      await this.fileManager.commitStaging();
+
       return Result.success({
         totalRoutes: routes.length,
         totalStops: stopIds.length,
-        successfulStops: stopIds.length,
-        saveErrors: saveErrors + routeSaveErrors,
+        successfulStops,
+        saveErrors:
+          saveErrors + routeSaveErrors + geoJSONErrors + changesErrors,
+        changes,
+        allStopsData,
+        allRoutesData,
+        routes,
       });
     } catch (error) {
       console.error('Error in data collection process:', error);
+      await this.fileManager.discardStaging();
       const processingError = new ProcessingError(
         'KMB data collection failed',
         { originalError: error.message, stack: error.stack }
@@ -306,51 +479,6 @@ class KMBService {
       return Result.failure(processingError);
     }
   }
-
-  /**
-   * Add nearbyStopIDs field to all stops in memory
-   * @private
-   * @param {Object} allStopsData - All stops data
-   */
-  _addNearbyStopIds(allStopsData) {
-    console.log('Adding nearbyStopIDs to all stops in memory...');
-
-    // Group stops by coordinates
-    const coordinateMap = new Map();
-
-    // Read each stop from memory and group by coordinates
-    for (const [stopId, stopData] of Object.entries(allStopsData)) {
-      // Create a key from lat and long
-      const coordKey = `${stopData.lat},${stopData.long}`;
-
-      // Add stop ID to the coordinate group
-      if (!coordinateMap.has(coordKey)) {
-        coordinateMap.set(coordKey, []);
-      }
-      coordinateMap.get(coordKey).push(stopId);
-    }
-
-    console.log(`Found ${coordinateMap.size} unique coordinate locations...`);
-
-    // Process each stop in memory and add nearbyStopIDs
-    for (const [stopId, stopData] of Object.entries(allStopsData)) {
-      // Create coordinate key for this stop
-      const coordKey = `${stopData.lat},${stopData.long}`;
-
-      // Get all stops at the same coordinates
-      const nearbyStops = coordinateMap.get(coordKey) || [];
-
-      // Filter out the current stop itself
-      const otherNearbyStops = nearbyStops.filter(
-        nearbyStopId => nearbyStopId !== stopId
-      );
-
-      // Add the new field to the data
-      stopData.nearbyStopIDs = otherNearbyStops;
-    }
-
-    console.log('Finished adding nearbyStopIDs to all stops in memory!');
-  }
 }
 
 module.exports = { KMBService };
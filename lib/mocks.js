@@ -78,6 +78,15 @@ class MockDataCollector {
     this.calls = [];
   }
 
+  /**
+   * Mock use of a checkpoint
+   * @param {Object|null} checkpoint - Checkpoint store
+   */
+  useCheckpoint(checkpoint) {
+    this.calls.push({ method: 'useCheckpoint' });
+    this.checkpoint = checkpoint;
+  }
+
   /**
    * Mock collect routes
    * @returns {Promise<Array>} Mocked routes
@@ -131,6 +140,38 @@ class MockDataCollector {
     }));
   }
 
+  /**
+   * Mock fetch of the previously published allstops.json
+   * @param {string} operator - Operator output directory
+   * @returns {Promise<Object>} Mocked previous stops
+   */
+  async fetchExistingAllStops(operator) {
+    this.calls.push({ method: 'fetchExistingAllStops', operator });
+    return this.mockData.previousStops || {};
+  }
+
+  /**
+   * Mock fetch of the previously published allroutes.json
+   * @param {string} operator - Operator output directory
+   * @returns {Promise<Object|null>} Mocked previous compact routes
+   */
+  async fetchExistingAllRoutes(operator) {
+    this.calls.push({ method: 'fetchExistingAllRoutes', operator });
+    return this.mockData.previousRoutes || null;
+  }
+
+  /**
+   * Mock fetch of the previously published allstops.json and allroutes.json
+   * @param {string} operator - Operator output directory
+   * @returns {Promise<{allStops: Object, allRoutes: (Object|null)}>} Mocked previous data
+   */
+  async fetchPreviousData(operator) {
+    return {
+      allStops: await this.fetchExistingAllStops(operator),
+      allRoutes: await this.fetchExistingAllRoutes(operator),
+    };
+  }
+
   /**
    * Mock process route stops data (KMB)
    * @param {Array} allRouteStops - Raw route stop data
@@ -161,11 +202,13 @@ class MockDataCollector {
   }
 
   /**
-   * Mock collect stop details for stops (KMB)
-   * @param {Array} stopIds - Stop identifiers
+   * Mock collect stop details for stops (KMB, MTR)
+   * @param {Array} [stopIds] - Stop identifiers (defaults to every mocked stop, as MTR collects them all)
    * @returns {Promise<Array>} Mocked stop details results
    */
-  async collectStopDetailsForStops(stopIds) {
+  async collectStopDetailsForStops(
+    stopIds = Object.keys(this.mockData.stops || {})
+  ) {
     this.calls.push({ method: 'collectStopDetailsForStops', stopIds });
     return stopIds.map(stopId => ({
       stopId,
@@ -211,6 +254,30 @@ class MockFileManager {
     this.calls.push({ method: 'ensureDirectories' });
   }
 
+  /**
+   * Mock begin staging
+   * @returns {Promise<void>}
+   */
+  async beginStaging() {
+    this.calls.push({ method: 'beginStaging' });
+  }
+
+  /**
+   * Mock commit staging
+   * @returns {Promise<void>}
+   */
+  async commitStaging() {
+    this.calls.push({ method: 'commitStaging' });
+  }
+
+  /**
+   * Mock discard staging
+   * @returns {Promise<void>}
+   */
+  async discardStaging() {
+    this.calls.push({ method: 'discardStaging' });
+  }
+
   /**
    * Mock save stop data
    * @param {string} stopId - Stop identifier
@@ -235,6 +302,76 @@ class MockFileManager {
     return Result.success({ route, filePath: `routes/${route}.json` });
   }
 
+  /**
+   * Mock save of many stops
+   * @param {Object} stopsData - Stop data keyed by stop identifier
+   * @returns {Promise<Result[]>} Success results
+   */
+  async saveStops(stopsData) {
+    return Promise.all(
+      Object.entries(stopsData).map(([stopId, stopData]) =>
+        this.saveStopData(stopId, stopData)
+      )
+    );
+  }
+
+  /**
+   * Mock save of many routes
+   * @param {Object} routesData - Route data keyed by route identifier
+   * @returns {Promise<Result[]>} Success results
+   */
+  async saveRoutes(routesData) {
+    return Promise.all(
+      Object.entries(routesData).map(([route, routeData]) =>
+        this.saveRouteData(route, routeData)
+      )
+    );
+  }
+
+  /**
+   * Mock removal of many stops
+   * @param {string[]} stopIds - Stop identifiers
+   * @returns {Promise<Result[]>} Success results
+   */
+  async removeStops(stopIds) {
+    return stopIds.map(stopId => {
+      this.calls.push({ method: 'removeStop', stopId });
+      delete this.savedFiles[`stops/${stopId}.json`];
+      return Result.success({ stopId, filePath: `stops/${stopId}.json` });
+    });
+  }
+
+  /**
+   * Mock removal of many routes
+   * @param {string[]} routes - Route identifiers
+   * @returns {Promise<Result[]>} Success results
+   */
+  async removeRoutes(routes) {
+    return routes.map(route => {
+      this.calls.push({ method: 'removeRoute', route });
+      delete this.savedFiles[`routes/${route}.json`];
+      return Result.success({ route, filePath: `routes/${route}.json` });
+    });
+  }
+
+  /**
+   * Mock check for an existing stop file
+   * @param {string} stopId - Stop identifier
+   * @returns {Promise<boolean>} True if the stop was saved
+   */
+  async hasStopData(stopId) {
+    return `stops/${stopId}.json` in this.savedFiles;
+  }
+
+  /**
+   * Mock check for an existing route file
+   * @param {string} route - Route identifier
+   * @returns {Promise<boolean>} True if the route was saved
+   */
+  async hasRouteData(route) {
+    return `routes/${route}.json` in this.savedFiles;
+  }
+
   /**
    * Mock save all stops
    * @param {Object} allStopsData - All stops data
@@ -249,6 +386,19 @@ class MockFileManager {
     });
   }
 
+  /**
+   * Mock build of the compact allroutes.json structure
+   * @param {Object} allRoutesData - All routes data
+   * @returns {{routes: Object, stops: Object}} Route stop IDs keyed by route
+   */
+  buildCompactRoutes(allRoutesData) {
+    const routes = {};
+    for (const [route, routeData] of Object.entries(allRoutesData)) {
+      routes[route] = { stops: (routeData.stops || []).map(stop => stop.stop) };
+    }
+    return { routes, stops: {} };
+  }
+
   /**
    * Mock save all routes
    * @param {Object} allRoutesData - All routes data
@@ -260,6 +410,36 @@ class MockFileManager {
     return true;
   }
 
+  /**
+   * Mock save changes
+   * @param {Object} changes - Change report
+   * @returns {Promise<Result>} Success result
+   */
+  async saveChanges(changes) {
+    this.calls.push({ method: 'saveChanges' });
+    this.savedFiles['changes.json'] = changes;
+    return Result.success({ filePath: 'changes.json' });
+  }
+
+  /**
+   * Mock save GeoJSON
+   * @param {Object} allStopsData - All stops data
+   * @param {Object} allRoutesData - All routes data
+   * @param {string} operator - Operator code
+   * @returns {Promise<Result>} Success result
+   */
+  async saveGeoJSON(allStopsData, allRoutesData, operator) {
+    this.calls.push({ method: 'saveGeoJSON', operator });
+    this.savedFiles['stops/stops.geojson'] = allStopsData;
+    this.savedFiles['routes/routes.geojson'] = allRoutesData;
+    return Result.success({
+      stopsPath: 'stops/stops.geojson',
+      routesPath: 'routes/routes.geojson',
+      stops: Object.keys(allStopsData).length,
+      routes: Object.keys(allRoutesData).length,
+    });
+  }
+
   /**
    * Get saved file data
    * @param {string} path - File path
@@ -308,6 +488,7 @@ class MockDataProcessor {
     return {
       routeStops: {},
       stopRoutesMap: {},
+      stopNamesMap: {},
     };
   }
 
@@ -320,14 +501,30 @@ class MockDataProcessor {
     return [];
   }
 
+  /**
+   * Normalize stop details (GMB)
+   * @param {Array} successfulStops - Raw stop details
+   * @param {Object} stopNamesMap - Stop names by stop identifier
+   * @returns {Array} Stop details unchanged
+   */
+  static normalizeStopDetails(successfulStops, stopNamesMap) {
+    return successfulStops;
+  }
+
   /**
    * Enrich stop with routes
    * @param {Object} stopData - Stop data
    * @param {Object} stopRoutesMap - Stop routes map
    * @param {string} stopId - Stop identifier
+   * @param {Object} [stopRouteDetails] - Stop route details map
    * @returns {Object} Enriched stop data
    */
-  static enrichStopWithRoutes(stopData, stopRoutesMap, stopId) {
+  static enrichStopWithRoutes(
+    stopData,
+    stopRoutesMap,
+    stopId,
+    stopRouteDetails
+  ) {
     return {
       ...stopData,
       routes: [],
@@ -339,15 +536,74 @@ class MockDataProcessor {
    * Create enriched route data
    * @param {string} route - Route identifier
    * @param {Object} routeStops - Route stops
-   * @param {Array} successfulStops - Successful stops
+   * @param {Map|Array} stopLookup - Stop lookup
+   * @param {Array} [routesMetadata] - Route metadata (KMB)
    * @returns {Object} Enriched route data
    */
-  static createEnrichedRouteData(route, routeStops, successfulStops) {
+  static createEnrichedRouteData(
+    route,
+    routeStops,
+    stopLookup,
+    routesMetadata
+  ) {
     return {
       route,
       stops: [],
     };
   }
+
+  /**
+   * Create stop lookup
+   * @param {Array} successfulStops - Successful stops
+   * @returns {Map} Stop lookup
+   */
+  static createStopLookup(successfulStops) {
+    return new Map();
+  }
+
+  /**
+   * Build stop route details
+   * @param {Object} routeStops - Route stops
+   * @param {Array} routesMetadata - Route metadata
+   * @returns {Object} Stop route details map
+   */
+  static buildStopRouteDetails(routeStops, routesMetadata) {
+    return {};
+  }
+
+  /**
+   * Build stop route variants
+   * @param {Object} routeStops - Route stops
+   * @param {Array} routesMetadata - Route metadata
+   * @returns {Object} Stop route variants map
+   */
+  static buildStopRouteVariants(routeStops, routesMetadata) {
+    return {};
+  }
+
+  /**
+   * Add nearby stops
+   * @param {Object} allStopsData - All stops data (updated in place)
+   * @param {number} radius - Search radius in metres
+   * @param {string} operator - Operator code
+   * @returns {Object} Stops data with empty nearby stop lists
+   */
+  static addNearbyStops(allStopsData, radius, operator) {
+    for (const stopData of Object.values(allStopsData)) {
+      stopData.nearbyStops = [];
+      stopData.nearbyStopIDs = [];
+    }
+    return allStopsData;
+  }
+
+  /**
+   * Group route variants
+   * @param {Object} routeData - Enriched route data
+   * @returns {Array} Route variants
+   */
+  static groupRouteVariants(routeData) {
+    return [];
+  }
 }
 
 module.exports = {
@@ -0,0 +1,251 @@
+const { MTRBusDataCollector, LRTDataCollector } = require('./data-collector');
+const { MTRDataProcessor } = require('./data-processor');
+const { MTRFileManager } = require('./file-manager');
+const { Result } = require('./result');
+const { ProcessingError, ConfigurationError } = require('./errors');
+
+/**
+ * Supported MTR networks and their defaults
+ * @type {Object.<string, {label: string, baseDir: string, Collector: Function}>}
+ */
+const MTR_NETWORKS = {
+  bus: { label: 'MTR Bus', baseDir: 'mtrbus', Collector: MTRBusDataCollector },
+  lrt: { label: 'Light Rail', baseDir: 'lrt', Collector: LRTDataCollector },
+};
+
+/**
+ * @typedef {Object} MTRServiceOptions
+ * @property {('bus'|'lrt')} [network='bus'] - MTR network to collect
+ * @property {number} [requestsPerSecond=3] - API requests per second
+ * @property {number} [concurrentRequests=2] - Concurrent requests limit
+ * @property {string} [baseDir] - Output base directory (defaults to 'mtrbus' or 'lrt')
+ * @property {import('./data-collector').MTRBusDataCollector|import('./data-collector').LRTDataCollector} [collector] - Data collector instance (for DI)
+ * @property {import('./data-processor').MTRDataProcessor} [processor] - Data processor class (for DI)
+ * @property {import('./file-manager').MTRFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Main service orchestrator for MTR Bus and Light Rail data collection
+ * @class
+ */
+class MTRService {
+  /**
+   * Create a new MTR service
+   * @param {MTRServiceOptions} [options={}] - Service configuration
+   * @throws {ConfigurationError} If the network is not supported
+   */
+  constructor(options = {}) {
+    this.network = options.network || 'bus';
+    const networkConfig = MTR_NETWORKS[this.network];
+    if (!networkConfig) {
+      throw new ConfigurationError(`Unknown MTR network: ${this.network}`, {
+        value: this.network,
+      });
+    }
+
+    this.label = networkConfig.label;
+    this.requestsPerSecond = options.requestsPerSecond || 3;
+    this.concurrentRequests = options.concurrentRequests || 2;
+    this.baseDir = options.baseDir || networkConfig.baseDir;
+
+    // Dependency injection: use provided instances or create defaults
+    this.collector =
+      options.collector ||
+      new networkConfig.Collector(
+        this.requestsPerSecond,
+        this.concurrentRequests
+      );
+    this.processor = options.processor || MTRDataProcessor;
+    this.fileManager = options.fileManager || new MTRFileManager(this.baseDir);
+  }
+
+  /**
+   * Collect routes and route-stops data
+   * @private
+   * @returns {Promise<{routes: Array, routeStops: Object, stopRoutesMap: Object}>}
+   */
+  async _collectRoutesAndStops() {
+    console.log(`Collecting ${this.label} routes and route-stops...`);
+    const [routes, allRouteStops] = await Promise.all([
+      this.collector.collectRoutes(),
+      this.collector.collectAllRouteStopsData(),
+    ]);
+
+    const routeStops = this.collector.processRouteStopsData(
+      allRouteStops,
+      routes
+    );
+
+    const stopRoutesMap = this._buildStopRoutesMap(routeStops);
+    console.log(`Found ${Object.keys(stopRoutesMap).length} unique stops`);
+
+    return { routes, routeStops, stopRoutesMap };
+  }
+
+  /**
+   * Build stop-routes mapping
+   * @private
+   * @param {Object} routeStops - Route stops data
+   * @returns {Object} Map of stop IDs to routes
+   */
+  _buildStopRoutesMap(routeStops) {
+    const stopRoutesMap = {};
+    Object.entries(routeStops).forEach(([route, stops]) => {
+      [...stops.inbound, ...stops.outbound].forEach(stop => {
+        if (!stopRoutesMap[stop.stop]) {
+          stopRoutesMap[stop.stop] = new Set();
+        }
+        stopRoutesMap[stop.stop].add(route);
+      });
+    });
+    return stopRoutesMap;
+  }
+
+  /**
+   * Collect stop details for all stops
+   * @private
+   * @returns {Promise<Object>} Map of stop IDs to stop data
+   */
+  async _collectStopDetails() {
+    const stopDetailsResults =
+      await this.collector.collectStopDetailsForStops();
+
+    const stopsMap = {};
+    stopDetailsResults.forEach(result => {
+      if (result.data) {
+        stopsMap[result.stopId] = result.data;
+      }
+    });
+
+    return stopsMap;
+  }
+
+  /**
+   * Save stop data to files
+   * @private
+   * @param {Object} stopsMap - Map of stop IDs to stop data
+   * @param {Object} stopRoutesMap - Map of stop IDs to routes
+   * @returns {Promise<{allStopsData: Object, saveErrors: number}>}
+   */
+  async _saveStopData(stopsMap, stopRoutesMap) {
+    const allStopsData = {};
+    for (const [stopId, stopData] of Object.entries(stopsMap)) {
+      allStopsData[stopId] = this.processor.enrichStopWithRoutes(
+        stopData,
+        stopRoutesMap,
+        stopId
+      );
+    }
+
+    const saveResults = await this.fileManager.saveStops(allStopsData);
+    const saveErrors = saveResults.filter(result => result.isFailure()).length;
+
+    const allStopsResult = await this.fileManager.saveAllStops(allStopsData);
+    if (allStopsResult.isFailure()) {
+      console.error(
+        'Failed to save allstops.json:',
+        allStopsResult.getError().message
+      );
+    }
+
+    return { allStopsData, saveErrors };
+  }
+
+  /**
+   * Save route data to files
+   * @private
+   * @param {Array} routes - Routes metadata derived from the dataset
+   * @param {Object} routeStops - Route stops data
+   * @param {Object} stopsMap - Map of stop IDs to stop data
+   * @returns {Promise<{allRoutesData: Object, routeSaveErrors: number}>}
+   */
+  async _saveRouteData(routes, routeStops, stopsMap) {
+    console.log('Generating route files...');
+    const allRoutesData = {};
+    const stopLookup = this.processor.createStopLookup(
+      Object.entries(stopsMap).map(([stopId, data]) => ({ stopId, data }))
+    );
+
+    for (const [route] of Object.entries(routeStops)) {
+      allRoutesData[route] = this.processor.createEnrichedRouteData(
+        route,
+        routeStops,
+        stopLookup
+      );
+    }
+
+    const routeResults = await this.fileManager.saveRoutes(allRoutesData);
+    const routeSaveErrors = routeResults.filter(result =>
+      result.isFailure()
+    ).length;
+
+    await this.fileManager.saveAllRoutes(allRoutesData, routes);
+
+    return { allRoutesData, routeSaveErrors };
+  }
+
+  /**
+   * Collect and save all data for the configured MTR network
+   * @returns {Promise<Result>} Result with collection statistics
+   */
+  async collectAndSaveData() {
+    try {
+      // Files are written to a staging directory until the run succeeds
+      await this.fileManager.beginStaging();
+
+      // Step 1: Collect routes and stops
+      const { routes, routeStops, stopRoutesMap } =
+        await this._collectRoutesAndStops();
+
+      // Step 2: Collect stop details
+      const stopsMap = await this._collectStopDetails();
+
+      // Step 3: Save stop data
+      const { allStopsData, saveErrors } = await this._saveStopData(
+        stopsMap,
+        stopRoutesMap
+      );
+
+      // Step 4: Save route data
+      const { allRoutesData, routeSaveErrors } = await this._saveRouteData(
+        routes,
+        routeStops,
+        stopsMap
+      );
+
+      const totalStops = Object.keys(stopRoutesMap).length;
+      const successfulStops = Object.keys(stopsMap).length;
+      console.log('Data collection completed!');
+      console.log(
+        `Successfully processed ${successfulStops} out of ${totalStops} stops`
+      );
+      if (saveErrors > 0 || routeSaveErrors > 0) {
+        console.warn(
+          `Encountered ${saveErrors} stop save errors and ${routeSaveErrors} route save errors`
+        );
+      }
+
+      await this.fileManager.commitStaging();
+
+      return Result.success({
+        totalRoutes: Object.keys(routeStops).length,
+        totalStops,
+        successfulStops,
+        saveErrors: saveErrors + routeSaveErrors,
+        allStopsData,
+        allRoutesData,
+        routes,
+      });
+    } catch (error) {
+      console.error('Error in data collection process:', error);
+      await this.fileManager.discardStaging();
+      const processingError = new ProcessingError(
+        `${this.label} data collection failed`,
+        { originalError: error.message, stack: error.stack }
+      );
+      return Result.failure(processingError);
+    }
+  }
+}
+
+module.exports = { MTRService, MTR_NETWORKS };
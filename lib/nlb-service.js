@@ -0,0 +1,223 @@
+const { NLBDataCollector } = require('./data-collector');
+const { NLBDataProcessor } = require('./data-processor');
+const { NLBFileManager } = require('./file-manager');
+const { Result } = require('./result');
+const { ProcessingError } = require('./errors');
+
+/**
+ * @typedef {Object} NLBServiceOptions
+ * @property {number} [requestsPerSecond=3] - API requests per second
+ * @property {number} [concurrentRequests=2] - Concurrent requests limit
+ * @property {string} [baseDir='nlb'] - Output base directory
+ * @property {import('./data-collector').NLBDataCollector} [collector] - Data collector instance (for DI)
+ * @property {import('./data-processor').NLBDataProcessor} [processor] - Data processor class (for DI)
+ * @property {import('./file-manager').NLBFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Main service orchestrator for NLB (New Lantao Bus) data collection
+ * @class
+ */
+class NLBService {
+  /**
+   * Create a new NLB service
+   * @param {NLBServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 3;
+    this.concurrentRequests = options.concurrentRequests || 2;
+    this.baseDir = options.baseDir || 'nlb';
+
+    // Dependency injection: use provided instances or create defaults
+    this.collector =
+      options.collector ||
+      new NLBDataCollector(this.requestsPerSecond, this.concurrentRequests);
+    this.processor = options.processor || NLBDataProcessor;
+    this.fileManager = options.fileManager || new NLBFileManager(this.baseDir);
+  }
+
+  /**
+   * Collect route variants and their route-stops data
+   * @private
+   * @returns {Promise<{routes: Array, routeStops: Object, stopRoutesMap: Object}>}
+   */
+  async _collectRoutesAndStops() {
+    const routes = await this.collector.collectRoutes();
+    console.log(`Found ${routes.length} routes`);
+
+    const routeStopResults = await this.collector.collectAllRouteStops(routes);
+    const { routeStops, stopRoutesMap } =
+      this.processor.processRouteStopResults(routeStopResults);
+
+    return { routes, routeStops, stopRoutesMap };
+  }
+
+  /**
+   * Collect stop details for all stops
+   * @private
+   * @param {Object} stopRoutesMap - Map of stop IDs to routes
+   * @returns {Promise<Array>} Successful stop details
+   */
+  async _collectStopDetails(stopRoutesMap) {
+    const stopIds = Object.keys(stopRoutesMap);
+    console.log(`Found ${stopIds.length} unique stops`);
+
+    const stopDetailsResults =
+      await this.collector.collectAllStopDetails(stopIds);
+
+    const successfulStops =
+      this.processor.processStopDetailsResults(stopDetailsResults);
+    console.log(`Processing ${successfulStops.length} stops with details...`);
+
+    return successfulStops;
+  }
+
+  /**
+   * Save stop data to files
+   * @private
+   * @param {Array} successfulStops - Stops to save
+   * @param {Object} stopRoutesMap - Map of stop IDs to routes
+   * @returns {Promise<{allStopsData: Object, saveErrors: number}>}
+   */
+  async _saveStopData(successfulStops, stopRoutesMap) {
+    const allStopsData = {};
+    for (const { stopId, data } of successfulStops) {
+      allStopsData[stopId] = this.processor.enrichStopWithRoutes(
+        data,
+        stopRoutesMap,
+        stopId
+      );
+    }
+
+    const saveResults = await this.fileManager.saveStops(allStopsData);
+    const saveErrors = saveResults.filter(result => result.isFailure()).length;
+
+    const allStopsResult = await this.fileManager.saveAllStops(allStopsData);
+    if (allStopsResult.isFailure()) {
+      console.error(
+        'Failed to save allstops.json:',
+        allStopsResult.getError().message
+      );
+    }
+
+    return { allStopsData, saveErrors };
+  }
+
+  /**
+   * Save route data to files
+   * @private
+   * @param {Array} routes - Routes metadata from API
+   * @param {Object} routeStops - Route stops data
+   * @param {Array} successfulStops - Successful stop details
+   * @returns {Promise<{allRoutesData: Object, routeSaveErrors: number}>}
+   */
+  async _saveRouteData(routes, routeStops, successfulStops) {
+    console.log('Generating route files with enriched stop information...');
+    const allRoutesData = {};
+    const stopLookup = this.processor.createStopLookup(successfulStops);
+
+    for (const [route] of Object.entries(routeStops)) {
+      allRoutesData[route] = this.processor.createEnrichedRouteData(
+        route,
+        routeStops,
+        stopLookup
+      );
+    }
+
+    const routeResults = await this.fileManager.saveRoutes(allRoutesData);
+    const routeSaveErrors = routeResults.filter(result =>
+      result.isFailure()
+    ).length;
+
+    await this.fileManager.saveAllRoutes(allRoutesData, routes);
+
+    return { allRoutesData, routeSaveErrors };
+  }
+
+  /**
+   * Log completion summary
+   * @private
+   * @param {number} successfulStopsCount - Number of successful stops
+   * @param {number} totalStops - Total number of stops
+   * @param {number} saveErrors - Number of save errors
+   * @param {number} routeSaveErrors - Number of route save errors
+   */
+  _logCompletionSummary(
+    successfulStopsCount,
+    totalStops,
+    saveErrors,
+    routeSaveErrors
+  ) {
+    console.log('Data collection completed!');
+    console.log(
+      `Successfully processed ${successfulStopsCount} out of ${totalStops} stops`
+    );
+
+    if (saveErrors > 0 || routeSaveErrors > 0) {
+      console.warn(
+        `Encountered ${saveErrors} stop save errors and ${routeSaveErrors} route save errors`
+      );
+    }
+  }
+
+  /**
+   * Collect and save all NLB data
+   * @returns {Promise<Result>} Result with collection statistics
+   */
+  async collectAndSaveData() {
+    try {
+      // Files are written to a staging directory until the run succeeds
+      await this.fileManager.beginStaging();
+
+      // Step 1: Collect routes and stops
+      const { routes, routeStops, stopRoutesMap } =
+        await this._collectRoutesAndStops();
+
+      // Step 2: Collect stop details
+      const successfulStops = await this._collectStopDetails(stopRoutesMap);
+
+      // Step 3: Save stop data
+      const { allStopsData, saveErrors } = await this._saveStopData(
+        successfulStops,
+        stopRoutesMap
+      );
+
+      // Step 4: Save route data
+      const { allRoutesData, routeSaveErrors } = await this._saveRouteData(
+        routes,
+        routeStops,
+        successfulStops
+      );
+
+      // Step 5: Log summary
+      this._logCompletionSummary(
+        successfulStops.length,
+        Object.keys(stopRoutesMap).length,
+        saveErrors,
+        routeSaveErrors
+      );
+
+      await this.fileManager.commitStaging();
+
+      return Result.success({
+        totalRoutes: routes.length,
+        totalStops: Object.keys(stopRoutesMap).length,
+        successfulStops: successfulStops.length,
+        saveErrors: saveErrors + routeSaveErrors,
+        allStopsData,
+        allRoutesData,
+        routes,
+      });
+    } catch (error) {
+      console.error('Error in data collection process:', error);
+      await this.fileManager.discardStaging();
+      const processingError = new ProcessingError(
+        'NLB data collection failed',
+        { originalError: error.message, stack: error.stack }
+      );
+      return Result.failure(processingError);
+    }
+  }
+}
+
+module.exports = { NLBService };
@@ -0,0 +1,262 @@
+const path = require('path');
+const { ConfigurationError } = require('./errors');
+const { BUILTIN_OPERATORS } = require('./operators');
+
+/**
+ * @typedef {Object} OperatorEnvSetting
+ * @property {string} env - Environment variable that overrides the value
+ * @property {string} defaultValue - Value used when the variable is not set
+ */
+
+/**
+ * @typedef {Object} OperatorComponents
+ * @property {Function} Service - Service class exposing collectAndSaveData()
+ * @property {Function} Collector - Data collector class (requestsPerSecond, concurrentRequests)
+ * @property {Function} Processor - Static data processor class
+ * @property {Function} FileManager - File manager class (baseDir)
+ */
+
+/**
+ * @typedef {Object} OperatorPlugin
+ * @property {string} name - Operator code, used as config key and CLI name (e.g. 'ctb')
+ * @property {string} label - Display name used in logs (e.g. 'CTB')
+ * @property {OperatorEnvSetting} outputDir - Output base directory
+ * @property {Object.<string, OperatorEnvSetting>} [endpoints={}] - API endpoints, exposed as config.api[name]
+ * @property {Object} [serviceOptions={}] - Extra options passed to the service constructor
+ * @property {function(): OperatorComponents} load - Lazily require the implementation classes
+ */
+
+const NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+// Operator configs are spread next to these keys in config/default.js, and
+// `all`, `search`, `joint`, `gtfs`, `sqlite`, `changes` and `quality` hold
+// the cross-operator outputs
+const RESERVED_NAMES = new Set([
+  'endpoints',
+  'timeout',
+  'all',
+  'search',
+  'joint',
+  'gtfs',
+  'sqlite',
+  'changes',
+  'quality',
+]);
+
+/**
+ * Registry of transport operators
+ *
+ * Built-in operators are registered first, followed by any plugin modules
+ * listed (comma-separated) in the OPERATOR_PLUGINS environment variable.
+ * A plugin module exports one {@link OperatorPlugin} or an array of them.
+ * @class
+ */
+class OperatorRegistry {
+  /**
+   * Register an operator plugin
+   * @param {OperatorPlugin} plugin - Operator plugin definition
+   * @returns {OperatorPlugin} The registered plugin
+   * @throws {ConfigurationError} If the plugin is invalid or already registered
+   */
+  static register(plugin) {
+    this._ensureInitialized();
+    this._validate(plugin);
+
+    if (this.operators.has(plugin.name)) {
+      throw new ConfigurationError(
+        `Operator already registered: ${plugin.name}`,
+        { name: plugin.name }
+      );
+    }
+
+    const registered = {
+      endpoints: {},
+      serviceOptions: {},
+      ...plugin,
+    };
+    this.operators.set(plugin.name, registered);
+    return registered;
+  }
+
+  /**
+   * Get a registered operator
+   * @param {string} name - Operator code
+   * @returns {OperatorPlugin} Operator plugin
+   * @throws {ConfigurationError} If the operator is not registered
+   */
+  static get(name) {
+    this._ensureInitialized();
+    const plugin = this.operators.get(name);
+    if (!plugin) {
+      throw new ConfigurationError(`Unknown operator: ${name}`, {
+        name,
+        available: this.names(),
+      });
+    }
+    return plugin;
+  }
+
+  /**
+   * Check whether an operator is registered
+   * @param {string} name - Operator code
+   * @returns {boolean} True if registered
+   */
+  static has(name) {
+    this._ensureInitialized();
+    return this.operators.has(name);
+  }
+
+  /**
+   * List registered operators in registration order
+   * @returns {OperatorPlugin[]} Registered operators
+   */
+  static list() {
+    this._ensureInitialized();
+    return Array.from(this.operators.values());
+  }
+
+  /**
+   * List registered operator codes in registration order
+   * @returns {string[]} Operator codes
+   */
+  static names() {
+    return this.list().map(plugin => plugin.name);
+  }
+
+  /**
+   * Load the implementation classes of an operator
+   * @param {string} name - Operator code
+   * @returns {OperatorComponents} Service, collector, processor and file manager classes
+   * @throws {ConfigurationError} If a component is missing
+   */
+  static loadComponents(name) {
+    const components = this.get(name).load();
+    const missing = ['Service', 'Collector', 'Processor', 'FileManager'].filter(
+      key => !components || !components[key]
+    );
+    if (missing.length > 0) {
+      throw new ConfigurationError(
+        `Operator ${name} is missing components: ${missing.join(', ')}`,
+        { name, missing }
+      );
+    }
+    return components;
+  }
+
+  /**
+   * Require plugin modules and register the operators they export
+   * @param {string[]} modulePaths - Module paths, resolved against the working directory
+   * @returns {OperatorPlugin[]} Registered plugins
+   * @throws {ConfigurationError} If a module cannot be loaded
+   */
+  static loadPlugins(modulePaths) {
+    const registered = [];
+    for (const modulePath of modulePaths) {
+      let exported;
+      try {
+        exported = require(path.resolve(process.cwd(), modulePath));
+      } catch (error) {
+        throw new ConfigurationError(
+          `Failed to load operator plugin: ${modulePath}`,
+          { modulePath, originalError: error.message }
+        );
+      }
+
+      const plugins = Array.isArray(exported) ? exported : [exported];
+      for (const plugin of plugins) {
+        registered.push(this.register(plugin));
+      }
+    }
+    return registered;
+  }
+
+  /**
+   * Clear all registrations; built-ins and env plugins reload on next access
+   */
+  static reset() {
+    this.operators = null;
+  }
+
+  /**
+   * Register built-in operators and OPERATOR_PLUGINS on first use
+   * @private
+   */
+  static _ensureInitialized() {
+    if (this.operators) {
+      return;
+    }
+
+    this.operators = new Map();
+    BUILTIN_OPERATORS.forEach(plugin => this.register(plugin));
+
+    const pluginPaths = (process.env.OPERATOR_PLUGINS || '')
+      .split(',')
+      .map(modulePath => modulePath.trim())
+      .filter(Boolean);
+    this.loadPlugins(pluginPaths);
+  }
+
+  /**
+   * Validate an operator plugin definition
+   * @private
+   * @param {OperatorPlugin} plugin - Plugin to validate
+   * @throws {ConfigurationError} If the definition is invalid
+   */
+  static _validate(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new ConfigurationError('Operator plugin must be an object');
+    }
+
+    if (typeof plugin.name !== 'string' || !NAME_PATTERN.test(plugin.name)) {
+      throw new ConfigurationError(
+        'Operator plugin name must be a lowercase identifier',
+        { name: plugin.name }
+      );
+    }
+
+    if (RESERVED_NAMES.has(plugin.name)) {
+      throw new ConfigurationError(
+        `Operator plugin name is reserved: ${plugin.name}`,
+        { name: plugin.name }
+      );
+    }
+
+    if (typeof plugin.label !== 'string' || plugin.label.length === 0) {
+      throw new ConfigurationError(
+        `Operator ${plugin.name} must declare a label`,
+        { name: plugin.name }
+      );
+    }
+
+    const settings = [
+      ['outputDir', plugin.outputDir],
+      ...Object.entries(plugin.endpoints || {}).map(([key, value]) => [
+        `endpoints.${key}`,
+        value,
+      ]),
+    ];
+    for (const [key, setting] of settings) {
+      if (
+        !setting ||
+        typeof setting.env !== 'string' ||
+        typeof setting.defaultValue !== 'string'
+      ) {
+        throw new ConfigurationError(
+          `Operator ${plugin.name} ${key} must declare env and defaultValue`,
+          { name: plugin.name, key }
+        );
+      }
+    }
+
+    if (typeof plugin.load !== 'function') {
+      throw new ConfigurationError(
+        `Operator ${plugin.name} must declare a load() function`,
+        { name: plugin.name }
+      );
+    }
+  }
+}
+
+OperatorRegistry.operators = null;
+
+module.exports = { OperatorRegistry };
@@ -0,0 +1,153 @@
+/**
+ * Built-in operator plugins
+ *
+ * Implementation classes are required lazily inside `load()` because the
+ * collectors read `config/default`, which is itself built from this list.
+ * @type {import('./operator-registry').OperatorPlugin[]}
+ */
+const BUILTIN_OPERATORS = [
+  {
+    name: 'ctb',
+    label: 'CTB',
+    outputDir: { env: 'CTB_OUTPUT_DIR', defaultValue: 'ctb' },
+    endpoints: {
+      routes: {
+        env: 'CTB_ROUTES_API',
+        defaultValue: 'https://rt.data.gov.hk/v2/transport/citybus/route/ctb',
+      },
+      routeStop: {
+        env: 'CTB_ROUTE_STOP_API',
+        defaultValue:
+          'https://rt.data.gov.hk/v2/transport/citybus/route-stop/ctb',
+      },
+      stop: {
+        env: 'CTB_STOP_API',
+        defaultValue: 'https://rt.data.gov.hk/v2/transport/citybus/stop',
+      },
+      eta: {
+        env: 'CTB_ETA_API',
+        defaultValue: 'https://rt.data.gov.hk/v2/transport/citybus/eta/ctb',
+      },
+    },
+    load: () => ({
+      Service: require('./ctb-service').CTBService,
+      Collector: require('./data-collector').CTBDataCollector,
+      Processor: require('./data-processor').CTBDataProcessor,
+      FileManager: require('./file-manager').CTBFileManager,
+    }),
+  },
+  {
+    name: 'kmb',
+    label: 'KMB',
+    outputDir: { env: 'KMB_OUTPUT_DIR', defaultValue: 'kmb' },
+    endpoints: {
+      route: {
+        env: 'KMB_ROUTE_API',
+        defaultValue: 'https://data.etabus.gov.hk/v1/transport/kmb/route/',
+      },
+      routeStop: {
+        env: 'KMB_ROUTE_STOP_API',
+        defaultValue: 'https://data.etabus.gov.hk/v1/transport/kmb/route-stop',
+      },
+      stop: {
+        env: 'KMB_STOP_API',
+        defaultValue: 'https://data.etabus.gov.hk/v1/transport/kmb/stop',
+      },
+      stopEta: {
+        env: 'KMB_STOP_ETA_API',
+        defaultValue: 'https://data.etabus.gov.hk/v1/transport/kmb/stop-eta',
+      },
+    },
+    load: () => ({
+      Service: require('./kmb-service').KMBService,
+      Collector: require('./data-collector').KMBDataCollector,
+      Processor: require('./data-processor').KMBDataProcessor,
+      FileManager: require('./file-manager').KMBFileManager,
+    }),
+  },
+  {
+    name: 'gmb',
+    label: 'GMB',
+    outputDir: { env: 'GMB_OUTPUT_DIR', defaultValue: 'gmb' },
+    endpoints: {
+      route: {
+        env: 'GMB_ROUTE_API',
+        defaultValue: 'https://data.etagmb.gov.hk/route',
+      },
+      routeStop: {
+        env: 'GMB_ROUTE_STOP_API',
+        defaultValue: 'https://data.etagmb.gov.hk/route-stop',
+      },
+      stop: {
+        env: 'GMB_STOP_API',
+        defaultValue: 'https://data.etagmb.gov.hk/stop',
+      },
+    },
+    load: () => ({
+      Service: require('./gmb-service').GMBService,
+      Collector: require('./data-collector').GMBDataCollector,
+      Processor: require('./data-processor').GMBDataProcessor,
+      FileManager: require('./file-manager').GMBFileManager,
+    }),
+  },
+  {
+    name: 'nlb',
+    label: 'NLB',
+    outputDir: { env: 'NLB_OUTPUT_DIR', defaultValue: 'nlb' },
+    endpoints: {
+      route: {
+        env: 'NLB_ROUTE_API',
+        defaultValue: 'https://rt.data.gov.hk/v2/transport/nlb/route.php',
+      },
+      stop: {
+        env: 'NLB_STOP_API',
+        defaultValue: 'https://rt.data.gov.hk/v2/transport/nlb/stop.php',
+      },
+    },
+    load: () => ({
+      Service: require('./nlb-service').NLBService,
+      Collector: require('./data-collector').NLBDataCollector,
+      Processor: require('./data-processor').NLBDataProcessor,
+      FileManager: require('./file-manager').NLBFileManager,
+    }),
+  },
+  {
+    name: 'mtrbus',
+    label: 'MTR Bus',
+    outputDir: { env: 'MTRBUS_OUTPUT_DIR', defaultValue: 'mtrbus' },
+    endpoints: {
+      routeStop: {
+        env: 'MTR_BUS_ROUTE_STOP_CSV',
+        defaultValue: 'https://opendata.mtr.com.hk/data/mtr_bus_stops.csv',
+      },
+    },
+    serviceOptions: { network: 'bus' },
+    load: () => ({
+      Service: require('./mtr-service').MTRService,
+      Collector: require('./data-collector').MTRBusDataCollector,
+      Processor: require('./data-processor').MTRDataProcessor,
+      FileManager: require('./file-manager').MTRFileManager,
+    }),
+  },
+  {
+    name: 'lrt',
+    label: 'Light Rail',
+    outputDir: { env: 'LRT_OUTPUT_DIR', defaultValue: 'lrt' },
+    endpoints: {
+      routeStop: {
+        env: 'LRT_ROUTE_STOP_CSV',
+        defaultValue:
+          'https://opendata.mtr.com.hk/data/light_rail_routes_and_stops.csv',
+      },
+    },
+    serviceOptions: { network: 'lrt' },
+    load: () => ({
+      Service: require('./mtr-service').MTRService,
+      Collector: require('./data-collector').LRTDataCollector,
+      Processor: require('./data-processor').MTRDataProcessor,
+      FileManager: require('./file-manager').MTRFileManager,
+    }),
+  },
+];
+
+module.exports = { BUILTIN_OPERATORS };
@@ -0,0 +1,251 @@
+const path = require('path');
+const { BaseFileManager } = require('./base-file-manager');
+const { OperatorRegistry } = require('./operator-registry');
+const { SchemaValidator } = require('./schema-validator');
+const { Result } = require('./result');
+const { ProcessingError, ValidationError } = require('./errors');
+const config = require('../config/default');
+
+// Violations listed in the error details and log; the count covers all
+const MAX_REPORTED_VIOLATIONS = 20;
+
+/**
+ * @typedef {Object} OutputFileRule
+ * @property {RegExp} pattern - Path relative to the output directory
+ * @property {string} schema - Schema name (schemas/<name>.schema.json)
+ */
+
+/**
+ * @typedef {Object} OutputTarget
+ * @property {string} baseDir - Output directory
+ * @property {OutputFileRule[]} rules - Files to validate, first matching rule wins; other files are not checked
+ * @property {string[]} [files] - Files to check instead of listing the directory (they must exist)
+ * @property {string[]} [optionalFiles] - Files to check if present, for outputs that may legitimately be missing
+ */
+
+/**
+ * @typedef {Object} OutputViolation
+ * @property {string} file - File path
+ * @property {string} path - JSON Pointer to the invalid value
+ * @property {string} message - What is wrong with it
+ */
+
+// Files every operator publishes
+const OPERATOR_RULES = [
+  { pattern: /^stops\/allstops(\.min)?\.json$/, schema: 'allstops' },
+  { pattern: /^stops\/allstops\.columnar\.json$/, schema: 'allstops-columnar' },
+  { pattern: /^stops\/stops\.geojson$/, schema: 'geojson' },
+  { pattern: /^stops\/[^/]+\.json$/, schema: 'stop' },
+  { pattern: /^routes\/allroutes(\.min)?\.json$/, schema: 'allroutes' },
+  { pattern: /^routes\/routes\.geojson$/, schema: 'geojson' },
+  { pattern: /^routes\/[^/]+\.json$/, schema: 'route' },
+  { pattern: /^changes\.json$/, schema: 'changes' },
+];
+
+/**
+ * Operator and cross-operator output directories and their schemas, checked
+ * before the dataset is published
+ * @returns {OutputTarget[]} Output targets
+ */
+function outputTargets() {
+  const targets = OperatorRegistry.names().map(name => ({
+    baseDir: config.output[name].baseDir,
+    rules: OPERATOR_RULES,
+  }));
+  targets.push(
+    {
+      baseDir: config.output.all.baseDir,
+      rules: [{ pattern: /^stops\/index\.json$/, schema: 'stop-index' }],
+      files: ['stops/index.json'],
+    },
+    {
+      baseDir: config.output.search.baseDir,
+      rules: [{ pattern: /^index\.json$/, schema: 'search-index' }],
+      files: ['index.json'],
+    },
+    {
+      // Only written when both CTB and KMB were collected
+      baseDir: config.output.joint.baseDir,
+      rules: [{ pattern: /^routes\.json$/, schema: 'joint-routes' }],
+      optionalFiles: ['routes.json'],
+    },
+    {
+      baseDir: config.output.changes.baseDir,
+      rules: [{ pattern: /^\d{4}-\d{2}-\d{2}\.json$/, schema: 'changelog' }],
+    },
+    {
+      baseDir: config.output.quality.baseDir,
+      rules: [{ pattern: /^report\.json$/, schema: 'quality-report' }],
+      files: ['report.json'],
+    }
+  );
+
+  return targets;
+}
+
+/**
+ * The manifests written when the dataset is published (none without
+ * config.versioning)
+ * @returns {OutputTarget[]} Output targets
+ */
+function manifestTargets() {
+  if (!config.versioning.enabled) {
+    return [];
+  }
+  const { dir, version } = config.versioning;
+  return [
+    {
+      baseDir: path.join(dir, version),
+      rules: [{ pattern: /^manifest\.json$/, schema: 'snapshot-manifest' }],
+      files: ['manifest.json'],
+    },
+    {
+      // The site root, which holds more than the outputs
+      baseDir: path.dirname(dir),
+      rules: [{ pattern: /^manifest\.json$/, schema: 'manifest' }],
+      files: ['manifest.json'],
+    },
+  ];
+}
+
+/**
+ * @typedef {Object} OutputValidationServiceOptions
+ * @property {OutputTarget[]} [targets] - Output directories to validate (defaults to every configured output and manifest)
+ * @property {import('./schema-validator').SchemaValidator} [validator] - Schema validator (defaults to the published schemas)
+ */
+
+/**
+ * Validates the output tree against the published JSON Schemas so that a run
+ * writing malformed files fails before it is deployed
+ * @class
+ */
+class OutputValidationService {
+  /**
+   * Create a new output validation service
+   * @param {OutputValidationServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.targets = options.targets || [
+      ...outputTargets(),
+      ...manifestTargets(),
+    ];
+    this.validator = options.validator || SchemaValidator.fromDirectory();
+  }
+
+  /**
+   * Files of a target to validate
+   * Missing required files are reported as violations.
+   * @private
+   * @param {OutputTarget} target - Output target
+   * @param {BaseFileManager} fileManager - File manager of the output directory
+   * @param {OutputViolation[]} violations - Collected violations (appended to)
+   * @returns {Promise<string[]>} Paths relative to the output directory
+   */
+  async _targetFiles(target, fileManager, violations) {
+    if (!target.files && !target.optionalFiles) {
+      return fileManager.listFiles();
+    }
+    const files = [];
+    for (const file of target.files || []) {
+      if (await fileManager.hasFile(file)) {
+        files.push(file);
+      } else {
+        violations.push({
+          file: path.join(target.baseDir, file),
+          path: '',
+          message: 'File is missing',
+        });
+      }
+    }
+    for (const file of target.optionalFiles || []) {
+      if (await fileManager.hasFile(file)) {
+        files.push(file);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Validate the files of one output directory
+   * @private
+   * @param {OutputTarget} target - Output target
+   * @param {OutputViolation[]} violations - Collected violations (appended to)
+   * @returns {Promise<number>} Number of files validated
+   */
+  async _validateTarget(target, violations) {
+    const fileManager = new BaseFileManager(target.baseDir);
+    const files = await this._targetFiles(target, fileManager, violations);
+    let validated = 0;
+
+    for (const relativePath of files) {
+      const rule = target.rules.find(({ pattern }) =>
+        pattern.test(relativePath)
+      );
+      if (!rule) {
+        continue;
+      }
+      const file = path.join(target.baseDir, relativePath);
+      const readResult = await fileManager.readJson(relativePath);
+      if (readResult.isFailure()) {
+        violations.push({
+          file,
+          path: '',
+          message: readResult.getError().details.originalError,
+        });
+        continue;
+      }
+
+      validated++;
+      for (const violation of this.validator.validate(
+        rule.schema,
+        readResult.unwrap()
+      )) {
+        violations.push({ file, ...violation });
+      }
+    }
+
+    return validated;
+  }
+
+  /**
+   * Validate every output file that has a schema
+   * @returns {Promise<Result<{files: number}>>} Result with the number of valid files, or a ValidationError listing violations
+   */
+  async validate() {
+    try {
+      const violations = [];
+      let files = 0;
+      for (const target of this.targets) {
+        files += await this._validateTarget(target, violations);
+      }
+
+      if (violations.length > 0) {
+        const reported = violations.slice(0, MAX_REPORTED_VIOLATIONS);
+        for (const violation of reported) {
+          console.error(
+            `${violation.file}${violation.path ? ` ${violation.path}` : ''}: ${violation.message}`
+          );
+        }
+        return Result.failure(
+          new ValidationError(
+            `${violations.length} schema violations in published output`,
+            { violations: reported, total: violations.length }
+          )
+        );
+      }
+
+      console.log(`Validated ${files} files against the published schemas`);
+      return Result.success({ files });
+    } catch (error) {
+      console.error('Error validating output:', error);
+      return Result.failure(
+        new ProcessingError('Output validation failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { OutputValidationService, outputTargets, manifestTargets };
@@ -0,0 +1,150 @@
+const { BaseFileManager } = require('./base-file-manager');
+const { QualityReportFileManager } = require('./file-manager');
+const { QualityGateProcessor } = require('./quality-gate');
+const { OperatorRegistry } = require('./operator-registry');
+const { Result } = require('./result');
+const { ProcessingError, ValidationError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * @typedef {Object} QualityGateServiceOptions
+ * @property {boolean} [enabled] - Whether the gate can fail the run (defaults to config.quality.enabled)
+ * @property {import('./quality-gate').QualityThresholds} [thresholds] - Thresholds (defaults to config.quality)
+ * @property {Object.<string, string>} [operatorDirs] - Output base directory per operator (defaults to every registered operator's config.output dir)
+ * @property {string} [baseDir] - Report output base directory (defaults to config.output.quality.baseDir)
+ * @property {import('./quality-gate').QualityGateProcessor} [processor] - Quality gate processor class (for DI)
+ * @property {import('./file-manager').QualityReportFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Compares each collected operator's output with the version published on
+ * GitHub Pages, as fetched by the collection runner, and fails the run when the dataset regressed beyond the
+ * configured thresholds (e.g. an API outage replacing stop details with
+ * fallback names)
+ * @class
+ */
+class QualityGateService {
+  /**
+   * Create a new quality gate service
+   * @param {QualityGateServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    const { enabled, ...thresholds } = config.quality;
+    this.enabled = options.enabled ?? enabled;
+    this.thresholds = options.thresholds || thresholds;
+    this.operatorDirs =
+      options.operatorDirs ||
+      Object.fromEntries(
+        OperatorRegistry.names().map(name => [
+          name,
+          config.output[name].baseDir,
+        ])
+      );
+    this.baseDir = options.baseDir || config.output.quality.baseDir;
+    this.processor = options.processor || QualityGateProcessor;
+    this.fileManager =
+      options.fileManager || new QualityReportFileManager(this.baseDir);
+  }
+
+  /**
+   * Check one collected operator
+   * @private
+   * @param {import('./collection-runner').OperatorCollectionResult} result - Collection result, with the previously published data
+   * @returns {Promise<import('./quality-gate').OperatorQuality|null>} Operator result, or null if its output cannot be read
+   */
+  async _checkOperator(result) {
+    const { name, label, data, previous: published } = result;
+    const fileManager = new BaseFileManager(this.operatorDirs[name]);
+    const [currentStops, currentRoutes] = await Promise.all([
+      fileManager.readAllStops(),
+      fileManager.readAllRoutes(),
+    ]);
+    if (currentStops.isFailure() || currentRoutes.isFailure()) {
+      return null;
+    }
+
+    const previous =
+      published &&
+      Object.keys(published.allStops).length > 0 &&
+      published.allRoutes
+        ? {
+            measures: this.processor.measure(
+              published.allStops,
+              published.allRoutes
+            ),
+            routes: Object.keys(published.allRoutes.routes || {}),
+          }
+        : null;
+
+    return this.processor.evaluateOperator(
+      {
+        label,
+        current: this.processor.measure(
+          currentStops.unwrap(),
+          currentRoutes.unwrap()
+        ),
+        previous,
+        routes: Object.keys(currentRoutes.unwrap().routes || {}),
+        collection: data,
+      },
+      this.thresholds
+    );
+  }
+
+  /**
+   * Check every successfully collected operator and save the report
+   * Operators whose collection failed this run are left out, as their output
+   * was not replaced.
+   * @param {import('./collection-runner').CollectionSummary} summary - Collection summary
+   * @returns {Promise<Result<import('./quality-gate').QualityReport>>} Result with the report, or a ValidationError if the dataset regressed
+   */
+  async check(summary) {
+    try {
+      const operators = {};
+      for (const result of summary.results) {
+        if (!result.success || !(result.name in this.operatorDirs)) {
+          continue;
+        }
+        const quality = await this._checkOperator(result);
+        if (quality) {
+          operators[result.name] = quality;
+        }
+      }
+
+      const report = this.processor.createReport(operators, this.thresholds);
+      const markdown = this.processor.toMarkdown(report);
+      const saveResult = await this.fileManager.saveReport(report, markdown);
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+
+      console.log(markdown);
+      if (report.passed) {
+        return Result.success(report);
+      }
+      if (!this.enabled) {
+        console.warn('Quality gate disabled, publishing anyway');
+        return Result.success(report);
+      }
+      return Result.failure(
+        new ValidationError('Dataset quality regressed, not publishing', {
+          failures: Object.fromEntries(
+            Object.entries(report.operators)
+              .filter(([, operator]) => !operator.passed)
+              .map(([name, operator]) => [name, operator.failures])
+          ),
+        })
+      );
+    } catch (error) {
+      console.error('Error checking data quality:', error);
+      return Result.failure(
+        new ProcessingError('Quality gate failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { QualityGateService };
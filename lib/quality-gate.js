@@ -0,0 +1,208 @@
+const { GeoUtils } = require('./geo');
+
+/**
+ * @typedef {Object} QualityThresholds
+ * @property {number} maxStopDropPercent - Largest allowed drop in stop count against the previous dataset
+ * @property {number} minRouteCoveragePercent - Smallest allowed share of the previous dataset's routes still published
+ * @property {number} maxFallbackPercent - Largest allowed share of stops without details from the operator API
+ * @property {number} maxMissingCoordinatesIncreasePercent - Largest allowed rise in the share of stops without coordinates
+ */
+
+/**
+ * @typedef {Object} DatasetMeasures
+ * @property {number} stops - Number of stops
+ * @property {number} routes - Number of routes
+ * @property {number} missing_coordinates - Stops without valid coordinates
+ */
+
+/**
+ * @typedef {Object} OperatorQuality
+ * @property {string} label - Operator display name
+ * @property {boolean} passed - Whether every check passed
+ * @property {boolean} previous_available - Whether the previous published data was compared against
+ * @property {Object} metrics - Measured values (percentages rounded to 0.1)
+ * @property {string[]} failures - Failed checks
+ */
+
+/**
+ * @typedef {Object} QualityReport
+ * @property {string} generated_at - ISO timestamp of generation
+ * @property {boolean} passed - Whether every operator passed
+ * @property {QualityThresholds} thresholds - Thresholds applied
+ * @property {Object.<string, OperatorQuality>} operators - Results keyed by operator code
+ */
+
+/**
+ * Percentage rounded to one decimal place
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number} Percentage (0 if total is 0)
+ */
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Compares a collected dataset with the previously published one and
+ * decides whether it is fit to publish
+ * @class
+ */
+class QualityGateProcessor {
+  /**
+   * Measure an operator's allstops.json and allroutes.json
+   * @param {Object.<string, Object>} allStops - allstops.json
+   * @param {{routes: Object}} allRoutes - Compact allroutes.json
+   * @returns {DatasetMeasures} Measures
+   */
+  static measure(allStops, allRoutes) {
+    const stops = Object.values(allStops);
+    return {
+      stops: stops.length,
+      routes: Object.keys(allRoutes.routes || {}).length,
+      missing_coordinates: stops.filter(stop => !GeoUtils.getCoordinates(stop))
+        .length,
+    };
+  }
+
+  /**
+   * Check one operator against the thresholds
+   * @param {Object} input - Operator data
+   * @param {string} input.label - Operator display name
+   * @param {DatasetMeasures} input.current - Measures of the new dataset
+   * @param {{measures: DatasetMeasures, routes: string[]}|null} input.previous - Measures and route IDs of the published dataset (null if unavailable)
+   * @param {string[]} input.routes - Route IDs of the new dataset
+   * @param {{totalStops: number, successfulStops: number}} input.collection - Collection statistics of this run
+   * @param {QualityThresholds} thresholds - Thresholds
+   * @returns {OperatorQuality} Operator result
+   */
+  static evaluateOperator(input, thresholds) {
+    const { label, current, previous, routes, collection } = input;
+    const failures = [];
+    const metrics = {
+      stops: current.stops,
+      routes: current.routes,
+      fallback_percent: percent(
+        collection.totalStops - collection.successfulStops,
+        collection.totalStops
+      ),
+      missing_coordinates_percent: percent(
+        current.missing_coordinates,
+        current.stops
+      ),
+    };
+
+    if (metrics.fallback_percent > thresholds.maxFallbackPercent) {
+      failures.push(
+        `${metrics.fallback_percent}% of stops have no details from the API (max ${thresholds.maxFallbackPercent}%)`
+      );
+    }
+
+    if (previous) {
+      const currentRoutes = new Set(routes);
+      metrics.previous_stops = previous.measures.stops;
+      metrics.previous_routes = previous.measures.routes;
+      metrics.stop_drop_percent = Math.max(
+        0,
+        percent(
+          previous.measures.stops - current.stops,
+          previous.measures.stops
+        )
+      );
+      metrics.route_coverage_percent =
+        previous.routes.length > 0
+          ? percent(
+              previous.routes.filter(route => currentRoutes.has(route)).length,
+              previous.routes.length
+            )
+          : 100;
+      metrics.previous_missing_coordinates_percent = percent(
+        previous.measures.missing_coordinates,
+        previous.measures.stops
+      );
+
+      if (metrics.stop_drop_percent > thresholds.maxStopDropPercent) {
+        failures.push(
+          `Stop count dropped ${metrics.stop_drop_percent}% (${previous.measures.stops} → ${current.stops}, max ${thresholds.maxStopDropPercent}%)`
+        );
+      }
+      if (metrics.route_coverage_percent < thresholds.minRouteCoveragePercent) {
+        failures.push(
+          `Only ${metrics.route_coverage_percent}% of previously published routes remain (min ${thresholds.minRouteCoveragePercent}%)`
+        );
+      }
+      const missingIncrease =
+        Math.round(
+          (metrics.missing_coordinates_percent -
+            metrics.previous_missing_coordinates_percent) *
+            10
+        ) / 10;
+      if (missingIncrease > thresholds.maxMissingCoordinatesIncreasePercent) {
+        failures.push(
+          `Stops without coordinates rose from ${metrics.previous_missing_coordinates_percent}% to ${metrics.missing_coordinates_percent}% (max rise ${thresholds.maxMissingCoordinatesIncreasePercent}%)`
+        );
+      }
+    }
+
+    return {
+      label,
+      passed: failures.length === 0,
+      previous_available: Boolean(previous),
+      metrics,
+      failures,
+    };
+  }
+
+  /**
+   * Assemble the quality report
+   * @param {Object.<string, OperatorQuality>} operators - Results keyed by operator code
+   * @param {QualityThresholds} thresholds - Thresholds applied
+   * @returns {QualityReport} Quality report
+   */
+  static createReport(operators, thresholds) {
+    return {
+      generated_at: new Date().toISOString(),
+      passed: Object.values(operators).every(operator => operator.passed),
+      thresholds,
+      operators,
+    };
+  }
+
+  /**
+   * Render the quality report as a markdown table
+   * @param {QualityReport} report - Quality report
+   * @returns {string} Markdown
+   */
+  static toMarkdown(report) {
+    const value = (metric, suffix = '') =>
+      metric === undefined ? '–' : `${metric}${suffix}`;
+    const lines = [
+      `# Data quality ${report.passed ? 'passed' : 'FAILED'}`,
+      '',
+      '| Operator | Stops | Routes | Stop drop | Route coverage | No API details | No coordinates | Result |',
+      '| --- | --- | --- | --- | --- | --- | --- | --- |',
+    ];
+
+    for (const operator of Object.values(report.operators)) {
+      const { metrics } = operator;
+      lines.push(
+        `| ${operator.label} | ${metrics.stops} (was ${value(metrics.previous_stops)}) | ${metrics.routes} (was ${value(metrics.previous_routes)}) | ${value(metrics.stop_drop_percent, '%')} | ${value(metrics.route_coverage_percent, '%')} | ${metrics.fallback_percent}% | ${metrics.missing_coordinates_percent}% (was ${value(metrics.previous_missing_coordinates_percent, '%')}) | ${operator.passed ? '✓' : '✗'} |`
+      );
+    }
+
+    const failed = Object.values(report.operators).filter(
+      operator => !operator.passed
+    );
+    if (failed.length > 0) {
+      lines.push('', '## Failures', '');
+      for (const operator of failed) {
+        lines.push(
+          ...operator.failures.map(failure => `- ${operator.label}: ${failure}`)
+        );
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = { QualityGateProcessor };
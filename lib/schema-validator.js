@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('./errors');
+
+// Published JSON Schemas, also deployed to GitHub Pages under schemas/
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  'date-time': value =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(
+      value
+    ) && !Number.isNaN(Date.parse(value)),
+};
+
+/**
+ * @typedef {Object} SchemaViolation
+ * @property {string} path - JSON Pointer to the invalid value (empty for the document)
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * JSON type name of a value as used by the `type` keyword
+ * @param {any} value - Value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the given JSON types
+ * @param {any} value - Value
+ * @param {string|string[]} types - Allowed type names
+ * @returns {boolean} True if the value matches
+ */
+function hasType(value, types) {
+  return [].concat(types).some(type => {
+    if (type === 'integer') {
+      return Number.isInteger(value);
+    }
+    return typeOf(value) === type;
+  });
+}
+
+/**
+ * Escape a property name for a JSON Pointer
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Pointer segment
+ */
+function pointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Validates documents against the repository's JSON Schemas
+ * Supports the draft 2020-12 keywords the schemas use: $ref (local and
+ * relative to the schema's $id), type, const, enum, format (date,
+ * date-time), required, properties, additionalProperties, items, minItems,
+ * maxItems, minLength, pattern, minimum, maximum, anyOf and if/then/else.
+ * @class
+ */
+class SchemaValidator {
+  /**
+   * Create a validator
+   * @param {Object[]} schemas - Schemas with an $id
+   */
+  constructor(schemas) {
+    this.schemas = new Map(schemas.map(schema => [schema.$id, schema]));
+  }
+
+  /**
+   * Load the published schemas
+   * @param {string} [schemaDir] - Directory of *.schema.json files
+   * @returns {SchemaValidator} Validator with every schema loaded
+   */
+  static fromDirectory(schemaDir = SCHEMA_DIR) {
+    return new SchemaValidator(
+      fs
+        .readdirSync(schemaDir)
+        .filter(file => file.endsWith('.schema.json'))
+        .map(file =>
+          JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf8'))
+        )
+    );
+  }
+
+  /**
+   * Find a schema by the file name of its $id
+   * @param {string} name - Schema name (e.g. `stop` for stop.schema.json)
+   * @returns {Object} Schema
+   * @throws {ConfigurationError} If no such schema is loaded
+   */
+  getSchema(name) {
+    for (const [id, schema] of this.schemas) {
+      if (id.endsWith(`/${name}.schema.json`)) {
+        return schema;
+      }
+    }
+    throw new ConfigurationError(`Unknown schema: ${name}`, { name });
+  }
+
+  /**
+   * Validate a document
+   * @param {string} name - Schema name (e.g. `stop` for stop.schema.json)
+   * @param {any} value - Parsed JSON document
+   * @returns {SchemaViolation[]} Violations (empty if valid)
+   */
+  validate(name, value) {
+    const schema = this.getSchema(name);
+    const violations = [];
+    this._check(schema, schema.$id, value, '', violations);
+    return violations;
+  }
+
+  /**
+   * Resolve a $ref against the current schema's $id
+   * @private
+   * @param {string} ref - Reference
+   * @param {string} baseId - $id of the schema containing the reference
+   * @returns {{schema: Object, baseId: string}} Referenced schema and its document's $id
+   * @throws {ConfigurationError} If the reference cannot be resolved
+   */
+  _resolve(ref, baseId) {
+    const [file, pointer = ''] = ref.split('#');
+    const documentId = file ? new URL(file, baseId).href : baseId;
+    let schema = this.schemas.get(documentId);
+    for (const segment of pointer.split('/').filter(Boolean)) {
+      schema =
+        schema && schema[segment.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    if (!schema) {
+      throw new ConfigurationError(`Cannot resolve schema reference: ${ref}`, {
+        ref,
+        baseId,
+      });
+    }
+    return { schema, baseId: documentId };
+  }
+
+  /**
+   * Check a value against a (sub)schema, collecting violations
+   * @private
+   * @param {Object} schema - Schema
+   * @param {string} baseId - $id of the schema document
+   * @param {any} value - Value
+   * @param {string} pointer - JSON Pointer of the value
+   * @param {SchemaViolation[]} violations - Collected violations (appended to)
+   */
+  _check(schema, baseId, value, pointer, violations) {
+    const fail = message => violations.push({ path: pointer, message });
+
+    if (schema.$ref) {
+      const resolved = this._resolve(schema.$ref, baseId);
+      this._check(resolved.schema, resolved.baseId, value, pointer, violations);
+    }
+    if (schema.type && !hasType(value, schema.type)) {
+      fail(`must be ${[].concat(schema.type).join(' or ')}`);
+      return;
+    }
+    if ('const' in schema && value !== schema.const) {
+      fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of ${schema.enum.map(String).join(', ')}`);
+    }
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(option => {
+        const optionViolations = [];
+        this._check(option, baseId, value, pointer, optionViolations);
+        return optionViolations.length === 0;
+      });
+      if (!matches) {
+        fail('must match one of the allowed schemas');
+      }
+    }
+    if (schema.if) {
+      const conditionViolations = [];
+      this._check(schema.if, baseId, value, pointer, conditionViolations);
+      const branch =
+        conditionViolations.length === 0 ? schema.then : schema.else;
+      if (branch) {
+        this._check(branch, baseId, value, pointer, violations);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(`must have at least ${schema.minLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        fail(`must match ${schema.pattern}`);
+      }
+      if (
+        schema.format &&
+        FORMATS[schema.format] &&
+        !FORMATS[schema.format](value)
+      ) {
+        fail(`must be a ${schema.format}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail(`must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) =>
+          this._check(
+            schema.items,
+            baseId,
+            item,
+            `${pointer}/${index}`,
+            violations
+          )
+        );
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          fail(`must have property ${key}`);
+        }
+      }
+      const properties = schema.properties || {};
+      for (const [key, nested] of Object.entries(value)) {
+        const nestedPointer = `${pointer}/${pointerSegment(key)}`;
+        if (key in properties) {
+          this._check(
+            properties[key],
+            baseId,
+            nested,
+            nestedPointer,
+            violations
+          );
+        } else if (schema.additionalProperties === false) {
+          violations.push({
+            path: nestedPointer,
+            message: 'is not an allowed property',
+          });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this._check(
+            schema.additionalProperties,
+            baseId,
+            nested,
+            nestedPointer,
+            violations
+          );
+        }
+      }
+    }
+  }
+}
+
+module.exports = { SchemaValidator, SCHEMA_DIR };
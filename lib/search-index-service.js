@@ -0,0 +1,118 @@
+const { BaseFileManager } = require('./base-file-manager');
+const { SearchIndexFileManager } = require('./file-manager');
+const { SearchIndexProcessor } = require('./search-index');
+const { OperatorRegistry } = require('./operator-registry');
+const { Result } = require('./result');
+const { ProcessingError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * @typedef {Object} SearchIndexServiceOptions
+ * @property {Object.<string, string>} [operatorDirs] - Output base directory per operator (defaults to every registered operator's config.output dir)
+ * @property {string} [baseDir] - Index output base directory (defaults to config.output.search.baseDir)
+ * @property {import('./search-index').SearchIndexProcessor} [processor] - Search index processor class (for DI)
+ * @property {import('./file-manager').SearchIndexFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Builds search/index.json from the operators' saved allstops.json and
+ * allroutes.json
+ * @class
+ */
+class SearchIndexService {
+  /**
+   * Create a new search index service
+   * @param {SearchIndexServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.operatorDirs =
+      options.operatorDirs ||
+      Object.fromEntries(
+        OperatorRegistry.names().map(name => [
+          name,
+          config.output[name].baseDir,
+        ])
+      );
+    this.baseDir = options.baseDir || config.output.search.baseDir;
+    this.processor = options.processor || SearchIndexProcessor;
+    this.fileManager =
+      options.fileManager || new SearchIndexFileManager(this.baseDir);
+  }
+
+  /**
+   * Read each operator's allstops.json and allroutes.json, skipping
+   * operators not collected
+   * @private
+   * @returns {Promise<{operatorStops: Object.<string, Object>, operatorRoutes: Object.<string, Object>}>} Saved data keyed by operator
+   */
+  async _loadOperatorData() {
+    const operatorStops = {};
+    const operatorRoutes = {};
+    for (const [name, baseDir] of Object.entries(this.operatorDirs)) {
+      const fileManager = new BaseFileManager(baseDir);
+      const stopsResult = await fileManager.readAllStops();
+      if (stopsResult.isFailure()) {
+        console.warn(
+          `Skipping ${name} in search index: ${stopsResult.getError().message}`
+        );
+        continue;
+      }
+      operatorStops[name] = stopsResult.unwrap();
+
+      const routesResult = await fileManager.readAllRoutes();
+      if (routesResult.isFailure()) {
+        console.warn(
+          `Skipping ${name} routes in search index: ${routesResult.getError().message}`
+        );
+        continue;
+      }
+      operatorRoutes[name] = routesResult.unwrap();
+    }
+    return { operatorStops, operatorRoutes };
+  }
+
+  /**
+   * Build and save the search index
+   * @returns {Promise<Result<{documents: number, terms: number, operators: string[]}>>} Result with index summary
+   */
+  async buildAndSave() {
+    try {
+      const { operatorStops, operatorRoutes } = await this._loadOperatorData();
+      const operators = Object.keys(operatorStops);
+      if (operators.length === 0) {
+        return Result.failure(
+          new ProcessingError('No operator stop data found for search index', {
+            operatorDirs: this.operatorDirs,
+          })
+        );
+      }
+
+      console.log(`Indexing stops and routes of ${operators.join(', ')}...`);
+      const index = this.processor.buildIndex(operatorStops, operatorRoutes);
+
+      const saveResult = await this.fileManager.saveSearchIndex(index);
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+
+      console.log(
+        `Search index: ${index.documents.length} documents, ${index.terms.length} terms`
+      );
+      return Result.success({
+        documents: index.documents.length,
+        terms: index.terms.length,
+        operators,
+      });
+    } catch (error) {
+      console.error('Error building search index:', error);
+      return Result.failure(
+        new ProcessingError('Search index generation failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { SearchIndexService };
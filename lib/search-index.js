@@ -0,0 +1,146 @@
+const { tokenize } = require('./search-query');
+
+// Bump when the index layout changes; search-query.js reads version 1
+const SEARCH_INDEX_VERSION = 1;
+
+const LANGUAGES = ['en', 'tc', 'sc'];
+
+/**
+ * @typedef {Object} RouteTerminals
+ * @property {string} [orig_en] - Origin (English)
+ * @property {string} [orig_tc] - Origin (Traditional Chinese)
+ * @property {string} [orig_sc] - Origin (Simplified Chinese)
+ * @property {string} [dest_en] - Destination (English)
+ * @property {string} [dest_tc] - Destination (Traditional Chinese)
+ * @property {string} [dest_sc] - Destination (Simplified Chinese)
+ */
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} type - `stop` or `route`
+ * @property {string} operator - Operator code
+ * @property {string} id - Stop ID, or route key in allroutes.json
+ * @property {string} [name_en] - Stop name (English)
+ * @property {string} [name_tc] - Stop name (Traditional Chinese)
+ * @property {string} [name_sc] - Stop name (Simplified Chinese)
+ * @property {string} [route] - Route number as shown to passengers
+ * @property {RouteTerminals[]} [terminals] - Distinct origin/destination of each route variant
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {number} version - Layout version
+ * @property {string} generated_at - ISO timestamp of generation
+ * @property {SearchDocument[]} documents - Stops, then routes, per operator
+ * @property {string[]} terms - Tokens, sorted by code unit
+ * @property {number[][]} postings - Document indexes of each term, ascending
+ */
+
+/**
+ * Builds the offline stop and route search index
+ * @class
+ */
+class SearchIndexProcessor {
+  /**
+   * Distinct origin/destination names of every variant of a compact route
+   * Variants are the nested objects holding a `stops` list, whatever the
+   * operator's nesting (direction, service type or route variant).
+   * @param {Object} routeEntry - Route entry of allroutes.json
+   * @returns {RouteTerminals[]} Terminals in allroutes.json order
+   */
+  static collectTerminals(routeEntry) {
+    const terminals = new Map();
+    const visit = value => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return;
+      }
+      if (Array.isArray(value.stops)) {
+        const names = {};
+        for (const end of ['orig', 'dest']) {
+          for (const language of LANGUAGES) {
+            const name = value[`${end}_${language}`];
+            if (name) {
+              names[`${end}_${language}`] = name;
+            }
+          }
+        }
+        if (Object.keys(names).length > 0) {
+          terminals.set(JSON.stringify(names), names);
+        }
+        return;
+      }
+      Object.values(value).forEach(visit);
+    };
+    visit(routeEntry);
+    return [...terminals.values()];
+  }
+
+  /**
+   * Build the search index
+   * @param {Object.<string, Object.<string, import('./base-data-processor').EnrichedStopData>>} operatorStops - allstops.json data keyed by operator
+   * @param {Object.<string, {routes: Object}>} operatorRoutes - allroutes.json data keyed by operator
+   * @returns {SearchIndex} Search index
+   */
+  static buildIndex(operatorStops, operatorRoutes) {
+    const documents = [];
+    const termDocuments = new Map();
+    const addDocument = (document, texts) => {
+      const doc = documents.length;
+      documents.push(document);
+      for (const token of new Set(texts.flatMap(tokenize))) {
+        if (!termDocuments.has(token)) {
+          termDocuments.set(token, []);
+        }
+        termDocuments.get(token).push(doc);
+      }
+    };
+
+    const operators = [
+      ...new Set([
+        ...Object.keys(operatorStops),
+        ...Object.keys(operatorRoutes),
+      ]),
+    ];
+    for (const operator of operators) {
+      const allStops = operatorStops[operator] || {};
+      for (const stopId of Object.keys(allStops).sort()) {
+        const stop = allStops[stopId];
+        const document = { type: 'stop', operator, id: stopId };
+        for (const language of LANGUAGES) {
+          if (stop[`name_${language}`]) {
+            document[`name_${language}`] = stop[`name_${language}`];
+          }
+        }
+        addDocument(
+          document,
+          LANGUAGES.map(language => document[`name_${language}`])
+        );
+      }
+
+      const routes = (operatorRoutes[operator] || {}).routes || {};
+      for (const routeKey of Object.keys(routes).sort()) {
+        const routeEntry = routes[routeKey];
+        // GMB routes are keyed by route ID; passengers know the route code
+        const route = routeEntry.route_code || routeKey;
+        const terminals = this.collectTerminals(routeEntry);
+        addDocument(
+          { type: 'route', operator, id: routeKey, route, terminals },
+          [route, ...terminals.flatMap(names => Object.values(names))]
+        );
+      }
+    }
+
+    const terms = [...termDocuments.keys()].sort((a, b) =>
+      a < b ? -1 : a > b ? 1 : 0
+    );
+    return {
+      version: SEARCH_INDEX_VERSION,
+      generated_at: new Date().toISOString(),
+      documents,
+      terms,
+      postings: terms.map(term => termDocuments.get(term)),
+    };
+  }
+}
+
+module.exports = { SearchIndexProcessor, SEARCH_INDEX_VERSION };
@@ -0,0 +1,154 @@
+/**
+ * Query helper for the prebuilt search index (search/index.json)
+ *
+ * Has no dependencies, so consumers can copy this file as is (or load the
+ * published search-query.js in a browser) and search without a server. The
+ * index generator uses the same tokenizer, so queries and indexed names are
+ * always split the same way:
+ *
+ * - text is normalised (full-width forms folded, accents removed, lower case)
+ * - every Chinese character is a token of its own, so "銅鑼灣" matches any
+ *   name containing 銅, 鑼 and 灣
+ * - runs of other letters and digits are word tokens ("causeway", "1a"),
+ *   and each query word matches every indexed word it is a prefix of
+ */
+
+const TOKEN_PATTERN = /\p{Script=Han}|(?:(?!\p{Script=Han})[\p{L}\p{N}])+/gu;
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Object} document - Matching stop or route document from the index
+ * @property {number} score - Relevance (higher is better)
+ */
+
+/**
+ * Split text into search tokens
+ * @param {string} text - Text
+ * @returns {string[]} Tokens, in order of appearance
+ */
+function tokenize(text) {
+  const normalized = String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+  return normalized.match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Whether a token is a single Chinese character (matched exactly)
+ * @param {string} token - Token
+ * @returns {boolean} True for Chinese characters
+ */
+function isHan(token) {
+  return /^\p{Script=Han}$/u.test(token);
+}
+
+/**
+ * Index of the first term not less than a prefix (terms are sorted)
+ * @param {string[]} terms - Sorted terms
+ * @param {string} prefix - Prefix
+ * @returns {number} Index
+ */
+function lowerBound(terms, prefix) {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (terms[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Create a search function over a loaded index
+ * @param {{terms: string[], postings: number[][], documents: Object[]}} index - Parsed search/index.json
+ * @returns {function(string, {limit?: number, type?: string, operator?: string}=): SearchResult[]} Search function
+ */
+function createSearch(index) {
+  const { terms, postings, documents } = index;
+
+  // Documents matching one query token, with 2 for an exact and 1 for a
+  // prefix match
+  const match = token => {
+    const matches = new Map();
+    let position = lowerBound(terms, token);
+    if (isHan(token)) {
+      if (terms[position] === token) {
+        postings[position].forEach(doc => matches.set(doc, 2));
+      }
+      return matches;
+    }
+    for (; position < terms.length; position++) {
+      const term = terms[position];
+      if (!term.startsWith(token)) {
+        break;
+      }
+      const weight = term === token ? 2 : 1;
+      for (const doc of postings[position]) {
+        matches.set(doc, Math.max(matches.get(doc) || 0, weight));
+      }
+    }
+    return matches;
+  };
+
+  return (query, options = {}) => {
+    const { limit = 20, type, operator } = options;
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    // Every token must match; the rarest first keeps the candidates small
+    const tokenMatches = tokens.map(match).sort((a, b) => a.size - b.size);
+    const phrase = tokenize(query).join('');
+    const results = [];
+    for (const [doc, weight] of tokenMatches[0]) {
+      const document = documents[doc];
+      if (
+        (type && document.type !== type) ||
+        (operator && document.operator !== operator)
+      ) {
+        continue;
+      }
+      let score = weight;
+      let matchesAll = true;
+      for (const matches of tokenMatches.slice(1)) {
+        if (!matches.has(doc)) {
+          matchesAll = false;
+          break;
+        }
+        score += matches.get(doc);
+      }
+      if (!matchesAll) {
+        continue;
+      }
+      // Boost names holding the whole query and exact route numbers
+      const names = [document.name_en, document.name_tc, document.name_sc]
+        .concat(document.route)
+        .filter(Boolean)
+        .map(name => tokenize(name).join(''));
+      if (names.some(name => name === phrase)) {
+        score += 4;
+      } else if (names.some(name => name.includes(phrase))) {
+        score += 2;
+      }
+      results.push({ doc, document, score });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.doc - b.doc)
+      .slice(0, limit)
+      .map(({ document, score }) => ({ document, score }));
+  };
+}
+
+// CommonJS in Node, a `SearchQuery` global when loaded by a <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { tokenize, createSearch };
+} else {
+  globalThis.SearchQuery = { tokenize, createSearch };
+}
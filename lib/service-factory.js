@@ -1,14 +1,12 @@
-const { CTBService } = require('./ctb-service');
-const { KMBService } = require('./kmb-service');
-const { CTBDataCollector, KMBDataCollector } = require('./data-collector');
-const { CTBDataProcessor, KMBDataProcessor } = require('./data-processor');
-const { CTBFileManager, KMBFileManager } = require('./file-manager');
+const { OperatorRegistry } = require('./operator-registry');
 
 /**
  * @typedef {Object} ServiceFactoryOptions
  * @property {number} [requestsPerSecond=3] - API requests per second
  * @property {number} [concurrentRequests=2] - Concurrent requests limit
- * @property {string} [baseDir] - Output base directory (defaults to 'ctb' or 'kmb')
+ * @property {string} [baseDir] - Output base directory (defaults to the operator code, e.g. 'ctb')
+ * @property {import('./checkpoint-store').CheckpointStore} [checkpoint] - Checkpoint of completed fetches, for collectors that support it
+ * @property {import('./base-data-collector').PreviousData} [previous] - Previously published data, for services that detect changes
  */
 
 /**
@@ -17,6 +15,78 @@ const { CTBFileManager, KMBFileManager } = require('./file-manager');
  * @class
  */
 class ServiceFactory {
+  /**
+   * Create the service of any registered operator
+   * @param {string} name - Operator code (e.g. 'ctb', 'kmb' or a plugin name)
+   * @param {ServiceFactoryOptions} [options={}] - Service options
+   * @param {Object} [dependencies={}] - Custom dependencies for testing
+   * @param {Object} [dependencies.collector] - Custom collector
+   * @param {Object} [dependencies.processor] - Custom processor
+   * @param {Object} [dependencies.fileManager] - Custom file manager
+   * @returns {Object} Configured service exposing collectAndSaveData()
+   * @throws {import('./errors').ConfigurationError} If the operator is not registered
+   */
+  static createService(name, options = {}, dependencies = {}) {
+    const plugin = OperatorRegistry.get(name);
+    const { Service } = OperatorRegistry.loadComponents(name);
+    const requestsPerSecond = options.requestsPerSecond || 3;
+    const concurrentRequests = options.concurrentRequests || 2;
+    const baseDir = options.baseDir || plugin.outputDir.defaultValue;
+    const collector =
+      dependencies.collector ||
+      this.createCollector(name, requestsPerSecond, concurrentRequests);
+    // Plugin collectors need not extend BaseDataCollector
+    if (options.checkpoint && typeof collector.useCheckpoint === 'function') {
+      collector.useCheckpoint(options.checkpoint);
+    }
+
+    return new Service({
+      ...plugin.serviceOptions,
+      operator: name,
+      requestsPerSecond,
+      concurrentRequests,
+      baseDir,
+      previous: options.previous,
+      collector,
+      processor: dependencies.processor || this.getProcessor(name),
+      fileManager:
+        dependencies.fileManager || this.createFileManager(name, baseDir),
+    });
+  }
+
+  /**
+   * Create the data collector of any registered operator
+   * @param {string} name - Operator code
+   * @param {number} [requestsPerSecond=3] - API requests per second
+   * @param {number} [concurrentRequests=2] - Concurrent requests limit
+   * @returns {Object} Data collector
+   */
+  static createCollector(name, requestsPerSecond = 3, concurrentRequests = 2) {
+    const { Collector } = OperatorRegistry.loadComponents(name);
+    return new Collector(requestsPerSecond, concurrentRequests);
+  }
+
+  /**
+   * Create the file manager of any registered operator
+   * @param {string} name - Operator code
+   * @param {string} [baseDir] - Output base directory (defaults to the operator's output dir)
+   * @returns {Object} File manager
+   */
+  static createFileManager(name, baseDir) {
+    const plugin = OperatorRegistry.get(name);
+    const { FileManager } = OperatorRegistry.loadComponents(name);
+    return new FileManager(baseDir || plugin.outputDir.defaultValue);
+  }
+
+  /**
+   * Get the data processor of any registered operator (static class)
+   * @param {string} name - Operator code
+   * @returns {Function} Data processor class
+   */
+  static getProcessor(name) {
+    return OperatorRegistry.loadComponents(name).Processor;
+  }
+
   /**
    * Create a CTB service with optional custom dependencies
    * @param {ServiceFactoryOptions} [options={}] - Service options
@@ -24,19 +94,10 @@ class ServiceFactory {
    * @param {import('./data-collector').CTBDataCollector} [dependencies.collector] - Custom collector
    * @param {import('./data-processor').CTBDataProcessor} [dependencies.processor] - Custom processor
    * @param {import('./file-manager').CTBFileManager} [dependencies.fileManager] - Custom file manager
-   * @returns {CTBService} Configured CTB service
+   * @returns {import('./ctb-service').CTBService} Configured CTB service
    */
   static createCTBService(options = {}, dependencies = {}) {
-    const serviceOptions = {
-      requestsPerSecond: options.requestsPerSecond || 3,
-      concurrentRequests: options.concurrentRequests || 2,
-      baseDir: options.baseDir || 'ctb',
-      collector: dependencies.collector,
-      processor: dependencies.processor,
-      fileManager: dependencies.fileManager,
-    };
-
-    return new CTBService(serviceOptions);
+    return this.createService('ctb', options, dependencies);
   }
 
   /**
@@ -46,73 +107,211 @@ class ServiceFactory {
    * @param {import('./data-collector').KMBDataCollector} [dependencies.collector] - Custom collector
    * @param {import('./data-processor').KMBDataProcessor} [dependencies.processor] - Custom processor
    * @param {import('./file-manager').KMBFileManager} [dependencies.fileManager] - Custom file manager
-   * @returns {KMBService} Configured KMB service
+   * @returns {import('./kmb-service').KMBService} Configured KMB service
    */
   static createKMBService(options = {}, dependencies = {}) {
-    const serviceOptions = {
-      requestsPerSecond: options.requestsPerSecond || 3,
-      concurrentRequests: options.concurrentRequests || 2,
-      baseDir: options.baseDir || 'kmb',
-      collector: dependencies.collector,
-      processor: dependencies.processor,
-      fileManager: dependencies.fileManager,
-    };
+    return this.createService('kmb', options, dependencies);
+  }
 
-    return new KMBService(serviceOptions);
+  /**
+   * Create a GMB service with optional custom dependencies
+   * @param {ServiceFactoryOptions} [options={}] - Service options
+   * @param {Object} [dependencies={}] - Custom dependencies for testing
+   * @param {import('./data-collector').GMBDataCollector} [dependencies.collector] - Custom collector
+   * @param {import('./data-processor').GMBDataProcessor} [dependencies.processor] - Custom processor
+   * @param {import('./file-manager').GMBFileManager} [dependencies.fileManager] - Custom file manager
+   * @returns {import('./gmb-service').GMBService} Configured GMB service
+   */
+  static createGMBService(options = {}, dependencies = {}) {
+    return this.createService('gmb', options, dependencies);
+  }
+
+  /**
+   * Create an NLB service with optional custom dependencies
+   * @param {ServiceFactoryOptions} [options={}] - Service options
+   * @param {Object} [dependencies={}] - Custom dependencies for testing
+   * @param {import('./data-collector').NLBDataCollector} [dependencies.collector] - Custom collector
+   * @param {import('./data-processor').NLBDataProcessor} [dependencies.processor] - Custom processor
+   * @param {import('./file-manager').NLBFileManager} [dependencies.fileManager] - Custom file manager
+   * @returns {import('./nlb-service').NLBService} Configured NLB service
+   */
+  static createNLBService(options = {}, dependencies = {}) {
+    return this.createService('nlb', options, dependencies);
+  }
+
+  /**
+   * Create an MTR Bus service with optional custom dependencies
+   * @param {ServiceFactoryOptions} [options={}] - Service options
+   * @param {Object} [dependencies={}] - Custom dependencies for testing
+   * @param {import('./data-collector').MTRBusDataCollector} [dependencies.collector] - Custom collector
+   * @param {import('./data-processor').MTRDataProcessor} [dependencies.processor] - Custom processor
+   * @param {import('./file-manager').MTRFileManager} [dependencies.fileManager] - Custom file manager
+   * @returns {import('./mtr-service').MTRService} Configured MTR Bus service
+   */
+  static createMTRBusService(options = {}, dependencies = {}) {
+    return this.createService('mtrbus', options, dependencies);
+  }
+
+  /**
+   * Create a Light Rail service with optional custom dependencies
+   * @param {ServiceFactoryOptions} [options={}] - Service options
+   * @param {Object} [dependencies={}] - Custom dependencies for testing
+   * @param {import('./data-collector').LRTDataCollector} [dependencies.collector] - Custom collector
+   * @param {import('./data-processor').MTRDataProcessor} [dependencies.processor] - Custom processor
+   * @param {import('./file-manager').MTRFileManager} [dependencies.fileManager] - Custom file manager
+   * @returns {import('./mtr-service').MTRService} Configured Light Rail service
+   */
+  static createLRTService(options = {}, dependencies = {}) {
+    return this.createService('lrt', options, dependencies);
   }
 
   /**
    * Create a CTB data collector
    * @param {number} [requestsPerSecond=3] - API requests per second
    * @param {number} [concurrentRequests=2] - Concurrent requests limit
-   * @returns {CTBDataCollector} CTB data collector
+   * @returns {import('./data-collector').CTBDataCollector} CTB data collector
    */
   static createCTBCollector(requestsPerSecond = 3, concurrentRequests = 2) {
-    return new CTBDataCollector(requestsPerSecond, concurrentRequests);
+    return this.createCollector('ctb', requestsPerSecond, concurrentRequests);
   }
 
   /**
    * Create a KMB data collector
    * @param {number} [requestsPerSecond=3] - API requests per second
    * @param {number} [concurrentRequests=2] - Concurrent requests limit
-   * @returns {KMBDataCollector} KMB data collector
+   * @returns {import('./data-collector').KMBDataCollector} KMB data collector
    */
   static createKMBCollector(requestsPerSecond = 3, concurrentRequests = 2) {
-    return new KMBDataCollector(requestsPerSecond, concurrentRequests);
+    return this.createCollector('kmb', requestsPerSecond, concurrentRequests);
+  }
+
+  /**
+   * Create a GMB data collector
+   * @param {number} [requestsPerSecond=3] - API requests per second
+   * @param {number} [concurrentRequests=2] - Concurrent requests limit
+   * @returns {import('./data-collector').GMBDataCollector} GMB data collector
+   */
+  static createGMBCollector(requestsPerSecond = 3, concurrentRequests = 2) {
+    return this.createCollector('gmb', requestsPerSecond, concurrentRequests);
+  }
+
+  /**
+   * Create an NLB data collector
+   * @param {number} [requestsPerSecond=3] - API requests per second
+   * @param {number} [concurrentRequests=2] - Concurrent requests limit
+   * @returns {import('./data-collector').NLBDataCollector} NLB data collector
+   */
+  static createNLBCollector(requestsPerSecond = 3, concurrentRequests = 2) {
+    return this.createCollector('nlb', requestsPerSecond, concurrentRequests);
+  }
+
+  /**
+   * Create an MTR Bus data collector
+   * @param {number} [requestsPerSecond=3] - API requests per second
+   * @param {number} [concurrentRequests=2] - Concurrent requests limit
+   * @returns {import('./data-collector').MTRBusDataCollector} MTR Bus data collector
+   */
+  static createMTRBusCollector(requestsPerSecond = 3, concurrentRequests = 2) {
+    return this.createCollector(
+      'mtrbus',
+      requestsPerSecond,
+      concurrentRequests
+    );
+  }
+
+  /**
+   * Create a Light Rail data collector
+   * @param {number} [requestsPerSecond=3] - API requests per second
+   * @param {number} [concurrentRequests=2] - Concurrent requests limit
+   * @returns {import('./data-collector').LRTDataCollector} Light Rail data collector
+   */
+  static createLRTCollector(requestsPerSecond = 3, concurrentRequests = 2) {
+    return this.createCollector('lrt', requestsPerSecond, concurrentRequests);
   }
 
   /**
    * Create a CTB file manager
    * @param {string} [baseDir='ctb'] - Output base directory
-   * @returns {CTBFileManager} CTB file manager
+   * @returns {import('./file-manager').CTBFileManager} CTB file manager
    */
   static createCTBFileManager(baseDir = 'ctb') {
-    return new CTBFileManager(baseDir);
+    return this.createFileManager('ctb', baseDir);
   }
 
   /**
    * Create a KMB file manager
    * @param {string} [baseDir='kmb'] - Output base directory
-   * @returns {KMBFileManager} KMB file manager
+   * @returns {import('./file-manager').KMBFileManager} KMB file manager
    */
   static createKMBFileManager(baseDir = 'kmb') {
-    return new KMBFileManager(baseDir);
+    return this.createFileManager('kmb', baseDir);
+  }
+
+  /**
+   * Create a GMB file manager
+   * @param {string} [baseDir='gmb'] - Output base directory
+   * @returns {import('./file-manager').GMBFileManager} GMB file manager
+   */
+  static createGMBFileManager(baseDir = 'gmb') {
+    return this.createFileManager('gmb', baseDir);
+  }
+
+  /**
+   * Create an NLB file manager
+   * @param {string} [baseDir='nlb'] - Output base directory
+   * @returns {import('./file-manager').NLBFileManager} NLB file manager
+   */
+  static createNLBFileManager(baseDir = 'nlb') {
+    return this.createFileManager('nlb', baseDir);
+  }
+
+  /**
+   * Create an MTR Bus or Light Rail file manager
+   * @param {string} [baseDir='mtrbus'] - Output base directory
+   * @returns {import('./file-manager').MTRFileManager} MTR file manager
+   */
+  static createMTRFileManager(baseDir = 'mtrbus') {
+    return this.createFileManager('mtrbus', baseDir);
   }
 
   /**
    * Get CTB data processor (static class)
-   * @returns {typeof CTBDataProcessor} CTB data processor
+   * @returns {typeof import('./data-processor').CTBDataProcessor} CTB data processor
    */
   static getCTBProcessor() {
-    return CTBDataProcessor;
+    return this.getProcessor('ctb');
   }
 
   /**
    * Get KMB data processor (static class)
-   * @returns {typeof KMBDataProcessor} KMB data processor
+   * @returns {typeof import('./data-processor').KMBDataProcessor} KMB data processor
    */
   static getKMBProcessor() {
-    return KMBDataProcessor;
+    return this.getProcessor('kmb');
+  }
+
+  /**
+   * Get GMB data processor (static class)
+   * @returns {typeof import('./data-processor').GMBDataProcessor} GMB data processor
+   */
+  static getGMBProcessor() {
+    return this.getProcessor('gmb');
+  }
+
+  /**
+   * Get NLB data processor (static class)
+   * @returns {typeof import('./data-processor').NLBDataProcessor} NLB data processor
+   */
+  static getNLBProcessor() {
+    return this.getProcessor('nlb');
+  }
+
+  /**
+   * Get MTR Bus and Light Rail data processor (static class)
+   * @returns {typeof import('./data-processor').MTRDataProcessor} MTR data processor
+   */
+  static getMTRProcessor() {
+    return this.getProcessor('mtrbus');
   }
 }
 
@@ -0,0 +1,208 @@
+const { BaseDataProcessor } = require('./base-data-processor');
+const { GeoUtils } = require('./geo');
+const { OperatorRegistry } = require('./operator-registry');
+
+/**
+ * @typedef {Object} SQLiteOperatorData
+ * @property {Object.<string, import('./base-data-processor').EnrichedStopData>} allStopsData - All stops data
+ * @property {Object.<string, import('./base-data-processor').EnrichedRouteData>} allRoutesData - All routes data
+ */
+
+/**
+ * @typedef {Object} SQLiteTable
+ * @property {string} name - Table name
+ * @property {string[]} columns - Column names, in insert order
+ * @property {Array<Array<(string|number|null)>>} rows - Rows as values in column order
+ */
+
+/**
+ * @typedef {Object} SQLiteDatabase
+ * @property {string[]} statements - CREATE TABLE and CREATE INDEX statements
+ * @property {SQLiteTable[]} tables - Table contents
+ */
+
+/**
+ * Tables of transport.sqlite and their columns, in order
+ * bound and service_type are '' rather than NULL when an operator has none,
+ * so they can take part in unique indexes and equality queries.
+ * @type {Object.<string, string[]>}
+ */
+const SQLITE_TABLES = {
+  stops: [
+    'operator TEXT NOT NULL',
+    'stop_id TEXT NOT NULL',
+    'name_en TEXT',
+    'name_tc TEXT',
+    'name_sc TEXT',
+    'lat REAL',
+    'long REAL',
+    'data_timestamp TEXT',
+    'PRIMARY KEY (operator, stop_id)',
+  ],
+  routes: [
+    'operator TEXT NOT NULL',
+    'route TEXT NOT NULL',
+    'variant_count INTEGER NOT NULL',
+    'stop_count INTEGER NOT NULL',
+    'PRIMARY KEY (operator, route)',
+  ],
+  route_variants: [
+    'variant_id INTEGER PRIMARY KEY',
+    'operator TEXT NOT NULL',
+    'route TEXT NOT NULL',
+    "bound TEXT NOT NULL DEFAULT ''",
+    "service_type TEXT NOT NULL DEFAULT ''",
+    'orig_en TEXT',
+    'orig_tc TEXT',
+    'orig_sc TEXT',
+    'dest_en TEXT',
+    'dest_tc TEXT',
+    'dest_sc TEXT',
+    'stop_count INTEGER NOT NULL',
+  ],
+  route_stops: [
+    'variant_id INTEGER NOT NULL REFERENCES route_variants (variant_id)',
+    'operator TEXT NOT NULL',
+    'route TEXT NOT NULL',
+    "bound TEXT NOT NULL DEFAULT ''",
+    "service_type TEXT NOT NULL DEFAULT ''",
+    'seq INTEGER NOT NULL',
+    'stop_id TEXT NOT NULL',
+    'PRIMARY KEY (variant_id, seq)',
+  ],
+};
+
+const SQLITE_INDEXES = [
+  'CREATE INDEX stops_stop_id ON stops (stop_id)',
+  'CREATE INDEX routes_route ON routes (route)',
+  'CREATE UNIQUE INDEX route_variants_key ON route_variants (operator, route, bound, service_type)',
+  'CREATE INDEX route_stops_stop ON route_stops (operator, stop_id)',
+  'CREATE INDEX route_stops_variant ON route_stops (operator, route, bound, service_type)',
+];
+
+/**
+ * Column names of a table definition (constraints left out)
+ * @param {string[]} definition - Column and constraint definitions
+ * @returns {string[]} Column names
+ */
+function columnNames(definition) {
+  return definition
+    .filter(column => !column.startsWith('PRIMARY KEY'))
+    .map(column => column.split(' ')[0]);
+}
+
+/**
+ * Builds the tables of transport.sqlite from collected stop and route data
+ * @class
+ */
+class SQLiteExporter {
+  /**
+   * Split a route into variants with the operator's data processor, so
+   * operator-specific variants (e.g. NLB routeId) are kept apart
+   * @param {string} operator - Operator code
+   * @param {import('./base-data-processor').EnrichedRouteData} routeData - Enriched route data
+   * @returns {Array<{direction: string, serviceType: (string|null), stops: Object[]}>} Route variants
+   */
+  static groupRouteVariants(operator, routeData) {
+    const Processor = OperatorRegistry.has(operator)
+      ? OperatorRegistry.loadComponents(operator).Processor
+      : BaseDataProcessor;
+    return Processor.groupRouteVariants(routeData);
+  }
+
+  /**
+   * Build the database for the given operators
+   * Variant origin and destination are the names of its first and last stop.
+   * @param {Object.<string, SQLiteOperatorData>} operatorsData - Collected data keyed by operator code
+   * @returns {SQLiteDatabase} Statements and table contents
+   */
+  static buildDatabase(operatorsData) {
+    const rows = {
+      stops: [],
+      routes: [],
+      route_variants: [],
+      route_stops: [],
+    };
+
+    for (const [operator, data] of Object.entries(operatorsData)) {
+      for (const [stopId, stopData] of Object.entries(data.allStopsData)) {
+        const coordinates = GeoUtils.getCoordinates(stopData);
+        rows.stops.push([
+          operator,
+          stopId,
+          stopData.name_en ?? null,
+          stopData.name_tc ?? null,
+          stopData.name_sc ?? null,
+          coordinates ? coordinates.lat : null,
+          coordinates ? coordinates.long : null,
+          stopData.data_timestamp ?? null,
+        ]);
+      }
+
+      // Route stops with the names of the saved stop, where there is one
+      const withDetails = stop => ({
+        ...stop,
+        ...data.allStopsData[stop.stop],
+      });
+      for (const [route, routeData] of Object.entries(data.allRoutesData)) {
+        const variants = this.groupRouteVariants(operator, routeData);
+        rows.routes.push([
+          operator,
+          route,
+          variants.length,
+          new Set(routeData.stops.map(stop => stop.stop)).size,
+        ]);
+
+        for (const variant of variants) {
+          const variantId = rows.route_variants.length + 1;
+          const bound = variant.direction || '';
+          const serviceType = variant.serviceType || '';
+          const first = withDetails(variant.stops[0]);
+          const last = withDetails(variant.stops[variant.stops.length - 1]);
+          rows.route_variants.push([
+            variantId,
+            operator,
+            route,
+            bound,
+            serviceType,
+            first.name_en ?? null,
+            first.name_tc ?? null,
+            first.name_sc ?? null,
+            last.name_en ?? null,
+            last.name_tc ?? null,
+            last.name_sc ?? null,
+            variant.stops.length,
+          ]);
+          variant.stops.forEach((stop, index) => {
+            rows.route_stops.push([
+              variantId,
+              operator,
+              route,
+              bound,
+              serviceType,
+              index + 1,
+              stop.stop,
+            ]);
+          });
+        }
+      }
+    }
+
+    return {
+      statements: [
+        ...Object.entries(SQLITE_TABLES).map(
+          ([table, definition]) =>
+            `CREATE TABLE ${table} (${definition.join(', ')})`
+        ),
+        ...SQLITE_INDEXES,
+      ],
+      tables: Object.entries(SQLITE_TABLES).map(([table, definition]) => ({
+        name: table,
+        columns: columnNames(definition),
+        rows: rows[table],
+      })),
+    };
+  }
+}
+
+module.exports = { SQLiteExporter, SQLITE_TABLES };
@@ -0,0 +1,108 @@
+const { SQLiteExporter } = require('./sqlite-exporter');
+const { SQLiteFileManager } = require('./file-manager');
+const { Result } = require('./result');
+const { ProcessingError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * @typedef {Object} SQLiteServiceOptions
+ * @property {string} [baseDir] - Output base directory (defaults to config.output.sqlite.baseDir)
+ * @property {import('./sqlite-exporter').SQLiteExporter} [exporter] - SQLite exporter class (for DI)
+ * @property {import('./file-manager').SQLiteFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Exports the in-memory collection results of every operator as
+ * transport.sqlite
+ * @class
+ */
+class SQLiteService {
+  /**
+   * Create a new SQLite service
+   * @param {SQLiteServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || config.output.sqlite.baseDir;
+    this.exporter = options.exporter || SQLiteExporter;
+    this.fileManager =
+      options.fileManager || new SQLiteFileManager(this.baseDir);
+  }
+
+  /**
+   * Pick each operator's stop and route data from a collection summary
+   * @param {import('./collection-runner').CollectionSummary} summary - Collection summary
+   * @returns {Object.<string, import('./sqlite-exporter').SQLiteOperatorData>} Collected data keyed by operator code
+   */
+  static operatorsDataFromSummary(summary) {
+    return Object.fromEntries(
+      summary.results
+        .filter(
+          result =>
+            result.success &&
+            result.data &&
+            result.data.allStopsData &&
+            result.data.allRoutesData
+        )
+        .map(({ name, data }) => [
+          name,
+          {
+            allStopsData: data.allStopsData,
+            allRoutesData: data.allRoutesData,
+          },
+        ])
+    );
+  }
+
+  /**
+   * Build and save transport.sqlite
+   * Skipped (successfully) when no operator was collected.
+   * @param {Object.<string, import('./sqlite-exporter').SQLiteOperatorData>} operatorsData - Collected data keyed by operator code
+   * @returns {Promise<Result<{operators: string[], stops: number, routes: number, variants: number, skipped: boolean}>>} Result with database summary
+   */
+  async exportDatabase(operatorsData) {
+    const operators = Object.keys(operatorsData);
+    if (operators.length === 0) {
+      console.warn('Skipping SQLite export: no operator data collected');
+      return Result.success({
+        operators,
+        stops: 0,
+        routes: 0,
+        variants: 0,
+        skipped: true,
+      });
+    }
+
+    try {
+      console.log(`Building transport.sqlite for ${operators.join(', ')}...`);
+      const database = this.exporter.buildDatabase(operatorsData);
+      const saveResult = await this.fileManager.saveDatabase(database);
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+
+      const counts = Object.fromEntries(
+        database.tables.map(table => [table.name, table.rows.length])
+      );
+      console.log(
+        `SQLite: ${counts.stops} stops, ${counts.routes} routes, ${counts.route_variants} variants, ${counts.route_stops} route stops`
+      );
+      return Result.success({
+        operators,
+        stops: counts.stops,
+        routes: counts.routes,
+        variants: counts.route_variants,
+        skipped: false,
+      });
+    } catch (error) {
+      console.error('Error exporting SQLite database:', error);
+      return Result.failure(
+        new ProcessingError('SQLite export failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { SQLiteService };
@@ -0,0 +1,109 @@
+const { BaseFileManager } = require('./base-file-manager');
+const { StopIndexFileManager } = require('./file-manager');
+const { StopIndexProcessor } = require('./stop-index');
+const { OperatorRegistry } = require('./operator-registry');
+const { Result } = require('./result');
+const { ProcessingError } = require('./errors');
+const config = require('../config/default');
+
+/**
+ * @typedef {Object} StopIndexServiceOptions
+ * @property {number} [radius] - Clustering radius in metres (defaults to config.spatial.stopClusterRadius)
+ * @property {Object.<string, string>} [operatorDirs] - Output base directory per operator (defaults to every registered operator's config.output dir)
+ * @property {string} [baseDir] - Index output base directory (defaults to config.output.all.baseDir)
+ * @property {import('./stop-index').StopIndexProcessor} [processor] - Stop index processor class (for DI)
+ * @property {import('./file-manager').StopIndexFileManager} [fileManager] - File manager instance (for DI)
+ */
+
+/**
+ * Builds all/stops/index.json from the operators' saved allstops.json
+ * @class
+ */
+class StopIndexService {
+  /**
+   * Create a new stop index service
+   * @param {StopIndexServiceOptions} [options={}] - Service configuration
+   */
+  constructor(options = {}) {
+    this.radius = options.radius || config.spatial.stopClusterRadius;
+    this.operatorDirs =
+      options.operatorDirs ||
+      Object.fromEntries(
+        OperatorRegistry.names().map(name => [
+          name,
+          config.output[name].baseDir,
+        ])
+      );
+    this.baseDir = options.baseDir || config.output.all.baseDir;
+    this.processor = options.processor || StopIndexProcessor;
+    this.fileManager =
+      options.fileManager || new StopIndexFileManager(this.baseDir);
+  }
+
+  /**
+   * Read each operator's allstops.json, skipping operators not collected
+   * @private
+   * @returns {Promise<Object.<string, Object>>} allstops.json data keyed by operator
+   */
+  async _loadOperatorStops() {
+    const operatorStops = {};
+    for (const [name, baseDir] of Object.entries(this.operatorDirs)) {
+      const result = await new BaseFileManager(baseDir).readAllStops();
+      if (result.isFailure()) {
+        console.warn(
+          `Skipping ${name} in stop index: ${result.getError().message}`
+        );
+        continue;
+      }
+      operatorStops[name] = result.unwrap();
+    }
+    return operatorStops;
+  }
+
+  /**
+   * Build and save the cross-operator stop index
+   * @returns {Promise<Result<{totalClusters: number, totalStops: number, operators: string[]}>>} Result with index summary
+   */
+  async buildAndSave() {
+    try {
+      const operatorStops = await this._loadOperatorStops();
+      const operators = Object.keys(operatorStops);
+      if (operators.length === 0) {
+        return Result.failure(
+          new ProcessingError('No operator stop data found for stop index', {
+            operatorDirs: this.operatorDirs,
+          })
+        );
+      }
+
+      console.log(
+        `Clustering stops of ${operators.join(', ')} within ${this.radius}m...`
+      );
+      const index = this.processor.buildIndex(operatorStops, this.radius);
+
+      const saveResult = await this.fileManager.saveStopIndex(index);
+      if (saveResult.isFailure()) {
+        return saveResult;
+      }
+
+      console.log(
+        `Stop index: ${index.total_stops} stops in ${index.total_clusters} clusters`
+      );
+      return Result.success({
+        totalClusters: index.total_clusters,
+        totalStops: index.total_stops,
+        operators,
+      });
+    } catch (error) {
+      console.error('Error building stop index:', error);
+      return Result.failure(
+        new ProcessingError('Stop index generation failed', {
+          originalError: error.message,
+          stack: error.stack,
+        })
+      );
+    }
+  }
+}
+
+module.exports = { StopIndexService };
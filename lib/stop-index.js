@@ -0,0 +1,172 @@
+const { GeoUtils, SpatialGrid } = require('./geo');
+
+/**
+ * @typedef {Object} StopClusterOperator
+ * @property {string[]} stops - Operator stop IDs in the cluster
+ * @property {string[]} routes - Routes serving those stops
+ */
+
+/**
+ * @typedef {Object} StopCluster
+ * @property {string} id - Cluster ID (`<operator>-<stop>` of the seed stop)
+ * @property {number} lat - Mean latitude of member stops
+ * @property {number} long - Mean longitude of member stops
+ * @property {string} name_en - English name of the seed stop
+ * @property {string} name_tc - Traditional Chinese name of the seed stop
+ * @property {string|null} name_sc - Simplified Chinese name of the seed stop
+ * @property {{en: string[], tc: string[], sc: string[]}} names - Distinct (case-insensitive) names of all member stops, seed first
+ * @property {Object.<string, StopClusterOperator>} operators - Member stops and routes per operator
+ */
+
+/**
+ * @typedef {Object} StopIndex
+ * @property {string} generated_at - ISO timestamp of index generation
+ * @property {number} radius_m - Clustering radius in metres
+ * @property {number} total_clusters - Number of clusters
+ * @property {number} total_stops - Number of clustered stops
+ * @property {Object.<string, StopCluster>} clusters - Clusters keyed by cluster ID
+ * @property {Object.<string, Object.<string, string>>} stopClusters - Cluster ID per operator and stop ID
+ */
+
+/**
+ * Builds the cross-operator stop index by clustering nearby stops
+ * @class
+ */
+class StopIndexProcessor {
+  /**
+   * Flatten per-operator stops into clusterable entries
+   * Stops without coordinates (e.g. Light Rail) are skipped.
+   * @param {Object.<string, Object.<string, import('./base-data-processor').EnrichedStopData>>} operatorStops - allstops.json data keyed by operator
+   * @returns {Array<{operator: string, stopId: string, stop: Object, lat: number, long: number}>} Entries in operator then stop ID order
+   */
+  static collectEntries(operatorStops) {
+    const entries = [];
+    for (const [operator, allStopsData] of Object.entries(operatorStops)) {
+      const stopIds = Object.keys(allStopsData).sort();
+      for (const stopId of stopIds) {
+        const coordinates = GeoUtils.getCoordinates(allStopsData[stopId]);
+        if (coordinates) {
+          entries.push({
+            operator,
+            stopId,
+            stop: allStopsData[stopId],
+            ...coordinates,
+          });
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Cluster stops of all operators within a radius
+   *
+   * Clustering is greedy and seed-based: each not yet clustered stop (in
+   * operator then stop ID order) seeds a cluster holding every unclustered
+   * stop within `radius` of it, so clusters never chain along a road.
+   * @param {Object.<string, Object.<string, import('./base-data-processor').EnrichedStopData>>} operatorStops - allstops.json data keyed by operator
+   * @param {number} radius - Clustering radius in metres
+   * @returns {StopIndex} Stop index
+   */
+  static buildIndex(operatorStops, radius) {
+    const entries = this.collectEntries(operatorStops);
+    const grid = new SpatialGrid(radius);
+    entries.forEach(entry => grid.insert(entry, entry.lat, entry.long));
+
+    const clustered = new Set();
+    const clusters = {};
+    const stopClusters = {};
+    const entryKey = entry => `${entry.operator}:${entry.stopId}`;
+
+    for (const seed of entries) {
+      if (clustered.has(entryKey(seed))) {
+        continue;
+      }
+
+      const members = grid
+        .queryRadius(seed.lat, seed.long, radius)
+        .map(match => match.item)
+        .filter(entry => !clustered.has(entryKey(entry)));
+      members.forEach(entry => clustered.add(entryKey(entry)));
+
+      const cluster = this.createCluster(seed, members);
+      clusters[cluster.id] = cluster;
+      for (const member of members) {
+        stopClusters[member.operator] = stopClusters[member.operator] || {};
+        stopClusters[member.operator][member.stopId] = cluster.id;
+      }
+    }
+
+    return {
+      generated_at: new Date().toISOString(),
+      radius_m: radius,
+      total_clusters: Object.keys(clusters).length,
+      total_stops: entries.length,
+      clusters,
+      stopClusters,
+    };
+  }
+
+  /**
+   * Create a cluster from its seed and member stops
+   * @param {Object} seed - Seed entry (also included in members)
+   * @param {Object[]} members - Member entries, nearest to the seed first
+   * @returns {StopCluster} Stop cluster
+   */
+  static createCluster(seed, members) {
+    // Keyed case-insensitively, since KMB names are upper case
+    const names = { en: new Map(), tc: new Map(), sc: new Map() };
+    const operators = {};
+
+    for (const { operator, stopId, stop } of members) {
+      for (const lang of Object.keys(names)) {
+        const name = stop[`name_${lang}`];
+        if (name && !names[lang].has(name.toLowerCase())) {
+          names[lang].set(name.toLowerCase(), name);
+        }
+      }
+
+      if (!operators[operator]) {
+        operators[operator] = { stops: [], routes: new Set() };
+      }
+      operators[operator].stops.push(stopId);
+      (stop.routes || []).forEach(route =>
+        operators[operator].routes.add(String(route))
+      );
+    }
+
+    const mean = key =>
+      Number(
+        (
+          members.reduce((sum, entry) => sum + entry[key], 0) / members.length
+        ).toFixed(6)
+      );
+
+    return {
+      id: `${seed.operator}-${seed.stopId}`,
+      lat: mean('lat'),
+      long: mean('long'),
+      name_en: seed.stop.name_en,
+      name_tc: seed.stop.name_tc,
+      name_sc: seed.stop.name_sc,
+      names: {
+        en: Array.from(names.en.values()),
+        tc: Array.from(names.tc.values()),
+        sc: Array.from(names.sc.values()),
+      },
+      operators: Object.fromEntries(
+        Object.entries(operators).map(([operator, { stops, routes }]) => [
+          operator,
+          {
+            stops,
+            routes: Array.from(routes).sort((a, b) =>
+              a.localeCompare(b, undefined, { numeric: true })
+            ),
+          },
+        ])
+      ),
+    };
+  }
+}
+
+module.exports = { StopIndexProcessor };
@@ -0,0 +1,106 @@
+const zlib = require('zlib');
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - File name inside the archive
+ * @property {(Buffer|string)} content - File content (strings are UTF-8 encoded)
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// 1980-01-01 00:00, the earliest DOS timestamp, keeps archives reproducible
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+/**
+ * Minimal ZIP archive writer (deflate, no encryption, no ZIP64)
+ * @class
+ */
+class ZipWriter {
+  /**
+   * Compute the CRC-32 of a buffer
+   * @param {Buffer} buffer - Data
+   * @returns {number} Unsigned CRC-32
+   */
+  static crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Create a ZIP archive
+   * @param {ZipEntry[]} entries - Files to add, in order
+   * @returns {Buffer} ZIP archive
+   */
+  static create(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const { name, content } of entries) {
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const data = Buffer.isBuffer(content)
+        ? content
+        : Buffer.from(content, 'utf8');
+      const compressed = zlib.deflateRawSync(data);
+      const crc = this.crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0); // local file header signature
+      local.writeUInt16LE(20, 4); // version needed to extract
+      local.writeUInt16LE(0x0800, 6); // flags: UTF-8 names
+      local.writeUInt16LE(8, 8); // compression: deflate
+      local.writeUInt16LE(DOS_TIME, 10);
+      local.writeUInt16LE(DOS_DATE, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(nameBuffer.length, 26);
+      local.writeUInt16LE(0, 28); // extra field length
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0); // central directory signature
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6); // version needed to extract
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(DOS_TIME, 12);
+      central.writeUInt16LE(DOS_DATE, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(nameBuffer.length, 28);
+      // extra, comment, disk number, internal/external attributes stay 0
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, nameBuffer, compressed);
+      centralParts.push(central, nameBuffer);
+      offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+}
+
+module.exports = { ZipWriter };
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+const { performance } = require('perf_hooks');
+const { CTBDataProcessor, KMBDataProcessor } = require('../lib/data-processor');
+
+// Usage: node scripts/benchmark-route-enrichment.js
+// Times route enrichment on synthetic datasets of CTB and KMB size, with a
+// linear search of the stop details per route stop (the previous approach)
+// and with one stop lookup shared across routes.
+
+/**
+ * Synthetic dataset sizes, close to the published CTB and KMB data
+ */
+const DATASETS = [
+  {
+    label: 'CTB',
+    processor: CTBDataProcessor,
+    stops: 2500,
+    routes: 400,
+    stopsPerDirection: 35,
+    serviceTypes: 1,
+  },
+  {
+    label: 'KMB',
+    processor: KMBDataProcessor,
+    stops: 6600,
+    routes: 700,
+    stopsPerDirection: 30,
+    serviceTypes: 2,
+  },
+];
+
+/**
+ * Deterministic pseudo-random generator, so every run uses the same data
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Build synthetic stop details and route stops in the shape the collectors
+ * produce (CTB uses `dir`, KMB `bound` and `service_type`)
+ * @param {Object} dataset - Dataset size
+ * @returns {{routeStops: Object, successfulStops: Array<{stopId: string, data: Object}>}} Synthetic data
+ */
+function createDataset(dataset) {
+  const random = createRandom(dataset.stops);
+  const successfulStops = [];
+  for (let index = 0; index < dataset.stops; index++) {
+    const stopId = index.toString(16).toUpperCase().padStart(16, '0');
+    successfulStops.push({
+      stopId,
+      data: {
+        stop: stopId,
+        name_en: `Stop ${index}`,
+        name_tc: `站 ${index}`,
+        name_sc: `站 ${index}`,
+        lat: (22.2 + random() * 0.3).toFixed(6),
+        long: (113.9 + random() * 0.4).toFixed(6),
+      },
+    });
+  }
+
+  const isKMB = dataset.processor === KMBDataProcessor;
+  const routeStops = {};
+  for (let index = 0; index < dataset.routes; index++) {
+    const route = String(index + 1);
+    routeStops[route] = { inbound: [], outbound: [] };
+    for (const [bound, key] of [
+      ['O', 'outbound'],
+      ['I', 'inbound'],
+    ]) {
+      for (let type = 1; type <= dataset.serviceTypes; type++) {
+        for (let seq = 1; seq <= dataset.stopsPerDirection; seq++) {
+          const { stopId } =
+            successfulStops[Math.floor(random() * successfulStops.length)];
+          routeStops[route][key].push(
+            isKMB
+              ? { route, bound, service_type: String(type), seq, stop: stopId }
+              : { route, dir: bound, seq, stop: stopId }
+          );
+        }
+      }
+    }
+  }
+
+  return { routeStops, successfulStops };
+}
+
+/**
+ * The previous enrichment: a linear search of the stop details for every
+ * stop of every route
+ * @param {Object} stop - Route stop
+ * @param {Array<{stopId: string, data: Object}>} successfulStops - Stop details
+ * @returns {Object} Enriched route stop
+ */
+function enrichWithLinearSearch(stop, successfulStops) {
+  const stopDetails = successfulStops.find(s => s.stopId === stop.stop);
+  if (!stopDetails || !stopDetails.data) {
+    return stop;
+  }
+  const data = stopDetails.data;
+  return {
+    ...stop,
+    name_tc: data.name_tc,
+    name_en: data.name_en,
+    name_sc: data.name_sc,
+    lat: data.lat,
+    long: data.long,
+  };
+}
+
+/**
+ * Time a function
+ * @param {function(): any} fn - Function
+ * @returns {{result: any, ms: number}} Result and milliseconds taken
+ */
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+/**
+ * Enrich every route of a dataset with both approaches and compare
+ * @param {Object} dataset - Dataset size
+ */
+function benchmark(dataset) {
+  const { processor } = dataset;
+  const { routeStops, successfulStops } = createDataset(dataset);
+  const routes = Object.keys(routeStops);
+  const routeStopCount = routes.reduce(
+    (count, route) =>
+      count +
+      routeStops[route].inbound.length +
+      routeStops[route].outbound.length,
+    0
+  );
+
+  // The previous approach, through the processor's ordering of route stops
+  const before = time(() =>
+    routes.map(route => {
+      const routeData = processor.createEnrichedRouteData(
+        route,
+        routeStops,
+        new Map()
+      );
+      return routeData.stops.map(stop =>
+        enrichWithLinearSearch(stop, successfulStops)
+      );
+    })
+  );
+  const after = time(() => {
+    const stopLookup = processor.createStopLookup(successfulStops);
+    return routes.map(
+      route =>
+        processor.createEnrichedRouteData(route, routeStops, stopLookup).stops
+    );
+  });
+
+  const identical =
+    JSON.stringify(before.result) === JSON.stringify(after.result);
+  console.log(
+    `${dataset.label}: ${routes.length} routes, ${routeStopCount} route stops, ${successfulStops.length} stops`
+  );
+  console.log(`  linear search: ${before.ms.toFixed(1)} ms`);
+  console.log(
+    `  stop lookup:   ${after.ms.toFixed(1)} ms (${(before.ms / after.ms).toFixed(1)}x faster)`
+  );
+  if (!identical) {
+    console.error('  Route data differs between the two approaches');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  DATASETS.forEach(benchmark);
+}
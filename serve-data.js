@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+
+const { DatasetServer } = require('./lib/dataset-server');
+
+// Usage: node serve-data.js
+// Serves the collected output directories at SERVER_HOST:SERVER_PORT
+// (default 127.0.0.1:8080), with the same paths as GitHub Pages.
+if (require.main === module) {
+  DatasetServer.main();
+}
@@ -9,6 +9,8 @@ export interface ApiClientConfig {
   cacheTtl?: number;
   headers?: Record<string, string>;
   hooks?: any;
+  persistentCache?: boolean;
+  retries?: number;
 }
 
 export class BaseApiClient {
@@ -18,6 +20,7 @@ export class BaseApiClient {
     config?: ApiClientConfig
   );
   fetchJson(url: string): Promise<any>;
+  fetchText(url: string): Promise<string>;
   fetchJsonSafe(url: string): Promise<Result<any>>;
   processWithConcurrency<T>(
     items: T[],
@@ -33,12 +36,52 @@ export interface StopDetailsResult {
   fromCache?: boolean;
 }
 
+export interface PreviousData {
+  allStops: Record<string, EnrichedStopData>;
+  allRoutes: { routes: any; stops: any } | null;
+}
+
+export const CHECKPOINT_KINDS: {
+  ROUTE_STOPS: 'routeStops';
+  STOP_DETAILS: 'stopDetails';
+};
+
+export interface CheckpointStoreOptions {
+  dir?: string;
+}
+
+export class CheckpointStore {
+  constructor(operator: string, options?: CheckpointStoreOptions);
+  operator: string;
+  filePath: string;
+  open(options?: { resume?: boolean }): Promise<void>;
+  get(kind: string, key: string): any | undefined;
+  size(kind: string): number;
+  record(kind: string, key: string, value: any): Promise<void>;
+  clear(): Promise<void>;
+}
+
 export class BaseDataCollector {
   constructor(apiClient: BaseApiClient, concurrentRequests?: number);
+  checkpoint: CheckpointStore | null;
+  useCheckpoint(checkpoint: CheckpointStore | null): void;
+  collectWithCheckpoint<T extends { error?: boolean }>(
+    kind: string,
+    key: string,
+    collect: () => Promise<T>
+  ): Promise<T>;
   collectAllStopDetails(
     stopIds: string[]
   ): Promise<PromiseSettledResult<StopDetailsResult>[]>;
   collectStopDetails(stopId: string): Promise<StopDetailsResult>;
+  fetchPublishedJson(relativePath: string): Promise<any | null>;
+  fetchExistingAllStops(
+    operator: string
+  ): Promise<Record<string, EnrichedStopData>>;
+  fetchExistingAllRoutes(
+    operator: string
+  ): Promise<{ routes: any; stops: any } | null>;
+  fetchPreviousData(operator: string): Promise<PreviousData>;
   compareRoutes(
     existingRoutes: string[] | null,
     newRoutes: string[] | null
@@ -50,16 +93,49 @@ export interface EnrichedStopData {
   stop: string;
   name_en: string;
   name_tc: string;
-  name_sc: string;
+  name_sc: string | null;
   lat: string;
   long: string;
   routes: string[];
   data_timestamp: string;
+  nearbyStops?: NearbyStop[];
+  nearbyStopIDs?: string[];
+  routeVariants?: KMBRouteVariant[];
+  routeDetails?: StopRouteDetail[];
+}
+
+export interface StopRouteDetail {
+  route: string;
+  bound: string;
+  service_type: string | null;
+  seq: number;
+  dest_en: string | null;
+  dest_tc: string | null;
+  dest_sc: string | null;
+}
+
+export interface NearbyStop {
+  stop: string;
+  distance_m: number;
+  operator: string;
 }
 
 export interface EnrichedRouteData {
   route: string;
   stops: any[];
+  variants?: Array<Omit<KMBRouteVariant, 'route'> & { stops: string[] }>;
+}
+
+export interface KMBRouteVariant {
+  route: string;
+  bound: string;
+  service_type: string;
+  orig_en: string | null;
+  orig_tc: string | null;
+  orig_sc: string | null;
+  dest_en: string | null;
+  dest_tc: string | null;
+  dest_sc: string | null;
 }
 
 export class BaseDataProcessor {
@@ -69,13 +145,40 @@ export class BaseDataProcessor {
   static enrichStopWithRoutes(
     stopData: any,
     stopRoutesMap: Record<string, string[] | Set<string>>,
-    stopId: string
+    stopId: string,
+    stopRouteDetails?: Record<string, StopRouteDetail[]>
   ): EnrichedStopData;
-  static createEnrichedRouteData(
+  static createDestinationLookup(
+    routesMetadata: any[]
+  ): (
     route: string,
+    bound: string,
+    serviceType: string | null
+  ) => { dest_en: string; dest_tc: string; dest_sc: string } | null;
+  static buildStopRouteDetails(
     routeStops: Record<string, { inbound: any[]; outbound: any[] }>,
+    routesMetadata?: any[]
+  ): Record<string, StopRouteDetail[]>;
+  static createStopLookup(
     successfulStops: Array<{ stopId: string; data: any }>
+  ): Map<string, any>;
+  static toStopLookup(
+    stops: Map<string, any> | Array<{ stopId: string; data: any }>
+  ): Map<string, any>;
+  static enrichRouteStop(stop: any, stopLookup: Map<string, any>): any;
+  static createEnrichedRouteData(
+    route: string,
+    routeStops: Record<string, { inbound: any[]; outbound: any[] }>,
+    stopLookup: Map<string, any> | Array<{ stopId: string; data: any }>
   ): EnrichedRouteData;
+  static addNearbyStops(
+    allStopsData: Record<string, EnrichedStopData>,
+    radius: number,
+    operator: string
+  ): Record<string, EnrichedStopData>;
+  static groupRouteVariants(
+    routeData: EnrichedRouteData
+  ): Array<{ direction: string; serviceType: string | null; stops: any[] }>;
 }
 
 // File Manager
@@ -86,9 +189,28 @@ export interface SaveResult {
   count?: number;
 }
 
+export interface FileManagerOptions {
+  compact?: boolean;
+  writeConcurrency?: number;
+  staging?: boolean;
+}
+
 export class BaseFileManager {
-  constructor(baseDir?: string);
+  constructor(baseDir?: string, options?: FileManagerOptions);
+  baseDir: string;
+  outputDir: string;
+  compact: boolean;
+  writeConcurrency: number;
+  staging: boolean;
+  pendingRemovals: string[];
   ensureDirectories(): Promise<void>;
+  beginStaging(): Promise<void>;
+  commitStaging(): Promise<void>;
+  discardStaging(): Promise<void>;
+  writeFileAtomic(
+    filePath: string,
+    content: string | Buffer | Uint8Array
+  ): Promise<void>;
   saveStopData(
     stopId: string,
     stopData: EnrichedStopData
@@ -97,14 +219,78 @@ export class BaseFileManager {
     route: string,
     routeData: EnrichedRouteData
   ): Promise<Result<SaveResult>>;
+  saveStops(
+    stopsData: Record<string, EnrichedStopData>
+  ): Promise<Result<SaveResult>[]>;
+  saveRoutes(
+    routesData: Record<string, EnrichedRouteData>
+  ): Promise<Result<SaveResult>[]>;
+  removeStops(stopIds: string[]): Promise<Result<SaveResult>[]>;
+  removeRoutes(routes: string[]): Promise<Result<SaveResult>[]>;
+  hasStopData(stopId: string): Promise<boolean>;
+  hasRouteData(route: string): Promise<boolean>;
   saveAllStops(
     allStopsData: Record<string, EnrichedStopData>
   ): Promise<Result<SaveResult>>;
+  saveChanges(changes: ChangeReport): Promise<Result<SaveResult>>;
+  readAllStops(): Promise<Result<Record<string, EnrichedStopData>>>;
+  readAllRoutes(): Promise<Result<{ routes: any; stops: any }>>;
+  readJson(relativePath: string): Promise<Result<any>>;
+  listFiles(): Promise<string[]>;
+  hasFile(relativePath: string): Promise<boolean>;
+  saveGeoJSON(
+    allStopsData: Record<string, EnrichedStopData>,
+    allRoutesData: Record<string, EnrichedRouteData>,
+    operator: string
+  ): Promise<
+    Result<{
+      stopsPath: string;
+      routesPath: string;
+      stops: number;
+      routes: number;
+    }>
+  >;
+  writeCompactRoutes(
+    compactData: { routes: any; stops: any },
+    allRoutesData: Record<string, EnrichedRouteData>
+  ): Promise<void>;
+  writeCompactFiles(
+    filePath: string,
+    data: any,
+    prettySize: number
+  ): Promise<void>;
   saveAllRoutes(
     allRoutesData: Record<string, EnrichedRouteData>
   ): Promise<boolean>;
 }
 
+// Compact Output
+export const COLUMNAR_VERSION: number;
+
+export type ColumnType =
+  'string' | 'string[]' | 'json' | { objects: Array<[string, ColumnType]> };
+
+export interface ColumnarStops {
+  format: 'columnar';
+  version: number;
+  count: number;
+  strings: string[];
+  keys: number[];
+  columns: Array<{ name: string; type: ColumnType; values: any[] }>;
+}
+
+export class CompactOutputProcessor {
+  static inferType(values: any[]): ColumnType;
+  static encodeStops(
+    allStopsData: Record<string, EnrichedStopData>
+  ): ColumnarStops;
+  static compress(content: string): Promise<{ gzip: Buffer; brotli: Buffer }>;
+}
+
+export function decodeAllStops(
+  encoded: ColumnarStops
+): Record<string, EnrichedStopData>;
+
 // Result
 export class Result<T> {
   static success<T>(data: T): Result<T>;
@@ -208,19 +394,54 @@ export class ConfigValidator {
 }
 
 // Config Loader
+export interface VersioningConfig {
+  enabled: boolean;
+  dir: string;
+  version: string;
+  retention: number;
+}
+
+export interface QualityConfig extends QualityThresholds {
+  enabled: boolean;
+}
+
 export class ConfigLoader {
   static loadApiConfig(): any;
   static loadCacheConfig(): any;
-  static loadOutputConfig(): any;
+  static loadCheckpointConfig(): { dir: string };
+  static loadOutputConfig(versioning?: VersioningConfig): any;
+  static loadVersioningConfig(): VersioningConfig;
+  static loadQualityConfig(): QualityConfig;
+  static loadCompactConfig(): { enabled: boolean };
+  static loadSpatialConfig(): {
+    stopClusterRadius: number;
+    nearbyStopRadius: number;
+    jointStopRadius: number;
+  };
+  static loadOperatorEndpoints(plugin: OperatorPlugin): Record<string, string>;
+  static loadWritesConfig(): { concurrency: number; staging: boolean };
   static loadGitHubPagesConfig(): any;
+  static loadEtaConfig(): { cacheTtl: number; retries: number };
+  static loadServerConfig(): { host: string; port: number };
   static loadConfig(): any;
 }
 
 // CTB Classes
 export class CTBApiClient extends BaseApiClient {}
-export class CTBDataCollector extends BaseDataCollector {}
+export class CTBDataCollector extends BaseDataCollector {
+  collectOptimizedStopDetails(
+    stopIds: string[],
+    stopRoutesMap: Record<string, string[]>,
+    existingAllStops?: Record<string, EnrichedStopData>
+  ): Promise<StopDetailsResult[]>;
+}
 export class CTBDataProcessor extends BaseDataProcessor {}
-export class CTBFileManager extends BaseFileManager {}
+export class CTBFileManager extends BaseFileManager {
+  buildCompactRoutes(
+    allRoutesData: Record<string, EnrichedRouteData>,
+    routesMetadata?: any[]
+  ): { routes: any; stops: any };
+}
 export class CTBService {
   constructor(options?: any);
   collectAndSaveData(): Promise<Result<any>>;
@@ -228,9 +449,990 @@ export class CTBService {
 
 // KMB Classes
 export class KMBDataCollector extends BaseDataCollector {}
-export class KMBDataProcessor extends BaseDataProcessor {}
-export class KMBFileManager extends BaseFileManager {}
+export class KMBDataProcessor extends BaseDataProcessor {
+  static describeVariant(
+    route: string,
+    bound: string,
+    serviceType: string,
+    routeMetaMap: Record<string, any>
+  ): Omit<KMBRouteVariant, 'route'>;
+  static buildRouteMetaMap(routesMetadata: any[]): Record<string, any>;
+  static buildStopRouteVariants(
+    routeStops: Record<string, { inbound: any[]; outbound: any[] }>,
+    routesMetadata?: any[]
+  ): Record<string, KMBRouteVariant[]>;
+  static createEnrichedRouteData(
+    route: string,
+    routeStops: Record<string, { inbound: any[]; outbound: any[] }>,
+    stopLookup: Map<string, any> | Array<{ stopId: string; data: any }>,
+    routesMetadata?: any[]
+  ): EnrichedRouteData;
+}
+export class KMBFileManager extends BaseFileManager {
+  buildCompactRoutes(
+    allRoutesData: Record<string, EnrichedRouteData>,
+    routesMetadata?: any[]
+  ): { routes: any; stops: any };
+}
 export class KMBService {
   constructor(options?: any);
   collectAndSaveData(): Promise<Result<any>>;
 }
+
+// GMB Classes
+export class GMBApiClient extends BaseApiClient {}
+export class GMBDataCollector extends BaseDataCollector {
+  collectRoutes(): Promise<any[]>;
+  collectAllRouteStops(routes: any[]): Promise<PromiseSettledResult<any>[]>;
+}
+export class GMBDataProcessor extends CTBDataProcessor {
+  static normalizeStopDetails(
+    successfulStops: Array<{ stopId: string; data: any }>,
+    stopNamesMap: Record<
+      string,
+      { name_tc: string; name_en: string; name_sc: string }
+    >
+  ): Array<{ stopId: string; data: any }>;
+}
+export class GMBFileManager extends BaseFileManager {}
+export class GMBService {
+  constructor(options?: any);
+  collectAndSaveData(): Promise<Result<any>>;
+}
+
+// NLB Classes
+export class NLBApiClient extends BaseApiClient {}
+export class NLBDataCollector extends BaseDataCollector {
+  stopDetails: Record<string, any>;
+  splitRouteName(routeName?: string): [string | null, string | null];
+  collectRoutes(): Promise<any[]>;
+  collectAllRouteStops(routes: any[]): Promise<PromiseSettledResult<any>[]>;
+  collectCheckpointedRouteStops(route: any): Promise<any>;
+}
+export class NLBDataProcessor extends BaseDataProcessor {
+  static processRouteStopResults(
+    routeStopResults: PromiseSettledResult<any>[]
+  ): {
+    routeStops: Record<string, Record<string, any[]>>;
+    stopRoutesMap: Record<string, Set<string>>;
+  };
+  static groupRouteVariants(
+    routeData: EnrichedRouteData
+  ): Array<{ direction: string; serviceType: string | null; stops: any[] }>;
+}
+export class NLBFileManager extends BaseFileManager {}
+export class NLBService {
+  constructor(options?: any);
+  collectAndSaveData(): Promise<Result<any>>;
+}
+
+// MTR Bus and Light Rail Classes
+export class CsvParser {
+  static parseRows(text: string): string[][];
+  static parse(text: string): Record<string, string>[];
+}
+export class MTRApiClient extends BaseApiClient {}
+export class MTRDataCollector extends BaseDataCollector {
+  constructor(
+    requestsPerSecond?: number,
+    concurrentRequests?: number,
+    routeStopUrl?: string
+  );
+  readonly datasetName: string;
+  normalizeRecord(record: Record<string, string>): any | null;
+  toStopData(routeStop: any): any;
+  collectRouteStopRows(): Promise<any[]>;
+  collectRoutes(): Promise<any[]>;
+  collectAllRouteStopsData(): Promise<any[]>;
+  processRouteStopsData(
+    allRouteStops: any[],
+    routes: any[]
+  ): Record<string, { inbound: any[]; outbound: any[] }>;
+  collectStopDetailsForStops(): Promise<StopDetailsResult[]>;
+}
+export class MTRBusDataCollector extends MTRDataCollector {}
+export class LRTDataCollector extends MTRDataCollector {}
+export class MTRDataProcessor extends KMBDataProcessor {}
+export class MTRFileManager extends BaseFileManager {}
+export class MTRService {
+  constructor(options?: { network?: 'bus' | 'lrt'; [key: string]: any });
+  network: 'bus' | 'lrt';
+  label: string;
+  collectAndSaveData(): Promise<Result<any>>;
+}
+
+// Operator Registry
+export interface OperatorEnvSetting {
+  env: string;
+  defaultValue: string;
+}
+
+export interface OperatorComponents {
+  Service: new (options?: any) => {
+    collectAndSaveData(): Promise<Result<any>>;
+  };
+  Collector: new (
+    requestsPerSecond?: number,
+    concurrentRequests?: number
+  ) => any;
+  Processor: any;
+  FileManager: new (baseDir?: string) => any;
+}
+
+export interface OperatorPlugin {
+  name: string;
+  label: string;
+  outputDir: OperatorEnvSetting;
+  endpoints?: Record<string, OperatorEnvSetting>;
+  serviceOptions?: Record<string, any>;
+  load(): OperatorComponents;
+}
+
+export class OperatorRegistry {
+  static register(plugin: OperatorPlugin): OperatorPlugin;
+  static get(name: string): OperatorPlugin;
+  static has(name: string): boolean;
+  static list(): OperatorPlugin[];
+  static names(): string[];
+  static loadComponents(name: string): OperatorComponents;
+  static loadPlugins(modulePaths: string[]): OperatorPlugin[];
+  static reset(): void;
+}
+
+export interface OperatorCollectionResult {
+  name: string;
+  label: string;
+  success: boolean;
+  data?: any;
+  previous?: PreviousData;
+}
+
+export interface CollectionSummary {
+  results: OperatorCollectionResult[];
+  hasFailedCollections: boolean;
+}
+
+export interface CollectionOptions {
+  resume?: boolean;
+}
+
+export class CollectionRunner {
+  static runStages(summary?: CollectionSummary): Promise<boolean>;
+  static resolveOperators(names?: string[]): string[];
+  static collectsEveryOperator(names?: string[]): boolean;
+  static fetchPreviousData(name: string): Promise<PreviousData>;
+  static parseArgs(argv?: string[]): {
+    names: string[];
+    options: CollectionOptions;
+  };
+  static collectOperator(
+    name: string,
+    options?: CollectionOptions
+  ): Promise<OperatorCollectionResult>;
+  static run(
+    names?: string[],
+    options?: CollectionOptions
+  ): Promise<CollectionSummary>;
+  static main(
+    names?: string[],
+    options?: CollectionOptions
+  ): Promise<CollectionSummary | undefined>;
+}
+
+// Geo helpers
+export class GeoUtils {
+  static haversineDistance(
+    lat1: number,
+    long1: number,
+    lat2: number,
+    long2: number
+  ): number;
+  static getCoordinates(stop: {
+    lat: string | number | null;
+    long: string | number | null;
+  }): { lat: number; long: number } | null;
+}
+
+export class SpatialGrid<T = any> {
+  constructor(cellSize: number);
+  insert(item: T, lat: number, long: number): void;
+  queryRadius(
+    lat: number,
+    long: number,
+    radius: number
+  ): Array<{ item: T; lat: number; long: number; distance: number }>;
+}
+
+// Cross-operator stop index
+export interface StopCluster {
+  id: string;
+  lat: number;
+  long: number;
+  name_en: string;
+  name_tc: string;
+  name_sc: string | null;
+  names: { en: string[]; tc: string[]; sc: string[] };
+  operators: Record<string, { stops: string[]; routes: string[] }>;
+}
+
+export interface StopIndex {
+  generated_at: string;
+  radius_m: number;
+  total_clusters: number;
+  total_stops: number;
+  clusters: Record<string, StopCluster>;
+  stopClusters: Record<string, Record<string, string>>;
+}
+
+export class StopIndexProcessor {
+  static collectEntries(
+    operatorStops: Record<string, Record<string, any>>
+  ): any[];
+  static buildIndex(
+    operatorStops: Record<string, Record<string, any>>,
+    radius: number
+  ): StopIndex;
+  static createCluster(seed: any, members: any[]): StopCluster;
+}
+
+export class StopIndexFileManager extends BaseFileManager {
+  saveStopIndex(index: StopIndex): Promise<Result<SaveResult>>;
+}
+
+export class StopIndexService {
+  constructor(options?: {
+    radius?: number;
+    operatorDirs?: Record<string, string>;
+    baseDir?: string;
+    processor?: typeof StopIndexProcessor;
+    fileManager?: StopIndexFileManager;
+  });
+  buildAndSave(): Promise<
+    Result<{ totalClusters: number; totalStops: number; operators: string[] }>
+  >;
+}
+
+// Offline search index
+export interface SearchStopDocument {
+  type: 'stop';
+  operator: string;
+  id: string;
+  name_en?: string;
+  name_tc?: string;
+  name_sc?: string;
+}
+
+export interface SearchRouteDocument {
+  type: 'route';
+  operator: string;
+  id: string;
+  route: string;
+  terminals: Array<Record<string, string>>;
+}
+
+export type SearchDocument = SearchStopDocument | SearchRouteDocument;
+
+export interface SearchIndex {
+  version: number;
+  generated_at: string;
+  documents: SearchDocument[];
+  terms: string[];
+  postings: number[][];
+}
+
+export interface SearchResult {
+  document: SearchDocument;
+  score: number;
+}
+
+export function tokenize(text: string): string[];
+export function createSearch(
+  index: Pick<SearchIndex, 'documents' | 'terms' | 'postings'>
+): (
+  query: string,
+  options?: { limit?: number; type?: string; operator?: string }
+) => SearchResult[];
+
+export class SearchIndexProcessor {
+  static collectTerminals(routeEntry: any): Array<Record<string, string>>;
+  static buildIndex(
+    operatorStops: Record<string, Record<string, any>>,
+    operatorRoutes: Record<string, { routes: Record<string, any> }>
+  ): SearchIndex;
+}
+
+export class SearchIndexFileManager extends BaseFileManager {
+  saveSearchIndex(index: SearchIndex): Promise<Result<SaveResult>>;
+}
+
+export class SearchIndexService {
+  constructor(options?: {
+    operatorDirs?: Record<string, string>;
+    baseDir?: string;
+    processor?: typeof SearchIndexProcessor;
+    fileManager?: SearchIndexFileManager;
+  });
+  buildAndSave(): Promise<
+    Result<{ documents: number; terms: number; operators: string[] }>
+  >;
+}
+
+// Joint CTB/KMB routes
+export interface JointStopPair {
+  ctb: string | null;
+  kmb: string | null;
+  distance_m: number | null;
+}
+
+export interface JointDirection {
+  ctb: { dir: string; stops: string[] };
+  kmb: { bound: string; service_type: string; stops: string[] };
+  orig_en: string;
+  orig_tc: string;
+  dest_en: string;
+  dest_tc: string;
+  match_ratio: number;
+  pairs: JointStopPair[];
+}
+
+export interface JointRoutes {
+  generated_at: string;
+  radius_m: number;
+  total_routes: number;
+  routes: Record<string, { route: string; directions: JointDirection[] }>;
+}
+
+export class JointRouteProcessor {
+  static locateStops(
+    stopIds: string[],
+    allStopsData: Record<string, any>
+  ): any[];
+  static distance(a: any, b: any): number;
+  static alignStops(
+    ctbStops: any[],
+    kmbStops: any[],
+    radius: number
+  ): { pairs: JointStopPair[]; matched: number };
+  static terminiMatch(
+    ctbDirection: any,
+    kmbVariant: any,
+    ctbStops: any[],
+    kmbStops: any[]
+  ): boolean;
+  static matchRoute(
+    ctbRoute: any,
+    kmbRoute: any,
+    allStops: { ctb: any; kmb: any },
+    radius: number
+  ): JointDirection[];
+  static detectJointRoutes(
+    ctbAllRoutes: { routes: any },
+    kmbAllRoutes: { routes: any },
+    allStops: { ctb: any; kmb: any },
+    radius: number
+  ): JointRoutes;
+}
+
+export class JointRouteFileManager extends BaseFileManager {
+  saveJointRoutes(jointRoutes: JointRoutes): Promise<Result<SaveResult>>;
+}
+
+export class JointRouteService {
+  constructor(options?: {
+    radius?: number;
+    ctbDir?: string;
+    kmbDir?: string;
+    baseDir?: string;
+    processor?: typeof JointRouteProcessor;
+    fileManager?: JointRouteFileManager;
+  });
+  buildAndSave(): Promise<Result<{ totalRoutes: number; skipped: boolean }>>;
+}
+
+// GTFS export
+export interface ZipEntry {
+  name: string;
+  content: Buffer | string;
+}
+
+export class ZipWriter {
+  static crc32(buffer: Buffer): number;
+  static create(entries: ZipEntry[]): Buffer;
+}
+
+export interface GTFSOperatorData {
+  allStopsData: Record<string, EnrichedStopData>;
+  allRoutesData: Record<string, EnrichedRouteData>;
+  routes?: any[];
+}
+
+export interface GTFSFeed {
+  agency: any[];
+  stops: any[];
+  routes: any[];
+  trips: any[];
+  stop_times: any[];
+  shapes: any[];
+  calendar: any[];
+}
+
+export class GTFSExporter {
+  static readonly supportedOperators: string[];
+  static findRouteMetadata(routes: any[], route: string): any | undefined;
+  static getHeadsign(
+    routes: any[],
+    route: string,
+    variant: { direction: string; serviceType: string | null; stops: any[] }
+  ): string;
+  static buildFeed(
+    operatorsData: Record<string, GTFSOperatorData>,
+    options?: { startDate?: Date }
+  ): { feed: GTFSFeed; skippedStopTimes: number };
+  static validateFeed(feed: GTFSFeed): true;
+  static toCsv(rows: any[], columns: string[]): string;
+  static createArchive(feed: GTFSFeed): Buffer;
+}
+
+export class GTFSFileManager extends BaseFileManager {
+  saveFeed(archive: Buffer): Promise<Result<SaveResult>>;
+}
+
+export class GTFSService {
+  constructor(options?: {
+    baseDir?: string;
+    exporter?: typeof GTFSExporter;
+    fileManager?: GTFSFileManager;
+  });
+  static operatorsDataFromSummary(
+    summary: CollectionSummary
+  ): Record<string, GTFSOperatorData>;
+  exportFeed(operatorsData: Record<string, GTFSOperatorData>): Promise<
+    Result<{
+      operators: string[];
+      trips: number;
+      stops: number;
+      skipped: boolean;
+    }>
+  >;
+}
+
+// SQLite export
+export interface SQLiteOperatorData {
+  allStopsData: Record<string, EnrichedStopData>;
+  allRoutesData: Record<string, EnrichedRouteData>;
+}
+
+export interface SQLiteTable {
+  name: string;
+  columns: string[];
+  rows: Array<Array<string | number | null>>;
+}
+
+export interface SQLiteDatabase {
+  statements: string[];
+  tables: SQLiteTable[];
+}
+
+export const SQLITE_TABLES: Record<string, string[]>;
+
+export class SQLiteExporter {
+  static groupRouteVariants(
+    operator: string,
+    routeData: EnrichedRouteData
+  ): Array<{ direction: string; serviceType: string | null; stops: any[] }>;
+  static buildDatabase(
+    operatorsData: Record<string, SQLiteOperatorData>
+  ): SQLiteDatabase;
+}
+
+export class SQLiteFileManager extends BaseFileManager {
+  saveDatabase(database: SQLiteDatabase): Promise<Result<SaveResult>>;
+}
+
+export class SQLiteService {
+  constructor(options?: {
+    baseDir?: string;
+    exporter?: typeof SQLiteExporter;
+    fileManager?: SQLiteFileManager;
+  });
+  static operatorsDataFromSummary(
+    summary: CollectionSummary
+  ): Record<string, SQLiteOperatorData>;
+  exportDatabase(operatorsData: Record<string, SQLiteOperatorData>): Promise<
+    Result<{
+      operators: string[];
+      stops: number;
+      routes: number;
+      variants: number;
+      skipped: boolean;
+    }>
+  >;
+}
+
+// GeoJSON output
+export interface GeoJSONFeatureCollection {
+  type: 'FeatureCollection';
+  features: any[];
+}
+
+export class GeoJSONBuilder {
+  static buildStops(
+    allStopsData: Record<string, EnrichedStopData>,
+    operator: string
+  ): GeoJSONFeatureCollection;
+  static buildRoutes(
+    allRoutesData: Record<string, EnrichedRouteData>,
+    operator: string
+  ): GeoJSONFeatureCollection;
+}
+
+// Change detection
+export interface ChangeSet {
+  added: string[];
+  updated: string[];
+  removed: string[];
+  unchanged: number;
+}
+
+export interface ChangeReport {
+  generated_at: string;
+  previous_available: boolean;
+  stops: ChangeSet;
+  routes: ChangeSet;
+}
+
+export class ChangeDetector {
+  static diff(
+    previous: Record<string, any>,
+    current: Record<string, any>,
+    isUnchanged: (id: string) => boolean
+  ): ChangeSet;
+  static detectStopChanges(
+    previousStops: Record<string, EnrichedStopData>,
+    currentStops: Record<string, EnrichedStopData>
+  ): ChangeSet;
+  static detectRouteChanges(
+    previousAllRoutes: { routes: any } | null,
+    currentAllRoutes: { routes: any },
+    previousStops: Record<string, any>,
+    currentStops: Record<string, any>
+  ): ChangeSet;
+  static createReport(
+    stops: ChangeSet,
+    routes: ChangeSet,
+    previousAvailable: boolean
+  ): ChangeReport;
+  static changedIds(changes: ChangeSet): Set<string>;
+}
+
+// Daily changelog
+export interface StopChanges {
+  added: Array<{ stop: string; name_en: string; name_tc: string }>;
+  removed: Array<{ stop: string; name_en: string; name_tc: string }>;
+  renamed: Array<{
+    stop: string;
+    from: { name_en: string; name_tc: string };
+    to: { name_en: string; name_tc: string };
+  }>;
+  moved: Array<{
+    stop: string;
+    name_en: string;
+    distance_m: number;
+    from: { lat: number; long: number };
+    to: { lat: number; long: number };
+  }>;
+}
+
+export interface SequenceChange {
+  route: string;
+  bound: string;
+  from: string[];
+  to: string[];
+  added_stops: string[];
+  removed_stops: string[];
+}
+
+export interface RouteChanges {
+  added: string[];
+  removed: string[];
+  sequences: SequenceChange[];
+}
+
+export interface OperatorChangelog {
+  label: string;
+  previous_available: boolean;
+  stops?: StopChanges;
+  routes?: RouteChanges;
+}
+
+export interface Changelog {
+  date: string;
+  generated_at: string;
+  total_changes: number;
+  operators: Record<string, OperatorChangelog>;
+}
+
+export class ChangelogProcessor {
+  static describeStopChanges(
+    stopChanges: ChangeSet,
+    previousStops: Record<string, any>,
+    currentStops: Record<string, any>
+  ): StopChanges;
+  static describeRouteChanges(
+    routeChanges: ChangeSet,
+    previousAllRoutes: { routes: any } | null,
+    currentAllRoutes: { routes: any }
+  ): RouteChanges;
+  static countChanges(operatorChangelog: OperatorChangelog): number;
+  static createChangelog(
+    operators: Record<string, OperatorChangelog>,
+    date: string
+  ): Changelog;
+  static toMarkdown(
+    changelog: Changelog,
+    stopNames?: Record<string, Record<string, any>>
+  ): string;
+}
+
+export class ChangelogFileManager extends BaseFileManager {
+  saveChangelog(
+    changelog: Changelog,
+    markdown: string
+  ): Promise<Result<{ filePath: string; markdownPath: string }>>;
+}
+
+export class ChangelogService {
+  constructor(options?: {
+    operatorDirs?: Record<string, string>;
+    baseDir?: string;
+    date?: Date;
+    processor?: typeof ChangelogProcessor;
+    fileManager?: ChangelogFileManager;
+  });
+  buildAndSave(
+    summary: CollectionSummary
+  ): Promise<
+    Result<{ date: string; totalChanges: number; operators: string[] }>
+  >;
+}
+
+// Dataset Versions
+export const DATASET_SCHEMA_VERSION: number;
+export const VERSION_PATTERN: RegExp;
+
+export interface SnapshotFile {
+  path: string;
+  bytes: number;
+  sha256: string;
+}
+
+export interface DirectorySummary {
+  file_count: number;
+  total_bytes: number;
+}
+
+export interface SnapshotManifest {
+  schema_version: number;
+  version: string;
+  created_at: string;
+  file_count: number;
+  total_bytes: number;
+  checksum: string;
+  directories: Record<string, DirectorySummary>;
+  files: Record<string, string>;
+}
+
+export interface VersionSummary {
+  version: string;
+  path: string;
+  created_at: string;
+  schema_version: number;
+  file_count: number;
+  total_bytes: number;
+  checksum: string;
+  directories: Record<string, DirectorySummary>;
+}
+
+export interface DatasetManifest {
+  schema_version: number;
+  generated_at: string;
+  latest: string | null;
+  retention: number;
+  versions: VersionSummary[];
+}
+
+export class DatasetVersionProcessor {
+  static isVersion(name: string): boolean;
+  static hash(content: Buffer | string): string;
+  static createSnapshotManifest(
+    version: string,
+    files: SnapshotFile[]
+  ): SnapshotManifest;
+  static selectExpired(versions: string[], retention: number): string[];
+  static createManifest(
+    snapshots: SnapshotManifest[],
+    versionsDir: string,
+    retention: number
+  ): DatasetManifest;
+}
+
+export class DatasetVersionFileManager extends BaseFileManager {
+  latestDir: string;
+  manifestPath: string;
+  listVersions(): Promise<string[]>;
+  listSnapshotFiles(version: string): Promise<Result<SnapshotFile[]>>;
+  saveSnapshotManifest(snapshot: SnapshotManifest): Promise<Result<SaveResult>>;
+  readSnapshotManifest(version: string): Promise<Result<SnapshotManifest>>;
+  linkLatest(
+    version: string
+  ): Promise<Result<{ filePath: string; symlink: boolean }>>;
+  removeVersion(version: string): Promise<Result<{ version: string }>>;
+  saveManifest(manifest: DatasetManifest): Promise<Result<SaveResult>>;
+}
+
+export class DatasetVersionService {
+  constructor(options?: {
+    enabled?: boolean;
+    version?: string;
+    baseDir?: string;
+    retention?: number;
+    processor?: typeof DatasetVersionProcessor;
+    fileManager?: DatasetVersionFileManager;
+  });
+  publish(summary?: CollectionSummary): Promise<
+    Result<{
+      version: string;
+      fileCount: number;
+      removed: string[];
+      versions: string[];
+      skipped: boolean;
+    }>
+  >;
+}
+
+// Data Quality Gate
+export interface QualityThresholds {
+  maxStopDropPercent: number;
+  minRouteCoveragePercent: number;
+  maxFallbackPercent: number;
+  maxMissingCoordinatesIncreasePercent: number;
+}
+
+export interface DatasetMeasures {
+  stops: number;
+  routes: number;
+  missing_coordinates: number;
+}
+
+export interface OperatorQuality {
+  label: string;
+  passed: boolean;
+  previous_available: boolean;
+  metrics: {
+    stops: number;
+    routes: number;
+    fallback_percent: number;
+    missing_coordinates_percent: number;
+    previous_stops?: number;
+    previous_routes?: number;
+    stop_drop_percent?: number;
+    route_coverage_percent?: number;
+    previous_missing_coordinates_percent?: number;
+  };
+  failures: string[];
+}
+
+export interface QualityReport {
+  generated_at: string;
+  passed: boolean;
+  thresholds: QualityThresholds;
+  operators: Record<string, OperatorQuality>;
+}
+
+export class QualityGateProcessor {
+  static measure(
+    allStops: Record<string, EnrichedStopData>,
+    allRoutes: { routes: any }
+  ): DatasetMeasures;
+  static evaluateOperator(
+    input: {
+      label: string;
+      current: DatasetMeasures;
+      previous: { measures: DatasetMeasures; routes: string[] } | null;
+      routes: string[];
+      collection: { totalStops: number; successfulStops: number };
+    },
+    thresholds: QualityThresholds
+  ): OperatorQuality;
+  static createReport(
+    operators: Record<string, OperatorQuality>,
+    thresholds: QualityThresholds
+  ): QualityReport;
+  static toMarkdown(report: QualityReport): string;
+}
+
+export class QualityReportFileManager extends BaseFileManager {
+  saveReport(
+    report: QualityReport,
+    markdown: string
+  ): Promise<Result<{ filePath: string; markdownPath: string }>>;
+}
+
+export class QualityGateService {
+  constructor(options?: {
+    enabled?: boolean;
+    thresholds?: QualityThresholds;
+    operatorDirs?: Record<string, string>;
+    baseDir?: string;
+    processor?: typeof QualityGateProcessor;
+    fileManager?: QualityReportFileManager;
+  });
+  enabled: boolean;
+  thresholds: QualityThresholds;
+  check(summary: CollectionSummary): Promise<Result<QualityReport>>;
+}
+
+// Output Validation
+export const SCHEMA_DIR: string;
+
+export interface SchemaViolation {
+  path: string;
+  message: string;
+}
+
+export class SchemaValidator {
+  constructor(schemas: object[]);
+  schemas: Map<string, object>;
+  static fromDirectory(schemaDir?: string): SchemaValidator;
+  getSchema(name: string): object;
+  validate(name: string, value: any): SchemaViolation[];
+}
+
+export interface OutputFileRule {
+  pattern: RegExp;
+  schema: string;
+}
+
+export interface OutputTarget {
+  baseDir: string;
+  rules: OutputFileRule[];
+  files?: string[];
+  optionalFiles?: string[];
+}
+
+export interface OutputViolation extends SchemaViolation {
+  file: string;
+}
+
+export class OutputValidationService {
+  constructor(options?: {
+    targets?: OutputTarget[];
+    validator?: SchemaValidator;
+  });
+  targets: OutputTarget[];
+  validator: SchemaValidator;
+  validate(): Promise<Result<{ files: number }>>;
+}
+
+export function outputTargets(): OutputTarget[];
+export function manifestTargets(): OutputTarget[];
+
+// Real-time ETAs
+export interface ETAEntry {
+  operator: string;
+  route: string;
+  stop: string;
+  bound: string;
+  service_type: string | null;
+  seq: number | null;
+  eta_seq: number | null;
+  dest_en: string;
+  dest_tc: string;
+  dest_sc: string;
+  eta: string | null;
+  minutes: number | null;
+  remarks_en: string;
+  remarks_tc: string;
+  remarks_sc: string;
+  data_timestamp: string | null;
+}
+
+export interface StopETAs {
+  operator?: string;
+  stop?: string;
+  cluster?: string;
+  name_en?: string;
+  name_tc?: string;
+  name_sc?: string;
+  generated_at: string;
+  etas: ETAEntry[];
+  errors?: string[];
+}
+
+export class ETAApiClient extends BaseApiClient {}
+
+export class ETAProcessor {
+  static minutesUntil(eta: string | null, now: number): number | null;
+  static normalize(
+    operator: string,
+    response: { data?: any[] },
+    stopId: string,
+    now: number
+  ): ETAEntry[];
+  static sort(etas: ETAEntry[]): ETAEntry[];
+}
+
+export class ETAService {
+  constructor(options?: {
+    apiClient?: BaseApiClient;
+    processor?: typeof ETAProcessor;
+    cacheTtl?: number;
+    operatorDirs?: Record<string, string>;
+    stopIndexDir?: string;
+    now?: () => number;
+  });
+  static supports(operator: string): boolean;
+  getStopETAs(
+    operator: string,
+    stopId: string,
+    options?: { route?: string }
+  ): Promise<Result<StopETAs>>;
+  getClusterETAs(clusterId: string): Promise<Result<StopETAs>>;
+}
+
+// Local dataset server
+export type QueriedStop = EnrichedStopData & { operator: string };
+
+export class DatasetQuery {
+  constructor(options?: { operatorDirs?: Record<string, string> });
+  hasOperator(operator: string): boolean;
+  load(): Promise<Result<any>>;
+  nearStops(query: {
+    lat: number;
+    long: number;
+    radius: number;
+    operator?: string;
+    limit: number;
+  }): Promise<Result<Array<QueriedStop & { distance_m: number }>>>;
+  searchStops(query: {
+    text: string;
+    operator?: string;
+    limit: number;
+  }): Promise<Result<Array<QueriedStop & { score: number }>>>;
+  readRoute(operator: string, route: string): Promise<Result<any>>;
+}
+
+export class DatasetServer {
+  constructor(options?: {
+    host?: string;
+    port?: number;
+    directories?: Record<string, string>;
+    files?: Record<string, string>;
+    query?: DatasetQuery;
+    eta?: ETAService;
+  });
+  start(): Promise<Result<{ url: string }>>;
+  stop(): Promise<void>;
+  handleRequest(req: any, res: any): Promise<void>;
+  static main(): Promise<DatasetServer>;
+}